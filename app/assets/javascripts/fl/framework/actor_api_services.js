@@ -0,0 +1,286 @@
+/**
+ * @ngdoc module
+ * @name fl.actor_api_services
+ * @requires fl.api_services
+ * @description
+ * API services for actor models.
+ */
+
+const _ = require('lodash');
+const { FlExtensions, FlClassManager } = require('./object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('./model_factory');
+const {
+    FlAPIService, FlNestedAPIService, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('./api_services');
+const { FlAPIQuery } = require('./api_query');
+
+// This is imported so that webpack pulls in the sources, or we run the risk of not loading it
+const { FlFrameworkActorGroup, FlFrameworkActorGroupMember } = require('./actor_models');
+
+const GROUP_API_CFG = {
+    root_url_template: '/fl/framework/actor/groups',
+    namespace: 'fl_framework_actor_group',
+    data_names: [ 'group', 'groups', 'group_member' ],
+    model_type: 'Fl::Framework::Actor::Group'
+};
+
+const GROUP_MEMBER_API_CFG = {
+    root_url_template: '/fl/framework/actor/groups/${group.id}/group_members',
+    shallow_root_url_template: '/fl/framework/actor/group_members',
+    namespace: 'fl_framework_actor_group_member',
+    data_names: [ 'group_member', 'group_members' ],
+    model_type: 'Fl::Framework::Actor::GroupMember'
+};
+
+/**
+ * @ngdoc type
+ * @name FlFrameworkActorGroupAPIService
+ * @module fl.actor_api_services
+ * @requires FlAPIService
+ * @description API service class for communicationg with the actor group API.
+ *  This API service manages interactions with the API for `Fl::Framework::Actor::Group` objects.
+ */
+
+let FlFrameworkActorGroupAPIService = FlClassManager.make_class({
+    name: 'FlFrameworkActorGroupAPIService',
+    superclass: 'FlAPIService',
+    /**
+     * @ngdoc method
+     * @name FlFrameworkActorGroupAPIService#constructor
+     * @description The constructor; called during `new` creation.
+     *  Calls the superclass implementation, passing the following API configuration:
+     *  ```
+     *  {
+     *    root_url_template: '/fl/framework/actor/groups',
+     *    namespace: 'fl_framework_actor_group',
+     *    data_names: [ 'group', 'groups', 'group_member' ],
+     *    model_type: 'Fl::Framework::Actor::Group'
+     *  }
+     *  ```
+     *  and passing *srv_cfg* as the second argument.
+     *
+     * @param {Object} srv_cfg Configuration for the service.
+     */
+
+    initializer: function(srv_cfg) {
+	this.__super_init('FlAPIService', GROUP_API_CFG, srv_cfg);
+    },
+    instance_properties: {
+    },
+    instance_methods: {
+	/**
+	 * @ngdoc method
+	 * @name FlFrameworkActorGroupAPIService#add_actor
+	 * @description Adds an actor to a group. Calling `axios.post` against the **add_actor** URL.
+	 *
+	 * @param {Integer|String|Object} id A string or integer containing the identifier to insert in
+	 *  the request URL. You can also pass an instance of {@sref FlFrameworkActorGroup} whose `id`
+	 *  property will be used for the identifier.
+	 * @param {Object} data The data to submit to the server. The object contains two properties,
+	 *  **wrapped** and **unwrapped**. See {@sref FlAPIService#_wrap_data} for details.
+	 * @param {Object} [config] Configuration object to pass to `axios.post`; this object is
+	 *  merged into the default HTTP configuration object.
+	 *
+	 * @property {String} data.wrapped.actor The actor to add.
+	 *  The value is a string containing an object fingerprint. This parameter is mandatory.
+	 * @property {String} data.wrapped.title A string containing the title of the corresponding
+	 *  group member. This parameter is optional.
+	 * @property {String} data.wrapped.note A string containing a note for the corresponding
+	 *  group member. This parameter is optional.
+	 * @property {Object} data.unwrapped.to_hash An object containing configuration parameters for
+	 *  the server method that generates the hash representation of returned models.
+	 *
+	 * @return On success, returns a promise containing the group member object.
+	 *  On error, returns a promise that rejects with an {@sref FlAPIError}.
+	 */
+
+	add_actor: function(id, data, config) {
+	    let self = this;
+	    let api_data = (_.isObject(data)) ? data : { };
+
+	    return this.post(this.url_path_for('add_actor', id), this._wrap_data(api_data), config)
+		.then(function(r) {
+		    return Promise.resolve(self.modelFactory.create(self.response_data(r)));
+		})
+		.catch(function(e) {
+		    return Promise.reject(e);
+		});
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlFrameworkActorGroupAPIService#url_path_for
+	 * @description Overrides the base implementation to add support for the `add_actor` action.
+	 *  It forwards to the superclass for the standard Rails actions `index`, `create`, `show`,
+	 *  `update`, and `destroy`.
+	 *
+	 * @param {String} action The name of the action.
+	 * @param {Object|Integer} [target] Some actions need a target object whose identifier to place
+	 *  in the path. The value is either an object that contains a **id** property, or the
+	 *  identifier itself.
+	 *
+	 * @return {String|null} Returns the URL path for the action; if *action* is not supported,
+	 *  returns `null`.
+	 */
+
+	url_path_for: function(action, target) {
+	    if (action == 'add_actor')
+	    {
+		let root_path = this._expand_url_template(this.root_url_template);
+		let tid = (_.isUndefined(target)) ? undefined : this._id(target);
+
+		return root_path + '/' + tid + '/add_actor.json';
+	    }
+	    else
+	    {
+		return this.__super('FlAPIService', 'url_path_for', action, target);
+	    }
+	}
+    },
+    class_methods: {
+    },
+    extensions: [ ]
+});
+
+/**
+ * @ngdoc type
+ * @name FlFrameworkActorGroupMemberAPIService
+ * @module fl.actor_api_services
+ * @requires FlNestedAPIService
+ * @description API service class for communicationg with the group member API.
+ *  This API service manages interactions with the API for `Fl::Framework::Actor::GroupMember` objects.
+ *  The API is nested within a group, with shallow routes for the member actions; the service also
+ *  supports the unnested `index` action at `/fl/framework/actor/group_members`, which lists members
+ *  across groups.
+ */
+
+let FlFrameworkActorGroupMemberAPIService = FlClassManager.make_class({
+    name: 'FlFrameworkActorGroupMemberAPIService',
+    superclass: 'FlNestedAPIService',
+    /**
+     * @ngdoc method
+     * @name FlFrameworkActorGroupMemberAPIService#constructor
+     * @description The constructor; called during `new` creation.
+     *  Calls the superclass implementation, passing the following API configuration:
+     *  ```
+     *  {
+     *    root_url_template: '/fl/framework/actor/groups/${group.id}/group_members',
+     *    shallow_root_url_template: '/fl/framework/actor/group_members',
+     *    namespace: 'fl_framework_actor_group_member',
+     *    data_names: [ 'group_member', 'group_members' ],
+     *    model_type: 'Fl::Framework::Actor::GroupMember'
+     *  }
+     *  ```
+     *  and passing *srv_cfg* as the second argument.
+     *
+     * @param {Integer|FlFrameworkActorGroup} group The object or object identifier for the group that
+     *  defines the nesting resource for the API. If `null`, the **index** action uses the unnested
+     *  URL.
+     * @param {Object} srv_cfg Configuration for the service.
+     */
+
+    initializer: function(group, srv_cfg) {
+	this.__super_init('FlNestedAPIService', GROUP_MEMBER_API_CFG, srv_cfg);
+
+	this.group = group;
+    },
+    instance_properties: {
+    },
+    instance_methods: {
+	/**
+	 * @ngdoc method
+	 * @name FlFrameworkActorGroupMemberAPIService#index_all
+	 * @description Make an :index call against the unnested URL `/fl/framework/actor/group_members`.
+	 *  This call lists group members across groups, and is independent of the value of **this.group**.
+	 *
+	 * @param {Object|FlAPIQuery} [filters] An object containing query filters, or a query builder
+	 *  from {@sref FlAPIService#query}; these are placed in the **_q** submission parameter.
+	 *  Model instances in the values are converted to their fingerprints.
+	 * @property {Array} filters.only_groups Return only members of these groups; the elements are
+	 *  group objects, identifiers, or fingerprints.
+	 * @property {Array} filters.except_groups Do not return members of these groups.
+	 * @property {Array} filters.only_actors Return only members for these actors; the elements are
+	 *  actor objects or fingerprints.
+	 * @property {Array} filters.except_actors Do not return members for these actors.
+	 * @param {Object} [params] Additional parameters to pass in the request.
+	 * @param {Object} [config] Configuration object to pass to `axios.get`; this object is
+	 *  merged into the default HTTP configuration object.
+	 *
+	 * @return On success, returns a resolved promise containing the response data converted
+	 *  to an array of model objects.
+	 *  On error, returns a promise that rejects with the value from the {@sref FlAPIService#get} method;
+	 *  if *filters* contains conflicting values, the promise rejects with a
+	 *  {@sref FlAPIQuery.ConflictingFilters}.
+	 */
+
+	index_all: function(filters, params, config) {
+	    let self = this;
+	    let p = _.merge({ }, (_.isObject(params)) ? params : { });
+	    let cfg = null;
+
+	    try
+	    {
+		if (_.isObject(filters))
+		{
+		    let q = (filters instanceof FlAPIQuery) ? filters : new FlAPIQuery(filters);
+		    p._q = _.merge({ }, (_.isObject(p._q)) ? p._q : { }, q.to_q());
+		}
+
+		cfg = this._make_index_config(p, config);
+	    }
+	    catch (x)
+	    {
+		return Promise.reject(x);
+	    }
+
+	    return this.get(this.url_path_for('index_all'), cfg)
+		.then(function(r) {
+		    self._set_pagination_controls(r);
+		    return Promise.resolve(self.modelFactory.create(self.response_data(r)));
+		})
+		.catch(function(e) {
+		    return Promise.reject(e);
+		});
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlFrameworkActorGroupMemberAPIService#url_path_for
+	 * @description Overrides the base implementation to add support for the unnested **index** action.
+	 *  The `index_all` action, and the `index` action if **this.group** is not set, generate the
+	 *  URL `/fl/framework/actor/group_members.json`; all other actions are forwarded to the
+	 *  superclass.
+	 *
+	 * @param {String} action The name of the action.
+	 * @param {Object|Integer} [target] Some actions need a target object whose identifier to place
+	 *  in the path. The value is either an object that contains a **id** property, or the
+	 *  identifier itself.
+	 *
+	 * @return {String|null} Returns the URL path for the action; if *action* is not supported,
+	 *  returns `null`.
+	 */
+
+	url_path_for: function(action, target) {
+	    if ((action == 'index_all') || ((action == 'index') && _.isNil(this.group)))
+	    {
+		return this._expand_url_template(this.shallow_root_url_template) + '.json';
+	    }
+	    else
+	    {
+		return this.__super('FlNestedAPIService', 'url_path_for', action, target);
+	    }
+	}
+    },
+    class_methods: {
+    },
+    extensions: [ ]
+});
+
+FlGlobalAPIServiceRegistry.register('fl.actor_api_services', {
+    FlFrameworkActorGroupAPIService: 'Fl::Framework::Actor::Group',
+    FlFrameworkActorGroupMemberAPIService: 'Fl::Framework::Actor::GroupMember'
+});
+
+module.exports = { FlFrameworkActorGroupAPIService, FlFrameworkActorGroupMemberAPIService };
@@ -0,0 +1,126 @@
+/**
+ * @ngdoc module
+ * @name fl.actors
+ * @requires fl.model_factory
+ * @description
+ * Support for framework actor models.
+ */
+
+const _ = require('lodash');
+const { FlExtensions, FlClassManager } = require('./object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('./model_factory');
+
+/**
+ * @ngdoc type
+ * @name FlFrameworkActorGroup
+ * @module fl.actors
+ * @requires FlModelBase
+ * @description Model class for `Fl::Framework::Actor::Group`.
+ *  This model encapsulate an instance of a framework actor group object.
+ *  The **owner** and **members** properties are converted to model instances.
+ */
+
+let FlFrameworkActorGroup = FlClassManager.make_class({
+    name: 'FlFrameworkActorGroup',
+    superclass: 'FlModelBase',
+    /**
+     * @ngdoc method
+     * @name FlFrameworkActorGroup#constructor
+     * @description The constructor; called during `new` creation.
+     *  Calls the superclass implementation, passing the value of *data*.
+     *
+     * @param {Object} data Model data.
+     */
+
+    initializer: function(data) {
+	this.__super_init('FlModelBase', data);
+    },
+    attributes: {
+	owner: 'belongs_to',
+	members: { type: 'has_many', class_name: 'Fl::Framework::Actor::GroupMember' }
+    },
+    instance_properties: {
+    },
+    instance_methods: {
+    },
+    class_methods: {
+	/**
+	 * @ngdoc method
+	 * @name FlFrameworkActorGroup#create
+	 * @classmethod
+	 * @description
+	 *  Factory for a group object.
+	 *
+	 * @param {Object} data The representation of the group object.
+	 *
+	 * @return {FlFrameworkActorGroup} Returns an instance of {@sref FlFrameworkActorGroup}.
+	 */
+
+	create: function(data) {
+	    return FlClassManager.modelize('FlFrameworkActorGroup', data);
+	}
+    },
+    extensions: [ ]
+});
+
+/**
+ * @ngdoc type
+ * @name FlFrameworkActorGroupMember
+ * @module fl.actors
+ * @requires FlModelBase
+ * @description Model class for `Fl::Framework::Actor::GroupMember`.
+ *  This model encapsulate an instance of a group member.
+ *  The **group** and **actor** properties are converted to model instances.
+ */
+
+let FlFrameworkActorGroupMember = FlClassManager.make_class({
+    name: 'FlFrameworkActorGroupMember',
+    superclass: 'FlModelBase',
+    /**
+     * @ngdoc method
+     * @name FlFrameworkActorGroupMember#constructor
+     * @description The constructor; called during `new` creation.
+     *  Calls the superclass implementation, passing the value of *data*.
+     *
+     * @param {Object} data Model data.
+     */
+
+    initializer: function(data) {
+	this.__super_init('FlModelBase', data);
+    },
+    attributes: {
+	group: { type: 'belongs_to', class_name: 'Fl::Framework::Actor::Group' },
+	actor: 'belongs_to'
+    },
+    instance_properties: {
+    },
+    instance_methods: {
+    },
+    class_methods: {
+	/**
+	 * @ngdoc method
+	 * @name FlFrameworkActorGroupMember#create
+	 * @classmethod
+	 * @description
+	 *  Factory for a group member object.
+	 *
+	 * @param {Object} data The representation of the group member object.
+	 *
+	 * @return {FlFrameworkActorGroupMember} Returns an instance of {@sref FlFrameworkActorGroupMember}.
+	 */
+
+	create: function(data) {
+	    return FlClassManager.modelize('FlFrameworkActorGroupMember', data);
+	}
+    },
+    extensions: [ ]
+});
+
+FlGlobalModelFactory.register('fl.actors', [
+    { service: FlFrameworkActorGroup, class_name: 'Fl::Framework::Actor::Group' },
+    { service: FlFrameworkActorGroupMember, class_name: 'Fl::Framework::Actor::GroupMember' }
+]);
+
+module.exports = { FlFrameworkActorGroup, FlFrameworkActorGroupMember };
@@ -0,0 +1,375 @@
+/**
+ * @ngdoc module
+ * @name fl.api_auth
+ * @description
+ * Authentication providers for API services.
+ * An authentication provider is placed in the **authProvider** property of the service
+ * configuration (see {@sref FlAPIService}); the service asks it for the authentication headers for each
+ * request, and asks it to refresh its credentials when a request fails with a 401 status.
+ *
+ * Providers implement two methods:
+ * - `headers(ctx)` returns an object containing the headers to add to a request, or a promise
+ *   that resolves to it. *ctx* is the request context, as passed to middleware functions (see
+ *   {@sref FlAPIService.use}).
+ * - `refresh(error)` (optional) is called when a request fails with a 401 status; *error* is the
+ *   {@sref FlAPIError} from the failed request. It returns a promise that resolves to a truthy
+ *   value if the credentials were refreshed, in which case the request is retried once.
+ *
+ * This module exports two providers: {@sref FlBearerAuthProvider} for bearer tokens (including
+ * JWTs), and {@sref FlCookieSessionAuthProvider} for cookie-based sessions.
+ */
+
+const _ = require('lodash');
+const { FlAPIHelpers } = require('./api_helpers');
+
+// Decode a base64url string.
+
+function _base64url_decode(s) {
+    let b64 = s.replace(/-/g, '+').replace(/_/g, '/');
+    while ((b64.length % 4) != 0) b64 += '=';
+
+    if (typeof(Buffer) != 'undefined')
+    {
+	return Buffer.from(b64, 'base64').toString('utf8');
+    }
+    else
+    {
+	return decodeURIComponent(_.map(atob(b64).split(''), function(c) {
+	    return '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2);
+	}).join(''));
+    }
+}
+
+/**
+ * @ngdoc type
+ * @name FlBearerAuthProvider
+ * @module fl.api_auth
+ * @description
+ *  An authentication provider that places a bearer token in the `Authorization` header.
+ *  If the token is a JWT with an expiration time (the **exp** claim), the provider refreshes it
+ *  before it expires, rather than waiting for a 401 response.
+ *  Concurrent refreshes are coalesced, so that requests that fail at the same time trigger a
+ *  single refresh.
+ *
+ * @param {Object} [options] Configuration options.
+ * @property {String|Function} options.token The token; this is either a string, or a function
+ *  that returns the token (or a promise that resolves to it), for example from storage. A token
+ *  obtained by a refresh takes precedence.
+ * @property {Function} options.refresh A function that obtains a new token; it is called with the
+ *  error that triggered the refresh (`null` for proactive refreshes), and returns a promise that
+ *  resolves to the new token (or to `null` if no token could be obtained).
+ *  If not present, the provider can't refresh tokens.
+ * @property {String} options.scheme The authorization scheme.
+ *  Defaults to `Bearer`.
+ * @property {String} options.headerName The name of the header.
+ *  Defaults to `Authorization`.
+ * @property {Integer} options.refreshMargin How long before the expiration of a JWT the token is
+ *  refreshed, in milliseconds.
+ *  Defaults to 30000.
+ * @property {Function} options.now A function that returns the current time in milliseconds;
+ *  typically overridden by tests to install a fake clock.
+ *  Defaults to `Date.now`.
+ */
+
+let FlBearerAuthProvider = (function() {
+    function FlBearerAuthProvider(options) {
+	let opts = _.assign({
+	    token: null,
+	    refresh: null,
+	    scheme: 'Bearer',
+	    headerName: 'Authorization',
+	    refreshMargin: 30000,
+	    now: null
+	}, (_.isObject(options)) ? options : { });
+
+	this._token = (_.isString(opts.token)) ? opts.token : null;
+	this._token_source = (_.isFunction(opts.token)) ? opts.token : null;
+	this._refresh = (_.isFunction(opts.refresh)) ? opts.refresh : null;
+	this._scheme = opts.scheme;
+	this._header_name = opts.headerName;
+	this._refresh_margin = opts.refreshMargin;
+	this._now = (_.isFunction(opts.now)) ? opts.now : Date.now;
+	this._refreshing = null;
+    };
+    FlBearerAuthProvider.prototype.constructor = FlBearerAuthProvider;
+
+    /**
+     * @ngdoc method
+     * @name FlBearerAuthProvider.decode_jwt
+     * @classmethod
+     * @description Decode the payload of a JWT.
+     *  The signature is not verified; the payload is used only to schedule refreshes.
+     *
+     * @param {String} token The token.
+     *
+     * @return {Object} Returns the payload; if *token* is not a JWT, returns `null`.
+     */
+
+    FlBearerAuthProvider.decode_jwt = function(token) {
+	if (!_.isString(token)) return null;
+
+	let parts = token.split('.');
+	if (parts.length != 3) return null;
+
+	try
+	{
+	    let payload = JSON.parse(_base64url_decode(parts[1]));
+	    return (_.isPlainObject(payload)) ? payload : null;
+	}
+	catch (x)
+	{
+	    return null;
+	}
+    };
+
+    /**
+     * @ngdoc property
+     * @name FlBearerAuthProvider#token
+     * @description The current token; this is the token set by {@sref FlBearerAuthProvider#setToken}
+     *  or by a refresh, or the string token from the options. `null` if no token is available
+     *  (the provider may still obtain one from the **token** function in the options).
+     */
+
+    Object.defineProperty(FlBearerAuthProvider.prototype, 'token', {
+	get: function() { return this._token; }
+    });
+
+    /**
+     * @ngdoc method
+     * @name FlBearerAuthProvider#setToken
+     * @description Set the token; for example, after the user has logged in.
+     *
+     * @param {String} token The new token; `null` to clear it.
+     */
+
+    FlBearerAuthProvider.prototype.setToken = function(token) {
+	this._token = (_.isString(token)) ? token : null;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlBearerAuthProvider#expires_at
+     * @description Get the expiration time of the current token.
+     *
+     * @return {Integer} Returns the expiration time in milliseconds, if the current token is a
+     *  JWT with an **exp** claim; otherwise, returns `null`.
+     */
+
+    FlBearerAuthProvider.prototype.expires_at = function() {
+	let payload = FlBearerAuthProvider.decode_jwt(this._token);
+	return (_.isObject(payload) && _.isNumber(payload.exp)) ? (payload.exp * 1000) : null;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlBearerAuthProvider#headers
+     * @description Get the authentication headers for a request.
+     *  If the current token is a JWT that expires within the refresh margin, it is refreshed first.
+     *
+     * @param {Object} ctx The request context.
+     *
+     * @return {Promise} Returns a promise that resolves to an object containing the authorization
+     *  header; if no token is available, the object is empty.
+     */
+
+    FlBearerAuthProvider.prototype.headers = function(ctx) {
+	let self = this;
+	let exp = this.expires_at();
+	let p;
+
+	if (!_.isNil(exp) && !_.isNil(this._refresh) && ((exp - this._now()) <= this._refresh_margin))
+	{
+	    p = this.refresh(null).then(function() { return self._token; });
+	}
+	else if (_.isNil(this._token) && !_.isNil(this._token_source))
+	{
+	    p = Promise.resolve(this._token_source());
+	}
+	else
+	{
+	    p = Promise.resolve(this._token);
+	}
+
+	return p.then(function(token) {
+	    if (!_.isString(token) || (token.length < 1)) return Promise.resolve({ });
+
+	    return Promise.resolve({ [self._header_name]: self._scheme + ' ' + token });
+	});
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlBearerAuthProvider#refresh
+     * @description Refresh the token.
+     *  If a refresh is in progress, the method returns its promise.
+     *
+     * @param {FlAPIError} error The error that triggered the refresh; `null` for proactive refreshes.
+     *
+     * @return {Promise} Returns a promise that resolves to `true` if a new token was obtained, and
+     *  to `false` otherwise.
+     */
+
+    FlBearerAuthProvider.prototype.refresh = function(error) {
+	if (_.isNil(this._refresh)) return Promise.resolve(false);
+	if (!_.isNil(this._refreshing)) return this._refreshing;
+
+	let self = this;
+	this._refreshing = Promise.resolve()
+	    .then(function() {
+		return self._refresh(error);
+	    })
+	    .then(function(token) {
+		self._refreshing = null;
+		if (!_.isString(token) || (token.length < 1)) return Promise.resolve(false);
+
+		self._token = token;
+		return Promise.resolve(true);
+	    }, function(x) {
+		self._refreshing = null;
+		return Promise.resolve(false);
+	    });
+
+	return this._refreshing;
+    };
+
+    return FlBearerAuthProvider;
+})();
+
+/**
+ * @ngdoc type
+ * @name FlCookieSessionAuthProvider
+ * @module fl.api_auth
+ * @description
+ *  An authentication provider for cookie-based sessions, like the ones managed by Devise.
+ *  In a browser, the session cookie is sent automatically; the provider adds the XSRF header,
+ *  with the value of the XSRF cookie.
+ *  Non-browser clients have to manage the cookies themselves: they pass the cookies in the
+ *  **cookies** option, and set **sendCookies** to have the provider place them in the `Cookie`
+ *  header.
+ *
+ * @param {Object} [options] Configuration options.
+ * @property {String|Function} options.cookies The cookies, in the format of the `Cookie` header;
+ *  this is either a string, or a function that returns it.
+ *  Defaults to a function that returns `document.cookie`.
+ * @property {Boolean} options.sendCookies If `true`, the cookies are placed in the `Cookie`
+ *  header; browsers don't allow this, so that this is only useful for non-browser clients.
+ *  Defaults to `false`.
+ * @property {String} options.xsrfCookieName The name of the cookie that contains the XSRF token.
+ *  Defaults to `XSRF-TOKEN`.
+ * @property {String} options.xsrfHeaderName The name of the header that carries the XSRF token.
+ *  Defaults to `X-XSRF-TOKEN`.
+ * @property {Function} options.refresh A function that renews the session; for example, by
+ *  signing in again. It is called with the error that triggered the refresh, and returns a
+ *  promise that resolves to a truthy value if the session was renewed; if the value is a string,
+ *  it replaces the cookies.
+ *  If not present, the provider can't renew sessions.
+ */
+
+let FlCookieSessionAuthProvider = (function() {
+    function FlCookieSessionAuthProvider(options) {
+	let opts = _.assign({
+	    cookies: null,
+	    sendCookies: false,
+	    xsrfCookieName: 'XSRF-TOKEN',
+	    xsrfHeaderName: 'X-XSRF-TOKEN',
+	    refresh: null
+	}, (_.isObject(options)) ? options : { });
+
+	if (_.isString(opts.cookies) || _.isFunction(opts.cookies))
+	{
+	    this._cookies = opts.cookies;
+	}
+	else
+	{
+	    this._cookies = function() { return (typeof(document) == 'undefined') ? '' : document.cookie; };
+	}
+	this._send_cookies = (opts.sendCookies) ? true : false;
+	this._xsrf_cookie_name = opts.xsrfCookieName;
+	this._xsrf_header_name = opts.xsrfHeaderName;
+	this._refresh = (_.isFunction(opts.refresh)) ? opts.refresh : null;
+	this._refreshing = null;
+    };
+    FlCookieSessionAuthProvider.prototype.constructor = FlCookieSessionAuthProvider;
+
+    /**
+     * @ngdoc method
+     * @name FlCookieSessionAuthProvider#cookie
+     * @description Get the value of a cookie.
+     *
+     * @param {String} name The name of the cookie.
+     *
+     * @return {String} Returns the (decoded) value of the cookie; if the cookie is not present,
+     *  returns `null`.
+     */
+
+    FlCookieSessionAuthProvider.prototype.cookie = function(name) {
+	return FlAPIHelpers.cookie(this._cookie_string(), name);
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlCookieSessionAuthProvider#headers
+     * @description Get the authentication headers for a request.
+     *
+     * @param {Object} ctx The request context.
+     *
+     * @return {Object} Returns an object containing the XSRF header (if the XSRF cookie is
+     *  present), and the `Cookie` header if **sendCookies** is set.
+     */
+
+    FlCookieSessionAuthProvider.prototype.headers = function(ctx) {
+	let h = { };
+	let xsrf = this.cookie(this._xsrf_cookie_name);
+
+	if (!_.isNil(xsrf)) h[this._xsrf_header_name] = xsrf;
+	if (this._send_cookies)
+	{
+	    let jar = this._cookie_string();
+	    if (jar.length > 0) h['Cookie'] = jar;
+	}
+
+	return h;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlCookieSessionAuthProvider#refresh
+     * @description Renew the session.
+     *  If a renewal is in progress, the method returns its promise.
+     *
+     * @param {FlAPIError} error The error that triggered the renewal.
+     *
+     * @return {Promise} Returns a promise that resolves to `true` if the session was renewed, and
+     *  to `false` otherwise.
+     */
+
+    FlCookieSessionAuthProvider.prototype.refresh = function(error) {
+	if (_.isNil(this._refresh)) return Promise.resolve(false);
+	if (!_.isNil(this._refreshing)) return this._refreshing;
+
+	let self = this;
+	this._refreshing = Promise.resolve()
+	    .then(function() {
+		return self._refresh(error);
+	    })
+	    .then(function(rv) {
+		self._refreshing = null;
+		if (_.isString(rv)) self._cookies = rv;
+		return Promise.resolve((rv) ? true : false);
+	    }, function(x) {
+		self._refreshing = null;
+		return Promise.resolve(false);
+	    });
+
+	return this._refreshing;
+    };
+
+    FlCookieSessionAuthProvider.prototype._cookie_string = function() {
+	let jar = (_.isFunction(this._cookies)) ? this._cookies() : this._cookies;
+	return (_.isString(jar)) ? jar : '';
+    };
+
+    return FlCookieSessionAuthProvider;
+})();
+
+module.exports = { FlBearerAuthProvider, FlCookieSessionAuthProvider };
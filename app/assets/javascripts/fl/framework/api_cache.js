@@ -0,0 +1,515 @@
+/**
+ * @ngdoc module
+ * @name fl.api_cache
+ * @description
+ * A cache of API responses, used by {@sref FlAPIService} to revalidate `GET` requests with
+ * the `ETag` and `Last-Modified` headers.
+ * This module exports the cache class {@sref FlAPIResponseCache}, and two storage adapters:
+ * {@sref FlMemoryCacheStorage} and {@sref FlLocalStorageCacheStorage}.
+ */
+
+const _ = require('lodash');
+const { FlAPIHelpers } = require('./api_helpers');
+
+const DEFAULT_CACHE_OPTIONS = {
+    storage: 'memory',
+    ttl: 3600000,
+    maxEntries: 100,
+    prefix: 'fl.api_cache:'
+};
+
+/**
+ * @ngdoc type
+ * @name FlMemoryCacheStorage
+ * @module fl.api_cache
+ * @description
+ *  A storage adapter that keeps cache entries in memory.
+ *  Entries are copied on the way in and on the way out, so that clients that modify response
+ *  data don't modify the cached copy.
+ *
+ *  Storage adapters implement the methods `get`, `set`, `remove`, `keys`, and `clear`;
+ *  custom adapters (for example, one backed by IndexedDB) must implement the same methods,
+ *  synchronously.
+ */
+
+let FlMemoryCacheStorage = (function() {
+    function FlMemoryCacheStorage() {
+	this._entries = { };
+    };
+    FlMemoryCacheStorage.prototype.constructor = FlMemoryCacheStorage;
+
+    /**
+     * @ngdoc method
+     * @name FlMemoryCacheStorage#get
+     * @description Get an entry.
+     *
+     * @param {String} key The entry key.
+     *
+     * @return {Object} Returns a copy of the entry, `null` if no entry is stored under *key*.
+     */
+
+    FlMemoryCacheStorage.prototype.get = function(key) {
+	let e = this._entries[key];
+	return (_.isNil(e)) ? null : _.cloneDeep(e);
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMemoryCacheStorage#set
+     * @description Store an entry.
+     *
+     * @param {String} key The entry key.
+     * @param {Object} entry The entry; a copy is stored.
+     *
+     * @return {Boolean} Returns `true` if the entry was stored.
+     */
+
+    FlMemoryCacheStorage.prototype.set = function(key, entry) {
+	this._entries[key] = _.cloneDeep(entry);
+	return true;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMemoryCacheStorage#remove
+     * @description Remove an entry.
+     *
+     * @param {String} key The entry key.
+     */
+
+    FlMemoryCacheStorage.prototype.remove = function(key) {
+	delete this._entries[key];
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMemoryCacheStorage#keys
+     * @description Get the keys of all stored entries.
+     *
+     * @return {Array} Returns an array containing the entry keys.
+     */
+
+    FlMemoryCacheStorage.prototype.keys = function() {
+	return _.keys(this._entries);
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMemoryCacheStorage#clear
+     * @description Remove all entries.
+     */
+
+    FlMemoryCacheStorage.prototype.clear = function() {
+	this._entries = { };
+    };
+
+    return FlMemoryCacheStorage;
+})();
+
+/**
+ * @ngdoc type
+ * @name FlLocalStorageCacheStorage
+ * @module fl.api_cache
+ * @description
+ *  A storage adapter that keeps cache entries in `localStorage` (or any object that implements
+ *  the Web Storage API), so that they persist across page loads.
+ *  Entries are stored as JSON, under keys that start with a prefix; keys without the prefix
+ *  are ignored, so that the storage can be shared with other clients.
+ *
+ * @param {String} [prefix] The prefix for the storage keys.
+ * @param {Object} [storage] The storage object; defaults to the global `localStorage`.
+ */
+
+let FlLocalStorageCacheStorage = (function() {
+    function FlLocalStorageCacheStorage(prefix, storage) {
+	this._prefix = (_.isString(prefix)) ? prefix : DEFAULT_CACHE_OPTIONS.prefix;
+	if (_.isObject(storage))
+	{
+	    this._storage = storage;
+	}
+	else
+	{
+	    this._storage = (typeof(localStorage) == 'undefined') ? null : localStorage;
+	}
+    };
+    FlLocalStorageCacheStorage.prototype.constructor = FlLocalStorageCacheStorage;
+
+    /**
+     * @ngdoc method
+     * @name FlLocalStorageCacheStorage#get
+     * @description Get an entry.
+     *
+     * @param {String} key The entry key.
+     *
+     * @return {Object} Returns the entry, `null` if no entry is stored under *key*, or if the
+     *  stored value is not valid JSON.
+     */
+
+    FlLocalStorageCacheStorage.prototype.get = function(key) {
+	if (_.isNil(this._storage)) return null;
+
+	let s = this._storage.getItem(this._prefix + key);
+	if (_.isNil(s)) return null;
+
+	try
+	{
+	    return JSON.parse(s);
+	}
+	catch (x)
+	{
+	    return null;
+	}
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlLocalStorageCacheStorage#set
+     * @description Store an entry.
+     *  If the storage is full, the entry is not stored.
+     *
+     * @param {String} key The entry key.
+     * @param {Object} entry The entry.
+     *
+     * @return {Boolean} Returns `true` if the entry was stored, `false` otherwise.
+     */
+
+    FlLocalStorageCacheStorage.prototype.set = function(key, entry) {
+	if (_.isNil(this._storage)) return false;
+
+	try
+	{
+	    this._storage.setItem(this._prefix + key, JSON.stringify(entry));
+	    return true;
+	}
+	catch (x)
+	{
+	    return false;
+	}
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlLocalStorageCacheStorage#remove
+     * @description Remove an entry.
+     *
+     * @param {String} key The entry key.
+     */
+
+    FlLocalStorageCacheStorage.prototype.remove = function(key) {
+	if (!_.isNil(this._storage)) this._storage.removeItem(this._prefix + key);
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlLocalStorageCacheStorage#keys
+     * @description Get the keys of all stored entries.
+     *
+     * @return {Array} Returns an array containing the entry keys (without the prefix).
+     */
+
+    FlLocalStorageCacheStorage.prototype.keys = function() {
+	let keys = [ ];
+
+	if (!_.isNil(this._storage))
+	{
+	    let plen = this._prefix.length;
+
+	    for (let idx = 0 ; idx < this._storage.length ; idx++)
+	    {
+		let k = this._storage.key(idx);
+		if (_.isString(k) && _.startsWith(k, this._prefix)) keys.push(k.substr(plen));
+	    }
+	}
+
+	return keys;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlLocalStorageCacheStorage#clear
+     * @description Remove all entries.
+     *  Only the keys with the prefix are removed.
+     */
+
+    FlLocalStorageCacheStorage.prototype.clear = function() {
+	let self = this;
+
+	_.forEach(this.keys(), function(k) {
+	    self.remove(k);
+	});
+    };
+
+    return FlLocalStorageCacheStorage;
+})();
+
+/**
+ * @ngdoc type
+ * @name FlAPIResponseCache
+ * @module fl.api_cache
+ * @description
+ *  A cache of API responses.
+ *  The cache stores the data from responses that contain an `ETag` or `Last-Modified` header,
+ *  along with the header values; {@sref FlAPIService#get} uses them to make a conditional
+ *  request, and if the server responds with a 304 (Not Modified) status, it returns the cached
+ *  data instead.
+ *
+ *  Entries are discarded when they are older than the TTL; when the number of entries exceeds
+ *  the size limit, the oldest entries are discarded. Successful revalidations reset the age
+ *  of an entry.
+ *  The cache keeps the age of each entry in an in-memory index, so that enforcing the size limit
+ *  does not read the entries from storage; the index is loaded from the storage the first time
+ *  it is needed, to pick up entries stored by an earlier page load.
+ *
+ * @param {Object} [options] Configuration options.
+ * @property {String|Object} options.storage The storage for the entries: `memory` for
+ *  {@sref FlMemoryCacheStorage}, `localStorage` for {@sref FlLocalStorageCacheStorage}, or a
+ *  custom storage adapter (see {@sref FlMemoryCacheStorage}).
+ *  Defaults to `memory`.
+ * @property {Integer} options.ttl The maximum age of an entry, in milliseconds; a nil value
+ *  means that entries don't expire.
+ *  Defaults to one hour.
+ * @property {Integer} options.maxEntries The maximum number of entries; a nil value means that
+ *  the size is unlimited.
+ *  Defaults to 100.
+ * @property {String} options.prefix The key prefix for `localStorage` storage.
+ *  Defaults to `fl.api_cache:`.
+ */
+
+let FlAPIResponseCache = (function() {
+    function FlAPIResponseCache(options) {
+	let opts = _.assign({ }, DEFAULT_CACHE_OPTIONS, (_.isObject(options)) ? options : { });
+
+	if (opts.storage == 'memory')
+	{
+	    this._storage = new FlMemoryCacheStorage();
+	}
+	else if (opts.storage == 'localStorage')
+	{
+	    this._storage = new FlLocalStorageCacheStorage(opts.prefix);
+	}
+	else if (_.isObject(opts.storage))
+	{
+	    this._storage = opts.storage;
+	}
+	else
+	{
+	    throw new Error('unsupported cache storage: ' + opts.storage);
+	}
+
+	this._ttl = opts.ttl;
+	this._max_entries = opts.maxEntries;
+	this._index = null;
+    };
+    FlAPIResponseCache.prototype.constructor = FlAPIResponseCache;
+
+    /**
+     * @ngdoc method
+     * @name FlAPIResponseCache.create
+     * @classmethod
+     * @description Create a cache from a service configuration value.
+     *
+     * @param {Boolean|Object|FlAPIResponseCache} cfg The value of the **cache** property in the
+     *  service configuration: `true` to create a cache with the default options, an object
+     *  containing the cache options, or an existing cache (which is then shared).
+     *
+     * @return {FlAPIResponseCache} Returns the cache; if *cfg* is nil or `false`, returns `null`.
+     */
+
+    FlAPIResponseCache.create = function(cfg) {
+	if (cfg instanceof FlAPIResponseCache) return cfg;
+	if (cfg === true) return new FlAPIResponseCache();
+	if (_.isPlainObject(cfg)) return new FlAPIResponseCache(cfg);
+
+	return null;
+    };
+
+    /**
+     * @ngdoc property
+     * @name FlAPIResponseCache#storage
+     * @description The storage adapter.
+     */
+
+    Object.defineProperty(FlAPIResponseCache.prototype, 'storage', {
+	get: function() { return this._storage; }
+    });
+
+    /**
+     * @ngdoc method
+     * @name FlAPIResponseCache#lookup
+     * @description Get an entry.
+     *  Expired entries are removed from the cache.
+     *
+     * @param {String} key The entry key.
+     *
+     * @return {Object} Returns the entry, `null` if there is no (unexpired) entry for *key*.
+     *  An entry contains the properties **status** (the HTTP status of the cached response),
+     *  **etag**, **last_modified**, **data**, and **stored_at** (a timestamp in milliseconds).
+     */
+
+    FlAPIResponseCache.prototype.lookup = function(key) {
+	let e = this._storage.get(key);
+	if (_.isNil(e)) return null;
+
+	if (!_.isNil(this._ttl) && ((Date.now() - e.stored_at) > this._ttl))
+	{
+	    this.remove(key);
+	    return null;
+	}
+
+	return e;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlAPIResponseCache#store
+     * @description Store a response.
+     *  If the response contains neither an `ETag` nor a `Last-Modified` header, it can't be
+     *  revalidated; in that case, any existing entry for *key* is removed.
+     *
+     * @param {String} key The entry key.
+     * @param {Object} response The response object.
+     *
+     * @return {Object} Returns the new entry, `null` if the response was not stored.
+     */
+
+    FlAPIResponseCache.prototype.store = function(key, response) {
+	let etag = FlAPIHelpers.header(response.headers, 'ETag');
+	let last_modified = FlAPIHelpers.header(response.headers, 'Last-Modified');
+
+	if (_.isNil(etag) && _.isNil(last_modified))
+	{
+	    this.remove(key);
+	    return null;
+	}
+
+	let e = {
+	    status: response.status,
+	    etag: (_.isNil(etag)) ? null : etag,
+	    last_modified: (_.isNil(last_modified)) ? null : last_modified,
+	    data: response.data,
+	    stored_at: Date.now()
+	};
+
+	if (!this._storage.set(key, e)) return null;
+	this._entry_index()[key] = e.stored_at;
+	this._trim();
+
+	return e;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlAPIResponseCache#remove
+     * @description Remove an entry.
+     *
+     * @param {String} key The entry key.
+     */
+
+    FlAPIResponseCache.prototype.remove = function(key) {
+	this._storage.remove(key);
+	if (!_.isNil(this._index)) delete this._index[key];
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlAPIResponseCache#clear
+     * @description Remove all entries.
+     */
+
+    FlAPIResponseCache.prototype.clear = function() {
+	this._storage.clear();
+	this._index = { };
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlAPIResponseCache#conditional_headers
+     * @description Get the headers for a conditional request.
+     *
+     * @param {Object} entry The cache entry, as returned by {@sref FlAPIResponseCache#lookup}.
+     *
+     * @return {Object} Returns an object containing the `If-None-Match` and `If-Modified-Since`
+     *  headers, as appropriate for *entry*.
+     */
+
+    FlAPIResponseCache.prototype.conditional_headers = function(entry) {
+	let h = { };
+
+	if (!_.isNil(entry.etag)) h['If-None-Match'] = entry.etag;
+	if (!_.isNil(entry.last_modified)) h['If-Modified-Since'] = entry.last_modified;
+
+	return h;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlAPIResponseCache#revalidate
+     * @description Generate a response from a cache entry, after the server has returned a 304
+     *  status for it.
+     *  The age of the entry is reset.
+     *
+     * @param {String} key The entry key.
+     * @param {Object} entry The cache entry, as returned by {@sref FlAPIResponseCache#lookup}.
+     * @param {Object} response The 304 response from the server.
+     *
+     * @return {Object} Returns a response object that contains the cached status and data,
+     *  and the headers, configuration, and request from *response*. The **cached** property
+     *  is set to `true`.
+     */
+
+    FlAPIResponseCache.prototype.revalidate = function(key, entry, response) {
+	let r = (_.isObject(response)) ? response : { };
+
+	let stored_at = Date.now();
+	if (this._storage.set(key, _.assign({ }, entry, { stored_at: stored_at })))
+	{
+	    this._entry_index()[key] = stored_at;
+	}
+
+	return {
+	    status: entry.status,
+	    statusText: 'OK',
+	    headers: r.headers,
+	    config: r.config,
+	    request: r.request,
+	    data: entry.data,
+	    cached: true
+	};
+    };
+
+    // The index maps entry keys to their storage timestamps; it is built from the storage on
+    // first use, which is the only time that _trim needs to read the entries.
+
+    FlAPIResponseCache.prototype._entry_index = function() {
+	if (_.isNil(this._index))
+	{
+	    let self = this;
+
+	    this._index = { };
+	    _.forEach(this._storage.keys(), function(k) {
+		let e = self._storage.get(k);
+		self._index[k] = (_.isObject(e) && _.isNumber(e.stored_at)) ? e.stored_at : 0;
+	    });
+	}
+
+	return this._index;
+    };
+
+    FlAPIResponseCache.prototype._trim = function() {
+	if (_.isNil(this._max_entries)) return;
+
+	let self = this;
+	let index = this._entry_index();
+	let keys = _.keys(index);
+	if (keys.length <= this._max_entries) return;
+
+	let oldest = _.sortBy(keys, function(k) { return index[k]; });
+	_.forEach(_.take(oldest, keys.length - this._max_entries), function(k) {
+	    self.remove(k);
+	});
+    };
+
+    return FlAPIResponseCache;
+})();
+
+module.exports = { FlAPIResponseCache, FlMemoryCacheStorage, FlLocalStorageCacheStorage };
@@ -0,0 +1,352 @@
+/**
+ * @ngdoc module
+ * @name fl.api_errors
+ * @description
+ * Error classes for failed API calls.
+ */
+
+const _ = require('lodash');
+
+/**
+ * @ngdoc type
+ * @name FlAPIError
+ * @module fl.api_errors
+ * @description
+ *  The base class for errors generated by failed API calls.
+ *  API services reject with instances of this class (or one of its subclasses) when a request
+ *  fails; the subclass is selected based on the HTTP status and the contents of the **_error**
+ *  property in the response body, as generated by the server's `error_response` method:
+ *  ```
+ *  {
+ *    _error: {
+ *      status: 'not_found',
+ *      code: 'some_code',
+ *      message: 'the error message',
+ *      details: { ... }
+ *    }
+ *  }
+ *  ```
+ *  See {@sref FlAPIError.create}.
+ *
+ *  Instances are also instances of `Error`.
+ *
+ * @param {String} message The error message.
+ * @param {Object} [info] Additional error information.
+ * @property {Integer} info.status The HTTP status of the response.
+ * @property {String} info.error_status The status from the **_error** property in the response
+ *  body; this is typically a symbolic status name like `not_found` or `forbidden`.
+ * @property {String} info.code The error code from the **_error** property in the response body.
+ * @property {Object} info.details The error details from the **_error** property in the response
+ *  body.
+ * @property {Object} info.response The response object, if the server returned one.
+ * @property {Object} info.cause The original error (typically, the error object from Axios).
+ */
+
+let FlAPIError = function FlAPIError(message, info) {
+    let i = (_.isObject(info)) ? info : { };
+
+    this.name = 'FlAPIError';
+    this.message = message;
+    this.status = (_.isNil(i.status)) ? null : i.status;
+    this.error_status = (_.isNil(i.error_status)) ? null : i.error_status;
+    this.code = (_.isNil(i.code)) ? null : i.code;
+    this.details = (_.isNil(i.details)) ? null : i.details;
+    this.response = i.response;
+    this.cause = i.cause;
+
+    if (_.isFunction(Error.captureStackTrace))
+    {
+	Error.captureStackTrace(this, this.constructor);
+    }
+    else
+    {
+	this.stack = (new Error(message)).stack;
+    }
+};
+FlAPIError.prototype = Object.create(Error.prototype);
+FlAPIError.prototype.constructor = FlAPIError;
+
+/**
+ * @ngdoc method
+ * @name FlAPIError#to_hash
+ * @description Generate a hash representation of the error.
+ *  The return value has the same structure as the value returned by
+ *  {@sref FlAPIService#response_error}.
+ *
+ * @return {Object} Returns an object containing the properties **status** (the value of
+ *  **error_status** if present, the HTTP status otherwise), **code**, **message**, and
+ *  **details**; properties with no value are omitted.
+ */
+
+FlAPIError.prototype.to_hash = function() {
+    let h = { };
+
+    if (!_.isNil(this.error_status))
+    {
+	h.status = this.error_status;
+    }
+    else if (!_.isNil(this.status))
+    {
+	h.status = this.status;
+    }
+    if (!_.isNil(this.code)) h.code = this.code;
+    h.message = this.message;
+    if (!_.isNil(this.details)) h.details = this.details;
+
+    return h;
+};
+
+/**
+ * @ngdoc type
+ * @name FlNotFoundError
+ * @module fl.api_errors
+ * @extends FlAPIError
+ * @description
+ *  The error generated when the server responds with a 404 status, or the **_error** status
+ *  is `not_found`.
+ *
+ * @param {String} message The error message.
+ * @param {Object} [info] Additional error information; see {@sref FlAPIError}.
+ */
+
+let FlNotFoundError = function FlNotFoundError(message, info) {
+    FlAPIError.call(this, message, info);
+    this.name = 'FlNotFoundError';
+};
+FlNotFoundError.prototype = Object.create(FlAPIError.prototype);
+FlNotFoundError.prototype.constructor = FlNotFoundError;
+
+/**
+ * @ngdoc type
+ * @name FlPermissionDeniedError
+ * @module fl.api_errors
+ * @extends FlAPIError
+ * @description
+ *  The error generated when the server responds with a 401 or 403 status, or the **_error**
+ *  status is `unauthorized` or `forbidden`.
+ *
+ * @param {String} message The error message.
+ * @param {Object} [info] Additional error information; see {@sref FlAPIError}.
+ */
+
+let FlPermissionDeniedError = function FlPermissionDeniedError(message, info) {
+    FlAPIError.call(this, message, info);
+    this.name = 'FlPermissionDeniedError';
+};
+FlPermissionDeniedError.prototype = Object.create(FlAPIError.prototype);
+FlPermissionDeniedError.prototype.constructor = FlPermissionDeniedError;
+
+/**
+ * @ngdoc type
+ * @name FlValidationError
+ * @module fl.api_errors
+ * @extends FlAPIError
+ * @description
+ *  The error generated when the server responds with a 422 status, or the **_error** status
+ *  is `unprocessable_entity`.
+ *  In this case, the server places the object's validation errors in the **details** property;
+ *  this is a hash whose keys are attribute names, and whose values are arrays of error messages
+ *  for the attribute (the key `base` contains errors that apply to the object as a whole).
+ *
+ * @param {String} message The error message.
+ * @param {Object} [info] Additional error information; see {@sref FlAPIError}.
+ */
+
+let FlValidationError = function FlValidationError(message, info) {
+    FlAPIError.call(this, message, info);
+    this.name = 'FlValidationError';
+};
+FlValidationError.prototype = Object.create(FlAPIError.prototype);
+FlValidationError.prototype.constructor = FlValidationError;
+
+/**
+ * @ngdoc method
+ * @name FlValidationError#fields
+ * @description Get the list of fields that have validation errors.
+ *
+ * @return {Array} Returns an array containing the names of the fields that have errors.
+ */
+
+FlValidationError.prototype.fields = function() {
+    return (_.isObject(this.details)) ? _.keys(this.details) : [ ];
+};
+
+/**
+ * @ngdoc method
+ * @name FlValidationError#errors_for
+ * @description Get the validation errors for a field.
+ *
+ * @param {String} field The name of the field.
+ *
+ * @return {Array} Returns an array containing the error messages for *field*; if there are
+ *  none, returns an empty array.
+ */
+
+FlValidationError.prototype.errors_for = function(field) {
+    if (!_.isObject(this.details)) return [ ];
+
+    let e = this.details[field];
+    if (_.isNil(e)) return [ ];
+    return (_.isArray(e)) ? e : [ e ];
+};
+
+/**
+ * @ngdoc type
+ * @name FlNetworkError
+ * @module fl.api_errors
+ * @extends FlAPIError
+ * @description
+ *  The error generated when a request fails without a response from the server; for example,
+ *  if the server can't be reached, or the request timed out.
+ *
+ * @param {String} message The error message.
+ * @param {Object} [info] Additional error information; see {@sref FlAPIError}.
+ */
+
+let FlNetworkError = function FlNetworkError(message, info) {
+    FlAPIError.call(this, message, info);
+    this.name = 'FlNetworkError';
+};
+FlNetworkError.prototype = Object.create(FlAPIError.prototype);
+FlNetworkError.prototype.constructor = FlNetworkError;
+
+/**
+ * @ngdoc type
+ * @name FlOfflineError
+ * @module fl.api_errors
+ * @extends FlNetworkError
+ * @description
+ *  The error generated when a mutation could not be submitted because the client is offline, and
+ *  the request was placed in the service's outbox for later replay; see {@sref FlAPIOutbox}.
+ *  Since it extends {@sref FlNetworkError}, clients that don't use an outbox handle it as a
+ *  network failure.
+ *
+ * @param {String} message The error message.
+ * @param {Object} [info] Additional error information; see {@sref FlAPIError}.
+ * @property {Object} info.entry The outbox entry for the queued request.
+ */
+
+let FlOfflineError = function FlOfflineError(message, info) {
+    FlNetworkError.call(this, message, info);
+    this.name = 'FlOfflineError';
+    this.entry = (_.isObject(info)) ? info.entry : undefined;
+};
+FlOfflineError.prototype = Object.create(FlNetworkError.prototype);
+FlOfflineError.prototype.constructor = FlOfflineError;
+
+/**
+ * @ngdoc type
+ * @name FlCancellationError
+ * @module fl.api_errors
+ * @extends FlAPIError
+ * @description
+ *  The error generated when a request is cancelled; for example, via an `AbortSignal` in the
+ *  request configuration, or by {@sref FlAPIService#cancelAll}.
+ *  Clients typically ignore these errors, since they are generated for requests that were
+ *  superseded by more recent ones.
+ *
+ * @param {String} message The error message.
+ * @param {Object} [info] Additional error information; see {@sref FlAPIError}.
+ */
+
+let FlCancellationError = function FlCancellationError(message, info) {
+    FlAPIError.call(this, message, info);
+    this.name = 'FlCancellationError';
+};
+FlCancellationError.prototype = Object.create(FlAPIError.prototype);
+FlCancellationError.prototype.constructor = FlCancellationError;
+
+/**
+ * @ngdoc method
+ * @name FlAPIError.class_for_status
+ * @description Select the error class for a failed response.
+ *
+ * @param {Integer} status The HTTP status of the response.
+ * @param {String} [error_status] The status in the **_error** property of the response body.
+ *
+ * @return {Function} Returns the error class to use.
+ */
+
+FlAPIError.class_for_status = function(status, error_status) {
+    let s = Number(status);
+    let es = (_.isString(error_status)) ? error_status : null;
+
+    if ((s == 404) || (es == 'not_found'))
+    {
+	return FlNotFoundError;
+    }
+    else if ((s == 401) || (s == 403) || (es == 'unauthorized') || (es == 'forbidden'))
+    {
+	return FlPermissionDeniedError;
+    }
+    else if ((s == 422) || (es == 'unprocessable_entity'))
+    {
+	return FlValidationError;
+    }
+    else
+    {
+	return FlAPIError;
+    }
+};
+
+/**
+ * @ngdoc method
+ * @name FlAPIError.create
+ * @description Create an error object from a failed request.
+ *  If *e* contains a response, the error class is selected via
+ *  {@sref FlAPIError.class_for_status}, and the error information is loaded from the **_error**
+ *  property in the response body (if present). If *e* is an Axios cancellation, the return value
+ *  is a {@sref FlCancellationError}; if it looks like an Axios error without a response, the
+ *  return value is a {@sref FlNetworkError}.
+ *
+ * @param {Object|String} e The error; this is typically an error object from Axios. If *e* is
+ *  already an instance of {@sref FlAPIError}, it is returned as is.
+ *
+ * @return {FlAPIError} Returns an instance of {@sref FlAPIError} or one of its subclasses.
+ */
+
+FlAPIError.create = function(e) {
+    if (e instanceof FlAPIError) return e;
+    if (_.isString(e)) return new FlAPIError(e);
+    if (!_.isObject(e)) return new FlAPIError('unknown error', { cause: e });
+    if (e.__CANCEL__ == true)
+    {
+	return new FlCancellationError((_.isString(e.message)) ? e.message : 'request cancelled', { cause: e });
+    }
+
+    let response = e.response;
+    if (!_.isObject(response))
+    {
+	let message = (_.isString(e.message)) ? e.message : 'request failed';
+
+	if ((e.isAxiosError == true) || !_.isNil(e.request) || _.isObject(e.config))
+	{
+	    return new FlNetworkError(message, { cause: e });
+	}
+	else
+	{
+	    return new FlAPIError(message, { cause: e });
+	}
+    }
+
+    let info = { status: response.status, response: response, cause: e };
+    let message = (_.isString(response.statusText) && (response.statusText.length > 0))
+	? response.statusText
+	: ((_.isString(e.message)) ? e.message : 'response error');
+    let rd = response.data;
+    if (_.isObject(rd) && _.isObject(rd._error))
+    {
+	info.error_status = rd._error.status;
+	info.code = rd._error.code;
+	info.details = rd._error.details;
+	if (_.isString(rd._error.message)) message = rd._error.message;
+    }
+
+    let ctor = FlAPIError.class_for_status(info.status, info.error_status);
+    return new ctor(message, info);
+};
+
+module.exports = {
+    FlAPIError, FlNotFoundError, FlPermissionDeniedError, FlValidationError, FlNetworkError,
+    FlOfflineError, FlCancellationError
+};
@@ -0,0 +1,127 @@
+/**
+ * @ngdoc module
+ * @name fl.api_helpers
+ * @description
+ * Helpers for reading HTTP and document state, shared by the API modules: cookies, `<meta>`
+ * tags, and response headers.
+ *
+ * This module exports {@sref FlAPIHelpers}.
+ */
+
+const _ = require('lodash');
+
+/**
+ * @ngdoc type
+ * @name FlAPIHelpers
+ * @module fl.api_helpers
+ * @description
+ *  A collection of helper functions used by {@sref FlAPIService}, {@sref FlAPIResponseCache},
+ *  and the authentication providers in {@sref fl.api_auth}.
+ *  The document helpers return `null` if there is no `document` (for example, in Node).
+ */
+
+let FlAPIHelpers = { };
+
+/**
+ * @ngdoc method
+ * @name FlAPIHelpers#cookie
+ * @classmethod
+ * @module fl.api_helpers
+ * @description
+ * Get the value of a cookie from a cookie string.
+ *
+ * @param {String} jar The cookie string, in the format of `document.cookie` or of the `Cookie`
+ *  header.
+ * @param {String} name The name of the cookie.
+ *
+ * @return {String} Returns the (decoded) value of the cookie; if the cookie is not present,
+ *  returns `null`.
+ */
+
+FlAPIHelpers.cookie = function(jar, name) {
+    if (!_.isString(jar)) return null;
+
+    let c = _.find(jar.split(';'), function(kv) {
+	return _.trim(kv.split('=')[0]) == name;
+    });
+    if (_.isNil(c)) return null;
+
+    let v = _.trim(c.substr(c.indexOf('=') + 1));
+    try
+    {
+	return decodeURIComponent(v);
+    }
+    catch (x)
+    {
+	return v;
+    }
+};
+
+/**
+ * @ngdoc method
+ * @name FlAPIHelpers#document_cookie
+ * @classmethod
+ * @module fl.api_helpers
+ * @description
+ * Get the value of a cookie from `document.cookie`.
+ *
+ * @param {String} name The name of the cookie.
+ *
+ * @return {String} Returns the (decoded) value of the cookie; if the cookie is not present,
+ *  or if there is no document, returns `null`.
+ */
+
+FlAPIHelpers.document_cookie = function(name) {
+    if ((typeof(document) == 'undefined') || !_.isString(document.cookie)) return null;
+
+    return FlAPIHelpers.cookie(document.cookie, name);
+};
+
+/**
+ * @ngdoc method
+ * @name FlAPIHelpers#document_meta
+ * @classmethod
+ * @module fl.api_helpers
+ * @description
+ * Get the content of a `<meta>` tag in the document, like the `csrf-token` tag generated by
+ * the Rails `csrf_meta_tags` helper.
+ *
+ * @param {String} name The name of the tag.
+ *
+ * @return {String} Returns the content of the tag; if the tag is not present or is empty, or if
+ *  there is no document, returns `null`.
+ */
+
+FlAPIHelpers.document_meta = function(name) {
+    if ((typeof(document) == 'undefined') || !_.isFunction(document.querySelector)) return null;
+
+    let meta = document.querySelector('meta[name="' + name + '"]');
+    if (_.isNil(meta)) return null;
+
+    let v = meta.getAttribute('content');
+    return (_.isString(v) && (v.length > 0)) ? v : null;
+};
+
+/**
+ * @ngdoc method
+ * @name FlAPIHelpers#header
+ * @classmethod
+ * @module fl.api_helpers
+ * @description
+ * Get a header value, ignoring the case of the header name.
+ *
+ * @param {Object} headers The headers, for example from a response object.
+ * @param {String} name The name of the header.
+ *
+ * @return {String} Returns the header value; if the header is not present, returns `undefined`.
+ */
+
+FlAPIHelpers.header = function(headers, name) {
+    if (!_.isObject(headers) || !_.isString(name)) return undefined;
+
+    let n = name.toLowerCase();
+    let k = _.find(_.keys(headers), function(hk) { return hk.toLowerCase() == n; });
+    return (_.isNil(k)) ? undefined : headers[k];
+};
+
+module.exports = { FlAPIHelpers };
@@ -0,0 +1,437 @@
+/**
+ * @ngdoc module
+ * @name fl.api_outbox
+ * @description
+ * A queue of API mutations, used by {@sref FlAPIService} to hold requests that could not be
+ * submitted because the client was offline, and to replay them when it comes back online.
+ * This module exports the queue class {@sref FlAPIOutbox}, and two stores:
+ * {@sref FlMemoryOutboxStore} and {@sref FlLocalStorageOutboxStore}.
+ */
+
+const _ = require('lodash');
+const { FlNetworkError } = require('./api_errors');
+
+const DEFAULT_OUTBOX_OPTIONS = {
+    store: 'memory',
+    key: 'fl.api_outbox',
+    conflictStatuses: [ 409, 422 ],
+    onConflict: null,
+    onFailure: null,
+    now: null
+};
+
+/**
+ * @ngdoc type
+ * @name FlMemoryOutboxStore
+ * @module fl.api_outbox
+ * @description
+ *  An outbox store that keeps the queue in memory; the queue is lost when the application exits.
+ *
+ *  Outbox stores implement two methods: `load`, which returns the array of queued entries, and
+ *  `save`, which saves the array of queued entries. Custom stores must implement the same
+ *  methods, synchronously.
+ */
+
+let FlMemoryOutboxStore = (function() {
+    function FlMemoryOutboxStore() {
+	this._entries = [ ];
+    };
+    FlMemoryOutboxStore.prototype.constructor = FlMemoryOutboxStore;
+
+    /**
+     * @ngdoc method
+     * @name FlMemoryOutboxStore#load
+     * @description Load the queue.
+     *
+     * @return {Array} Returns a copy of the queued entries.
+     */
+
+    FlMemoryOutboxStore.prototype.load = function() {
+	return _.cloneDeep(this._entries);
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMemoryOutboxStore#save
+     * @description Save the queue.
+     *
+     * @param {Array} entries The queued entries; a copy is stored.
+     */
+
+    FlMemoryOutboxStore.prototype.save = function(entries) {
+	this._entries = _.cloneDeep(entries);
+    };
+
+    return FlMemoryOutboxStore;
+})();
+
+/**
+ * @ngdoc type
+ * @name FlLocalStorageOutboxStore
+ * @module fl.api_outbox
+ * @description
+ *  An outbox store that keeps the queue in `localStorage` (or any object that implements the
+ *  Web Storage API), so that pending mutations survive a page reload.
+ *  The queue is stored as a JSON array under a single key.
+ *
+ * @param {String} [key] The storage key.
+ * @param {Object} [storage] The storage object; defaults to the global `localStorage`.
+ */
+
+let FlLocalStorageOutboxStore = (function() {
+    function FlLocalStorageOutboxStore(key, storage) {
+	this._key = (_.isString(key)) ? key : DEFAULT_OUTBOX_OPTIONS.key;
+	if (_.isObject(storage))
+	{
+	    this._storage = storage;
+	}
+	else
+	{
+	    this._storage = (typeof(localStorage) == 'undefined') ? null : localStorage;
+	}
+    };
+    FlLocalStorageOutboxStore.prototype.constructor = FlLocalStorageOutboxStore;
+
+    /**
+     * @ngdoc method
+     * @name FlLocalStorageOutboxStore#load
+     * @description Load the queue.
+     *
+     * @return {Array} Returns the queued entries; if the storage does not contain a valid queue,
+     *  returns an empty array.
+     */
+
+    FlLocalStorageOutboxStore.prototype.load = function() {
+	if (_.isNil(this._storage)) return [ ];
+
+	let s = this._storage.getItem(this._key);
+	if (_.isNil(s)) return [ ];
+
+	try
+	{
+	    let entries = JSON.parse(s);
+	    return (_.isArray(entries)) ? entries : [ ];
+	}
+	catch (x)
+	{
+	    return [ ];
+	}
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlLocalStorageOutboxStore#save
+     * @description Save the queue.
+     *  An empty queue removes the key from the storage.
+     *
+     * @param {Array} entries The queued entries.
+     *
+     * @throws Throws an exception if the storage is full.
+     */
+
+    FlLocalStorageOutboxStore.prototype.save = function(entries) {
+	if (_.isNil(this._storage)) return;
+
+	if (entries.length > 0)
+	{
+	    this._storage.setItem(this._key, JSON.stringify(entries));
+	}
+	else
+	{
+	    this._storage.removeItem(this._key);
+	}
+    };
+
+    return FlLocalStorageOutboxStore;
+})();
+
+/**
+ * @ngdoc type
+ * @name FlAPIOutbox
+ * @module fl.api_outbox
+ * @description
+ *  A queue of API mutations.
+ *  Each entry in the queue contains the properties **id** (a sequence number), **method** (the
+ *  lowercase HTTP method), **url**, **data** (the request data, as submitted; for the action
+ *  methods, the data are wrapped in the namespace), **config** (the **headers** and **params**
+ *  from the request configuration), and **queued_at** (a timestamp in milliseconds).
+ *  Entries are serializable, so that the queue can be persisted by the store.
+ *
+ *  The queue is loaded from the store when the outbox is created, and saved after every change.
+ *
+ * @param {Object} [options] Configuration options.
+ * @property {String|Object} options.store The store for the queue: `memory` for
+ *  {@sref FlMemoryOutboxStore}, `localStorage` for {@sref FlLocalStorageOutboxStore}, or a
+ *  custom store (see {@sref FlMemoryOutboxStore}).
+ *  Defaults to `memory`.
+ * @property {String} options.key The storage key for `localStorage` stores.
+ *  Defaults to `fl.api_outbox`.
+ * @property {Array} options.conflictStatuses The HTTP statuses that {@sref FlAPIOutbox#replay}
+ *  treats as conflicts.
+ *  Defaults to `[ 409, 422 ]`.
+ * @property {Function} options.onConflict A function to call when a replayed request fails with
+ *  a conflict; it is called with two arguments, the queue entry and the error (an instance of
+ *  {@sref FlAPIError}). Exceptions thrown by the callback don't stop the replay; see
+ *  {@sref FlAPIOutbox#replay}.
+ *  Defaults to `null`.
+ * @property {Function} options.onFailure A function to call when a replayed request fails with
+ *  an error that is neither a conflict nor a network error (for example, a 404 or 500
+ *  response); it is called with the same arguments as **onConflict**, and exceptions it throws
+ *  are handled the same way.
+ *  Defaults to `null`.
+ * @property {Function} options.now A function that returns the current time in milliseconds;
+ *  this is used to generate the **queued_at** timestamps, and is typically overridden by tests
+ *  to install a fake clock.
+ *  Defaults to `Date.now`.
+ */
+
+let FlAPIOutbox = (function() {
+    function FlAPIOutbox(options) {
+	let opts = _.assign({ }, DEFAULT_OUTBOX_OPTIONS, (_.isObject(options)) ? options : { });
+
+	if (opts.store == 'memory')
+	{
+	    this._store = new FlMemoryOutboxStore();
+	}
+	else if (opts.store == 'localStorage')
+	{
+	    this._store = new FlLocalStorageOutboxStore(opts.key);
+	}
+	else if (_.isObject(opts.store))
+	{
+	    this._store = opts.store;
+	}
+	else
+	{
+	    throw new Error('unsupported outbox store: ' + opts.store);
+	}
+
+	this._conflict_statuses = opts.conflictStatuses;
+	this._on_conflict = (_.isFunction(opts.onConflict)) ? opts.onConflict : null;
+	this._on_failure = (_.isFunction(opts.onFailure)) ? opts.onFailure : null;
+	this._now = (_.isFunction(opts.now)) ? opts.now : Date.now;
+	this._entries = this._store.load();
+	this._replaying = null;
+    };
+    FlAPIOutbox.prototype.constructor = FlAPIOutbox;
+
+    /**
+     * @ngdoc method
+     * @name FlAPIOutbox.create
+     * @classmethod
+     * @description Create an outbox from a service configuration value.
+     *
+     * @param {Boolean|Object|FlAPIOutbox} cfg The value of the **outbox** property in the
+     *  service configuration: `true` to create an outbox with the default options, an object
+     *  containing the outbox options, or an existing outbox (which is then shared).
+     *
+     * @return {FlAPIOutbox} Returns the outbox; if *cfg* is nil or `false`, returns `null`.
+     */
+
+    FlAPIOutbox.create = function(cfg) {
+	if (cfg instanceof FlAPIOutbox) return cfg;
+	if (cfg === true) return new FlAPIOutbox();
+	if (_.isPlainObject(cfg)) return new FlAPIOutbox(cfg);
+
+	return null;
+    };
+
+    /**
+     * @ngdoc property
+     * @name FlAPIOutbox#entries
+     * @description A copy of the queued entries, in queue order.
+     */
+
+    Object.defineProperty(FlAPIOutbox.prototype, 'entries', {
+	get: function() { return _.cloneDeep(this._entries); }
+    });
+
+    /**
+     * @ngdoc property
+     * @name FlAPIOutbox#size
+     * @description The number of queued entries.
+     */
+
+    Object.defineProperty(FlAPIOutbox.prototype, 'size', {
+	get: function() { return this._entries.length; }
+    });
+
+    /**
+     * @ngdoc property
+     * @name FlAPIOutbox#replaying
+     * @description Is a replay in progress?
+     */
+
+    Object.defineProperty(FlAPIOutbox.prototype, 'replaying', {
+	get: function() { return !_.isNil(this._replaying); }
+    });
+
+    /**
+     * @ngdoc method
+     * @name FlAPIOutbox#enqueue
+     * @description Add a request to the end of the queue.
+     *
+     * @param {String} method The HTTP method.
+     * @param {String} url The target URL.
+     * @param {Object} [data] The request data.
+     * @param {Object} [config] The request configuration; only the **headers** and **params**
+     *  properties are stored.
+     *
+     * @return {Object} Returns the new entry.
+     */
+
+    FlAPIOutbox.prototype.enqueue = function(method, url, data, config) {
+	let last = _.last(this._entries);
+	let e = {
+	    id: (_.isNil(last)) ? 1 : (last.id + 1),
+	    method: method.toLowerCase(),
+	    url: url,
+	    data: (_.isUndefined(data)) ? null : _.cloneDeep(data),
+	    config: _.cloneDeep(_.pick((_.isObject(config)) ? config : { }, [ 'headers', 'params' ])),
+	    queued_at: this._now()
+	};
+
+	this._entries.push(e);
+	this._store.save(this._entries);
+
+	return _.cloneDeep(e);
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlAPIOutbox#remove
+     * @description Remove an entry from the queue.
+     *
+     * @param {Integer} id The identifier of the entry.
+     *
+     * @return {Boolean} Returns `true` if the entry was removed, `false` if it was not in the queue.
+     */
+
+    FlAPIOutbox.prototype.remove = function(id) {
+	let removed = _.remove(this._entries, function(e) { return e.id == id; });
+	if (removed.length < 1) return false;
+
+	this._store.save(this._entries);
+	return true;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlAPIOutbox#clear
+     * @description Remove all entries from the queue.
+     */
+
+    FlAPIOutbox.prototype.clear = function() {
+	this._entries = [ ];
+	this._store.save(this._entries);
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlAPIOutbox#is_conflict
+     * @description Check if an error is a conflict.
+     *
+     * @param {FlAPIError} err The error.
+     *
+     * @return {Boolean} Returns `true` if the HTTP status of *err* is one of the conflict statuses.
+     */
+
+    FlAPIOutbox.prototype.is_conflict = function(err) {
+	return _.isObject(err) && _.includes(this._conflict_statuses, err.status);
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlAPIOutbox#replay
+     * @description Replay the queue.
+     *  The entries are submitted one at a time, in queue order, by calling *submit*.
+     *  - If the submission succeeds, the entry is removed from the queue.
+     *  - If it fails with a {@sref FlNetworkError} (for example, because the client is offline
+     *    again), the replay stops; the entry and the ones that follow it remain in the queue.
+     *  - If it fails with a conflict (see {@sref FlAPIOutbox#is_conflict}), the entry is
+     *    removed from the queue, and reported to the **onConflict** callback. If the callback
+     *    throws, the exception is recorded in the conflict (see below), and the replay continues.
+     *  - If it fails with any other error, the entry is removed from the queue and reported to
+     *    the **onFailure** callback in the same way, so that a request the server will never
+     *    accept does not block the ones that follow it.
+     *
+     *  Only one replay runs at a time; if a replay is in progress, the method returns its promise.
+     *
+     * @param {Function} submit A function that submits an entry; it is called with the entry as
+     *  its argument, and returns a promise that resolves if the submission succeeded, or rejects
+     *  with an {@sref FlAPIError} if it failed.
+     *
+     * @return {Promise} Returns a promise that resolves with an object containing the properties
+     *  **replayed** (the number of entries that were submitted successfully), **conflicts** (an
+     *  array of objects containing the **entry** and the **error** for each conflict, and the
+     *  **callbackError** thrown by the **onConflict** callback, if any), **failures** (the
+     *  entries that failed with other errors, in the same format), **remaining** (the number of
+     *  entries left in the queue), and **error** (the network error that stopped the replay,
+     *  `null` if the queue was emptied).
+     */
+
+    FlAPIOutbox.prototype.replay = function(submit) {
+	if (!_.isNil(this._replaying)) return this._replaying;
+
+	let self = this;
+	let summary = { replayed: 0, conflicts: [ ], failures: [ ], remaining: 0, error: null };
+	let next = function() {
+	    let e = _.first(self._entries);
+	    if (_.isNil(e)) return Promise.resolve(summary);
+
+	    return Promise.resolve()
+		.then(function() {
+		    return submit(_.cloneDeep(e));
+		})
+		.then(function(r) {
+		    self.remove(e.id);
+		    summary.replayed += 1;
+		    return next();
+		}, function(err) {
+		    if (err instanceof FlNetworkError)
+		    {
+			summary.error = err;
+			return Promise.resolve(summary);
+		    }
+
+		    let conflicted = self.is_conflict(err);
+		    let failure = { entry: e, error: err };
+		    let callback = (conflicted) ? self._on_conflict : self._on_failure;
+
+		    self.remove(e.id);
+		    ((conflicted) ? summary.conflicts : summary.failures).push(failure);
+		    if (callback)
+		    {
+			// the entry is gone, so a failing callback must not stop the replay
+
+			try
+			{
+			    callback(e, err);
+			}
+			catch (x)
+			{
+			    failure.callbackError = x;
+			}
+		    }
+
+		    return next();
+		});
+	};
+
+	this._replaying = next()
+	    .then(function(s) {
+		self._replaying = null;
+		s.remaining = self._entries.length;
+		return Promise.resolve(s);
+	    }, function(x) {
+		self._replaying = null;
+		return Promise.reject(x);
+	    });
+
+	return this._replaying;
+    };
+
+    return FlAPIOutbox;
+})();
+
+module.exports = { FlAPIOutbox, FlMemoryOutboxStore, FlLocalStorageOutboxStore };
@@ -0,0 +1,437 @@
+/**
+ * @ngdoc module
+ * @name fl.api_query
+ * @requires fl.object_system
+ * @description
+ * Support for building query parameters for API calls.
+ */
+
+const _ = require('lodash');
+const { FlExtensions, FlClassManager } = require('./object_system');
+
+/**
+ * @ngdoc type
+ * @name FlAPIQuery
+ * @module fl.api_query
+ * @description
+ *  A builder for the query parameters that the Rails services read from the **_q** submission
+ *  parameter (for example, `only_owners`, `except_lists`, `order`, `limit`, and `offset`).
+ *  The builder provides a fluent interface; for example:
+ *  ```
+ *  let q = srv.query().onlyOwners(user).exceptLists([ l1 ]).order('sort_order ASC');
+ *  srv.index(q).then(function(lists) { ... });
+ *  ```
+ *  Values in the **only_** and **except_** filters are converted to a form that the server
+ *  understands: model instances are converted to their fingerprints, so that you can pass
+ *  model objects, fingerprints, or identifiers.
+ *
+ *  The builder checks that the same value does not appear in both the **only_** and the
+ *  **except_** filter for a given name; if it does, it throws a
+ *  {@sref FlAPIQuery.ConflictingFilters} exception.
+ */
+
+let FlAPIQuery = FlClassManager.make_class({
+    name: 'FlAPIQuery',
+    /**
+     * @ngdoc method
+     * @name FlAPIQuery#constructor
+     * @description The constructor; called during `new` creation.
+     *
+     * @param {Object} [q] An object containing initial values for the query parameters; the
+     *  properties are loaded via {@sref FlAPIQuery#set}.
+     */
+
+    initializer: function(q) {
+	let self = this;
+
+	this._q = { };
+	_.forEach(q, function(v, k) {
+	    self.set(k, v);
+	});
+    },
+    instance_properties: {
+    },
+    instance_methods: {
+	/**
+	 * @ngdoc method
+	 * @name FlAPIQuery#only
+	 * @description Add values to an **only_** filter.
+	 *  The values are added to the **only_*name*** query parameter; duplicates are removed.
+	 *
+	 * @param {String} name The filter name, for example `owners`.
+	 * @param {Array|Object|String|Number} values A value, or an array of values, to add to the
+	 *  filter. Model instances are converted to their fingerprints.
+	 *
+	 * @return {FlAPIQuery} Returns the query object, so that calls can be chained.
+	 *
+	 * @throws Throws {@sref FlAPIQuery.ConflictingFilters} if any of the values is also present
+	 *  in the **except_*name*** filter.
+	 */
+
+	only: function(name, values) {
+	    return this._add_filter('only', name, values);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIQuery#except
+	 * @description Add values to an **except_** filter.
+	 *  The values are added to the **except_*name*** query parameter; duplicates are removed.
+	 *
+	 * @param {String} name The filter name, for example `owners`.
+	 * @param {Array|Object|String|Number} values A value, or an array of values, to add to the
+	 *  filter. Model instances are converted to their fingerprints.
+	 *
+	 * @return {FlAPIQuery} Returns the query object, so that calls can be chained.
+	 *
+	 * @throws Throws {@sref FlAPIQuery.ConflictingFilters} if any of the values is also present
+	 *  in the **only_*name*** filter.
+	 */
+
+	except: function(name, values) {
+	    return this._add_filter('except', name, values);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIQuery#onlyOwners
+	 * @description Syntactic sugar for `only('owners', values)`.
+	 *
+	 * @param {Array|Object|String} values The owners.
+	 *
+	 * @return {FlAPIQuery} Returns the query object.
+	 */
+
+	onlyOwners: function(values) {
+	    return this.only('owners', values);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIQuery#exceptOwners
+	 * @description Syntactic sugar for `except('owners', values)`.
+	 *
+	 * @param {Array|Object|String} values The owners.
+	 *
+	 * @return {FlAPIQuery} Returns the query object.
+	 */
+
+	exceptOwners: function(values) {
+	    return this.except('owners', values);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIQuery#onlyLists
+	 * @description Syntactic sugar for `only('lists', values)`.
+	 *
+	 * @param {Array|Object|String|Number} values The lists.
+	 *
+	 * @return {FlAPIQuery} Returns the query object.
+	 */
+
+	onlyLists: function(values) {
+	    return this.only('lists', values);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIQuery#exceptLists
+	 * @description Syntactic sugar for `except('lists', values)`.
+	 *
+	 * @param {Array|Object|String|Number} values The lists.
+	 *
+	 * @return {FlAPIQuery} Returns the query object.
+	 */
+
+	exceptLists: function(values) {
+	    return this.except('lists', values);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIQuery#onlyListables
+	 * @description Syntactic sugar for `only('listables', values)`.
+	 *
+	 * @param {Array|Object|String} values The listable objects.
+	 *
+	 * @return {FlAPIQuery} Returns the query object.
+	 */
+
+	onlyListables: function(values) {
+	    return this.only('listables', values);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIQuery#exceptListables
+	 * @description Syntactic sugar for `except('listables', values)`.
+	 *
+	 * @param {Array|Object|String} values The listable objects.
+	 *
+	 * @return {FlAPIQuery} Returns the query object.
+	 */
+
+	exceptListables: function(values) {
+	    return this.except('listables', values);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIQuery#onlyGroups
+	 * @description Syntactic sugar for `only('groups', values)`.
+	 *
+	 * @param {Array|Object|String|Number} values The groups.
+	 *
+	 * @return {FlAPIQuery} Returns the query object.
+	 */
+
+	onlyGroups: function(values) {
+	    return this.only('groups', values);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIQuery#exceptGroups
+	 * @description Syntactic sugar for `except('groups', values)`.
+	 *
+	 * @param {Array|Object|String|Number} values The groups.
+	 *
+	 * @return {FlAPIQuery} Returns the query object.
+	 */
+
+	exceptGroups: function(values) {
+	    return this.except('groups', values);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIQuery#onlyActors
+	 * @description Syntactic sugar for `only('actors', values)`.
+	 *
+	 * @param {Array|Object|String} values The actors.
+	 *
+	 * @return {FlAPIQuery} Returns the query object.
+	 */
+
+	onlyActors: function(values) {
+	    return this.only('actors', values);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIQuery#exceptActors
+	 * @description Syntactic sugar for `except('actors', values)`.
+	 *
+	 * @param {Array|Object|String} values The actors.
+	 *
+	 * @return {FlAPIQuery} Returns the query object.
+	 */
+
+	exceptActors: function(values) {
+	    return this.except('actors', values);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIQuery#order
+	 * @description Set the **order** query parameter.
+	 *
+	 * @param {String|Array} order The `ORDER BY` clause, for example `sort_order ASC`. If an array,
+	 *  the elements are joined with commas.
+	 *
+	 * @return {FlAPIQuery} Returns the query object.
+	 */
+
+	order: function(order) {
+	    return this.set('order', (_.isArray(order)) ? order.join(', ') : order);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIQuery#limit
+	 * @description Set the **limit** query parameter.
+	 *
+	 * @param {Number} limit The maximum number of objects to return.
+	 *
+	 * @return {FlAPIQuery} Returns the query object.
+	 */
+
+	limit: function(limit) {
+	    return this.set('limit', limit);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIQuery#offset
+	 * @description Set the **offset** query parameter.
+	 *
+	 * @param {Number} offset The number of objects to skip.
+	 *
+	 * @return {FlAPIQuery} Returns the query object.
+	 */
+
+	offset: function(offset) {
+	    return this.set('offset', offset);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIQuery#set
+	 * @description Set a query parameter.
+	 *  Keys that start with `only_` or `except_` are routed through {@sref FlAPIQuery#only} and
+	 *  {@sref FlAPIQuery#except}, so that their values are converted and checked; all other
+	 *  values are stored as is. A `null` or `undefined` value removes the parameter.
+	 *
+	 * @param {String} key The parameter name.
+	 * @param {any} value The parameter value.
+	 *
+	 * @return {FlAPIQuery} Returns the query object.
+	 */
+
+	set: function(key, value) {
+	    let m = key.match(/^(only|except)_(.+)$/);
+
+	    if (_.isNil(value))
+	    {
+		delete this._q[key];
+		return this;
+	    }
+	    else if (m)
+	    {
+		return this._add_filter(m[1], m[2], value);
+	    }
+	    else
+	    {
+		this._q[key] = value;
+		return this;
+	    }
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIQuery#to_q
+	 * @description Generate the **_q** hash.
+	 *
+	 * @return {Object} Returns an object containing the query parameters; this is a copy of the
+	 *  builder's state, and can be modified by the caller.
+	 *
+	 * @throws Throws {@sref FlAPIQuery.ConflictingFilters} if an **only_** and **except_** pair
+	 *  contains the same value.
+	 */
+
+	to_q: function() {
+	    let self = this;
+
+	    _.forEach(this._q, function(v, k) {
+		let m = k.match(/^only_(.+)$/);
+		if (m) self._check_conflicts(m[1]);
+	    });
+
+	    return _.cloneDeep(this._q);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIQuery#to_params
+	 * @description Generate submission parameters that contain the query.
+	 *
+	 * @param {Object} [params] Additional submission parameters to merge into the return value.
+	 *
+	 * @return {Object} Returns an object that contains *params*, and the **_q** property set to
+	 *  the value returned by {@sref FlAPIQuery#to_q}.
+	 */
+
+	to_params: function(params) {
+	    return _.merge({ }, (_.isObject(params)) ? params : { }, { _q: this.to_q() });
+	},
+
+	_add_filter: function(type, name, values) {
+	    let k = type + '_' + name;
+	    let ary = (_.isArray(values)) ? values : [ values ];
+	    let cur = (_.isArray(this._q[k])) ? this._q[k] : [ ];
+	    let filter = _.uniq(_.concat(cur, _.map(ary, function(v) {
+		return FlAPIQuery.convert_value(v);
+	    })));
+
+	    // check before modifying the state, so that a conflict leaves the builder unchanged
+
+	    this._check_conflicts(name, _.assign({ }, this._q, { [k]: filter }));
+	    this._q[k] = filter;
+
+	    return this;
+	},
+
+	_check_conflicts: function(name, q) {
+	    let state = (_.isObject(q)) ? q : this._q;
+	    let only = state['only_' + name];
+	    let except = state['except_' + name];
+
+	    if (_.isArray(only) && _.isArray(except))
+	    {
+		let common = _.intersection(only, except);
+		if (common.length > 0)
+		{
+		    throw new FlAPIQuery.ConflictingFilters(`conflicting values in only_${name} and except_${name}: `
+							    + common.join(', '));
+		}
+	    }
+	}
+    },
+    class_methods: {
+	/**
+	 * @ngdoc method
+	 * @name FlAPIQuery#convert_value
+	 * @classmethod
+	 * @description
+	 *  Convert a filter value to the form used in the query parameters.
+	 *  Objects that contain a **fingerprint** property (typically, model instances) are
+	 *  converted to the fingerprint; other objects that contain an **id** property are converted
+	 *  to the identifier. All other values are returned as is.
+	 *
+	 * @param {any} v The value to convert.
+	 *
+	 * @return {any} Returns the converted value.
+	 */
+
+	convert_value: function(v) {
+	    if (_.isObject(v))
+	    {
+		if (_.isString(v.fingerprint)) return v.fingerprint;
+		if (!_.isNil(v.id)) return v.id;
+	    }
+
+	    return v;
+	}
+    },
+    extensions: [ ]
+});
+
+/**
+ * @ngdoc type
+ * @name FlAPIQuery.ConflictingFilters
+ * @module fl.api_query
+ * @description
+ *  The exception thrown when the same value is present in an **only_** and **except_** filter pair.
+ *  Instances are also instances of `Error`.
+ *
+ * @param {String} message The error message.
+ */
+
+FlAPIQuery.ConflictingFilters = function ConflictingFilters(message) {
+    this.message = message;
+    this.name = 'ConflictingFilters';
+
+    if (_.isFunction(Error.captureStackTrace))
+    {
+	Error.captureStackTrace(this, this.constructor);
+    }
+    else
+    {
+	this.stack = (new Error(message)).stack;
+    }
+};
+FlAPIQuery.ConflictingFilters.prototype = Object.create(Error.prototype);
+FlAPIQuery.ConflictingFilters.prototype.constructor = FlAPIQuery.ConflictingFilters;
+
+module.exports = { FlAPIQuery };
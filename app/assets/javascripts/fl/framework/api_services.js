@@ -13,13 +13,67 @@ const { FlExtensions, FlClassManager } = require('./object_system');
 const {
     FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
 } = require('./model_factory');
+const { FlAPIQuery } = require('./api_query');
+const {
+    FlAPIError, FlNotFoundError, FlPermissionDeniedError, FlValidationError, FlNetworkError,
+    FlOfflineError, FlCancellationError
+} = require('./api_errors');
+const { FlAPIResponseCache } = require('./api_cache');
+const { FlAPIOutbox } = require('./api_outbox');
+const { FlValidators } = require('./validators');
+const { FlAPIHelpers } = require('./api_helpers');
 
 const DEFAULT_SRV_CFG = {
     xsrfCookieName: 'XSRF-TOKEN',
     xsrfHeaderName: 'X-XSRF-TOKEN',
+    xsrfMetaName: 'csrf-token',
     modelFactory: FlModelFactory.defaultFactory()
 };
 
+const PROCESS_METHODS = [ 'post', 'patch', 'put', 'delete' ];
+
+// The configuration properties that shape a request or its outcome; requests that differ in any
+// of them are not deduplicated.
+
+const DEDUPE_CONFIG_KEYS = [
+    'headers', 'timeout', 'responseType', 'auth', 'withCredentials', 'maxContentLength',
+    'maxRedirects', 'retry', 'cache'
+];
+
+// Serialize a value to JSON, with object keys in sorted order, so that equivalent parameter
+// objects generate the same string.
+
+function stable_stringify(v) {
+    if (_.isArray(v))
+    {
+	return '[' + _.map(v, stable_stringify).join(',') + ']';
+    }
+    else if (_.isPlainObject(v))
+    {
+	return '{' + _.map(_.sortBy(_.keys(v)), function(k) {
+	    return JSON.stringify(k) + ':' + stable_stringify(v[k]);
+	}).join(',') + '}';
+    }
+    else
+    {
+	let s = JSON.stringify(v);
+	return (_.isUndefined(s)) ? 'null' : s;
+    }
+}
+
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    baseDelay: 200,
+    factor: 2,
+    maxDelay: 10000,
+    jitter: 0.2,
+    statuses: [ 408, 429, 502, 503, 504 ],
+    networkErrors: true,
+    retryAfter: true,
+    methods: [ 'get', 'head', 'put', 'delete' ],
+    onAttempt: null
+};
+
 /**
  * @ngdoc type
  * @name FlAPIService
@@ -194,6 +248,178 @@ const DEFAULT_SRV_CFG = {
  *   - **status** is the status code from the response, which should be in the 400 or 500 range.
  *   - **message** is the message associated with the HTTP status code.
  *
+ * ##### Rejection values
+ *
+ * When a request fails, the service methods reject with an instance of {@sref FlAPIError}, or of
+ * one of its subclasses: {@sref FlNotFoundError}, {@sref FlPermissionDeniedError},
+ * {@sref FlValidationError}, or {@sref FlNetworkError}. The error object is built from the
+ * error object in the response body (see {@sref FlAPIError.create}), and its **response**
+ * property contains the response from the server (if any).
+ *
+ * ##### XSRF protection
+ *
+ * Processing calls (see {@sref FlAPIService#process}) include an XSRF header, whose name is
+ * set by the **xsrfHeaderName** configuration property. If the **xsrfToken** configuration
+ * property is set, it provides the value of the header; otherwise, the service looks for the
+ * token in the cookie named by **xsrfCookieName**, and then in the `<meta>` tag named by
+ * **xsrfMetaName** (by default, the `csrf-token` tag generated by the Rails `csrf_meta_tags`
+ * helper). The token is read at each attempt, so that the current token is always used, even
+ * by requests that are retried.
+ * In environments without a `document` (for example, Node), only **xsrfToken** and rotated
+ * tokens are used.
+ *
+ * If the server rotates the token, and returns the new one in a response header named
+ * **xsrfHeaderName**, the service stores it, and uses it for later calls (and for retries of
+ * the failed request) in preference to **xsrfToken**, the cookie, and the `<meta>` tag, which
+ * may be stale. Setting **xsrfToken** discards the rotated token.
+ *
+ * ##### Authentication
+ *
+ * Besides the XSRF header (see {@sref FlAPIService#xsrfToken}), a service can authenticate its
+ * requests with an authentication provider, placed in the **authProvider** property of the
+ * service configuration. The provider supplies the authentication headers for each request; if a request
+ * fails with a 401 status, the provider is asked to refresh its credentials, and if it does the
+ * request is retried once. For example, to use a bearer token that is refreshed by calling a
+ * token endpoint:
+ * ```
+ * let auth = new FlBearerAuthProvider({
+ *   token: localStorage.getItem('token'),
+ *   refresh: function(e) { return tokenService.refresh(); }
+ * });
+ * let srv = new MyAPIService({ authProvider: auth });
+ * ```
+ * See the {@sref fl.api_auth} module for the provider interface, and the standard providers.
+ * The **auth** property is passed to Axios as usual, so that HTTP basic authentication is
+ * still configured with `auth: { username: 'user', password: 'secret' }`.
+ *
+ * ##### Cancellation and timeouts
+ *
+ * All network call methods accept the **signal** configuration property, an `AbortSignal`; when
+ * the signal is aborted, the request is cancelled. (Axios cancel tokens in **cancelToken** are
+ * also supported.) A service can also cancel all its pending requests with
+ * {@sref FlAPIService#cancelAll}. Cancelled requests reject with a {@sref FlCancellationError},
+ * so that clients can tell superseded requests from real failures:
+ * ```
+ * if (controller) controller.abort();
+ * controller = new AbortController();
+ * srv.index(srv.query().set('name_like', text), { signal: controller.signal })
+ *   .then(function(results) { ... })
+ *   .catch(function(e) { if (!(e instanceof FlCancellationError)) report(e); });
+ * ```
+ * The **timeout** configuration property sets the request timeout in milliseconds; place it in
+ * the service configuration to set a default for all requests from the service (see
+ * {@sref FlAPIService#timeout}). Requests that time out reject with a {@sref FlNetworkError}.
+ *
+ * ##### Request deduplication
+ *
+ * Identical `GET` requests that are in flight at the same time are coalesced into a single
+ * network request: if {@sref FlAPIService#get} is called for a method, URL, and parameters for
+ * which a request is pending, it returns the promise for the pending request. This is useful
+ * when several components request the same object at the same time, for example when they are
+ * mounted. Deduplication is disabled by default; it is enabled by the **dedupe** property in
+ * the service configuration, and can be overridden in the *config* argument to individual calls:
+ * ```
+ * let srv = new MyAPIService({ dedupe: true });
+ * srv.show(id, null, { dedupe: false });
+ * ```
+ * Requests that contain a **signal** or **cancelToken** configuration property are never
+ * deduplicated, since cancelling one of them would also cancel the others; neither are requests
+ * whose headers or other request options (like **timeout** or **retry**) differ.
+ *
+ * ##### Response caching
+ *
+ * A service can be configured to cache the responses to `GET` requests that contain an `ETag` or
+ * `Last-Modified` header, by placing a cache configuration in the **cache** property of the
+ * service configuration. Subsequent requests for the same URL and parameters are sent with
+ * `If-None-Match` or `If-Modified-Since` headers, and if the server responds with a 304 status
+ * the cached data are used; for example, {@sref FlAPIService#show} then creates (or refreshes)
+ * the model from the cached data as usual. The storage is pluggable:
+ * ```
+ * let srv = new MyAPIService({ cache: { storage: 'localStorage', ttl: 600000, maxEntries: 50 } });
+ * ```
+ * See {@sref FlAPIResponseCache} for the cache options. The cache can be bypassed for individual
+ * calls by placing `cache: false` in the *config* argument. Note that the middleware chain sees
+ * the 304 response as an error, since it runs before the cached data are loaded.
+ *
+ * ##### Optimistic updates
+ *
+ * In optimistic mode, {@sref FlAPIService#update} applies the changes to the model instance as
+ * soon as it is called, rather than waiting for the server response; if the request fails, the
+ * changes are rolled back. Optimistic mode is enabled by the **optimistic** property in the
+ * service configuration, or in the *config* argument to individual calls:
+ * ```
+ * srv.setOptimisticDidChange(function(model, phase) { view.render(model); });
+ * srv.update(model, { wrapped: { title: 'New title' } }, { optimistic: true });
+ * ```
+ * See {@sref FlAPIService#_optimistic_apply} for details.
+ *
+ * ##### Client-side validation
+ *
+ * {@sref FlAPIService#create} and {@sref FlAPIService#update} run the validations declared in
+ * the attribute definitions of the model class (see {@sref FlValidators}) against the wrapped
+ * data before submitting them. If the data are invalid, no request is made, and the call rejects
+ * with a {@sref FlValidationError} that has the same shape as the one generated when the server
+ * returns validation errors:
+ * ```
+ * srv.create({ wrapped: { title: '' } }).catch(function(e) {
+ *   e.errors_for('title');   // [ "can't be blank" ]
+ * });
+ * ```
+ * For updates, the errors are also stored in the model's error collection, and validation
+ * errors returned by the server are merged into it; see {@sref FlAPIService#_validate_data}.
+ * The details of server validation errors are normalized to the same shape (an array of messages
+ * for each attribute) for both creates and updates.
+ * Validation is disabled by the **validate** property in the service configuration, or in the
+ * *config* argument to individual calls.
+ *
+ * ##### Offline mutations
+ *
+ * A service can be configured to hold mutations (the requests made by
+ * {@sref FlAPIService#process}, and therefore by the action methods like
+ * {@sref FlAPIService#create}) while the client is offline, by placing an outbox configuration in
+ * the **outbox** property of the service configuration:
+ * ```
+ * let srv = new MyAPIService({
+ *   outbox: { store: 'localStorage', onConflict: function(entry, e) { report(entry, e); } }
+ * });
+ * window.addEventListener('online', function() { srv.setOnline(true); });
+ * ```
+ * When a mutation fails with a {@sref FlNetworkError}, the service places it in the outbox, marks
+ * itself as offline, and rejects with a {@sref FlOfflineError}; while the service is offline (or
+ * while the outbox is not empty, to preserve ordering), mutations are queued without being
+ * submitted. {@sref FlAPIService#setOnline} replays the outbox in order; see
+ * {@sref FlAPIOutbox#replay}. Only a network error stops the replay; requests that the server
+ * rejects are removed from the outbox and reported to the **onConflict** or **onFailure**
+ * callbacks. Requests that contain file objects are never queued, since they
+ * can't be serialized. Note that a request that timed out may have been processed by the server,
+ * and is nonetheless queued and replayed.
+ *
+ * ##### Retries
+ *
+ * A service can be configured to retry failed requests with exponential backoff, by placing a
+ * retry policy in the **retry** property of the service configuration:
+ * ```
+ * let srv = new MyAPIService({ retry: { maxAttempts: 4, statuses: [ 502, 503 ] } });
+ * ```
+ * By default, the policy applies only to the idempotent methods `GET`, `HEAD`, `PUT`, and
+ * `DELETE`; see {@sref FlAPIService#_retry_policy} for details.
+ *
+ * ##### Middleware
+ *
+ * All requests are submitted through a chain of middleware functions, which can be used to
+ * implement cross-cutting behavior like logging, metrics, or authentication headers. Middleware
+ * can be registered for all services with {@sref FlAPIService.use}, or for a single service with
+ * {@sref FlAPIService#use}:
+ * ```
+ * FlAPIService.use(function(ctx, next) {
+ *   let start = Date.now();
+ *   return next().then(function(r) {
+ *     console.log(`${ctx.method} ${ctx.url}: ${r.status} in ${Date.now() - start}ms`);
+ *     return r;
+ *   });
+ * });
+ * ```
+ *
  * ##### The pagination info
  *
  * Pagination info is an object that tracks the current state of a multipage query.
@@ -319,6 +545,9 @@ let FlAPIService = FlClassManager.make_class({
      *  pagination controls. The service looks up each in the order in which they are listed
      *  in the array, and loads the first match in the pagination controls.
      *  The default value is the array `[ '_pg' ]`.
+     * @property {String} api_cfg.model_type The Rails class name of the model objects managed by
+     *  the API, for example `My::Datum`. This value is used to look up model instances in the
+     *  model cache from their identifiers; see {@sref FlAPIService#_target_model}.
      * @param {Object} srv_cfg Configuration for the service. A few standard properties in the
      *  object are described below; various services may include additional ones.
      *  See the properties section for details.
@@ -333,7 +562,45 @@ let FlAPIService = FlClassManager.make_class({
      * @property {String} srv_cfg.xsrfHeaderName The name of the http header that carries the XSRF token
      *  value.
      *  Defaults to `X-XSRF-TOKEN`.
+     * @property {String} srv_cfg.xsrfMetaName The name of the `<meta>` tag that contains the XSRF
+     *  token, if neither **xsrfToken** nor the XSRF cookie are present.
+     *  Defaults to `csrf-token`.
      * @property {String} srv_cfg.xsrfToken The value of the XSRF token.
+     *  Defaults to `undefined` (the token is read from the cookie or the `<meta>` tag).
+     * @property {Object} srv_cfg.authProvider The authentication provider; see
+     *  {@sref fl.api_auth}. Authentication can be disabled for individual calls by placing
+     *  `authProvider: false` in the *config* argument.
+     *  Defaults to `undefined` (no authentication headers).
+     * @property {Integer} srv_cfg.timeout The default timeout for requests, in milliseconds.
+     *  Defaults to `undefined` (no timeout).
+     * @property {Boolean|Object} srv_cfg.retry The retry policy; see
+     *  {@sref FlAPIService#_retry_policy}.
+     *  Defaults to `undefined` (no retries).
+     * @property {Boolean|Object|FlAPIResponseCache} srv_cfg.cache The response cache configuration:
+     *  `true` to use a memory cache with the default options, an object containing the options to
+     *  pass to the {@sref FlAPIResponseCache} constructor, or an instance of
+     *  {@sref FlAPIResponseCache} (to share a cache between services).
+     *  Defaults to `undefined` (no caching).
+     * @property {Boolean|Object|FlAPIOutbox} srv_cfg.outbox The outbox configuration: `true` to
+     *  use a memory outbox with the default options, an object containing the options to pass to
+     *  the {@sref FlAPIOutbox} constructor, or an instance of {@sref FlAPIOutbox}.
+     *  Defaults to `undefined` (no outbox).
+     * @property {Boolean} srv_cfg.dedupe If `true`, identical `GET` requests in flight at the
+     *  same time are coalesced; see {@sref FlAPIService#get}.
+     *  This value can be overridden in the *config* argument to the network call methods.
+     *  Defaults to `undefined` (no deduplication).
+     * @property {Boolean} srv_cfg.optimistic If `true`, {@sref FlAPIService#update} applies
+     *  changes optimistically; see {@sref FlAPIService#_optimistic_apply}.
+     *  This value can be overridden in the *config* argument to {@sref FlAPIService#update}.
+     *  Defaults to `undefined`.
+     * @property {Boolean} srv_cfg.validate If `false`, {@sref FlAPIService#create} and
+     *  {@sref FlAPIService#update} don't validate the data before submitting them; see
+     *  {@sref FlAPIService#_validate_data}.
+     *  This value can be overridden in the *config* argument to those methods.
+     *  Defaults to `undefined`, which enables validation.
+     * @property {Boolean} srv_cfg.withResult If `true`, the action methods return instances of
+     *  {@sref FlAPIResult} rather than the response data; see {@sref FlAPIService#_with_result}.
+     *  This value can be overridden in the *config* argument to the action methods.
      *  Defaults to `undefined`.
      */
     initializer: function(api_cfg, srv_cfg) {
@@ -345,7 +612,17 @@ let FlAPIService = FlClassManager.make_class({
 	if (_.isNil(this._srv_cfg.modelFactory)) this._srv_cfg.modelFactory = FlModelFactory.defaultFactory();
 
 	this._showDidSucceed = null;
+	this._optimisticDidChange = null;
+	this._rotated_xsrf_token = null;
+	this._saves = [ ];
 	this.pagination_controls = 'init';
+	this._requests = { };
+	this._request_seq = 0;
+	this._middleware = [ ];
+	this._inflight = { };
+	this._response_cache = FlAPIResponseCache.create(this._srv_cfg.cache);
+	this._outbox = FlAPIOutbox.create(this._srv_cfg.outbox);
+	this._online = true;
     },
     instance_properties: {
 	/**
@@ -383,12 +660,34 @@ let FlAPIService = FlClassManager.make_class({
 	    set: function(name) { this._srv_cfg.xsrfHeaderName = name; }
 	},
 
+	/**
+	 * @ngdoc property
+	 * @name FlAPIService#xsrfMetaName
+	 * @description Accessor for the name of the `<meta>` tag that contains the XSRF token,
+	 *  from the current configuation.
+	 *  This property is just an accessor for the `xsrfMetaName` configuration property
+	 *  from the *srv_cfg* argument to the constructor.
+	 *
+	 * @param {String} name The name of the `<meta>` tag.
+	 *
+	 * @return {String} The getter returns the name of the `<meta>` tag from the current configuation.
+	 */
+
+	xsrfMetaName: {
+	    get: function() { return this._srv_cfg.xsrfMetaName; },
+	    set: function(name) { this._srv_cfg.xsrfMetaName = name; }
+	},
+
 	/**
 	 * @ngdoc property
 	 * @name FlAPIService#xsrfToken
 	 * @description Accessor for the value of the local XSRF token.
 	 *  This property is just an accessor for the `xsrfToken` configuration property
-	 *  from the *srv_cfg* argument to the constructor.
+	 *  from the *srv_cfg* argument to the constructor. Tokens rotated by the server are
+	 *  stored separately (see {@sref FlAPIService#_update_xsrf_token}); setting the property
+	 *  discards the rotated token, so that the most recent token is used.
+	 *  Note that this is the configured token; the token that is actually sent is returned
+	 *  by {@sref FlAPIService#currentXsrfToken}.
 	 *
 	 * @param {String} token The new value of the token.
 	 *
@@ -397,7 +696,108 @@ let FlAPIService = FlClassManager.make_class({
 
 	xsrfToken: {
 	    get: function() { return this._srv_cfg.xsrfToken; },
-	    set: function(token) { this._srv_cfg.xsrfToken = token; }
+	    set: function(token) {
+		this._srv_cfg.xsrfToken = token;
+		this._rotated_xsrf_token = null;
+	    }
+	},
+
+	/**
+	 * @ngdoc property
+	 * @name FlAPIService#timeout
+	 * @description Accessor for the default request timeout.
+	 *  This property is just an accessor for the `timeout` configuration property
+	 *  from the *srv_cfg* argument to the constructor; the value can be overridden by the
+	 *  **timeout** property in the *config* argument to the network call methods.
+	 *
+	 * @param {Integer} timeout The timeout in milliseconds; `null` disables the timeout.
+	 *
+	 * @return {Integer} The getter returns the current value of the default timeout.
+	 */
+
+	timeout: {
+	    get: function() { return this._srv_cfg.timeout; },
+	    set: function(timeout) {
+		if (_.isNil(timeout))
+		{
+		    delete this._srv_cfg.timeout;
+		}
+		else
+		{
+		    this._srv_cfg.timeout = timeout;
+		}
+	    }
+	},
+
+	/**
+	 * @ngdoc property
+	 * @name FlAPIService#pending_requests
+	 * @description Getter for the number of pending requests.
+	 *
+	 * @return {Integer} Returns the number of requests that have been submitted and have not
+	 *  yet completed.
+	 */
+
+	pending_requests: {
+	    get: function() { return _.size(this._requests); }
+	},
+
+	/**
+	 * @ngdoc property
+	 * @name FlAPIService#authProvider
+	 * @description Accessor for the authentication provider, from the current configuration.
+	 *  This property is just an accessor for the `authProvider` configuration property from the
+	 *  *srv_cfg* argument to the constructor. Set it to `null` to remove the provider.
+	 */
+
+	authProvider: {
+	    get: function() { return (_.isNil(this._srv_cfg.authProvider)) ? null : this._srv_cfg.authProvider; },
+	    set: function(auth) {
+		if (_.isNil(auth))
+		{
+		    delete this._srv_cfg.authProvider;
+		}
+		else
+		{
+		    this._srv_cfg.authProvider = auth;
+		}
+	    }
+	},
+
+	/**
+	 * @ngdoc property
+	 * @name FlAPIService#response_cache
+	 * @description The response cache, an instance of {@sref FlAPIResponseCache}; `null` if the
+	 *  service does not cache responses.
+	 *  This value is built from the **cache** property in the service configuration.
+	 */
+
+	response_cache: {
+	    get: function() { return this._response_cache; }
+	},
+
+	/**
+	 * @ngdoc property
+	 * @name FlAPIService#outbox
+	 * @description The outbox, an instance of {@sref FlAPIOutbox}; `null` if the service does
+	 *  not queue mutations.
+	 *  This value is built from the **outbox** property in the service configuration.
+	 */
+
+	outbox: {
+	    get: function() { return this._outbox; }
+	},
+
+	/**
+	 * @ngdoc property
+	 * @name FlAPIService#online
+	 * @description Is the service online?
+	 *  The service goes offline when a mutation fails with a network error and is queued in the
+	 *  outbox; use {@sref FlAPIService#setOnline} to change the value.
+	 */
+
+	online: {
+	    get: function() { return this._online; }
 	},
 
 	/**
@@ -457,6 +857,9 @@ let FlAPIService = FlClassManager.make_class({
 	 * @ngdoc property
 	 * @name FlAPIService#response
 	 * @description Getter for the last response returned by the server.
+	 *  Note that this is the response from whichever request completed last, and therefore it
+	 *  is not reliable if the service has multiple requests in progress; use the **withResult**
+	 *  option to get an {@sref FlAPIResult} for each request instead.
 	 * @return {Object} Returns the last response returned by the server.
 	 */
 
@@ -470,6 +873,8 @@ let FlAPIService = FlClassManager.make_class({
 	 * @ngdoc property
 	 * @name FlAPIService#error
 	 * @description Getter for the last error returned by the server.
+	 *  As for {@sref FlAPIService#response}, this is the error from whichever request completed
+	 *  last.
 	 * @return {Object} Returns the last error returned by the server.
 	 */
 
@@ -491,6 +896,10 @@ let FlAPIService = FlClassManager.make_class({
 	 *  The setter takes a hash with the same two key/value pairs, the string `'init'`, or
 	 *  `null`; a value of `'init'` sets the default control values; any other value
 	 *  (including  *null*) disables use of the pagination controls.
+	 *
+	 *  The pagination controls are shared by all callers of {@sref FlAPIService#index} on the
+	 *  service, and are kept for compatibility; clients that share a service should page through
+	 *  results with an {@sref FlAPIPaginator} instead (see {@sref FlAPIService#paginator}).
 	 */
 
 	pagination_controls: {
@@ -554,6 +963,19 @@ let FlAPIService = FlClassManager.make_class({
 	    {
 		this._srv_cfg = _.merge(this._srv_cfg, srv_cfg);
 	    }
+
+	    if (replace || (_.isObject(srv_cfg) && _.has(srv_cfg, 'xsrfToken')))
+	    {
+		this._rotated_xsrf_token = null;
+	    }
+	    if (replace || (_.isObject(srv_cfg) && _.has(srv_cfg, 'cache')))
+	    {
+		this._response_cache = FlAPIResponseCache.create(this._srv_cfg.cache);
+	    }
+	    if (replace || (_.isObject(srv_cfg) && _.has(srv_cfg, 'outbox')))
+	    {
+		this._outbox = FlAPIOutbox.create(this._srv_cfg.outbox);
+	    }
 	},
 
 	/**
@@ -610,31 +1032,64 @@ let FlAPIService = FlClassManager.make_class({
 	 * @name FlAPIService#get
 	 * @description Execute a `GET` method.
 	 *  This method is more or less a straight passthrough to the Axios `get` method.
+	 *  If the **dedupe** configuration property is `true`, and an identical request is already
+	 *  in flight, no new request is made: the method returns the promise
+	 *  for the pending request. See {@sref FlAPIService#_dedupe_key}.
+	 *  If the service has a response cache, the request is made conditional on the cached
+	 *  validators, and a 304 response resolves with the cached data; see
+	 *  {@sref FlAPIService#_cache_response}.
 	 *
 	 * @param {String} url The target URL.
 	 * @param {Object} [config] Configuration object to pass to the Axios `get` method; this object
 	 *  is merged into the default HTTP configuration object.
 	 *
 	 * @return {Promise} Returns a promise that resolves or rejects based on the return value
-	 *  from the Axios `get` method.
+	 *  from the Axios `get` method; on error, the promise rejects with an {@sref FlAPIError}.
+	 *  Deduplicated calls return the same promise.
 	 *  The error and response objects are also saved in the {@sref FlAPIService#error} and 
 	 *  {@sref FlAPIService#response} properties, respectively.
 	 */
 
 	get: function(url, config) {
 	    let self = this;
+	    let cfg = this._make_config(config);
+	    let key = this._dedupe_key('get', url, cfg);
+
+	    if (!_.isNil(key) && this._inflight[key]) return this._inflight[key];
+
+	    let cache = (cfg.cache === false) ? null : this._response_cache;
+	    let ckey = (_.isNil(cache)) ? null : this._request_key(url, cfg);
+	    let entry = (_.isNil(cache)) ? null : cache.lookup(ckey);
 
-	    return this._http_service.get(url, this._make_config(config))
+	    if (!_.isNil(entry))
+	    {
+		_.merge(cfg, { headers: cache.conditional_headers(entry) });
+	    }
+
+	    let rid = this._begin_request(cfg);
+	    let req = this._send('get', url, undefined, config, cfg);
+	    if (!_.isNil(cache)) req = this._cache_response(cache, ckey, entry, req);
+
+	    let p = req
 		.then(function(r) {
+		    self._end_request(rid);
+		    if (!_.isNil(key)) delete self._inflight[key];
  		    self._error = null;
 		    self._response = r;
 		    return Promise.resolve(r);
 		})
 		.catch(function(e) {
-		    self._error = e;
-		    self._response = e.response;
-		    return Promise.reject(e);
+		    let err = FlAPIError.create(e);
+
+		    self._end_request(rid);
+		    if (!_.isNil(key)) delete self._inflight[key];
+		    self._error = err;
+		    self._response = err.response;
+		    return Promise.reject(err);
 		});
+
+	    if (!_.isNil(key)) this._inflight[key] = p;
+	    return p;
 	},
 
 	/**
@@ -644,7 +1099,7 @@ let FlAPIService = FlClassManager.make_class({
 	 *  The actual call is to {@sref FlAPIService#process}, which then dispatches to the
 	 *  Axios `post` method. As a consequence, the special processing implemented by
 	 *  {@sref FlAPIService#process} is triggered; for example, the XSRF header is added to the
-	 *  headers list if the **xsrfToken** configuration property is non-nil.
+	 *  headers list if an XSRF token is available (see {@sref FlAPIService#currentXsrfToken}).
 	 *
 	 * @param {String} url The target URL.
 	 * @param {Object} data The data to submit to the server; note that, differently from the "action"
@@ -669,7 +1124,7 @@ let FlAPIService = FlClassManager.make_class({
 	 *  The actual call is to {@sref FlAPIService#process}, which then dispatches to the
 	 *  Axios `put` method. As a consequence, the special processing implemented by
 	 *  {@sref FlAPIService#process} is triggered; for example, the XSRF header is added to the
-	 *  headers list if the **xsrfToken** configuration property is non-nil.
+	 *  headers list if an XSRF token is available (see {@sref FlAPIService#currentXsrfToken}).
 	 *
 	 * @param {String} url The target URL.
 	 * @param {Object} data The data to submit to the server; note that, differently from the "action"
@@ -694,7 +1149,7 @@ let FlAPIService = FlClassManager.make_class({
 	 *  The actual call is to {@sref FlAPIService#process}, which then dispatches to the
 	 *  Axios `patch` method. As a consequence, the special processing implemented by
 	 *  {@sref FlAPIService#process} is triggered; for example, the XSRF header is added to the
-	 *  headers list if the **xsrfToken** configuration property is non-nil.
+	 *  headers list if an XSRF token is available (see {@sref FlAPIService#currentXsrfToken}).
 	 *
 	 * @param {String} url The target URL.
 	 * @param {Object} data The data to submit to the server; note that, differently from the "action"
@@ -719,7 +1174,7 @@ let FlAPIService = FlClassManager.make_class({
 	 *  The actual call is to {@sref FlAPIService#process}, which then dispatches to the
 	 *  Axios `delete` method. As a consequence, the special processing implemented by
 	 *  {@sref FlAPIService#process} is triggered; for example, the XSRF header is added to the
-	 *  headers list if the **xsrfToken** configuration property is non-nil.
+	 *  headers list if an XSRF token is available (see {@sref FlAPIService#currentXsrfToken}).
 	 *
 	 * @param {String} url The target URL.
 	 * @param {Object} [data] Data to send; this is typically an empty object.
@@ -727,7 +1182,7 @@ let FlAPIService = FlClassManager.make_class({
 	 *  merged into the default HTTP configuration.
 	 *
 	 * @return On success, returns a resolved promise containing the response data.
-	 *  On error, returns a rejected promise containing the response.
+	 *  On error, returns a rejected promise containing an {@sref FlAPIError}.
 	 *  In all cases, the response object is also saved int the {@sref FlAPIService#response}
 	 *  property.
 	 */
@@ -747,240 +1202,1098 @@ let FlAPIService = FlClassManager.make_class({
 	 *  is merged into the default HTTP configuration object.
 	 *
 	 * @return {Promise} Returns a promise that resolves or rejects based on the return value
-	 *  from the Axios `head` method.
+	 *  from the Axios `head` method; on error, the promise rejects with an {@sref FlAPIError}.
 	 *  The error and response objects are also saved in the {@sref FlAPIService#error} and 
 	 *  {@sref FlAPIService#response} properties, respectively.
 	 */
 
 	head: function(url, config) {
 	    let self = this;
+	    let cfg = this._make_config(config);
+	    let rid = this._begin_request(cfg);
 	    
-	    return this._http_service.head(url, this._make_config(config))
+	    return this._send('head', url, undefined, config, cfg)
 		.then(function(r) {
+		    self._end_request(rid);
 		    self._error = null;
 		    self._response = r;
 		    return Promise.resolve(r);
 		})
 		.catch(function(e) {
-		    self._error = e;
-		    self._response = e.response;
-		    return Promise.reject(e);
+		    let err = FlAPIError.create(e);
+
+		    self._end_request(rid);
+		    self._error = err;
+		    self._response = err.response;
+		    return Promise.reject(err);
 		});
 	},
 
 	/**
 	 * @ngdoc method
-	 * @name FlAPIService#index
-	 * @description Make an :index call by calling `axios.get` against the root URL.
+	 * @name FlAPIService#cancelAll
+	 * @description Cancel all pending requests.
+	 *  The promises for the cancelled requests reject with a {@sref FlCancellationError}.
 	 *
-	 * @param {Object} [params] Parameters to pass in the request; the contents of this object are
-	 *  merged into *config.params*, and eventually make their way to the query string.
-	 * @param {Object} [config] Configuration object to pass to `axios.get`; this object is
-	 *  merged into the default HTTP configuration object.
+	 * @param {String} [message] The message to place in the cancellation errors.
 	 *
-	 * @return On success, returns a resolved promise containing the response data converted
-	 *  to an array of model objects.
-	 *  On error, returns a promise that rejects with the value
-	 *  from the {@sref FlAPIService#get} method.
-	 *  The error and response objects are also saved in the {@sref FlAPIService#error} and 
-	 *  {@sref FlAPIService#response} properties, respectively.
+	 * @return {Integer} Returns the number of requests that were cancelled.
 	 */
 
-	index: function(params, config) {
-	    let self = this;
+	cancelAll: function(message) {
+	    let msg = (_.isString(message)) ? message : 'request cancelled';
+	    let requests = _.values(this._requests);
 
-	    return this.get(this.url_path_for('index'), this._make_index_config(params, config))
-		.then(function(r) {
-		    self._set_pagination_controls(r);
-		    return Promise.resolve(self.modelFactory.create(self.response_data(r)));
-		})
-		.catch(function(e) {
-		    return Promise.reject(e);
-		});
+	    _.forEach(requests, function(req) {
+		req.source.cancel(msg);
+	    });
+
+	    return requests.length;
 	},
-	
+
 	/**
 	 * @ngdoc method
-	 * @name FlAPIService#setShowDidSucceed
-	 * @description Register a callback for the :show action.
-	 *  This function is called on a successful :show action; it takes one argument, the
-	 *  model object created from the response from the `axios.get` call.
+	 * @name FlAPIService#_begin_request
+	 * @description Register a request with the service.
+	 *  This method installs a cancel token in *cfg*, so that the request can be cancelled by
+	 *  {@sref FlAPIService#cancelAll}; it also arranges for the request to be cancelled if the
+	 *  **signal** or **cancelToken** properties in *cfg* fire.
+	 *  The **signal** property is removed from *cfg*, since the cancel token takes its place.
 	 *
-	 * @param {Function} cb A function that will be installed as the :show callback.
-	 *  Set it to `null` to disable it (this is the default value).
-	 *  This function can modify the model object before it is returned by the :show action.
+	 * @param {Object} cfg The Axios configuration for the request; this object is modified.
+	 *
+	 * @return {Integer} Returns the request identifier to pass to {@sref FlAPIService#_end_request}.
 	 */
 
-	setShowDidSucceed: function(cb) {
-	    this._showDidSucceed = cb;
+	_begin_request: function(cfg) {
+	    let rid = ++this._request_seq;
+	    let source = axios.CancelToken.source();
+	    let req = { source: source, signal: cfg.signal, onabort: null };
+
+	    if (_.isObject(cfg.signal))
+	    {
+		if (cfg.signal.aborted)
+		{
+		    source.cancel('request aborted');
+		}
+		else if (_.isFunction(cfg.signal.addEventListener))
+		{
+		    req.onabort = function() { source.cancel('request aborted'); };
+		    cfg.signal.addEventListener('abort', req.onabort);
+		}
+	    }
+	    delete cfg.signal;
+
+	    if (_.isObject(cfg.cancelToken) && _.isObject(cfg.cancelToken.promise))
+	    {
+		cfg.cancelToken.promise.then(function(c) {
+		    source.cancel((_.isObject(c) && _.isString(c.message)) ? c.message : 'request cancelled');
+		});
+	    }
+	    cfg.cancelToken = source.token;
+
+	    this._requests[rid] = req;
+	    return rid;
 	},
 
 	/**
 	 * @ngdoc method
-	 * @name FlAPIService#_create_or_refresh_from_id
-	 * @description Refresh an existing model instance, or create a new one.
-	 *  This (internal) method is used in action implementation where the API returns object data,
-	 *  such as for the `show` and `update` actions.
-	 *  If those implementations are called with a model instance in the *id* parameter, then the
-	 *  client has provided the target instance explicitly, and the implementation should use it.
-	 *  Since model instances are cached, this only makes a difference if the target instance had
-	 *  been created explicitly, rather than via the {@sref FlModelFactory#create} method: in this case,
-	 *  the instance may not be cached, and using `create` would result in two copies of the
-	 *  object floating around in the system. Use of this method helps avoiding that kind of problem.
-	 *
-	 * @param {Integer|String|Object} id A string or integer containing the identifier, or a model
-	 *  instance from which the identifier is obtained.
-	 * @param {Object} data The model data to use for the refresh or create.
+	 * @name FlAPIService#_end_request
+	 * @description Unregister a request that was registered by {@sref FlAPIService#_begin_request}.
 	 *
-	 * @return Returns the object that was refreshed: if *id* is an identifier, it returns the
-	 *  object that was created by a call to {@sref FlModelFactory#create}; if it is a model instance,
-	 *  it returns *id*.
+	 * @param {Integer} rid The request identifier.
 	 */
 
-	_create_or_refresh_from_id: function(id, data) {
-	    if (!_.isNil(id.__class) && _.isFunction(id.refresh))
-	    {
-		// This looks like a model instance, so just refresh it.
+	_end_request: function(rid) {
+	    let req = this._requests[rid];
 
-		id.refresh(data);
-		return id;
-	    }
-	    else
+	    if (req)
 	    {
-		return this.modelFactory.create(data);
+		if (req.onabort) req.signal.removeEventListener('abort', req.onabort);
+		delete this._requests[rid];
 	    }
 	},
 
 	/**
 	 * @ngdoc method
-	 * @name FlAPIService#show
-	 * @description Make a :show call by calling `axios.get` against the root URL/:id.
+	 * @name FlAPIService#_dedupe_key
+	 * @description Generate the deduplication key for a request.
+	 *  The key is built from the method, the URL, the request parameters, and the configuration
+	 *  properties that shape the request, like **headers**, **timeout**, **responseType**, and
+	 *  **retry** (serialized so that the order of the keys is not significant). Requests with
+	 *  the same key that are in flight at the same time are coalesced.
 	 *
-	 * @param {Integer|String|Object} id A string or integer containing the identifier to append to
-	 *  the root URL. You can also pass an object with an `id` property, whose value will be used
-	 *  for the identifier; this makes it possible to pass model instances to the method.
-	 * @param {Object} [params] Parameters to pass in the request; the contents of this object are
-	 *  merged into *config.params*, and eventually make their way to the query string.
-	 * @param {Object} [config] Configuration object to pass to `axios.get`; this object is
-	 *  merged into the default HTTP configuration.
+	 * @param {String} method The (lowercase) HTTP method.
+	 * @param {String} url The target URL.
+	 * @param {Object} cfg The Axios configuration for the request.
 	 *
-	 * @return On success, returns a resolved promise containing the response data converted to a
-	 *  model object.
-	 *  On error, returns a promise that rejects with the value
-	 *  from the {@sref FlAPIService#get} method.
-	 *  The error and response objects are also saved in the {@sref FlAPIService#error} and 
-	 *  {@sref FlAPIService#response} properties, respectively.
+	 * @return {String} Returns the key; if the request should not be deduplicated (the
+	 *  **dedupe** property in *cfg* is not `true`, or *cfg* contains a **signal** or
+	 *  **cancelToken**), returns `null`.
 	 */
 
-	show: function(id, params, config) {
-	    let self = this;
-	    return this.get(this.url_path_for('show', id), this._make_get_config(params, config))
-		.then(function(r) {
-		    let model = self._create_or_refresh_from_id(id, self.response_data(r));
+	_dedupe_key: function(method, url, cfg) {
+	    if (cfg.dedupe != true) return null;
+	    if (!_.isNil(cfg.signal) || !_.isNil(cfg.cancelToken)) return null;
 
-		    if (_.isFunction(self._showDidSucceed))
-		    {
-			self._showDidSucceed.call(self, model);
-		    }
-		    return Promise.resolve(model);
-		})
-		.catch(function(e) {
-		    return Promise.reject(e);
-		});
+	    let options = stable_stringify(_.pick(cfg, DEDUPE_CONFIG_KEYS));
+	    return method + ' ' + this._request_key(url, cfg) + ' ' + options;
 	},
 
 	/**
 	 * @ngdoc method
-	 * @name FlAPIService#process
-	 * @description Make a processing call; this is the method that the high level
-	 *  processing methods (**create**, **update**, **delete**) call.
-	 *  A processing call causes the state of the server to change: a :create, :update, or
-	 *  :destroy call (which are executed via a `POST`, `PATCH`, or `DELETE` method,
-	 *  respectively). The `PUT` method is also supported, althoug the Rails API uses `PATCH`
-	 *  now for updates.
+	 * @name FlAPIService#_request_key
+	 * @description Generate a key that identifies the target of a request.
+	 *  The key is built from the base URL, the URL, and the request parameters (serialized so
+	 *  that the order of the keys is not significant).
 	 *
-	 *  If the **xsrfToken** property is defined, an XSRF header is generated.
-	 *  The method also checks if the _data_ contain file objects, and if so sets up the `axios`
-	 *  service to submit data in multipart form.
-	 *
-	 * @param {String} method The method to use: `post`, `patch`, `put`, `delete`.
-	 * @param {String} url The URL of the server endpoint.
-	 * @param {Object} data The data to submit to the server; see above for a discussion of
-	 *  how the data are submitted.
-	 * @param {Object} [config] Configuration object to pass to axios.patch; this object is
-	 *  merged into the default HTTP configuration.
+	 * @param {String} url The target URL.
+	 * @param {Object} cfg The Axios configuration for the request.
 	 *
-	 * @return {Promise} Returns a promise that resolves or rejects based on the return value
-	 *  from the supported Axios processing methods.
-	 *  It also returns a rejected promise if *method* is not the name of a supported method.
-	 *  The error and response objects are also saved in the {@sref FlAPIService#error} and 
-	 *  {@sref FlAPIService#response} properties, respectively.
+	 * @return {String} Returns the key.
 	 */
 
-	process: function(method, url, data, config) {
-	    let self = this;
-	    let api_data = data;
-	    let cfg = this._make_config(config);
-	    let args;
-	    let um = method.toLowerCase();
+	_request_key: function(url, cfg) {
+	    let base = (_.isString(cfg.baseURL)) ? cfg.baseURL : '';
+	    return base + url + ' ' + stable_stringify(cfg.params);
+	},
 
-	    if (!_.isNil(self.xsrfToken))
-	    {
-		_.merge(cfg, { headers: { [self.xsrfHeaderName]: self.xsrfToken } });
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_cache_response
+	 * @description Connect a request to the response cache.
+	 *  Successful responses are stored in the cache (if they contain validators); a 304
+	 *  response for a request that was made conditional on *entry* is converted to a response
+	 *  that contains the cached data.
+	 *
+	 * @param {FlAPIResponseCache} cache The response cache.
+	 * @param {String} key The cache key for the request.
+	 * @param {Object} entry The cache entry that was used to make the request conditional;
+	 *  `null` if the request was not conditional.
+	 * @param {Promise} p The promise for the request.
+	 *
+	 * @return {Promise} Returns a promise that resolves with the response, or rejects with the
+	 *  error from *p*.
+	 */
+
+	_cache_response: function(cache, key, entry, p) {
+	    return p.then(function(r) {
+		cache.store(key, r);
+		return Promise.resolve(r);
+	    }, function(e) {
+		if (!_.isNil(entry) && (e.status == 304))
+		{
+		    return Promise.resolve(cache.revalidate(key, entry, e.response));
+		}
+
+		return Promise.reject(e);
+	    });
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_retry_policy
+	 * @description Get the retry policy for a request.
+	 *  The service's policy is in the **retry** property of the service configuration: `true`
+	 *  enables retries with the default policy, an object is merged into the default policy,
+	 *  and any other value disables retries. The policy contains the following properties:
+	 *  - **maxAttempts** The maximum number of attempts, including the first one. Defaults to 3.
+	 *  - **baseDelay** The delay before the first retry, in milliseconds. Defaults to 200.
+	 *  - **factor** The exponential backoff factor: the delay before retry *n* is
+	 *    `baseDelay * factor^(n - 1)`. Defaults to 2.
+	 *  - **maxDelay** The maximum delay between attempts, in milliseconds. Defaults to 10000.
+	 *  - **jitter** The fraction of the delay that is randomized: a value of 0.2 places the actual
+	 *    delay anywhere between 80% and 120% of the computed one. Defaults to 0.2.
+	 *  - **statuses** An array containing the HTTP status codes that trigger a retry.
+	 *    Defaults to `[ 408, 429, 502, 503, 504 ]`.
+	 *  - **networkErrors** If `true`, failures without a response (see {@sref FlNetworkError})
+	 *    also trigger a retry. Defaults to `true`.
+	 *  - **retryAfter** If `true`, and the response contains a `Retry-After` header, the delay
+	 *    is taken from the header (but still limited by **maxDelay**). Defaults to `true`.
+	 *  - **methods** An array containing the (lowercase) HTTP methods to which the policy applies.
+	 *    Defaults to the idempotent methods `[ 'get', 'head', 'put', 'delete' ]`.
+	 *  - **onAttempt** A function that is called at the end of each attempt; see below.
+	 *    Defaults to `null`.
+	 *
+	 *  The **retry** property in the *config* argument to the network call methods overrides the
+	 *  service policy for a single call: `false` disables retries, and `true` or an object (which
+	 *  is merged into the service policy) enables them, even if the method is not listed in
+	 *  **methods**. This is how retries are enabled for non-idempotent requests like `POST` and
+	 *  `PATCH`:
+	 *  ```
+	 *  srv.create(data, { retry: true });
+	 *  ```
+	 *
+	 *  The **onAttempt** hook is called with one argument, an object containing the properties
+	 *  **method**, **url**, **attempt** (the 1-based attempt number), **error** (the
+	 *  {@sref FlAPIError} for a failed attempt, `null` otherwise), **response**, and **delay**
+	 *  (the delay before the next attempt, or `null` if no more attempts will be made).
+	 *  An exception thrown by the hook is not treated as a failed attempt, and does not trigger a
+	 *  retry; the request rejects with the exception.
+	 *
+	 * @param {String} method The (lowercase) HTTP method.
+	 * @param {Object} [config] The *config* argument to the network call method.
+	 *
+	 * @return {Object|null} Returns the policy to use; if retries are disabled for the service and
+	 *  for the call, returns `null`. If the service has a policy, but it does not apply to the
+	 *  request, the return value is the policy with **maxAttempts** set to 1, so that the
+	 *  **onAttempt** hook is still called.
+	 */
+
+	_retry_policy: function(method, config) {
+	    let srv_retry = this._srv_cfg.retry;
+	    let call_retry = (_.isObject(config)) ? config.retry : undefined;
+	    let policy = null;
+
+	    if (srv_retry === true)
+	    {
+		policy = _.assign({ }, DEFAULT_RETRY_POLICY);
 	    }
+	    else if (_.isObject(srv_retry))
+	    {
+		policy = _.assign({ }, DEFAULT_RETRY_POLICY, srv_retry);
+	    }
+
+	    if (call_retry === false)
+	    {
+		return (_.isNil(policy)) ? null : _.assign(policy, { maxAttempts: 1 });
+	    }
+	    else if (call_retry === true)
+	    {
+		return (_.isNil(policy)) ? _.assign({ }, DEFAULT_RETRY_POLICY) : policy;
+	    }
+	    else if (_.isObject(call_retry))
+	    {
+		return _.assign({ }, (_.isNil(policy)) ? DEFAULT_RETRY_POLICY : policy, call_retry);
+	    }
+	    else if (!_.isNil(policy) && !_.includes(policy.methods, method))
+	    {
+		policy.maxAttempts = 1;
+	    }
+
+	    return policy;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_retry_delay
+	 * @description Compute the delay before the next attempt.
+	 *
+	 * @param {Object} policy The retry policy.
+	 * @param {Integer} attempt The 1-based number of the attempt that failed.
+	 * @param {FlAPIError} err The error from the failed attempt.
+	 *
+	 * @return {Number|null} Returns the delay in milliseconds; returns `null` if the request
+	 *  should not be retried.
+	 */
+
+	_retry_delay: function(policy, attempt, err) {
+	    if (attempt >= policy.maxAttempts) return null;
+	    if (err instanceof FlCancellationError) return null;
+
+	    if (err instanceof FlNetworkError)
+	    {
+		if (!policy.networkErrors) return null;
+	    }
+	    else if (!_.includes(policy.statuses, err.status))
+	    {
+		return null;
+	    }
+
+	    if (policy.retryAfter && _.isObject(err.response) && _.isObject(err.response.headers))
+	    {
+		let ra = err.response.headers['retry-after'];
+		if (!_.isNil(ra))
+		{
+		    let ms = (/^\s*\d+\s*$/.test(String(ra))) ? (Number(ra) * 1000) : (Date.parse(ra) - Date.now());
+		    if (!_.isNaN(ms)) return _.clamp(ms, 0, policy.maxDelay);
+		}
+	    }
+
+	    let delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(policy.factor, attempt - 1));
+	    if (policy.jitter > 0)
+	    {
+		delay = delay * (1 + (policy.jitter * ((2 * Math.random()) - 1)));
+	    }
+
+	    return Math.max(0, Math.round(delay));
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_retry_wait
+	 * @description Wait before retrying a request.
+	 *
+	 * @param {Number} delay The delay in milliseconds.
+	 * @param {Object} [token] The request's cancel token; if the request is cancelled while
+	 *  waiting, the wait is interrupted.
+	 *
+	 * @return {Promise} Returns a promise that resolves after *delay*, or rejects with a
+	 *  {@sref FlCancellationError} if the request is cancelled.
+	 */
+
+	_retry_wait: function(delay, token) {
+	    if (_.isObject(token) && !_.isNil(token.reason)) return Promise.reject(FlAPIError.create(token.reason));
+
+	    return new Promise(function(resolve, reject) {
+		let timer = setTimeout(resolve, delay);
+
+		if (_.isObject(token) && _.isObject(token.promise))
+		{
+		    token.promise.then(function(c) {
+			clearTimeout(timer);
+			reject(FlAPIError.create(c));
+		    });
+		}
+	    });
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_send
+	 * @description Submit a request, retrying it as described by the retry policy.
+	 *  See {@sref FlAPIService#_retry_policy}.
+	 *
+	 *  Each attempt is authenticated and run through the middleware chain; see
+	 *  {@sref FlAPIService#_authorize}.
+	 *
+	 * @param {String} method The (lowercase) HTTP method.
+	 * @param {String} url The target URL.
+	 * @param {Object} data The data to submit; `undefined` for methods that don't submit data.
+	 * @param {Object} config The *config* argument to the network call method.
+	 * @param {Object} cfg The Axios configuration for the request.
+	 *
+	 * @return {Promise} Returns a promise that resolves with the response from the last attempt,
+	 *  or rejects with the {@sref FlAPIError} from the last attempt.
+	 */
+
+	_send: function(method, url, data, config, cfg) {
+	    let self = this;
+	    let policy = this._retry_policy(method, config);
+	    let auth = (_.isObject(config) && (config.authProvider === false)) ? null : this.authProvider;
+	    let notify = function(info) {
+		if (!_.isNil(policy) && _.isFunction(policy.onAttempt))
+		{
+		    policy.onAttempt.call(self, _.assign({ method: method, url: url }, info));
+		}
+	    };
+	    let attempt = function(n) {
+		let ctx = {
+		    service: self,
+		    method: method,
+		    url: url,
+		    data: data,
+		    config: _.merge({ }, cfg),
+		    attempt: n
+		};
+
+		// the hook runs outside of the failure handler, so that an exception it throws is not
+		// treated as a failed request (and retried)
+
+		return self._authorize(auth, ctx)
+		    .then(function(r) {
+			notify({ attempt: n, error: null, response: r, delay: null });
+			return Promise.resolve(r);
+		    }, function(e) {
+			let err = FlAPIError.create(e);
+			let delay = (_.isNil(policy)) ? null : self._retry_delay(policy, n, err);
+
+			notify({ attempt: n, error: err, response: err.response, delay: delay });
+			if (_.isNil(delay)) return Promise.reject(err);
+
+			return self._retry_wait(delay, cfg.cancelToken)
+			    .then(function() {
+				return attempt(n + 1);
+			    });
+		    });
+	    };
+
+	    delete cfg.retry;
+	    delete cfg.dedupe;
+	    delete cfg.cache;
+	    delete cfg.outbox;
+	    delete cfg.optimistic;
+	    delete cfg.authProvider;
+	    delete cfg.validate;
+	    delete cfg.withResult;
+	    return attempt(1);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_authorize
+	 * @description Run an authenticated request through the middleware chain.
+	 *  The headers from the authentication provider and the XSRF header (see
+	 *  {@sref FlAPIService#_add_xsrf_header}) are merged into the request configuration, and
+	 *  the request is run through {@sref FlAPIService#_run_middleware}. If the request fails
+	 *  with a 401 status, and the provider refreshes its credentials, the request is retried
+	 *  once with the new headers.
+	 *
+	 * @param {Object} auth The authentication provider; if `null`, the request is not
+	 *  authenticated.
+	 * @param {Object} ctx The request context; see {@sref FlAPIService.use}.
+	 *
+	 * @return {Promise} Returns a promise that resolves with the response, or rejects with an
+	 *  {@sref FlAPIError}.
+	 */
+
+	_authorize: function(auth, ctx) {
+	    let self = this;
+
+	    if (_.isNil(auth))
+	    {
+		this._add_xsrf_header(ctx);
+		return this._run_middleware(ctx);
+	    }
+
+	    let run = function(refreshed) {
+		return Promise.resolve()
+		    .then(function() {
+			return auth.headers(ctx);
+		    })
+		    .then(function(h) {
+			if (_.isObject(h)) ctx.config.headers = _.merge({ }, ctx.config.headers, h);
+			self._add_xsrf_header(ctx);
+			return self._run_middleware(ctx);
+		    })
+		    .catch(function(e) {
+			let err = FlAPIError.create(e);
+
+			if (refreshed || (err.status != 401) || !_.isFunction(auth.refresh)) return Promise.reject(err);
+
+			return Promise.resolve(auth.refresh(err))
+			    .then(function(ok) {
+				return (ok) ? run(true) : Promise.reject(err);
+			    });
+		    });
+	    };
+
+	    return run(false);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_add_xsrf_header
+	 * @description Add the XSRF header to the configuration of a processing request.
+	 *  This is called at each attempt, so that a retry picks up a token rotated by the response
+	 *  to the previous attempt. Requests that are not processing calls are not modified.
+	 *
+	 * @param {Object} ctx The request context; see {@sref FlAPIService.use}.
+	 */
+
+	_add_xsrf_header: function(ctx) {
+	    if (!_.includes(PROCESS_METHODS, ctx.method)) return;
+
+	    let xsrf = this.currentXsrfToken();
+	    if (!_.isNil(xsrf))
+	    {
+		ctx.config.headers = _.merge({ }, ctx.config.headers, { [this.xsrfHeaderName]: xsrf });
+	    }
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#use
+	 * @description Register a middleware function with this service instance.
+	 *  Instance middleware runs after the middleware registered with the class method
+	 *  {@sref FlAPIService.use}; see there for a description of middleware functions.
+	 *
+	 * @param {Function} mw The middleware function.
+	 *
+	 * @return {FlAPIService} Returns the service, so that calls can be chained.
+	 */
+
+	use: function(mw) {
+	    if (_.isFunction(mw)) this._middleware.push(mw);
+	    return this;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#unuse
+	 * @description Remove a middleware function from this service instance.
+	 *
+	 * @param {Function} mw The middleware function, as passed to {@sref FlAPIService#use}.
+	 *
+	 * @return {FlAPIService} Returns the service.
+	 */
+
+	unuse: function(mw) {
+	    _.pull(this._middleware, mw);
+	    return this;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_run_middleware
+	 * @description Run a request through the middleware chain.
+	 *  The chain contains the class middleware, followed by the instance middleware; the last
+	 *  link in the chain is {@sref FlAPIService#_dispatch}.
+	 *
+	 * @param {Object} ctx The request context; see {@sref FlAPIService.use}.
+	 *
+	 * @return {Promise} Returns a promise that resolves with the response, or rejects with the
+	 *  error.
+	 */
+
+	_run_middleware: function(ctx) {
+	    let self = this;
+	    let chain = _.concat(FlAPIService._middleware, this._middleware);
+	    let run = function(idx) {
+		if (idx >= chain.length) return self._dispatch(ctx);
+
+		try
+		{
+		    return Promise.resolve(chain[idx].call(self, ctx, function() { return run(idx + 1); }));
+		}
+		catch (x)
+		{
+		    return Promise.reject(x);
+		}
+	    };
+
+	    return run(0);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_dispatch
+	 * @description Submit a request to Axios.
+	 *  This is the last link in the middleware chain. If the request data contain file objects,
+	 *  the data are converted to multipart form before the submission. A rotated XSRF token in
+	 *  the response is stored; see {@sref FlAPIService#_update_xsrf_token}.
+	 *
+	 * @param {Object} ctx The request context; see {@sref FlAPIService.use}.
+	 *
+	 * @return {Promise} Returns a promise that resolves with the response from Axios, or rejects
+	 *  with an {@sref FlAPIError}.
+	 */
+
+	_dispatch: function(ctx) {
+	    let self = this;
+	    let h = this._http_service;
+	    let p;
+
+	    if ((ctx.method == 'post') || (ctx.method == 'patch') || (ctx.method == 'put'))
+	    {
+		let api_data = ctx.data;
+
+		if (this._has_file_item(api_data))
+		{
+		    this._add_content_type(ctx.config, undefined);
+		    let flat = { };
+		    this._flatten_data(api_data, flat, '');
+		    api_data = this._form_data(flat);
+		}
+
+		p = h[ctx.method](ctx.url, api_data, ctx.config);
+	    }
+	    else
+	    {
+		p = h[ctx.method](ctx.url, ctx.config);
+	    }
+
+	    return p
+		.then(function(r) {
+		    self._update_xsrf_token(r);
+		    return Promise.resolve(r);
+		})
+		.catch(function(e) {
+		    if (_.isObject(e) && !(e instanceof FlAPIError)) self._update_xsrf_token(e.response);
+		    return Promise.reject(FlAPIError.create(e));
+		});
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#currentXsrfToken
+	 * @description Get the XSRF token to send with processing calls.
+	 *  The token is, in order of preference: the last token rotated by the server (see
+	 *  {@sref FlAPIService#_update_xsrf_token}), the value of the **xsrfToken** property, the
+	 *  value of the cookie named by **xsrfCookieName**, or the content of the `<meta>` tag named
+	 *  by **xsrfMetaName**. The cookie and the tag are available only if there is a `document`.
+	 *
+	 * @return {String} Returns the XSRF token; if none is available, returns `null`.
+	 */
+
+	currentXsrfToken: function() {
+	    if (!_.isNil(this._rotated_xsrf_token)) return this._rotated_xsrf_token;
+	    if (_.isString(this.xsrfToken) && (this.xsrfToken.length > 0)) return this.xsrfToken;
+
+	    let t = (_.isString(this.xsrfCookieName)) ? FlAPIHelpers.document_cookie(this.xsrfCookieName) : null;
+	    if (_.isNil(t) && _.isString(this.xsrfMetaName)) t = FlAPIHelpers.document_meta(this.xsrfMetaName);
+
+	    return t;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_update_xsrf_token
+	 * @description Pick up a rotated XSRF token from a response.
+	 *  If the response contains a header named by **xsrfHeaderName**, its value is stored as
+	 *  the rotated token, which takes precedence over the configured token and the XSRF cookie
+	 *  on later calls (see {@sref FlAPIService#currentXsrfToken}). The **xsrfToken** property
+	 *  is not modified.
+	 *
+	 * @param {Object} response The response object; may be `undefined` for requests that
+	 *  failed without a response.
+	 */
+
+	_update_xsrf_token: function(response) {
+	    if (!_.isObject(response)) return;
+
+	    let t = FlAPIHelpers.header(response.headers, this.xsrfHeaderName);
+	    if (_.isString(t) && (t.length > 0)) this._rotated_xsrf_token = t;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#query
+	 * @description Create a query builder.
+	 *  The return value can be passed to {@sref FlAPIService#index} in place of the parameters
+	 *  object:
+	 *  ```
+	 *  srv.index(srv.query().onlyOwners(user).order('updated_at DESC'))
+	 *  ```
+	 *
+	 * @param {Object} [q] Initial values for the query parameters.
+	 *
+	 * @return {FlAPIQuery} Returns a new instance of {@sref FlAPIQuery}.
+	 */
+
+	query: function(q) {
+	    return new FlAPIQuery(q);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#paginator
+	 * @description Create a paginator for the :index action.
+	 *  A paginator holds its own pagination state, so that multiple clients of a service can
+	 *  page through :index results concurrently without interfering with each other:
+	 *  ```
+	 *  let pgr = srv.paginator(srv.query().onlyOwners(user), { _pg: { _s: 10 } });
+	 *  pgr.next().then(function(items) { ... });
+	 *  ```
+	 *
+	 * @param {Object|FlAPIQuery} [params] Parameters to pass in the request; see
+	 *  {@sref FlAPIPaginator#constructor}.
+	 * @param {Object} [config] Configuration object to pass to `axios.get`.
+	 *
+	 * @return {FlAPIPaginator} Returns a new instance of {@sref FlAPIPaginator}.
+	 */
+
+	paginator: function(params, config) {
+	    return new FlAPIPaginator(this, params, config);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#pages
+	 * @description Iterate over all the pages of an :index call.
+	 *  The method returns an async iterable whose elements are arrays of model objects, one array
+	 *  per page:
+	 *  ```
+	 *  for await (const page of srv.pages({ _pg: { _s: 50 } })) {
+	 *    ...
+	 *  }
+	 *  ```
+	 *  The iterator starts from the pagination controls in *params*, merged into
+	 *  {@sref FlAPIService#initial_pagination_controls}, and follows the **_pg** controls returned by
+	 *  the server until a short (or empty) page comes back.
+	 *  Each iteration uses its own {@sref FlAPIPaginator}, so that the service's
+	 *  {@sref FlAPIService#pagination_controls} are not modified, and multiple iterations can
+	 *  run concurrently on the same service.
+	 *
+	 * @param {Object|FlAPIQuery} [params] Parameters to pass in the request; see
+	 *  {@sref FlAPIService#index}.
+	 * @param {Object} [config] Configuration object to pass to `axios.get`; this object is
+	 *  merged into the default HTTP configuration object.
+	 *
+	 * @return {Object} Returns an async iterable. If a request fails, the iterator's `next`
+	 *  method returns a promise that rejects with the value from the {@sref FlAPIService#get}
+	 *  method.
+	 */
+
+	pages: function(params, config) {
+	    let self = this;
+
+	    return {
+		[Symbol.asyncIterator]: function() {
+		    return new FlAPIPaginator(self, params, config)[Symbol.asyncIterator]();
+		}
+	    };
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#each
+	 * @description Iterate over all the objects returned by an :index call.
+	 *  The method returns an async iterable whose elements are model objects; it is built on top
+	 *  of {@sref FlAPIService#pages}, and loads pages as needed:
+	 *  ```
+	 *  for await (const item of srv.each(srv.query().onlyOwners(user))) {
+	 *    ...
+	 *  }
+	 *  ```
+	 *
+	 * @param {Object|FlAPIQuery} [params] Parameters to pass in the request; see
+	 *  {@sref FlAPIService#index}.
+	 * @param {Object} [config] Configuration object to pass to `axios.get`; this object is
+	 *  merged into the default HTTP configuration object.
+	 *
+	 * @return {Object} Returns an async iterable.
+	 */
+
+	each: function(params, config) {
+	    let pages = this.pages(params, config);
+
+	    return {
+		[Symbol.asyncIterator]: function() {
+		    let it = pages[Symbol.asyncIterator]();
+		    let buffer = [ ];
+
+		    let next = function() {
+			if (buffer.length > 0) return Promise.resolve({ done: false, value: buffer.shift() });
+
+			return it.next().then(function(r) {
+			    if (r.done) return r;
+
+			    buffer = r.value.slice();
+			    return next();
+			});
+		    };
+
+		    return {
+			next: next,
+
+			return: function(value) {
+			    buffer = [ ];
+			    return it.return(value);
+			}
+		    };
+		}
+	    };
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#index
+	 * @description Make an :index call by calling `axios.get` against the root URL.
+	 *
+	 * @param {Object|FlAPIQuery} [params] Parameters to pass in the request; the contents of this
+	 *  object are merged into *config.params*, and eventually make their way to the query string.
+	 *  If *params* is an {@sref FlAPIQuery}, or if its **_q** property is one, the query is
+	 *  converted to the **_q** submission parameter; see {@sref FlAPIService#_make_index_config}.
+	 *  If *params* is an {@sref FlAPIPaginator}, the call loads the paginator's next page (and
+	 *  *config* is ignored); in this case, the service's {@sref FlAPIService#pagination_controls}
+	 *  are not used or modified.
+	 *  Otherwise, the call uses and updates the service's pagination controls; this is kept for
+	 *  compatibility, and clients that share a service should use a paginator instead.
+	 * @param {Object} [config] Configuration object to pass to `axios.get`; this object is
+	 *  merged into the default HTTP configuration object.
+	 *
+	 * @return On success, returns a resolved promise containing the response data converted
+	 *  to an array of model objects.
+	 *  On error, returns a promise that rejects with the value
+	 *  from the {@sref FlAPIService#get} method; if the query in *params* contains conflicting
+	 *  filters, no request is made, and the promise rejects with a
+	 *  {@sref FlAPIQuery.ConflictingFilters}.
+	 *  If the **withResult** option is set, the promise resolves or rejects with an
+	 *  {@sref FlAPIResult} instead; see {@sref FlAPIService#_with_result}.
+	 *  The error and response objects are also saved in the {@sref FlAPIService#error} and 
+	 *  {@sref FlAPIService#response} properties, respectively.
+	 */
+
+	index: function(params, config) {
+	    let self = this;
+
+	    if (params instanceof FlAPIPaginator) return params.next();
+
+	    let cfg = null;
+	    try
+	    {
+		cfg = this._make_index_config(params, config);
+	    }
+	    catch (x)
+	    {
+		return this._reject_action(config, x);
+	    }
+
+	    return this.get(this.url_path_for('index'), cfg)
+		.then(function(r) {
+		    self._set_pagination_controls(r);
+		    return self._resolve_action(config, r, self.modelFactory.create(self.response_data(r)));
+		})
+		.catch(function(e) {
+		    return self._reject_action(config, e);
+		});
+	},
+	
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#setShowDidSucceed
+	 * @description Register a callback for the :show action.
+	 *  This function is called on a successful :show action; it takes one argument, the
+	 *  model object created from the response from the `axios.get` call.
+	 *
+	 * @param {Function} cb A function that will be installed as the :show callback.
+	 *  Set it to `null` to disable it (this is the default value).
+	 *  This function can modify the model object before it is returned by the :show action.
+	 */
+
+	setShowDidSucceed: function(cb) {
+	    this._showDidSucceed = cb;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#setOptimisticDidChange
+	 * @description Register a callback for optimistic updates.
+	 *  This function is called when an optimistic update changes the state of a model instance;
+	 *  it takes two arguments: the model instance, and a string describing the change:
+	 *  - `apply` when the changes have been applied, before the request is submitted.
+	 *  - `commit` when the request succeeded, and the model has been refreshed from the response.
+	 *  - `rollback` when the request failed, and the changes have been rolled back.
+	 *
+	 * @param {Function} cb A function that will be installed as the callback.
+	 *  Set it to `null` to disable it (this is the default value).
+	 */
+
+	setOptimisticDidChange: function(cb) {
+	    this._optimisticDidChange = cb;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_create_or_refresh_from_id
+	 * @description Refresh an existing model instance, or create a new one.
+	 *  This (internal) method is used in action implementation where the API returns object data,
+	 *  such as for the `show` and `update` actions.
+	 *  If those implementations are called with a model instance in the *id* parameter, then the
+	 *  client has provided the target instance explicitly, and the implementation should use it.
+	 *  Since model instances are cached, this only makes a difference if the target instance had
+	 *  been created explicitly, rather than via the {@sref FlModelFactory#create} method: in this case,
+	 *  the instance may not be cached, and using `create` would result in two copies of the
+	 *  object floating around in the system. Use of this method helps avoiding that kind of problem.
+	 *
+	 * @param {Integer|String|Object} id A string or integer containing the identifier, or a model
+	 *  instance from which the identifier is obtained.
+	 * @param {Object} data The model data to use for the refresh or create.
+	 *
+	 * @return Returns the object that was refreshed: if *id* is an identifier, it returns the
+	 *  object that was created by a call to {@sref FlModelFactory#create}; if it is a model instance,
+	 *  it returns *id*.
+	 */
+
+	_create_or_refresh_from_id: function(id, data) {
+	    if (!_.isNil(id.__class) && _.isFunction(id.refresh))
+	    {
+		// This looks like a model instance, so just refresh it.
+
+		id.refresh(data);
+		return id;
+	    }
+	    else
+	    {
+		return this.modelFactory.create(data);
+	    }
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#show
+	 * @description Make a :show call by calling `axios.get` against the root URL/:id.
+	 *
+	 * @param {Integer|String|Object} id A string or integer containing the identifier to append to
+	 *  the root URL. You can also pass an object with an `id` property, whose value will be used
+	 *  for the identifier; this makes it possible to pass model instances to the method.
+	 * @param {Object} [params] Parameters to pass in the request; the contents of this object are
+	 *  merged into *config.params*, and eventually make their way to the query string.
+	 * @param {Object} [config] Configuration object to pass to `axios.get`; this object is
+	 *  merged into the default HTTP configuration.
+	 *
+	 * @return On success, returns a resolved promise containing the response data converted to a
+	 *  model object.
+	 *  On error, returns a promise that rejects with the value
+	 *  from the {@sref FlAPIService#get} method.
+	 *  If the **withResult** option is set, the promise resolves or rejects with an
+	 *  {@sref FlAPIResult} instead; see {@sref FlAPIService#_with_result}.
+	 *  The error and response objects are also saved in the {@sref FlAPIService#error} and 
+	 *  {@sref FlAPIService#response} properties, respectively.
+	 */
+
+	show: function(id, params, config) {
+	    let self = this;
+	    return this.get(this.url_path_for('show', id), this._make_get_config(params, config))
+		.then(function(r) {
+		    let model = self._create_or_refresh_from_id(id, self.response_data(r));
+
+		    if (_.isFunction(self._showDidSucceed))
+		    {
+			self._showDidSucceed.call(self, model);
+		    }
+		    return self._resolve_action(config, r, model);
+		})
+		.catch(function(e) {
+		    return self._reject_action(config, e);
+		});
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#process
+	 * @description Make a processing call; this is the method that the high level
+	 *  processing methods (**create**, **update**, **delete**) call.
+	 *  A processing call causes the state of the server to change: a :create, :update, or
+	 *  :destroy call (which are executed via a `POST`, `PATCH`, or `DELETE` method,
+	 *  respectively). The `PUT` method is also supported, althoug the Rails API uses `PATCH`
+	 *  now for updates.
+	 *
+	 *  If an XSRF token is available (see {@sref FlAPIService#currentXsrfToken}), an XSRF header
+	 *  is generated at each attempt; see {@sref FlAPIService#_add_xsrf_header}.
+	 *  When the request is dispatched (after the middleware chain has run), the _data_ are
+	 *  checked for file objects, and if any are present the `axios` service is set up to submit
+	 *  data in multipart form; see {@sref FlAPIService#_dispatch}.
+	 *
+	 *  If the service has an outbox, the request may be queued for later replay instead; see
+	 *  {@sref FlAPIService#_queue_request}. Place `outbox: false` in *config* to disable queuing
+	 *  for a call.
+	 *
+	 * @param {String} method The method to use: `post`, `patch`, `put`, `delete`.
+	 * @param {String} url The URL of the server endpoint.
+	 * @param {Object} data The data to submit to the server; see above for a discussion of
+	 *  how the data are submitted.
+	 * @param {Object} [config] Configuration object to pass to axios.patch; this object is
+	 *  merged into the default HTTP configuration.
+	 *
+	 * @return {Promise} Returns a promise that resolves or rejects based on the return value
+	 *  from the supported Axios processing methods; on error, the promise rejects with an
+	 *  {@sref FlAPIError}.
+	 *  It also returns a rejected promise if *method* is not the name of a supported method.
+	 *  If the request was queued in the outbox, the promise rejects with a {@sref FlOfflineError}.
+	 *  The error and response objects are also saved in the {@sref FlAPIService#error} and 
+	 *  {@sref FlAPIService#response} properties, respectively.
+	 */
+
+	process: function(method, url, data, config) {
+	    let self = this;
+	    let cfg = this._make_config(config);
+	    let um = method.toLowerCase();
 
-	    if (self._has_file_item(api_data))
+	    if (!_.includes(PROCESS_METHODS, um))
 	    {
-		self._add_content_type(cfg, undefined);
-		let flat = { };
-		self._flatten_data(api_data, flat, '');
-		api_data = self._form_data(flat);
+		return Promise.reject(new FlAPIError('unsupported processing method: ' + method));
 	    }
 
-	    let m;
-	    if (um == 'post')
-	    {
-		m = this._http_service.post;
-		args = [ url, api_data, cfg ];
-	    }
-	    else if (um == 'patch')
-	    {
-		m = this._http_service.patch;
-		args = [ url, api_data, cfg ];
-	    }
-	    else if (um == 'put')
-	    {
-		m = this._http_service.put;
-		args = [ url, api_data, cfg ];
-	    }
-	    else if (um == 'delete')
-	    {
-		m = this._http_service.delete;
-		args = [ url, cfg ];
-	    }
-	    else
+	    let outbox = (_.isObject(config) && (config.outbox === false)) ? null : this._outbox;
+	    let queueable = !_.isNil(outbox) && !this._has_file_item(data);
+
+	    if (queueable && (!this._online || (outbox.size > 0)))
 	    {
-		m = null;
+		let err = this._queue_request(outbox, um, url, data, config, null);
+
+		self._error = err;
+		self._response = undefined;
+		return Promise.reject(err);
 	    }
 
-	    if (m)
-	    {
-		return m.apply(this._http_service, args)
-		    .then(function(r) {
-			self._error = null;
-			self._response = r;
-			return Promise.resolve(r);
-		    })
+	    let rid = this._begin_request(cfg);
+
+	    return this._send(um, url, data, config, cfg)
+		.then(function(r) {
+		    self._end_request(rid);
+		    self._error = null;
+		    self._response = r;
+		    return Promise.resolve(r);
+		})
+		.catch(function(e) {
+		    let err = FlAPIError.create(e);
+
+		    self._end_request(rid);
+		    if (queueable && (err instanceof FlNetworkError))
+		    {
+			self._online = false;
+			err = self._queue_request(outbox, um, url, data, config, err);
+		    }
+		    self._error = err;
+		    self._response = err.response;
+		    return Promise.reject(err);
+		});
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_queue_request
+	 * @description Place a mutation in the outbox.
+	 *
+	 * @param {FlAPIOutbox} outbox The outbox.
+	 * @param {String} method The (lowercase) HTTP method.
+	 * @param {String} url The target URL.
+	 * @param {Object} data The request data.
+	 * @param {Object} config The *config* argument to {@sref FlAPIService#process}.
+	 * @param {FlAPIError} cause The error that caused the request to be queued; `null` if the
+	 *  request was queued without being submitted.
+	 *
+	 * @return {FlOfflineError} Returns the error to reject with; its **entry** property contains
+	 *  the outbox entry.
+	 */
+
+	_queue_request: function(outbox, method, url, data, config, cause) {
+	    let entry = outbox.enqueue(method, url, data, config);
+
+	    return new FlOfflineError('request queued for replay', {
+		entry: entry,
+		cause: (_.isNil(cause)) ? undefined : cause
+	    });
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#setOnline
+	 * @description Set the online state of the service.
+	 *  When the service goes online, the outbox is replayed.
+	 *
+	 * @param {Boolean} online The new online state.
+	 *
+	 * @return {Promise} Returns a promise that resolves with the replay summary from
+	 *  {@sref FlAPIService#replay}; if *online* is `false`, or the outbox is empty, resolves
+	 *  with `null`.
+	 */
+
+	setOnline: function(online) {
+	    this._online = (online) ? true : false;
+
+	    if (!this._online || _.isNil(this._outbox) || (this._outbox.size < 1)) return Promise.resolve(null);
+	    return this.replay();
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#replay
+	 * @description Replay the outbox.
+	 *  The queued requests are submitted in order with {@sref FlAPIService#process}; see
+	 *  {@sref FlAPIOutbox#replay} for a description of how failures are handled. If a replayed
+	 *  request fails with a network error, the service goes offline again.
+	 *
+	 * @return {Promise} Returns a promise that resolves with the replay summary from
+	 *  {@sref FlAPIOutbox#replay}; if the service has no outbox, resolves with `null`.
+	 */
+
+	replay: function() {
+	    let self = this;
+
+	    if (_.isNil(this._outbox)) return Promise.resolve(null);
+
+	    return this._outbox.replay(function(entry) {
+		let cfg = _.merge({ }, entry.config, { outbox: false });
+
+		return self.process(entry.method, entry.url, entry.data, cfg)
 		    .catch(function(e) {
-			self._error = e;
-			self._response = e.response;
+			if (e instanceof FlNetworkError) self._online = false;
 			return Promise.reject(e);
 		    });
-	    }
-	    else
-	    {
-		return Promise.reject('unsupported processing method: ' + method);
-	    }
+	    });
 	},
 
 	/**
@@ -997,19 +2310,29 @@ let FlAPIService = FlClassManager.make_class({
 	 * @return On success, returns a resolved promise containing the response data.
 	 *  On error, returns a promise that rejects with the value
 	 *  from the {@sref FlAPIService#post} method.
+	 *  If the **withResult** option is set, the promise resolves or rejects with an
+	 *  {@sref FlAPIResult} instead; see {@sref FlAPIService#_with_result}.
 	 *  The error and response objects are also saved in the {@sref FlAPIService#error} and 
 	 *  {@sref FlAPIService#response} properties, respectively.
+	 *  If the data fail client-side validation, no request is made, and the promise rejects with a
+	 *  {@sref FlValidationError}; see {@sref FlAPIService#_validate_data}. The **details** of a
+	 *  validation error returned by the server are merged into a collection with the same shape
+	 *  as the client-side one, an array of messages for each attribute.
 	 */
 
 	create: function(data, config) {
 	    let self = this;
+	    let invalid = this._validate_data(null, data, config);
+	    if (!_.isNil(invalid)) return invalid;
 	    
 	    return this.post(this.url_path_for('create'), this._wrap_data(data), config)
 		.then(function(r) {
-		    return Promise.resolve(self.modelFactory.create(self.response_data(r)));
+		    return self._resolve_action(config, r, self.modelFactory.create(self.response_data(r)));
 		})
 		.catch(function(e) {
-		    return Promise.reject(e);
+		    if (e instanceof FlValidationError) e.details = FlValidators.merge_details(e.details);
+
+		    return self._reject_action(config, e);
 		});
 	},
 
@@ -1029,22 +2352,422 @@ let FlAPIService = FlClassManager.make_class({
 	 * @return On success, returns a resolved promise containing the response data.
 	 *  On error, returns a promise that rejects with the value
 	 *  from the {@sref FlAPIService#patch} method.
+	 *  If the **withResult** option is set, the promise resolves or rejects with an
+	 *  {@sref FlAPIResult} instead; see {@sref FlAPIService#_with_result}.
 	 *  The error and response objects are also saved in the {@sref FlAPIService#error} and 
 	 *  {@sref FlAPIService#response} properties, respectively.
+	 *  In optimistic mode, the changes are applied to the model before the request is submitted;
+	 *  see {@sref FlAPIService#_optimistic_apply}.
+	 *  If the data fail client-side validation, no request is made, and the promise rejects with a
+	 *  {@sref FlValidationError}; see {@sref FlAPIService#_validate_data}. Validation errors
+	 *  returned by the server are merged into the model's error collection, and a successful
+	 *  update clears it.
 	 */
 
 	update: function(id, data, config) {
 	    let self = this;
+	    let invalid = this._validate_data(id, data, config);
+	    if (!_.isNil(invalid)) return invalid;
+
+	    let opt = (this._optimistic(config)) ? this._optimistic_apply(id, data) : null;
 
 	    return this.patch(this.url_path_for('update', id), this._wrap_data(data), config)
 		.then(function(r) {
-		    return Promise.resolve(self._create_or_refresh_from_id(id, self.response_data(r)));
+		    let target = (opt) ? opt.model : id;
+		    let edits = self._save_edits(target);
+		    let model = self._create_or_refresh_from_id(target, self.response_data(r));
+
+		    self._reapply_edits(model, edits);
+		    if (_.isObject(model) && _.isFunction(model.clear_errors)) model.clear_errors();
+		    if (opt) self._optimistic_did_change(opt.model, 'commit');
+		    return self._resolve_action(config, r, model);
 		})
 		.catch(function(e) {
+		    if (opt && !(e instanceof FlOfflineError)) self._optimistic_rollback(opt);
+		    if (e instanceof FlValidationError)
+		    {
+			let model = self._target_model(id);
+
+			e.details = FlValidators.merge_details(e.details);
+			if (!_.isNil(model) && _.isFunction(model.add_errors)) model.add_errors(e.details);
+		    }
+
+		    return self._reject_action(config, e);
+		});
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#save
+	 * @description Save the changes to a model instance.
+	 *  The method makes an :update call (see {@sref FlAPIService#update}) whose wrapped data contains
+	 *  only the dirty properties of *model* (see {@sref FlModelBase#changes}); model instances in
+	 *  the values are sent as their fingerprints. When the server answers, the instance is refreshed
+	 *  from the response, and the properties that were sent are marked clean. Properties that were
+	 *  modified while the request was in progress keep their new values, and stay dirty, even if
+	 *  the response contains them; see {@sref FlAPIService#_save_edits}. If the request fails, the
+	 *  properties stay dirty.
+	 *  If *model* has no dirty properties, no request is made.
+	 *
+	 * @param {FlModelBase} model The model instance to save.
+	 * @param {Object} [config] Configuration object to pass to axios.patch; this object is
+	 *  merged into the default HTTP configuration.
+	 *
+	 * @return On success, returns a resolved promise containing *model*. On error, returns a
+	 *  promise that rejects as described in {@sref FlAPIService#update}.
+	 *  If the **withResult** option is set, the promise resolves or rejects with an
+	 *  {@sref FlAPIResult} instead; see {@sref FlAPIService#_with_result}. If no request was
+	 *  made, its response is `null`.
+	 */
+
+	save: function(model, config) {
+	    let self = this;
+	    let sent = _.mapValues(model.changes(), function(c) { return c[1]; });
+
+	    if (_.size(sent) < 1) return this._resolve_action(config, null, model);
+
+	    let wrapped = _.mapValues(sent, function(v) { return self._payload_value(v); });
+	    let pending = { model: model, wrapped: wrapped };
+
+	    this._saves.push(pending);
+	    return this.update(model, { wrapped: wrapped }, config)
+		.then(function(rv) {
+		    _.pull(self._saves, pending);
+		    model.markClean(_.filter(_.keys(sent), function(k) {
+			return _.isEqual(self._payload_value(model[k]), wrapped[k]);
+		    }));
+
+		    return Promise.resolve(rv);
+		}, function(e) {
+		    _.pull(self._saves, pending);
 		    return Promise.reject(e);
 		});
 	},
 
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_save_edits
+	 * @description Get the properties of a model instance that were modified while a
+	 *  {@sref FlAPIService#save} was in progress.
+	 *  This is called by {@sref FlAPIService#update} before the instance is refreshed from the
+	 *  response, so that the edits can be reapplied afterwards by
+	 *  {@sref FlAPIService#_reapply_edits}. The edits are the dirty properties that were not
+	 *  sent, and those whose values differ from the ones that were sent. If more than one save
+	 *  is in progress for the instance, the oldest one is used.
+	 *
+	 * @param {Integer|String|Object} id The *id* argument to {@sref FlAPIService#update}.
+	 *
+	 * @return {Object} Returns an object containing the modified properties and their current
+	 *  values (`undefined` for deleted properties). If no save is in progress for *id*, returns
+	 *  an empty object.
+	 */
+
+	_save_edits: function(id) {
+	    let self = this;
+	    let pending = _.find(this._saves, function(s) { return s.model === id; });
+	    if (_.isNil(pending)) return { };
+
+	    return _.reduce(pending.model.changes(), function(acc, c, k) {
+		if (!_.has(pending.wrapped, k) || !_.isEqual(self._payload_value(c[1]), pending.wrapped[k]))
+		{
+		    acc[k] = c[1];
+		}
+
+		return acc;
+	    }, { });
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_reapply_edits
+	 * @description Restore the edits returned by {@sref FlAPIService#_save_edits} after a
+	 *  refresh. The clean values are not modified, so that the properties stay dirty; if the
+	 *  refresh had changed any of them, the instance emits a **change** event.
+	 *
+	 * @param {FlModelBase} model The refreshed model instance.
+	 * @param {Object} edits The edits.
+	 */
+
+	_reapply_edits: function(model, edits) {
+	    if (!_.isObject(model) || (_.size(edits) < 1)) return;
+
+	    let changed = _.filter(_.keys(edits), function(k) {
+		let v = edits[k];
+		if (v === model[k]) return false;
+
+		if (_.isUndefined(v))
+		{
+		    delete model[k];
+		}
+		else
+		{
+		    model[k] = v;
+		}
+
+		return true;
+	    });
+
+	    if ((changed.length > 0) && _.isFunction(model.emit)) model.emit('change', model, changed);
+	},
+
+	_payload_value: function(value) {
+	    let self = this;
+
+	    if (_.isArray(value))
+	    {
+		return _.map(value, function(v) { return self._payload_value(v); });
+	    }
+	    else if (value instanceof Date)
+	    {
+		return value.toISOString();
+	    }
+	    else if (_.isObject(value) && !_.isNil(value.__class) && _.isString(value.fingerprint))
+	    {
+		return value.fingerprint;
+	    }
+	    else if (_.isPlainObject(value))
+	    {
+		return _.mapValues(value, function(v) { return self._payload_value(v); });
+	    }
+	    else
+	    {
+		return value;
+	    }
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_validating
+	 * @description Check if the data for an action should be validated.
+	 *  The **validate** option is looked up first in *config*, and then in the service
+	 *  configuration; validation is enabled unless the option is `false`.
+	 *
+	 * @param {Object} [config] The configuration object passed to the action method.
+	 *
+	 * @return {Boolean} Returns `true` if the data should be validated.
+	 */
+
+	_validating: function(config) {
+	    if (_.isObject(config) && !_.isUndefined(config.validate)) return (config.validate != false);
+
+	    return (this._srv_cfg.validate !== false);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_validate_data
+	 * @description Run client-side validations on the data for a :create or :update call.
+	 *  The validations are taken from the attribute definitions of the target model instance
+	 *  (see {@sref FlAPIService#_target_model}), or, if there is none, from those of the class
+	 *  registered with the model factory for the **model_type** in the API configuration.
+	 *  Only the properties in `data.wrapped` are validated for updates, since they typically
+	 *  contain just the modified properties; creates validate all attributes.
+	 *  For updates, the errors for the validated properties in the model's error collection are
+	 *  replaced by the results (see {@sref FlModelBase#validate}).
+	 *
+	 * @param {Integer|String|Object} id The *id* argument to {@sref FlAPIService#update}, or
+	 *  `null` for {@sref FlAPIService#create}.
+	 * @param {Object} data The *data* argument to the action method.
+	 * @param {Object} [config] The configuration object passed to the action method; see
+	 *  {@sref FlAPIService#_validating}.
+	 *
+	 * @return {Promise} If the data are invalid, returns a promise that rejects as described in
+	 *  {@sref FlAPIService#_reject_action}, with a {@sref FlValidationError} whose **details**
+	 *  contain the validation errors. If a validator throws (for example, because it is not
+	 *  registered), the promise rejects with the exception. The error is also saved in the
+	 *  {@sref FlAPIService#error} property. Otherwise, returns `null`.
+	 */
+
+	_validate_data: function(id, data, config) {
+	    if (!this._validating(config)) return null;
+
+	    let model = (_.isNil(id)) ? null : this._target_model(id);
+	    let defs = null;
+	    if (!_.isNil(model))
+	    {
+		defs = model.attribute_definitions();
+	    }
+	    else
+	    {
+		let ctor = (_.isString(this._api_cfg.model_type)) ? this.modelFactory.service_for(this._api_cfg.model_type) : null;
+		defs = (_.isFunction(ctor) && _.isObject(ctor.__attributes)) ? ctor.__attributes : { };
+	    }
+
+	    let wrapped = (_.isObject(data) && _.isObject(data.wrapped)) ? data.wrapped : { };
+	    let details = null;
+	    let err = null;
+
+	    try
+	    {
+		details = FlValidators.validate_attributes(defs, wrapped, {
+		    model: model,
+		    partial: !_.isNil(id)
+		});
+	    }
+	    catch (x)
+	    {
+		err = x;
+	    }
+
+	    if (_.isNil(err))
+	    {
+		if (!_.isNil(model) && _.isFunction(model.add_errors))
+		{
+		    model.clear_errors(_.keys(wrapped));
+		    model.add_errors(details);
+		}
+
+		if (_.size(details) < 1) return null;
+
+		err = new FlValidationError('validation failed', {
+		    status: 422,
+		    error_status: 'unprocessable_entity',
+		    details: details
+		});
+	    }
+
+	    this._error = err;
+	    this._response = undefined;
+	    return this._reject_action(config, err);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_optimistic
+	 * @description Check if an update should be applied optimistically.
+	 *  The **optimistic** option is looked up first in *config*, and then in the service
+	 *  configuration.
+	 *
+	 * @param {Object} [config] The configuration object passed to the action method.
+	 *
+	 * @return {Boolean} Returns `true` if the update is optimistic.
+	 */
+
+	_optimistic: function(config) {
+	    if (_.isObject(config) && !_.isUndefined(config.optimistic)) return (config.optimistic == true);
+
+	    return (this._srv_cfg.optimistic == true);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_target_model
+	 * @description Find the model instance targeted by an action.
+	 *  This is used by optimistic updates, and to emit the **destroy** event.
+	 *
+	 * @param {Integer|String|Object} id The *id* argument to {@sref FlAPIService#update} or
+	 *  {@sref FlAPIService#destroy}.
+	 *
+	 * @return {FlModelBase} If *id* is a model instance, returns it. Otherwise, if the API
+	 *  configuration contains a **model_type**, returns the instance in the model cache for
+	 *  that type and identifier (the cache keys instances by fingerprint if they have one, so
+	 *  the method also looks up the fingerprint `model_type/id`). Returns `null` if no instance
+	 *  is found.
+	 */
+
+	_target_model: function(id) {
+	    if (_.isObject(id) && !_.isNil(id.__class) && _.isFunction(id.refresh)) return id;
+
+	    let type = this._api_cfg.model_type;
+	    if (!_.isString(type)) return null;
+
+	    let cache = this.modelFactory.cache();
+	    let oid = this._id(id);
+	    let model = cache.get({ type: type, fingerprint: type + '/' + oid });
+	    if (_.isNil(model)) model = cache.get({ type: type, id: oid });
+
+	    return (_.isNil(model)) ? null : model;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_optimistic_apply
+	 * @description Apply an optimistic update.
+	 *  The method takes a snapshot of the properties in `data.wrapped`, and then applies the
+	 *  changes to the model instance by calling its `refresh` method. If the request fails, the
+	 *  snapshot is restored by {@sref FlAPIService#_optimistic_rollback}; properties that were
+	 *  changed again after the optimistic update (for example, by a later update) are not
+	 *  restored. If the request is queued in the outbox (the service is offline), the changes
+	 *  are kept, since the request will be replayed.
+	 *  Since the refresh marks the properties clean (see {@sref FlModelBase#markClean}), their
+	 *  clean values are also saved, so that a rollback leaves them dirty.
+	 *
+	 * @param {Integer|String|Object} id The *id* argument to {@sref FlAPIService#update}.
+	 * @param {Object} data The *data* argument to {@sref FlAPIService#update}.
+	 *
+	 * @return {Object} Returns an object containing the update state: the **model**, the
+	 *  **snapshot** of the original values, their **clean** values, and the **applied** values.
+	 *  Returns `null` if no model
+	 *  instance was found (see {@sref FlAPIService#_target_model}), or if *data* contains no
+	 *  wrapped changes; in that case, the update is not optimistic.
+	 */
+
+	_optimistic_apply: function(id, data) {
+	    let model = this._target_model(id);
+	    if (_.isNil(model) || !_.isObject(data) || !_.isObject(data.wrapped)) return null;
+
+	    let keys = _.keys(data.wrapped);
+	    let snapshot = _.reduce(keys, function(acc, k) {
+		acc[k] = { had: _.has(model, k), value: model[k] };
+		return acc;
+	    }, { });
+	    let clean = (_.isFunction(model._clean_values)) ? model._clean_values(keys) : null;
+
+	    model.refresh(data.wrapped);
+
+	    let applied = _.reduce(keys, function(acc, k) {
+		acc[k] = model[k];
+		return acc;
+	    }, { });
+
+	    this._optimistic_did_change(model, 'apply');
+
+	    return { model: model, snapshot: snapshot, clean: clean, applied: applied };
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_optimistic_rollback
+	 * @description Roll back an optimistic update.
+	 *
+	 * @param {Object} opt The update state, as returned by {@sref FlAPIService#_optimistic_apply}.
+	 */
+
+	_optimistic_rollback: function(opt) {
+	    let model = opt.model;
+
+	    _.forEach(opt.snapshot, function(snap, k) {
+		if (model[k] !== opt.applied[k]) return;
+
+		if (snap.had)
+		{
+		    model[k] = snap.value;
+		}
+		else
+		{
+		    delete model[k];
+		}
+	    });
+
+	    if (!_.isNil(opt.clean)) model._restore_clean_values(opt.clean);
+	    if (_.isFunction(model.emit)) model.emit('change', model, _.keys(opt.snapshot));
+	    this._optimistic_did_change(model, 'rollback');
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_optimistic_did_change
+	 * @description Call the callback registered by {@sref FlAPIService#setOptimisticDidChange},
+	 *  if any.
+	 *
+	 * @param {FlModelBase} model The model instance whose state changed.
+	 * @param {String} phase The change: `apply`, `commit`, or `rollback`.
+	 */
+
+	_optimistic_did_change: function(model, phase) {
+	    if (_.isFunction(this._optimisticDidChange)) this._optimisticDidChange.call(this, model, phase);
+	},
+
 	/**
 	 * @ngdoc method
 	 * @name FlAPIService#destroy
@@ -1060,21 +2783,97 @@ let FlAPIService = FlClassManager.make_class({
 	 * @return On success, returns a resolved promise containing the response data.
 	 *  On error, returns a promise that rejects with the value
 	 *  from the {@sref FlAPIService#delete} method.
+	 *  If the **withResult** option is set, the promise resolves or rejects with an
+	 *  {@sref FlAPIResult} instead; see {@sref FlAPIService#_with_result}.
 	 *  The error and response objects are also saved in the {@sref FlAPIService#error} and 
 	 *  {@sref FlAPIService#response} properties, respectively.
+	 *  On success, the model instance for the deleted object (if any; see
+	 *  {@sref FlAPIService#_target_model}) is removed from the model cache, and emits a
+	 *  **destroy** event.
 	 */
 
 	destroy: function(id, config) {
 	    let self = this;
 	    return this.delete(this.url_path_for('destroy', id), { }, config)
 		.then(function(r) {
-		    return Promise.resolve(self.response_status(r));
+		    let model = self._target_model(id);
+		    if (!_.isNil(model))
+		    {
+			self.modelFactory.cache().remove(model);
+			if (_.isFunction(model.emit)) model.emit('destroy', model);
+		    }
+
+		    return self._resolve_action(config, r, self.response_status(r));
 		})
 		.catch(function(e) {
-		    return Promise.reject(e);
+		    return self._reject_action(config, e);
 		});
 	},
 
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_with_result
+	 * @description Check if an action method should return an {@sref FlAPIResult}.
+	 *  The {@sref FlAPIService#response} and {@sref FlAPIService#error} properties are shared by
+	 *  all requests on the service, so that concurrent callers can't rely on them to check the
+	 *  outcome of their own request. If the **withResult** option is `true`, the action methods
+	 *  resolve with an {@sref FlAPIResult} that contains the response and the decoded data, and
+	 *  reject with one that contains the error; for example:
+	 *  ```
+	 *  srv.show(1234, null, { withResult: true })
+	 *    .then(function(result) { let model = result.data; ... })
+	 *    .catch(function(result) { console.log(result.status); });
+	 *  ```
+	 *  The option is looked up first in *config*, and then in the service configuration.
+	 *
+	 * @param {Object} [config] The configuration object passed to the action method.
+	 *
+	 * @return {Boolean} Returns `true` if the action method should return a result object.
+	 */
+
+	_with_result: function(config) {
+	    if (_.isObject(config) && !_.isUndefined(config.withResult)) return (config.withResult == true);
+
+	    return (this._srv_cfg.withResult == true);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_resolve_action
+	 * @description Generate the resolved promise for an action method.
+	 *
+	 * @param {Object} [config] The configuration object passed to the action method.
+	 * @param {Object} r The response object.
+	 * @param {any} data The decoded response data.
+	 *
+	 * @return {Promise} Returns a promise that resolves to *data*, or to an {@sref FlAPIResult}
+	 *  if {@sref FlAPIService#_with_result} returns `true`.
+	 */
+
+	_resolve_action: function(config, r, data) {
+	    if (!this._with_result(config)) return Promise.resolve(data);
+
+	    return Promise.resolve(new FlAPIResult(r, null, data, this._get_pagination_controls(r)));
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_reject_action
+	 * @description Generate the rejected promise for an action method.
+	 *
+	 * @param {Object} [config] The configuration object passed to the action method.
+	 * @param {Object} e The error object.
+	 *
+	 * @return {Promise} Returns a promise that rejects with *e*, or with an {@sref FlAPIResult}
+	 *  if {@sref FlAPIService#_with_result} returns `true`.
+	 */
+
+	_reject_action: function(config, e) {
+	    if (!this._with_result(config)) return Promise.reject(e);
+
+	    return Promise.reject(new FlAPIResult((_.isObject(e)) ? e.response : undefined, e, null, null));
+	},
+
 	/**
 	 * @ngdoc method
 	 * @name FlAPIService#_make_config
@@ -1136,10 +2935,14 @@ let FlAPIService = FlClassManager.make_class({
 	 *
 	 *  Subclasses likely won't need to override this method.
 	 *
-	 * @param {Object} [params] Parameters to pass in the request; the contents of this object are
-	 *  merged into *config.params*, and eventually make their way to the query string.
+	 * @param {Object|FlAPIQuery} [params] Parameters to pass in the request; the contents of this
+	 *  object are merged into *config.params*, and eventually make their way to the query string.
+	 *  If *params* is an instance of {@sref FlAPIQuery}, it is converted to the **_q** parameter;
+	 *  if its **_q** property is an {@sref FlAPIQuery}, it is replaced with the query parameters.
 	 * @param {Object} [config] Configuration object to pass to axios; this object is
 	 *  merged into the default HTTP configuration.
+	 * @param {Object} [pg] The pagination controls to use; if not defined, the service's
+	 *  {@sref FlAPIService#pagination_controls} are used.
 	 *
 	 * @return {Object} Returns a configuration object where the values in _config_ have been
 	 *  merged into the default HTTP configuration.
@@ -1148,10 +2951,11 @@ let FlAPIService = FlClassManager.make_class({
 	 *  array is used as the key.
 	 */
 
-	_make_index_config: function(params, config) {
-	    let cfg = this._make_get_config(params, config);
+	_make_index_config: function(params, config, pg) {
+	    let cfg = this._make_get_config(this._normalize_index_params(params), config);
+	    let base_pg = (_.isUndefined(pg)) ? this.pagination_controls : pg;
 
-	    if (this.pagination_controls)
+	    if (base_pg)
 	    {
 		if (!_.isObject(cfg.params)) cfg.params = { };
 		
@@ -1159,14 +2963,108 @@ let FlAPIService = FlClassManager.make_class({
 		// value to overrid defaults
 		
 		let k = this._pg_names[0];
-		let pg = (_.isObject(cfg.params._pg)) ? cfg.params._pg : { };
+		let param_pg = (_.isObject(cfg.params._pg)) ? cfg.params._pg : { };
 		
-		cfg.params[k] = _.merge({}, this.pagination_controls, pg);
+		cfg.params[k] = _.merge({}, base_pg, param_pg);
 	    }
 
 	    return cfg;
 	},
 
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_normalize_index_params
+	 * @description Convert query builders in the parameters for an :index call.
+	 *  If *params* is an instance of {@sref FlAPIQuery}, it is converted to an object whose
+	 *  **_q** property contains the query parameters; if its **_q** property is an
+	 *  {@sref FlAPIQuery}, it is replaced with the query parameters.
+	 *
+	 * @param {Object|FlAPIQuery} [params] The parameters.
+	 *
+	 * @return {Object} Returns the normalized parameters.
+	 */
+
+	_normalize_index_params: function(params) {
+	    if (params instanceof FlAPIQuery)
+	    {
+		return params.to_params();
+	    }
+	    else if (_.isObject(params) && (params._q instanceof FlAPIQuery))
+	    {
+		return params._q.to_params(_.omit(params, [ '_q' ]));
+	    }
+	    else
+	    {
+		return params;
+	    }
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_index_page
+	 * @description Load a page of results from the :index action.
+	 *  Unlike {@sref FlAPIService#index}, this method uses the pagination controls in *pg* and
+	 *  does not modify the service's {@sref FlAPIService#pagination_controls}.
+	 *
+	 * @param {Object|FlAPIQuery} [params] Parameters to pass in the request; any **_pg** property
+	 *  is ignored.
+	 * @param {Object} pg The pagination controls for the page to load.
+	 * @param {Object} [config] Configuration object to pass to `axios.get`.
+	 *
+	 * @return {Promise} Returns a promise that resolves to an object containing two properties:
+	 *  **items** is the array of model objects in the page, and **_pg** the pagination controls
+	 *  from the response (or `null` if the response did not contain any).
+	 *  On error, the promise rejects with the value from the {@sref FlAPIService#get} method.
+	 */
+
+	_index_page: function(params, pg, config) {
+	    let self = this;
+	    let cfg = null;
+	    try
+	    {
+		let p = _.omit(this._normalize_index_params(params), [ '_pg' ]);
+		cfg = this._make_index_config(p, config, pg);
+	    }
+	    catch (x)
+	    {
+		return Promise.reject(x);
+	    }
+
+	    return this.get(this.url_path_for('index'), cfg)
+		.then(function(r) {
+		    return Promise.resolve({
+			items: self.modelFactory.create(self.response_data(r)),
+			_pg: self._get_pagination_controls(r)
+		    });
+		})
+		.catch(function(e) {
+		    return Promise.reject(e);
+		});
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService#_get_pagination_controls
+	 * @description Look for the pagination controls in the response data.
+	 *  This method looks up all registered names for pagination controls and returns the
+	 *  first hit.
+	 *
+	 * @param {Object} r The response object.
+	 *
+	 * @return {Object} Returns the pagination controls, `null` if none are present.
+	 */
+
+	_get_pagination_controls: function(r) {
+	    let data = (_.isObject(r)) ? r.data : null;
+	    if (!_.isObject(data)) return null;
+
+	    let k = _.find(this._pg_names, function(n) {
+		return !_.isUndefined(data[n]);
+	    });
+
+	    return (_.isUndefined(k)) ? null : data[k];
+	},
+
 	/**
 	 * @ngdoc method
 	 * @name FlAPIService#_set_pagination_controls
@@ -1228,7 +3126,8 @@ let FlAPIService = FlClassManager.make_class({
 	 *
 	 * @param {Object} r The response object from Axios; this object describes a failed request,
 	 *  including situations where Axios was unable to submit the request (for example, because the
-	 *  target URL is unavailable).
+	 *  target URL is unavailable). This may also be the {@sref FlAPIError} with which a service
+	 *  method rejected; in that case, you can also call {@sref FlAPIError#to_hash} directly.
 	 *
 	 * @return {Object} Returns an object containing an error report:
 	 *  - *:status* The response status if a response was returned by thes server.
@@ -1587,6 +3486,25 @@ let FlAPIService = FlClassManager.make_class({
 	    set: function(name) { this._srv_cfg.xsrfHeaderName = name; }
 	},
 
+	/**
+	 * @ngdoc property
+	 * @name FlAPIService#xsrfMetaName
+	 * @classproperty
+	 * @description Accessor for the name of the `<meta>` tag that contains the XSRF token,
+	 *  from the current configuation defaults.
+	 *  This property is just an accessor for the `xsrfMetaName` configuration property.
+	 *
+	 * @param {String} name The name of the `<meta>` tag.
+	 *
+	 * @return {String} The getter returns the name of the `<meta>` tag from the current configuation
+	 *  defaults.
+	 */
+
+	xsrfMetaName: {
+	    get: function() { return this._srv_cfg.xsrfMetaName; },
+	    set: function(name) { this._srv_cfg.xsrfMetaName = name; }
+	},
+
 	/**
 	 * @ngdoc property
 	 * @name FlAPIService#xsrfToken
@@ -1606,6 +3524,53 @@ let FlAPIService = FlClassManager.make_class({
 	}
     },
     class_methods: {
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService.use
+	 * @classmethod
+	 * @description Register a middleware function for all services.
+	 *  A middleware function is called for each request attempt (including retries; see
+	 *  {@sref FlAPIService#_retry_policy}), with two arguments:
+	 *  1. *ctx* is the request context, an object containing the following properties:
+	 *     - **service** is the service making the request (this is also the value of `this`).
+	 *     - **method** is the lowercase HTTP method.
+	 *     - **url** is the target URL.
+	 *     - **data** is the data to submit (`undefined` for `get` and `head`).
+	 *     - **config** is the Axios configuration for the request.
+	 *     - **attempt** is the 1-based attempt number.
+	 *  2. *next* is a function that runs the rest of the chain (and eventually submits the
+	 *     request). It takes no arguments, and returns a promise that resolves with the response
+	 *     object, or rejects with an {@sref FlAPIError}.
+	 *
+	 *  The middleware returns a promise that resolves with a response, or rejects with an error.
+	 *  It can modify **url**, **data**, and **config** in *ctx* before calling *next*, and
+	 *  modify or replace the response or error on the way back. It can also short-circuit the
+	 *  request by not calling *next*, and resolving with its own response object (which should
+	 *  contain at least the **status** and **data** properties).
+	 *
+	 *  Class middleware runs before instance middleware (see {@sref FlAPIService#use}), in the
+	 *  order in which it was registered.
+	 *
+	 * @param {Function} mw The middleware function.
+	 */
+
+	use: function(mw) {
+	    if (_.isFunction(mw)) FlAPIService._middleware.push(mw);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIService.unuse
+	 * @classmethod
+	 * @description Remove a middleware function registered by {@sref FlAPIService.use}.
+	 *
+	 * @param {Function} mw The middleware function.
+	 */
+
+	unuse: function(mw) {
+	    _.pull(FlAPIService._middleware, mw);
+	},
+
 	/**
 	 * @ngdoc method
 	 * @name FlAPIService#setServiceConfig
@@ -1647,6 +3612,7 @@ let FlAPIService = FlClassManager.make_class({
 });
 
 FlAPIService._srv_cfg = _.merge({ }, DEFAULT_SRV_CFG);
+FlAPIService._middleware = [ ];
 
 /**
  * @ngdoc type
@@ -1753,6 +3719,336 @@ let FlNestedAPIService = FlClassManager.make_class({
     extensions: [ ]
 });
 
+/**
+ * @ngdoc type
+ * @name FlAPIResult
+ * @module fl.api_services
+ * @description
+ *  The result of a request made by an action method of {@sref FlAPIService}.
+ *  Action methods return instances of this class when the **withResult** option is set (see
+ *  {@sref FlAPIService#_with_result}), so that each caller has access to the response and error
+ *  for its own request, rather than to the shared {@sref FlAPIService#response} and
+ *  {@sref FlAPIService#error} properties.
+ */
+
+let FlAPIResult = FlClassManager.make_class({
+    name: 'FlAPIResult',
+    /**
+     * @ngdoc method
+     * @name FlAPIResult#constructor
+     * @description The constructor; called during `new` creation.
+     *
+     * @param {Object} response The response object; may be `undefined` if the request failed
+     *  before a response was received.
+     * @param {Object} error The error object; `null` if the request succeeded.
+     * @param {any} data The decoded response data: a model object, an array of model objects,
+     *  or the response status, depending on the action; `null` if the request failed.
+     * @param {Object} [pg] The pagination controls returned by the server, if any.
+     */
+
+    initializer: function(response, error, data, pg) {
+	this._response = response;
+	this._error = (_.isUndefined(error)) ? null : error;
+	this._data = (_.isUndefined(data)) ? null : data;
+	this._pagination_controls = (_.isObject(pg)) ? pg : null;
+    },
+    instance_properties: {
+	/**
+	 * @ngdoc property
+	 * @name FlAPIResult#response
+	 * @description The response object.
+	 */
+
+	response: {
+	    get: function() { return this._response; }
+	},
+
+	/**
+	 * @ngdoc property
+	 * @name FlAPIResult#error
+	 * @description The error object; `null` if the request succeeded.
+	 */
+
+	error: {
+	    get: function() { return this._error; }
+	},
+
+	/**
+	 * @ngdoc property
+	 * @name FlAPIResult#data
+	 * @description The decoded response data; `null` if the request failed.
+	 */
+
+	data: {
+	    get: function() { return this._data; }
+	},
+
+	/**
+	 * @ngdoc property
+	 * @name FlAPIResult#pagination_controls
+	 * @description The pagination controls in the response, if any; `null` otherwise.
+	 */
+
+	pagination_controls: {
+	    get: function() { return this._pagination_controls; }
+	},
+
+	/**
+	 * @ngdoc property
+	 * @name FlAPIResult#status
+	 * @description The HTTP status of the response; `null` if no response is available.
+	 */
+
+	status: {
+	    get: function() { return (_.isObject(this._response)) ? this._response.status : null; }
+	},
+
+	/**
+	 * @ngdoc property
+	 * @name FlAPIResult#success
+	 * @description Did the request succeed?
+	 */
+
+	success: {
+	    get: function() { return _.isNil(this._error); }
+	}
+    },
+    instance_methods: {
+    },
+    class_methods: {
+    },
+    extensions: [ ]
+});
+
+/**
+ * @ngdoc type
+ * @name FlAPIPaginator
+ * @module fl.api_services
+ * @description
+ *  A paginator for the :index action of an API service.
+ *  The paginator holds its own copy of the pagination controls, so that it can load pages
+ *  independently of the service's {@sref FlAPIService#pagination_controls} (and of other
+ *  paginators on the same service).
+ *
+ *  Create paginators with {@sref FlAPIService#paginator}; then call
+ *  {@sref FlAPIPaginator#next}, {@sref FlAPIPaginator#previous}, or {@sref FlAPIPaginator#goTo}
+ *  to load pages, and check {@sref FlAPIPaginator#hasMore} to see if more pages are available.
+ *  A paginator is also an async iterable whose elements are the remaining pages.
+ */
+
+let FlAPIPaginator = FlClassManager.make_class({
+    name: 'FlAPIPaginator',
+    /**
+     * @ngdoc method
+     * @name FlAPIPaginator#constructor
+     * @description The constructor; called during `new` creation.
+     *
+     * @param {FlAPIService} service The API service whose :index action to call.
+     * @param {Object|FlAPIQuery} [params] Parameters to pass in the request; see
+     *  {@sref FlAPIService#index}. If *params* contains the **_pg** property, its value is
+     *  merged into {@sref FlAPIService#initial_pagination_controls} to generate the controls
+     *  for the first page.
+     * @param {Object} [config] Configuration object to pass to `axios.get`.
+     */
+
+    initializer: function(service, params, config) {
+	let p = service._normalize_index_params(params);
+
+	this._service = service;
+	this._params = _.omit((_.isObject(p)) ? p : { }, [ '_pg' ]);
+	this._config = config;
+	this._pg = _.merge({ }, service.initial_pagination_controls,
+			   (_.isObject(p) && _.isObject(p._pg)) ? p._pg : { });
+	this._page = null;
+	this._items = null;
+	this._has_more = true;
+	this._response_pg = null;
+    },
+    instance_properties: {
+	/**
+	 * @ngdoc property
+	 * @name FlAPIPaginator#service
+	 * @description The API service.
+	 */
+
+	service: {
+	    get: function() { return this._service; }
+	},
+
+	/**
+	 * @ngdoc property
+	 * @name FlAPIPaginator#page
+	 * @description The 1-based index of the page that was last loaded; `null` if no pages
+	 *  have been loaded.
+	 */
+
+	page: {
+	    get: function() { return this._page; }
+	},
+
+	/**
+	 * @ngdoc property
+	 * @name FlAPIPaginator#page_size
+	 * @description The page size.
+	 */
+
+	page_size: {
+	    get: function() { return this._pg._s; }
+	},
+
+	/**
+	 * @ngdoc property
+	 * @name FlAPIPaginator#items
+	 * @description The model objects in the page that was last loaded; `null` if no pages
+	 *  have been loaded.
+	 */
+
+	items: {
+	    get: function() { return this._items; }
+	},
+
+	/**
+	 * @ngdoc property
+	 * @name FlAPIPaginator#pagination_controls
+	 * @description The pagination controls returned by the server for the page that was last
+	 *  loaded; `null` if no pages have been loaded.
+	 */
+
+	pagination_controls: {
+	    get: function() { return this._response_pg; }
+	},
+
+	/**
+	 * @ngdoc property
+	 * @name FlAPIPaginator#hasMore
+	 * @description Is there a page after the one that was last loaded?
+	 *  The value is `true` before the first page is loaded; after that, it is `false` if the
+	 *  last page loaded was short (contained fewer items than the page size).
+	 */
+
+	hasMore: {
+	    get: function() { return this._has_more; }
+	},
+
+	/**
+	 * @ngdoc property
+	 * @name FlAPIPaginator#hasPrevious
+	 * @description Is there a page before the one that was last loaded?
+	 */
+
+	hasPrevious: {
+	    get: function() { return !_.isNil(this._page) && (this._page > 1); }
+	}
+    },
+    instance_methods: {
+	/**
+	 * @ngdoc method
+	 * @name FlAPIPaginator#next
+	 * @description Load the next page.
+	 *  If no pages have been loaded yet, loads the first page.
+	 *
+	 * @return {Promise} Returns a promise that resolves to the array of model objects in the
+	 *  page; on error, it rejects with the value from the {@sref FlAPIService#get} method.
+	 */
+
+	next: function() {
+	    return this.goTo((_.isNil(this._page)) ? this._pg._p : (this._page + 1));
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIPaginator#previous
+	 * @description Load the previous page.
+	 *
+	 * @return {Promise} Returns a promise that resolves to the array of model objects in the
+	 *  page; on error, it rejects with the value from the {@sref FlAPIService#get} method.
+	 *  If there is no previous page, the promise resolves to an empty array, and no request
+	 *  is made.
+	 */
+
+	previous: function() {
+	    return (this.hasPrevious) ? this.goTo(this._page - 1) : Promise.resolve([ ]);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlAPIPaginator#goTo
+	 * @description Load a given page.
+	 *
+	 * @param {Integer} page The 1-based index of the page to load.
+	 *
+	 * @return {Promise} Returns a promise that resolves to the array of model objects in the
+	 *  page; on error, it rejects with the value from the {@sref FlAPIService#get} method.
+	 */
+
+	goTo: function(page) {
+	    let self = this;
+	    let pg = _.merge({ }, this._pg, { _p: page });
+
+	    return this._service._index_page(this._params, pg, this._config)
+		.then(function(r) {
+		    let items = (_.isArray(r.items)) ? r.items : [ ];
+		    let rpg = r._pg;
+
+		    self._page = page;
+		    self._items = items;
+		    self._response_pg = rpg;
+		    if (_.isObject(rpg) && (rpg._s > 0))
+		    {
+			self._pg._s = rpg._s;
+			self._has_more = (items.length >= rpg._s);
+		    }
+		    else
+		    {
+			self._has_more = false;
+		    }
+
+		    return Promise.resolve(items);
+		})
+		.catch(function(e) {
+		    return Promise.reject(e);
+		});
+	}
+    },
+    class_methods: {
+    },
+    extensions: [ ]
+});
+
+// FlClassManager.make_class does not copy symbol-keyed methods, so we install the iterator here.
+// The iteration starts from the page after the one last loaded.
+
+FlAPIPaginator.prototype[Symbol.asyncIterator] = function() {
+    let self = this;
+    let done = false;
+
+    return {
+	next: function() {
+	    if (done || !self.hasMore) return Promise.resolve({ done: true, value: undefined });
+
+	    return self.next()
+		.then(function(items) {
+		    if (items.length < 1)
+		    {
+			done = true;
+			return Promise.resolve({ done: true, value: undefined });
+		    }
+
+		    return Promise.resolve({ done: false, value: items });
+		})
+		.catch(function(e) {
+		    done = true;
+		    return Promise.reject(e);
+		});
+	},
+
+	return: function(value) {
+	    done = true;
+	    return Promise.resolve({ done: true, value: value });
+	}
+    };
+};
+
 /**
  * @ngdoc service
  * @name FlAPIServiceRegistry
@@ -1937,4 +4233,7 @@ let FlAPIServiceRegistry = FlClassManager.make_class({
 
 const FlGlobalAPIServiceRegistry = new FlAPIServiceRegistry();
 
-module.exports = { FlAPIService, FlNestedAPIService, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry };
+module.exports = {
+    FlAPIService, FlNestedAPIService, FlAPIResult, FlAPIPaginator,
+    FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+};
@@ -0,0 +1,219 @@
+/**
+ * @ngdoc module
+ * @name fl.attachment_api_services
+ * @requires fl.api_services
+ * @requires fl.active_storage
+ * @description
+ * API services for attachment models.
+ */
+
+const _ = require('lodash');
+const { FlExtensions, FlClassManager } = require('./object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('./model_factory');
+const {
+    FlAPIService, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('./api_services');
+
+const { ActiveStorageAttachment } = require('./active_storage');
+
+const ATTACHMENT_API_CFG = {
+    root_url_template: '/fl/framework/attachments',
+    namespace: 'attachment',
+    data_names: [ 'attachment', 'attachments' ]
+};
+
+/**
+ * @ngdoc type
+ * @name FlFrameworkAttachmentAPIService
+ * @module fl.attachment_api_services
+ * @requires FlAPIService
+ * @description API service class for communicationg with the attachment API.
+ *  This API service manages interactions with the top level `/fl/framework/attachments` resource.
+ *  The server routes only the **show**, **update**, and **destroy** actions; attachments are
+ *  listed and created through the API of their attachable (for example, see
+ *  {@sref FlFrameworkCommentAttachmentAPIService}).
+ *
+ *  Attachments are subclasses of `Fl::Framework::Attachment::ActiveRecord::Base` that are defined
+ *  by the application, and their types are typically not registered with the model factory.
+ *  Attachment data whose type has no registered model service are converted to
+ *  {@sref ActiveStorageAttachment} instances.
+ *
+ *  Because attachment types are defined by the application, the service is not registered with
+ *  {@sref FlGlobalAPIServiceRegistry}; create instances directly.
+ *
+ *  The service also manages the **to_hash** parameter that the server uses to control the
+ *  representation of the returned attachments; see {@sref FlFrameworkAttachmentAPIService#to_hash}.
+ */
+
+let FlFrameworkAttachmentAPIService = FlClassManager.make_class({
+    name: 'FlFrameworkAttachmentAPIService',
+    superclass: 'FlAPIService',
+    /**
+     * @ngdoc method
+     * @name FlFrameworkAttachmentAPIService#constructor
+     * @description The constructor; called during `new` creation.
+     *  Calls the superclass implementation, passing the following API configuration:
+     *  ```
+     *  {
+     *    root_url_template: '/fl/framework/attachments',
+     *    namespace: 'attachment',
+     *    data_names: [ 'attachment', 'attachments' ]
+     *  }
+     *  ```
+     *  and passing *srv_cfg* as the second argument.
+     *  Since attachment types are defined by the application, the API configuration has no
+     *  **model_type**; pass it in *srv_cfg* to enable optimistic updates by identifier.
+     *
+     * @param {Object} srv_cfg Configuration for the service. In addition to the standard properties,
+     *  the service looks up **to_hash**, which contains the default value of the
+     *  {@sref FlFrameworkAttachmentAPIService#to_hash} property, and **model_type**, which is
+     *  placed in the API configuration (see {@sref FlAPIService#constructor}). These properties
+     *  are not placed in the service configuration, since that is merged into the configuration
+     *  of each request.
+     */
+
+    initializer: function(srv_cfg) {
+	this.__super_init('FlAPIService',
+			  _.assign({ }, ATTACHMENT_API_CFG, _.pick(srv_cfg, [ 'model_type' ])),
+			  _.omit(srv_cfg, [ 'to_hash', 'model_type' ]));
+	this._to_hash = (_.isObject(srv_cfg) && !_.isNil(srv_cfg.to_hash)) ? srv_cfg.to_hash : undefined;
+    },
+    instance_properties: {
+	/**
+	 * @ngdoc property
+	 * @name FlFrameworkAttachmentAPIService#to_hash
+	 * @description Accessor for the default **to_hash** parameter.
+	 *  If this value is set, it is sent as the **to_hash** parameter in :show and :update
+	 *  calls that don't provide one explicitly.
+	 *  The initial value is the **to_hash** property in the service configuration.
+	 *
+	 * @property {Object} to_hash The default value for the **to_hash** parameter.
+	 */
+
+	to_hash: {
+	    get: function() { return this._to_hash; },
+	    set: function(th) { this._to_hash = th; }
+	}
+    },
+    instance_methods: {
+	/**
+	 * @ngdoc method
+	 * @name FlFrameworkAttachmentAPIService#show
+	 * @description Make a :show call by calling `axios.get` against the root URL/:id.
+	 *  Adds the default **to_hash** parameter if *params* does not contain one, and then
+	 *  forwards to the superclass.
+	 *
+	 * @param {Integer|String|Object} id A string or integer containing the identifier to append to
+	 *  the root URL. You can also pass an {@sref ActiveStorageAttachment} instance, which
+	 *  is refreshed with the response data.
+	 * @param {Object} [params] Parameters to pass in the request.
+	 * @property {Object} params.to_hash The options for the server method that generates the
+	 *  hash representation of the attachment.
+	 * @param {Object} [config] Configuration object to pass to `axios.get`; this object is
+	 *  merged into the default HTTP configuration object.
+	 *
+	 * @return On success, returns a resolved promise containing the attachment.
+	 *  On error, returns a promise that rejects with the value from the {@sref FlAPIService#get} method.
+	 */
+
+	show: function(id, params, config) {
+	    return this.__super('FlAPIService', 'show', id, this._add_to_hash(params), config);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlFrameworkAttachmentAPIService#update
+	 * @description Make a :update call by calling `axios.patch` against the root URL/:id.
+	 *  Adds the default **to_hash** parameter to the unwrapped data if *data* does not contain one,
+	 *  and then forwards to the superclass.
+	 *
+	 * @param {Integer|String|Object} id A string or integer containing the identifier to append to
+	 *  the root URL. You can also pass an {@sref ActiveStorageAttachment} instance, which
+	 *  is refreshed with the response data.
+	 * @param {Object} data The data to submit to the server. The object contains two properties,
+	 *  **wrapped** and **unwrapped**. See {@sref FlAPIService#_wrap_data} for details.
+	 * @param {Object} [config] Configuration object to pass to `axios.patch`; this object is
+	 *  merged into the default HTTP configuration object.
+	 *
+	 * @property {String} data.wrapped.title The new title.
+	 * @property {String} data.wrapped.caption The new caption.
+	 * @property {Object} data.unwrapped.to_hash The options for the server method that generates the
+	 *  hash representation of the attachment.
+	 *
+	 * @return On success, returns a resolved promise containing the attachment.
+	 *  On error, returns a promise that rejects with the value from the {@sref FlAPIService#patch} method.
+	 */
+
+	update: function(id, data, config) {
+	    let api_data = _.merge({ }, (_.isObject(data)) ? data : { });
+	    api_data.unwrapped = this._add_to_hash(api_data.unwrapped);
+
+	    return this.__super('FlAPIService', 'update', id, api_data, config);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlFrameworkAttachmentAPIService#_create_or_refresh_from_id
+	 * @description Overrides the base implementation to convert attachment data whose type is
+	 *  not registered with the model factory into {@sref ActiveStorageAttachment} instances.
+	 *  The new instances are placed in the model cache.
+	 *
+	 * @param {Integer|String|Object} id The identifier parameter; see the base implementation.
+	 * @param {Object} data The response data.
+	 *
+	 * @return {Object} Returns a model instance.
+	 */
+
+	_create_or_refresh_from_id: function(id, data) {
+	    if ((!_.isNil(id.__class) && _.isFunction(id.refresh)) || !_.isObject(data))
+	    {
+		return this.__super('FlAPIService', '_create_or_refresh_from_id', id, data);
+	    }
+
+	    let factory = this.modelFactory;
+	    if (factory.service_for(data))
+	    {
+		return factory.create(data);
+	    }
+
+	    let model = factory.cache().get(data);
+	    if (model)
+	    {
+		model.refresh(data);
+	    }
+	    else
+	    {
+		model = ActiveStorageAttachment.create(data);
+		factory.cache().put(model);
+	    }
+
+	    return model;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlFrameworkAttachmentAPIService#_add_to_hash
+	 * @description Add the default **to_hash** parameter to a set of request parameters.
+	 *
+	 * @param {Object} [params] The request parameters.
+	 *
+	 * @return {Object} If *params* does not contain **to_hash** and the
+	 *  {@sref FlFrameworkAttachmentAPIService#to_hash} property is set, returns a copy of *params*
+	 *  with the default value added. Otherwise, returns *params* (or an empty object if *params* is
+	 *  not an object).
+	 */
+
+	_add_to_hash: function(params) {
+	    let p = (_.isObject(params)) ? params : { };
+
+	    return (_.isNil(p.to_hash) && !_.isNil(this.to_hash)) ? _.merge({ to_hash: this.to_hash }, p) : p;
+	}
+    },
+    class_methods: {
+    },
+    extensions: [ ]
+});
+
+module.exports = { FlFrameworkAttachmentAPIService };
@@ -0,0 +1,167 @@
+/**
+ * @ngdoc module
+ * @name fl.comment_api_services
+ * @requires fl.api_services
+ * @description
+ * API services for comment models.
+ */
+
+const _ = require('lodash');
+const { FlExtensions, FlClassManager } = require('./object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('./model_factory');
+const {
+    FlAPIService, FlNestedAPIService, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('./api_services');
+
+// This is imported so that webpack pulls in the sources, or we run the risk of not loading it
+const { FlFrameworkComment } = require('./comment_models');
+
+const COMMENT_API_CFG = {
+    root_url_template: '/fl/framework/comments',
+    namespace: 'comment',
+    data_names: [ 'comment', 'comments' ],
+    model_type: 'Fl::Framework::Comment::ActiveRecord::Comment'
+};
+
+const COMMENT_ATTACHMENT_API_CFG = {
+    root_url_template: '/fl/framework/comments/${comment.id}/attachments',
+    shallow_root_url_template: '/fl/framework/attachments',
+    namespace: 'attachment',
+    data_names: [ 'attachment', 'attachments' ]
+};
+
+/**
+ * @ngdoc type
+ * @name FlFrameworkCommentAPIService
+ * @module fl.comment_api_services
+ * @requires FlAPIService
+ * @description API service class for communicationg with the comment API.
+ *  This API service manages interactions with the API for `Fl::Framework::Comment::ActiveRecord::Comment`
+ *  objects.
+ *  Note that the server routes only the **show**, **update**, and **destroy** actions; comments are
+ *  listed and created through the API of their commentable.
+ */
+
+let FlFrameworkCommentAPIService = FlClassManager.make_class({
+    name: 'FlFrameworkCommentAPIService',
+    superclass: 'FlAPIService',
+    /**
+     * @ngdoc method
+     * @name FlFrameworkCommentAPIService#constructor
+     * @description The constructor; called during `new` creation.
+     *  Calls the superclass implementation, passing the following API configuration:
+     *  ```
+     *  {
+     *    root_url_template: '/fl/framework/comments',
+     *    namespace: 'comment',
+     *    data_names: [ 'comment', 'comments' ],
+     *    model_type: 'Fl::Framework::Comment::ActiveRecord::Comment'
+     *  }
+     *  ```
+     *  and passing *srv_cfg* as the second argument.
+     *
+     * @param {Object} srv_cfg Configuration for the service.
+     */
+
+    initializer: function(srv_cfg) {
+	this.__super_init('FlAPIService', COMMENT_API_CFG, srv_cfg);
+    },
+    instance_properties: {
+    },
+    instance_methods: {
+    },
+    class_methods: {
+    },
+    extensions: [ ]
+});
+
+/**
+ * @ngdoc type
+ * @name FlFrameworkCommentAttachmentAPIService
+ * @module fl.comment_api_services
+ * @requires FlNestedAPIService
+ * @description API service class for communicationg with the comment attachment API.
+ *  This API service manages interactions with the attachments associated with a comment.
+ *  The **index** and **create** actions are nested within the comment; the other actions use
+ *  the shallow routes under `/fl/framework/attachments`.
+ */
+
+let FlFrameworkCommentAttachmentAPIService = FlClassManager.make_class({
+    name: 'FlFrameworkCommentAttachmentAPIService',
+    superclass: 'FlNestedAPIService',
+    /**
+     * @ngdoc method
+     * @name FlFrameworkCommentAttachmentAPIService#constructor
+     * @description The constructor; called during `new` creation.
+     *  Calls the superclass implementation, passing the following API configuration:
+     *  ```
+     *  {
+     *    root_url_template: '/fl/framework/comments/${comment.id}/attachments',
+     *    shallow_root_url_template: '/fl/framework/attachments',
+     *    namespace: 'attachment',
+     *    data_names: [ 'attachment', 'attachments' ]
+     *  }
+     *  ```
+     *  and passing *srv_cfg* as the second argument.
+     *  Since attachment types are defined by the application, the API configuration has no
+     *  **model_type**; pass it in *srv_cfg* to enable optimistic updates by identifier.
+     *
+     * @param {Integer|FlFrameworkComment} comment The object or object identifier for the comment that
+     *  defines the nesting resource for the API.
+     * @param {Object} srv_cfg Configuration for the service. In addition to the standard properties,
+     *  the service looks up **model_type**, which is placed in the API configuration instead.
+     */
+
+    initializer: function(comment, srv_cfg) {
+	this.__super_init('FlNestedAPIService',
+			  _.assign({ }, COMMENT_ATTACHMENT_API_CFG, _.pick(srv_cfg, [ 'model_type' ])),
+			  _.omit(srv_cfg, [ 'model_type' ]));
+
+	this.comment = comment;
+    },
+    instance_properties: {
+    },
+    instance_methods: {
+	/**
+	 * @ngdoc method
+	 * @name FlFrameworkCommentAttachmentAPIService#upload
+	 * @description Upload a file and attach it to the comment.
+	 *  This is a wrapper around {@sref FlAPIService#create} that places *file* in the
+	 *  **attachment** property of the wrapped data. Since the data contain a `File` object,
+	 *  {@sref FlAPIService#process} submits them as a multipart form.
+	 *
+	 * @param {File} file The file to upload.
+	 * @param {Object} [data] Additional data to submit to the server. The object contains two
+	 *  properties, **wrapped** and **unwrapped**. See {@sref FlAPIService#_wrap_data} for details.
+	 * @param {Object} [config] Configuration object to pass to `axios.post`; this object is
+	 *  merged into the default HTTP configuration object.
+	 *
+	 * @property {String} data.wrapped.title The title of the attachment. This parameter is optional.
+	 * @property {String} data.wrapped.caption The caption of the attachment. This parameter is optional.
+	 * @property {Object} data.unwrapped.to_hash An object containing configuration parameters for
+	 *  the server method that generates the hash representation of returned models.
+	 *
+	 * @return On success, returns a promise containing the attachment object.
+	 *  On error, returns a promise that rejects with the value from the {@sref FlAPIService#create}
+	 *  method.
+	 */
+
+	upload: function(file, data, config) {
+	    let api_data = (_.isObject(data)) ? data : { };
+	    let wrapped = _.merge({ }, api_data.wrapped, { attachment: file });
+
+	    return this.create(_.merge({ }, api_data, { wrapped: wrapped }), config);
+	}
+    },
+    class_methods: {
+    },
+    extensions: [ ]
+});
+
+FlGlobalAPIServiceRegistry.register('fl.comment_api_services', {
+    FlFrameworkCommentAPIService: 'Fl::Framework::Comment::ActiveRecord::Comment'
+});
+
+module.exports = { FlFrameworkCommentAPIService, FlFrameworkCommentAttachmentAPIService };
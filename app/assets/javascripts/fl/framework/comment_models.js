@@ -0,0 +1,74 @@
+/**
+ * @ngdoc module
+ * @name fl.comments
+ * @requires fl.model_factory
+ * @description
+ * Support for framework comment models.
+ */
+
+const _ = require('lodash');
+const { FlExtensions, FlClassManager } = require('./object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('./model_factory');
+
+/**
+ * @ngdoc type
+ * @name FlFrameworkComment
+ * @module fl.comments
+ * @requires FlModelBase
+ * @description Model class for `Fl::Framework::Comment::ActiveRecord::Comment`.
+ *  This model encapsulate an instance of a framework comment object.
+ *  The **author**, **commentable**, and **attachments** properties are converted to model
+ *  instances.
+ */
+
+let FlFrameworkComment = FlClassManager.make_class({
+    name: 'FlFrameworkComment',
+    superclass: 'FlModelBase',
+    /**
+     * @ngdoc method
+     * @name FlFrameworkComment#constructor
+     * @description The constructor; called during `new` creation.
+     *  Calls the superclass implementation, passing the value of *data*.
+     *
+     * @param {Object} data Model data.
+     */
+
+    initializer: function(data) {
+	this.__super_init('FlModelBase', data);
+    },
+    attributes: {
+	author: 'belongs_to',
+	commentable: 'belongs_to',
+	attachments: 'has_many'
+    },
+    instance_properties: {
+    },
+    instance_methods: {
+    },
+    class_methods: {
+	/**
+	 * @ngdoc method
+	 * @name FlFrameworkComment#create
+	 * @classmethod
+	 * @description
+	 *  Factory for a comment object.
+	 *
+	 * @param {Object} data The representation of the comment object.
+	 *
+	 * @return {FlFrameworkComment} Returns an instance of {@sref FlFrameworkComment}.
+	 */
+
+	create: function(data) {
+	    return FlClassManager.modelize('FlFrameworkComment', data);
+	}
+    },
+    extensions: [ ]
+});
+
+FlGlobalModelFactory.register('fl.comments', [
+    { service: FlFrameworkComment, class_name: 'Fl::Framework::Comment::ActiveRecord::Comment' }
+]);
+
+module.exports = { FlFrameworkComment };
@@ -21,14 +21,16 @@ const { FlFrameworkListList, FlFrameworkListListItem } = require('./list_models'
 const LIST_API_CFG = {
     root_url_template: '/fl/framework/lists',
     namespace: 'fl_framework_list',
-    data_names: [ 'list', 'lists', 'list_item' ]
+    data_names: [ 'list', 'lists', 'list_item' ],
+    model_type: 'Fl::Framework::List::List'
 };
 
 const LIST_ITEM_API_CFG = {
     root_url_template: '/fl/framework/lists/${list.id}/list_items',
     shallow_root_url_template: '/fl/framework/list_items',
     namespace: 'fl_framework_list_item',
-    data_names: [ 'list_item', 'list_items' ]
+    data_names: [ 'list_item', 'list_items' ],
+    model_type: 'Fl::Framework::List::ListItem'
 };
 
 /**
@@ -52,7 +54,8 @@ let FlFrameworkListAPIService = FlClassManager.make_class({
      *  {
      *    root_url_template: '/fl/framework/lists',
      *    namespace: 'fl_framework_list',
-     *    data_names: [ 'list', 'lists' ]
+     *    data_names: [ 'list', 'lists', 'list_item' ],
+     *    model_type: 'Fl::Framework::List::List'
      *  }
      *  ```
      *  and passing *srv_cfg* as the second argument.
@@ -88,7 +91,7 @@ let FlFrameworkListAPIService = FlClassManager.make_class({
 	 *  the server method that generates the hash representation of returned models.
 	 *
 	 * @return On success, returns a promise containing the list item object.
-	 *  On error, returns a promise that rejects with the response object.
+	 *  On error, returns a promise that rejects with an {@sref FlAPIError}.
 	 */
 
 	add_object: function(id, data, config) {
@@ -100,7 +103,7 @@ let FlFrameworkListAPIService = FlClassManager.make_class({
 		    return Promise.resolve(self.modelFactory.create(self.response_data(r)));
 		})
 		.catch(function(e) {
-		    return Promise.reject(_.isObject(e.response) ? e.response : e);
+		    return Promise.reject(e);
 		});
 	},
 
@@ -121,11 +124,12 @@ let FlFrameworkListAPIService = FlClassManager.make_class({
 	 */
 
 	url_path_for: function(action, target) {
-	    let root_path = this._expand_url_template(this.root_url_template);
-	    
 	    if (action == 'add_object')
 	    {
-		return root_path + '/add_object.json';
+		let root_path = this._expand_url_template(this.root_url_template);
+		let tid = (_.isUndefined(target)) ? undefined : this._id(target);
+
+		return root_path + '/' + tid + '/add_object.json';
 	    }
 	    else
 	    {
@@ -159,8 +163,9 @@ let FlFrameworkListItemAPIService = FlClassManager.make_class({
      *  {
      *    root_url_template: '/fl/framework/lists/${list.id}/list_items',
      *    shallow_root_url_template: '/fl/framework/list_items',
-     *    namespace: 'fl_framework_list',
-     *    data_names: [ 'list', 'lists' ]
+     *    namespace: 'fl_framework_list_item',
+     *    data_names: [ 'list_item', 'list_items' ],
+     *    model_type: 'Fl::Framework::List::ListItem'
      *  }
      *  ```
      *  and passing *srv_cfg* as the second argument.
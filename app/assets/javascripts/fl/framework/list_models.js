@@ -19,6 +19,7 @@ const {
  * @requires FlModelBase
  * @description Model class for `Fl::Framework::List::List`.
  *  This model encapsulate an instance of a framework list object.
+ *  The **owner** and **list_items** properties are converted to model instances.
  */
 
 let FlFrameworkListList = FlClassManager.make_class({
@@ -36,33 +37,14 @@ let FlFrameworkListList = FlClassManager.make_class({
     initializer: function(data) {
 	this.__super_init('FlModelBase', data);
     },
+    attributes: {
+	default_readonly_state: 'boolean',
+	owner: 'belongs_to',
+	list_items: { type: 'has_many', class_name: 'Fl::Framework::List::ListItem' }
+    },
     instance_properties: {
     },
     instance_methods: {
-	/**
-	 * @ngdoc method
-	 * @name FlFrameworkListList#refresh
-	 * @description
-	 *  Refresh the state of the instance based on the contents
-	 *  of the hash representation of a list object.
-	 * 
-	 * @param {Object} data An object containing a representation of the 
-	 *  list object. This representation may be partial.
-	 */
-
-	refresh: function(data) {
-	    this.__super('FlModelBase', 'refresh', data);
-
-	    if (_.isObject(data.owner))
-	    {
-	    	this.owner = FlModelFactory.defaultFactory().create(data.owner);
-	    }
-
-	    if (_.isArray(data.list_items))
-	    {
-	    	this.list_items = FlModelFactory.defaultFactory().create(data.list_items);
-	    }
-	}
     },
     class_methods: {
 	/**
@@ -91,6 +73,8 @@ let FlFrameworkListList = FlClassManager.make_class({
  * @requires FlModelBase
  * @description Model class for `Fl::Framework::List::ListItem`
  *  This model encapsulate an instance of a list item.
+ *  The **list**, **listed_object**, **owner**, and **state_updated_by** properties are converted
+ *  to model instances.
  */
 
 let FlFrameworkListListItem = FlClassManager.make_class({
@@ -108,43 +92,19 @@ let FlFrameworkListListItem = FlClassManager.make_class({
     initializer: function(data) {
 	this.__super_init('FlModelBase', data);
     },
+    attributes: {
+	list: { type: 'belongs_to', class_name: 'Fl::Framework::List::List' },
+	listed_object: 'belongs_to',
+	owner: 'belongs_to',
+	readonly_state: 'boolean',
+	state: { type: 'enum', values: [ 'selected', 'deselected' ], default: 'selected' },
+	sort_order: 'integer',
+	state_updated_at: { type: 'date', readonly: true },
+	state_updated_by: { type: 'belongs_to', readonly: true }
+    },
     instance_properties: {
     },
     instance_methods: {
-	/**
-	 * @ngdoc method
-	 * @name FlFrameworkListListItem#refresh
-	 * @description
-	 *  Refresh the state of the instance based on the contents
-	 *  of the hash representation of a Fl::Framework::List::ListItem object.
-	 * 
-	 * @param {Object} data An object containing a representation of the 
-	 *  list item object. This representation may be partial.
-	 */
-
-	refresh: function(data) {
-	    this.__super('FlModelBase', 'refresh', data);
-
-	    if (_.isObject(data.list))
-	    {
-	    	this.list = FlModelFactory.defaultFactory().create(data.list);
-	    }
-
-	    if (_.isObject(data.listed_object))
-	    {
-	    	this.listed_object = FlModelFactory.defaultFactory().create(data.listed_object);
-	    }
-
-	    if (_.isObject(data.owner))
-	    {
-	    	this.owner = FlModelFactory.defaultFactory().create(data.owner);
-	    }
-
-	    if (_.isObject(data.state_updated_by))
-	    {
-	    	this.state_updated_by = FlModelFactory.defaultFactory().create(data.state_updated_by);
-	    }
-	}
     },
     class_methods: {
 	/**
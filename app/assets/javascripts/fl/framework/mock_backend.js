@@ -0,0 +1,1155 @@
+/**
+ * @ngdoc module
+ * @name fl.mock_backend
+ * @description
+ * An in-memory implementation of the engine's JSON API, for tests and for demos that run
+ * without a Rails server.
+ * This module exports the class {@sref FlMockBackend}, which provides an Axios instance that
+ * can be placed in the **axios** property of the configuration of an {@sref FlAPIService}:
+ * ```
+ * let backend = new FlMockBackend({ objects: [ ACTOR_1, DATUM_10 ] });
+ * backend.seed('lists', [ { title: 'my list', owner: ACTOR_1.fingerprint } ]);
+ *
+ * let srv = new FlFrameworkListAPIService({ axios: backend.axios });
+ * srv.index().then(function(lists) { ... });
+ * ```
+ */
+
+const _ = require('lodash');
+const axios = require('axios');
+
+const DEFAULT_BACKEND_OPTIONS = {
+    mount: '/fl/framework',
+    objects: [ ],
+    latency: 0,
+    now: null
+};
+
+const QUERY_BACKSTOPS = {
+    offset: 0,
+    limit: 20,
+    order: 'updated_at DESC'
+};
+
+const DATE_FILTERS = {
+    created_after: [ 'created_at', 1 ],
+    updated_after: [ 'updated_at', 1 ],
+    created_before: [ 'created_at', -1 ],
+    updated_before: [ 'updated_at', -1 ]
+};
+
+const STATUS_TEXT = {
+    200: 'OK',
+    400: 'Bad Request',
+    404: 'Not Found',
+    422: 'Unprocessable Entity',
+    500: 'Internal Server Error'
+};
+
+const LIST_TYPE = 'Fl::Framework::List::List';
+const GROUP_TYPE = 'Fl::Framework::Actor::Group';
+
+// The resources managed by the backend. For each one:
+// - type, api_root, path_name: used to generate the type, api_root, url_path, and fingerprint
+//   properties of the object hashes.
+// - namespace, data_names: the key for submitted data, and the keys for single and multiple
+//   objects in responses.
+// - attributes: the plain attributes.
+// - refs: the attributes that reference other objects, mapped to the type of the referenced
+//   object (null for polymorphic references). Their values are stored as fingerprints.
+// - create_params, update_params: the permitted parameters for :create and :update.
+// - filters: the _q filters; for example, the owners filter maps `only_owners` and
+//   `except_owners` to the owner attribute.
+// - parent: for nested resources, the reference to the parent, and the parent filter.
+// - add: for resources with an "add member" action, the member table, the member reference,
+//   the permitted parameters, and the attributes that the member inherits from the resource.
+// - includes: show parameters that add the member list to the hash, and the member table.
+// - validations: length, presence, inclusion, and uniqueness checks.
+
+const RESOURCES = {
+    lists: {
+	type: LIST_TYPE,
+	api_root: '/fl/framework/list/lists',
+	path_name: 'fl_framework_list_list_path',
+	namespace: 'fl_framework_list',
+	data_names: [ 'list', 'lists' ],
+	attributes: { caption: null, title: null, default_readonly_state: true, list_display_preferences: null },
+	refs: { owner: null },
+	create_params: [ 'title', 'caption', 'owner', 'default_readonly_state', 'list_display_preferences' ],
+	update_params: [ 'title', 'caption', 'owner', 'default_readonly_state', 'list_display_preferences' ],
+	filters: { owners: 'owner' },
+	add: {
+	    table: 'list_items', ref: 'listed_object',
+	    params: [ 'listed_object', 'owner', 'name' ], inherit: [ 'owner' ]
+	},
+	includes: { with_list_items: [ 'list_items', 'list_items' ] },
+	validations: {
+	    length: { title: [ 1, 200 ] }
+	}
+    },
+
+    list_items: {
+	type: 'Fl::Framework::List::ListItem',
+	api_root: '/fl/framework/list/list_items',
+	path_name: 'fl_framework_list_listitem_path',
+	namespace: 'fl_framework_list_item',
+	data_names: [ 'list_item', 'list_items' ],
+	attributes: {
+	    readonly_state: null, state: 'selected', state_note: null, sort_order: null,
+	    item_summary: null, name: null
+	},
+	refs: { list: LIST_TYPE, listed_object: null, owner: null },
+	create_params: [ 'list', 'listed_object', 'owner', 'name', 'readonly_state', 'state', 'state_note' ],
+	update_params: [ 'owner', 'name', 'readonly_state', 'state', 'state_note', 'sort_order' ],
+	filters: { lists: 'list', listables: 'listed_object', owners: 'owner' },
+	parent: { ref: 'list', filter: 'lists' },
+	validations: {
+	    presence: [ 'list', 'listed_object' ],
+	    length: { name: [ 0, 200 ] },
+	    inclusion: { state: [ 'selected', 'deselected' ] },
+	    uniqueness: { listed_object: [ 'list' ] }
+	}
+    },
+
+    groups: {
+	type: GROUP_TYPE,
+	api_root: '/fl/framework/actor/groups',
+	path_name: 'fl_framework_actor_group_path',
+	namespace: 'fl_framework_actor_group',
+	data_names: [ 'group', 'groups' ],
+	attributes: { name: null, note: null },
+	refs: { owner: null },
+	create_params: [ 'name', 'note', 'owner' ],
+	update_params: [ 'name', 'note', 'owner' ],
+	filters: { owners: 'owner' },
+	add: {
+	    table: 'group_members', ref: 'actor',
+	    params: [ 'actor', 'title', 'note' ], inherit: [ ]
+	},
+	includes: { with_members: [ 'members', 'group_members' ] },
+	validations: {
+	    length: { name: [ 1, 200 ] },
+	    uniqueness: { name: [ ] }
+	}
+    },
+
+    group_members: {
+	type: 'Fl::Framework::Actor::GroupMember',
+	api_root: '/fl/framework/actor/group_members',
+	path_name: 'fl_framework_actor_group_member_path',
+	namespace: 'fl_framework_actor_group_member',
+	data_names: [ 'group_member', 'group_members' ],
+	attributes: { title: null, note: null },
+	refs: { group: GROUP_TYPE, actor: null },
+	create_params: [ 'title', 'note', 'group', 'actor' ],
+	update_params: [ 'title', 'note' ],
+	filters: { groups: 'group', actors: 'actor' },
+	parent: { ref: 'group', filter: 'groups' },
+	validations: {
+	    presence: [ 'group', 'actor' ],
+	    uniqueness: { actor: [ 'group' ] }
+	}
+    }
+};
+
+// The routes, relative to the mount point, and without the .json suffix.
+
+const ROUTES = _.map([
+    [ 'get', '/lists', 'index', 'lists' ],
+    [ 'post', '/lists', 'create', 'lists' ],
+    [ 'get', '/lists/:id', 'show', 'lists' ],
+    [ 'patch', '/lists/:id', 'update', 'lists' ],
+    [ 'put', '/lists/:id', 'update', 'lists' ],
+    [ 'delete', '/lists/:id', 'destroy', 'lists' ],
+    [ 'post', '/lists/:id/add_object', 'add', 'lists' ],
+    [ 'get', '/lists/:parent_id/list_items', 'index', 'list_items' ],
+    [ 'post', '/lists/:parent_id/list_items', 'create', 'list_items' ],
+    [ 'get', '/list_items', 'index', 'list_items' ],
+    [ 'get', '/list_items/:id', 'show', 'list_items' ],
+    [ 'patch', '/list_items/:id', 'update', 'list_items' ],
+    [ 'put', '/list_items/:id', 'update', 'list_items' ],
+    [ 'delete', '/list_items/:id', 'destroy', 'list_items' ],
+    [ 'get', '/actor/groups', 'index', 'groups' ],
+    [ 'post', '/actor/groups', 'create', 'groups' ],
+    [ 'get', '/actor/groups/:id', 'show', 'groups' ],
+    [ 'patch', '/actor/groups/:id', 'update', 'groups' ],
+    [ 'put', '/actor/groups/:id', 'update', 'groups' ],
+    [ 'delete', '/actor/groups/:id', 'destroy', 'groups' ],
+    [ 'post', '/actor/groups/:id/add_actor', 'add', 'groups' ],
+    [ 'get', '/actor/groups/:parent_id/group_members', 'index', 'group_members' ],
+    [ 'post', '/actor/groups/:parent_id/group_members', 'create', 'group_members' ],
+    [ 'get', '/actor/group_members', 'index', 'group_members' ],
+    [ 'get', '/actor/group_members/:id', 'show', 'group_members' ],
+    [ 'patch', '/actor/group_members/:id', 'update', 'group_members' ],
+    [ 'put', '/actor/group_members/:id', 'update', 'group_members' ],
+    [ 'delete', '/actor/group_members/:id', 'destroy', 'group_members' ]
+], function(r) {
+    return {
+	method: r[0],
+	path: r[1],
+	re: new RegExp('^' + r[1].replace(/:[a-z_]+/g, '([^/]+)') + '$'),
+	params: _.map(r[1].match(/:[a-z_]+/g), function(p) { return p.substr(1); }),
+	action: r[2],
+	table: r[3]
+    };
+});
+
+// Build an error response, in the format generated by the engine's controllers.
+
+function error_response(status, error_status, message, details) {
+    return {
+	status: status,
+	data: { _error: { status: error_status, message: message, details: (_.isUndefined(details)) ? null : details } }
+    };
+}
+
+function not_found(table, id) {
+    return error_response(404, 'not_found', 'No ' + RESOURCES[table].data_names[0] + ' with id ' + id);
+}
+
+// Parse a request parameter value; Axios serializes object values as JSON.
+
+function param_value(v) {
+    if (!_.isString(v)) return v;
+
+    try
+    {
+	return JSON.parse(v);
+    }
+    catch (x)
+    {
+	return v;
+    }
+}
+
+function is_true(v) {
+    return !_.isNil(v) && (v !== false) && (v !== 'false') && (v !== '0') && (v !== 0);
+}
+
+// Convert a date filter value to milliseconds; numeric values are in seconds.
+
+function timestamp(v) {
+    if (_.isNumber(v) || (_.isString(v) && /^[0-9]+(\.[0-9]*)?$/.test(v))) return Math.round(parseFloat(v) * 1000);
+
+    let t = Date.parse(v);
+    return (_.isNaN(t)) ? null : t;
+}
+
+/**
+ * @ngdoc type
+ * @name FlMockBackend
+ * @module fl.mock_backend
+ * @description
+ *  An in-memory implementation of the engine's JSON API.
+ *  The backend implements the routes for lists (including the `add_object` action), list
+ *  items (nested and shallow), actor groups (including the `add_actor` action), and group
+ *  members (nested and shallow); paths are relative to the mount point, which defaults to
+ *  `/fl/framework`.
+ *
+ *  Responses use the same envelopes as the engine's controllers: objects are returned under
+ *  the data names for the resource (for example, `list` and `lists`), the :index actions return
+ *  the pagination controls in `_pg`, the :destroy actions return a `_status` object, and errors
+ *  are returned in an `_error` object with the corresponding HTTP status. The :index actions
+ *  support the same `_q` filters as the controllers (for example, `only_owners`,
+ *  `except_lists`, `created_after`, `order`, `limit`, and `offset`).
+ *
+ *  Objects reference other objects (owners, listed objects, actors) by fingerprint. Objects
+ *  managed by the backend are resolved from its tables; other objects must be registered with
+ *  {@sref FlMockBackend#register} (or listed in the **objects** option), so that the backend
+ *  can embed their hash representations in responses.
+ *
+ * @param {Object} [options] Configuration options.
+ * @property {String} options.mount The mount point of the engine's routes.
+ *  Defaults to `/fl/framework`.
+ * @property {Array} options.objects Hash representations of objects that are not managed by
+ *  the backend, like actors and listed objects; see {@sref FlMockBackend#register}.
+ *  Defaults to `[ ]`.
+ * @property {Integer} options.latency The delay before a response is returned, in
+ *  milliseconds; demos can use it to simulate a network.
+ *  Defaults to `0`.
+ * @property {Function} options.now A function that returns the current time in milliseconds;
+ *  this is used to generate the **created_at** and **updated_at** timestamps, and is typically
+ *  overridden by tests to install a fake clock.
+ *  Defaults to `Date.now`.
+ */
+
+let FlMockBackend = (function() {
+    function FlMockBackend(options) {
+	let self = this;
+	let opts = _.assign({ }, DEFAULT_BACKEND_OPTIONS, (_.isObject(options)) ? options : { });
+
+	this._mount = opts.mount.replace(/\/+$/, '');
+	this._latency = opts.latency;
+	this._now = (_.isFunction(opts.now)) ? opts.now : Date.now;
+	this._objects = { };
+	this._history = [ ];
+	this._axios = axios.create({ adapter: function(config) { return self.adapter(config); } });
+
+	this.reset();
+	this.register(opts.objects);
+    };
+    FlMockBackend.prototype.constructor = FlMockBackend;
+
+    /**
+     * @ngdoc property
+     * @name FlMockBackend#axios
+     * @description An Axios instance that sends its requests to the backend; place it in the
+     *  **axios** property of the service configuration.
+     */
+
+    Object.defineProperty(FlMockBackend.prototype, 'axios', {
+	get: function() { return this._axios; }
+    });
+
+    /**
+     * @ngdoc property
+     * @name FlMockBackend#history
+     * @description A copy of the list of requests that the backend has processed, in order.
+     *  Each element contains the properties **method**, **url**, **params**, **data**, and
+     *  **status** (the HTTP status of the response).
+     */
+
+    Object.defineProperty(FlMockBackend.prototype, 'history', {
+	get: function() { return _.cloneDeep(this._history); }
+    });
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#reset
+     * @description Remove all objects from the backend's tables, and clear the request history.
+     *  Registered objects are not removed.
+     */
+
+    FlMockBackend.prototype.reset = function() {
+	this._tables = _.mapValues(RESOURCES, function() { return [ ]; });
+	this._history = [ ];
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#register
+     * @description Register objects that are not managed by the backend.
+     *  When an object references a registered object, its hash representation embeds a copy of
+     *  the registered hash.
+     *
+     * @param {Object|Array} objects A hash representation of an object, or an array of them;
+     *  each one must contain a **fingerprint** property.
+     */
+
+    FlMockBackend.prototype.register = function(objects) {
+	let self = this;
+
+	_.forEach((_.isArray(objects)) ? objects : [ objects ], function(o) {
+	    if (_.isObject(o) && _.isString(o.fingerprint)) self._objects[o.fingerprint] = _.cloneDeep(o);
+	});
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#seed
+     * @description Add objects to one of the backend's tables.
+     *  The attributes are the same as the ones submitted to the :create action; additionally,
+     *  they may contain **id**, **created_at**, and **updated_at**.
+     *  References may be fingerprints, or hash representations (which are registered; see
+     *  {@sref FlMockBackend#register}); references to lists and groups may also be identifiers.
+     *
+     * @param {String} table The table: `lists`, `list_items`, `groups`, or `group_members`.
+     * @param {Object|Array} records The attributes of an object, or an array of them.
+     *
+     * @return {Array} Returns an array containing the hash representations of the new objects.
+     *
+     * @throws Throws an error if *table* is not supported, or if an object fails validation.
+     */
+
+    FlMockBackend.prototype.seed = function(table, records) {
+	let self = this;
+
+	if (!_.has(RESOURCES, table)) throw new Error('unsupported table: ' + table);
+
+	return _.map((_.isArray(records)) ? records : [ records ], function(attrs) {
+	    let rec = self._build(table, attrs, _.keys(attrs));
+	    let errors = self._validate(table, rec, true);
+
+	    if (!_.isNil(errors)) throw new Error('invalid ' + table + ' record: ' + JSON.stringify(errors));
+	    return self._to_hash(table, self._insert(table, rec));
+	});
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#records
+     * @description Get the contents of one of the backend's tables.
+     *
+     * @param {String} table The table: `lists`, `list_items`, `groups`, or `group_members`.
+     *
+     * @return {Array} Returns an array containing the hash representations of the objects in
+     *  the table, in creation order.
+     */
+
+    FlMockBackend.prototype.records = function(table) {
+	let self = this;
+
+	if (!_.has(RESOURCES, table)) throw new Error('unsupported table: ' + table);
+	return _.map(this._tables[table], function(rec) { return self._to_hash(table, rec); });
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#request
+     * @description Process a request.
+     *  This is the method that the Axios adapter calls; tests can also call it directly.
+     *
+     * @param {String} method The HTTP method.
+     * @param {String} url The URL; it may include the scheme and host, which are ignored.
+     * @param {Object} [params] The request parameters.
+     * @param {Object|String} [data] The submitted data, as an object or as a JSON string.
+     *
+     * @return {Object} Returns an object containing the HTTP **status** and the response
+     *  **data**.
+     */
+
+    FlMockBackend.prototype.request = function(method, url, params, data) {
+	let m = (_.isString(method)) ? method.toLowerCase() : 'get';
+	let p = _.mapValues((_.isObject(params)) ? params : { }, param_value);
+	let body = param_value(data);
+	let r;
+
+	try
+	{
+	    r = this._dispatch(m, url, p, (_.isObject(body)) ? body : { });
+	}
+	catch (x)
+	{
+	    r = error_response(500, 'internal_server_error', (_.isString(x.message)) ? x.message : 'server error');
+	}
+
+	this._history.push({ method: m, url: url, params: p, data: (_.isObject(body)) ? body : null, status: r.status });
+	return { status: r.status, data: _.cloneDeep(r.data) };
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#adapter
+     * @description The Axios adapter.
+     *  The response data are serialized to JSON, so that clients get their own copy of them.
+     *  Responses whose status fails the **validateStatus** check reject with an Axios-style
+     *  error; if the request's cancel token fires before the response is returned, the
+     *  promise rejects with the cancellation.
+     *
+     * @param {Object} config The Axios request configuration.
+     *
+     * @return {Promise} Returns a promise that resolves with an Axios response object.
+     */
+
+    FlMockBackend.prototype.adapter = function(config) {
+	let self = this;
+
+	return new Promise(function(resolve, reject) {
+	    let done = false;
+	    let respond = function() {
+		if (done) return;
+		done = true;
+
+		let r = self.request(config.method, config.url, config.params, config.data);
+		let response = {
+		    data: JSON.stringify(r.data),
+		    status: r.status,
+		    statusText: (_.has(STATUS_TEXT, r.status)) ? STATUS_TEXT[r.status] : '',
+		    headers: { 'content-type': 'application/json; charset=utf-8' },
+		    config: config,
+		    request: null
+		};
+
+		if (!_.isFunction(config.validateStatus) || config.validateStatus(r.status))
+		{
+		    resolve(response);
+		}
+		else
+		{
+		    let e = new Error('Request failed with status code ' + r.status);
+		    e.config = config;
+		    e.request = null;
+		    e.response = response;
+		    e.isAxiosError = true;
+		    reject(e);
+		}
+	    };
+
+	    if (_.isObject(config.cancelToken) && _.isObject(config.cancelToken.promise))
+	    {
+		config.cancelToken.promise.then(function(c) {
+		    if (done) return;
+		    done = true;
+		    reject(c);
+		});
+	    }
+
+	    if (self._latency > 0)
+	    {
+		setTimeout(respond, self._latency);
+	    }
+	    else
+	    {
+		respond();
+	    }
+	});
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#_dispatch
+     * @description Find the route for a request, and call the action.
+     *
+     * @param {String} method The (lowercase) HTTP method.
+     * @param {String} url The URL.
+     * @param {Object} params The request parameters.
+     * @param {Object} body The submitted data.
+     *
+     * @return {Object} Returns an object containing the HTTP **status** and the response **data**.
+     */
+
+    FlMockBackend.prototype._dispatch = function(method, url, params, body) {
+	let path = (_.isString(url) ? url : '').replace(/^[a-z]+:\/\/[^\/]+/i, '').split('?')[0];
+	let miss = error_response(404, 'not_found', 'No route matches [' + method.toUpperCase() + '] "' + path + '"');
+
+	if (path.substr(0, this._mount.length + 1) != (this._mount + '/')) return miss;
+	let rpath = path.substr(this._mount.length).replace(/\.json$/, '');
+
+	for (let route of ROUTES)
+	{
+	    let m = (route.method == method) ? rpath.match(route.re) : null;
+	    if (!_.isNil(m))
+	    {
+		let rp = _.assign({ }, params, _.zipObject(route.params, _.map(m.slice(1), decodeURIComponent)));
+		return this['_' + route.action](route.table, rp, body);
+	    }
+	}
+
+	return miss;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#_index
+     * @description The :index action.
+     *  For nested routes, the query is restricted to the members of the parent object.
+     *
+     * @param {String} table The table.
+     * @param {Object} params The request parameters.
+     *
+     * @return {Object} Returns the response.
+     */
+
+    FlMockBackend.prototype._index = function(table, params) {
+	let self = this;
+	let res = RESOURCES[table];
+	let q = (_.isPlainObject(params._q)) ? _.clone(params._q) : { };
+	let pg = (_.isPlainObject(params._pg)) ? params._pg : { };
+
+	if (_.has(params, 'parent_id'))
+	{
+	    q['only_' + res.parent.filter] = [ params.parent_id ];
+	    delete q['except_' + res.parent.filter];
+	}
+
+	let r = this._query(table, q, pg);
+	if (_.isNil(r)) return error_response(422, 'unprocessable_entity', 'invalid query: ' + JSON.stringify(q));
+
+	return {
+	    status: 200,
+	    data: {
+		[res.data_names[1]]: _.map(r.result, function(rec) { return self._to_hash(table, rec); }),
+		_pg: r._pg
+	    }
+	};
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#_show
+     * @description The :show action.
+     *  Lists support the **with_list_items** parameter, and groups the **with_members**
+     *  parameter, to include their members in the response.
+     *
+     * @param {String} table The table.
+     * @param {Object} params The request parameters.
+     *
+     * @return {Object} Returns the response.
+     */
+
+    FlMockBackend.prototype._show = function(table, params) {
+	let self = this;
+	let res = RESOURCES[table];
+	let rec = this._find(table, params.id);
+	if (_.isNil(rec)) return not_found(table, params.id);
+
+	let h = this._to_hash(table, rec);
+	_.forEach(res.includes, function(inc, pname) {
+	    if (is_true(params[pname])) h[inc[0]] = _.map(self._members(table, rec), function(m) {
+		return self._to_hash(inc[1], m);
+	    });
+	});
+
+	return { status: 200, data: { [res.data_names[0]]: h } };
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#_create
+     * @description The :create action.
+     *  For nested routes, the parent reference is set from the route.
+     *
+     * @param {String} table The table.
+     * @param {Object} params The request parameters.
+     * @param {Object} body The submitted data.
+     *
+     * @return {Object} Returns the response.
+     */
+
+    FlMockBackend.prototype._create = function(table, params, body) {
+	let res = RESOURCES[table];
+	let attrs = _.pick((_.isObject(body[res.namespace])) ? body[res.namespace] : { }, res.create_params);
+
+	if (_.has(params, 'parent_id')) attrs[res.parent.ref] = params.parent_id;
+
+	return this._save(table, this._build(table, attrs, res.create_params), true);
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#_update
+     * @description The :update action.
+     *
+     * @param {String} table The table.
+     * @param {Object} params The request parameters.
+     * @param {Object} body The submitted data.
+     *
+     * @return {Object} Returns the response.
+     */
+
+    FlMockBackend.prototype._update = function(table, params, body) {
+	let res = RESOURCES[table];
+	let rec = this._find(table, params.id);
+	if (_.isNil(rec)) return not_found(table, params.id);
+
+	let attrs = _.pick((_.isObject(body[res.namespace])) ? body[res.namespace] : { }, res.update_params);
+	let nrec = _.assign({ }, rec, this._build(table, attrs, _.keys(attrs)), { id: rec.id });
+
+	return this._save(table, nrec, false);
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#_destroy
+     * @description The :destroy action.
+     *  The members of lists and groups are also destroyed.
+     *
+     * @param {String} table The table.
+     * @param {Object} params The request parameters.
+     *
+     * @return {Object} Returns the response.
+     */
+
+    FlMockBackend.prototype._destroy = function(table, params) {
+	let res = RESOURCES[table];
+	let rec = this._find(table, params.id);
+	if (_.isNil(rec)) return not_found(table, params.id);
+
+	if (_.isObject(res.add))
+	{
+	    let members = this._members(table, rec);
+	    _.pullAll(this._tables[res.add.table], members);
+	}
+	_.pull(this._tables[table], rec);
+
+	return {
+	    status: 200,
+	    data: {
+		_status: { status: 'ok', message: 'deleted ' + res.data_names[0] + ' ' + this._fingerprint(table, rec) }
+	    }
+	};
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#_add
+     * @description The `add_object` (lists) and `add_actor` (groups) actions.
+     *  If the object is already a member, the existing member is returned.
+     *
+     * @param {String} table The table.
+     * @param {Object} params The request parameters.
+     * @param {Object} body The submitted data.
+     *
+     * @return {Object} Returns the response.
+     */
+
+    FlMockBackend.prototype._add = function(table, params, body) {
+	let self = this;
+	let res = RESOURCES[table];
+	let add = res.add;
+	let mres = RESOURCES[add.table];
+	let rec = this._find(table, params.id);
+	if (_.isNil(rec)) return not_found(table, params.id);
+
+	let attrs = _.pick((_.isObject(body[res.namespace])) ? body[res.namespace] : { }, add.params);
+	if (_.isNil(attrs[add.ref]) || (attrs[add.ref] === ''))
+	{
+	    return error_response(422, 'unprocessable_entity', 'param is missing or the value is empty: ' + add.ref);
+	}
+
+	let fp = this._ref_value(attrs[add.ref], mres.refs[add.ref]);
+	let existing = _.find(this._members(table, rec), function(m) { return m[add.ref] == fp; });
+	if (!_.isNil(existing)) return { status: 200, data: { [mres.data_names[0]]: this._to_hash(add.table, existing) } };
+
+	attrs[mres.parent.ref] = this._fingerprint(table, rec);
+	_.forEach(add.inherit, function(a) {
+	    if (_.isNil(attrs[a])) attrs[a] = rec[a];
+	});
+
+	return this._save(add.table, this._build(add.table, attrs, _.keys(attrs)), true);
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#_save
+     * @description Validate and store an object.
+     *
+     * @param {String} table The table.
+     * @param {Object} rec The object's record.
+     * @param {Boolean} creating `true` if the object is being created.
+     *
+     * @return {Object} Returns the response: the object's hash on success, a 422 error if
+     *  validation fails.
+     */
+
+    FlMockBackend.prototype._save = function(table, rec, creating) {
+	let res = RESOURCES[table];
+	let errors = this._validate(table, rec, creating);
+
+	if (!_.isNil(errors))
+	{
+	    return error_response(422, 'unprocessable_entity', 'invalid ' + res.data_names[0] + ' data', errors);
+	}
+
+	let now = new Date(this._now()).toISOString();
+	if (creating)
+	{
+	    rec = this._insert(table, rec);
+	}
+	else
+	{
+	    let idx = _.findIndex(this._tables[table], function(r) { return r.id == rec.id; });
+	    rec.updated_at = now;
+	    this._summarize(table, rec);
+	    this._tables[table][idx] = rec;
+	}
+
+	return { status: 200, data: { [res.data_names[0]]: this._to_hash(table, rec) } };
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#_build
+     * @description Build a record from submitted attributes.
+     *  References are converted to fingerprints, and attributes that are not listed in *keys*
+     *  are not included.
+     *
+     * @param {String} table The table.
+     * @param {Object} attrs The attributes.
+     * @param {Array} keys The names of the attributes to include; **id**, **created_at**, and
+     *  **updated_at** are included if present in *keys*.
+     *
+     * @return {Object} Returns the record.
+     */
+
+    FlMockBackend.prototype._build = function(table, attrs, keys) {
+	let self = this;
+	let res = RESOURCES[table];
+	let rec = { };
+
+	_.forEach(keys, function(k) {
+	    if (!_.has(attrs, k)) return;
+
+	    if (_.has(res.refs, k))
+	    {
+		rec[k] = self._ref_value(attrs[k], res.refs[k]);
+	    }
+	    else if (_.has(res.attributes, k) || _.includes([ 'id', 'created_at', 'updated_at' ], k))
+	    {
+		rec[k] = _.cloneDeep(attrs[k]);
+	    }
+	});
+
+	return rec;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#_insert
+     * @description Add a record to a table.
+     *  Missing attributes are set to their default values, and the identifier and timestamps
+     *  are generated if not present. List items are placed at the end of their list.
+     *
+     * @param {String} table The table.
+     * @param {Object} rec The record.
+     *
+     * @return {Object} Returns the stored record.
+     */
+
+    FlMockBackend.prototype._insert = function(table, rec) {
+	let res = RESOURCES[table];
+	let rows = this._tables[table];
+	let now = new Date(this._now()).toISOString();
+	let nrec = _.assign({ }, _.cloneDeep(res.attributes), _.mapValues(res.refs, function() { return null; }), rec);
+
+	if (_.isNil(nrec.id)) nrec.id = (_.isEmpty(rows)) ? 1 : (_.maxBy(rows, 'id').id + 1);
+	if (_.isNil(nrec.created_at)) nrec.created_at = now;
+	if (_.isNil(nrec.updated_at)) nrec.updated_at = nrec.created_at;
+
+	if ((table == 'list_items') && _.isNil(nrec.sort_order))
+	{
+	    let items = _.filter(rows, function(r) { return r.list == nrec.list; });
+	    nrec.sort_order = (_.isEmpty(items)) ? 1 : (_.max(_.map(items, 'sort_order')) + 1);
+	}
+	this._summarize(table, nrec);
+
+	rows.push(nrec);
+	return nrec;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#_summarize
+     * @description Set the **item_summary** of a list item from its listed object: the
+     *  object's title or name, or its fingerprint.
+     *
+     * @param {String} table The table.
+     * @param {Object} rec The record.
+     */
+
+    FlMockBackend.prototype._summarize = function(table, rec) {
+	if (table != 'list_items') return;
+
+	let lo = this._ref_hash(rec.listed_object);
+	if (_.isNil(lo)) return;
+
+	rec.item_summary = (_.isString(lo.title)) ? lo.title : ((_.isString(lo.name)) ? lo.name : lo.fingerprint);
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#_validate
+     * @description Validate a record.
+     *
+     * @param {String} table The table.
+     * @param {Object} rec The record.
+     * @param {Boolean} creating `true` if the object is being created; uniqueness checks
+     *  ignore the object itself on updates.
+     *
+     * @return {Object} Returns `null` if the record is valid; otherwise, returns an object
+     *  containing error messages, keyed by attribute name.
+     */
+
+    FlMockBackend.prototype._validate = function(table, rec, creating) {
+	let self = this;
+	let res = RESOURCES[table];
+	let v = res.validations;
+	let errors = { };
+	let add = function(k, msg) {
+	    if (!_.has(errors, k)) errors[k] = [ ];
+	    errors[k].push(msg);
+	};
+
+	_.forEach(v.presence, function(k) {
+	    if (_.isNil(rec[k]) || (rec[k] === '')) add(k, "can't be blank");
+	});
+
+	_.forEach(res.refs, function(type, k) {
+	    if (_.isString(rec[k]) && _.isNil(self._resolve(rec[k]))) add(k, 'references an unknown object: ' + rec[k]);
+	});
+
+	_.forEach(v.length, function(range, k) {
+	    let s = (_.isNil(rec[k])) ? '' : String(rec[k]);
+
+	    if (s.length < range[0])
+	    {
+		add(k, 'is too short (minimum is ' + range[0] + ' character' + ((range[0] == 1) ? ')' : 's)'));
+	    }
+	    else if (s.length > range[1])
+	    {
+		add(k, 'is too long (maximum is ' + range[1] + ' characters)');
+	    }
+	});
+
+	_.forEach(v.inclusion, function(values, k) {
+	    if (!_.isNil(rec[k]) && !_.includes(values, rec[k])) add(k, 'is not included in the list');
+	});
+
+	_.forEach(v.uniqueness, function(scope, k) {
+	    if (_.isNil(rec[k])) return;
+
+	    let dup = _.find(self._tables[table], function(r) {
+		if (!creating && (r.id == rec.id)) return false;
+		return (r[k] == rec[k]) && _.every(scope, function(s) { return r[s] == rec[s]; });
+	    });
+	    if (!_.isNil(dup)) add(k, 'has already been taken');
+	});
+
+	return (_.isEmpty(errors)) ? null : errors;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#_query
+     * @description Run an :index query.
+     *  The query options are built like the engine's services do: the backstops are `offset` 0,
+     *  `limit` 20, and `order` `updated_at DESC`; the pagination parameters set the limit and
+     *  offset, and the `_q` parameters override them. A negative limit returns all objects.
+     *
+     * @param {String} table The table.
+     * @param {Object} q The query parameters (from `_q`).
+     * @param {Object} pg The pagination parameters (from `_pg`).
+     *
+     * @return {Object} Returns an object containing the **result** array, and the pagination
+     *  controls in **_pg**; if the `order` option names an unknown attribute, returns `null`.
+     */
+
+    FlMockBackend.prototype._query = function(table, q, pg) {
+	let self = this;
+	let res = RESOURCES[table];
+	let opts = _.clone(QUERY_BACKSTOPS);
+
+	if (_.has(pg, '_s')) opts.limit = parseInt(pg._s, 10);
+	if (_.has(pg, '_p')) opts.offset = (parseInt(pg._p, 10) - 1) * opts.limit;
+	if (opts.offset < 0) opts.offset = 0;
+
+	if (_.has(q, 'limit')) opts.limit = parseInt(q.limit, 10);
+	if (_.has(q, 'offset')) opts.offset = parseInt(q.offset, 10);
+	if (_.has(q, 'order')) opts.order = (_.isArray(q.order)) ? q.order.join(', ') : q.order;
+
+	let rows = this._tables[table];
+
+	_.forEach(res.filters, function(attr, name) {
+	    let type = res.refs[attr];
+	    let fps = function(v) {
+		return _.map((_.isArray(v)) ? v : [ v ], function(r) { return self._ref_value(r, type); });
+	    };
+
+	    if (_.has(q, 'only_' + name))
+	    {
+		let only = _.difference(fps(q['only_' + name]), (_.has(q, 'except_' + name)) ? fps(q['except_' + name]) : [ ]);
+		rows = _.filter(rows, function(r) { return _.includes(only, r[attr]); });
+	    }
+	    else if (_.has(q, 'except_' + name))
+	    {
+		let except = fps(q['except_' + name]);
+		rows = _.filter(rows, function(r) { return !_.includes(except, r[attr]); });
+	    }
+	});
+
+	_.forEach(DATE_FILTERS, function(df, name) {
+	    let ts = (_.has(q, name)) ? timestamp(q[name]) : null;
+	    if (_.isNil(ts)) return;
+
+	    rows = _.filter(rows, function(r) { return ((Date.parse(r[df[0]]) - ts) * df[1]) > 0; });
+	});
+
+	let keys = [ ];
+	let dirs = [ ];
+	let columns = _.concat([ 'id', 'created_at', 'updated_at' ], _.keys(res.attributes), _.keys(res.refs));
+	for (let clause of String(opts.order).split(','))
+	{
+	    let o = _.trim(clause).split(/\s+/);
+	    if (o[0].length < 1) continue;
+	    if (!_.includes(columns, o[0])) return null;
+
+	    keys.push(o[0]);
+	    dirs.push((o.length > 1 && (o[1].toLowerCase() == 'desc')) ? 'desc' : 'asc');
+	}
+	rows = _.orderBy(rows, keys, dirs);
+
+	let result = (_.isNumber(opts.limit) && (opts.limit >= 0))
+	    ? rows.slice(opts.offset, opts.offset + opts.limit)
+	    : rows.slice(opts.offset);
+	let npg = { _c: result.length };
+
+	if (_.isNumber(opts.limit) && (opts.limit > 0))
+	{
+	    npg._s = opts.limit;
+	    npg._p = Math.max(Math.floor((opts.offset + opts.limit) / opts.limit) + 1, 1);
+	}
+	else
+	{
+	    npg._s = -1;
+	    npg._p = 1;
+	}
+
+	return { result: result, _pg: npg };
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#_find
+     * @description Find a record by identifier.
+     *
+     * @param {String} table The table.
+     * @param {Integer|String} id The identifier.
+     *
+     * @return {Object} Returns the record, `null` if not found.
+     */
+
+    FlMockBackend.prototype._find = function(table, id) {
+	let rec = _.find(this._tables[table], function(r) { return String(r.id) == String(id); });
+	return (_.isNil(rec)) ? null : rec;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#_members
+     * @description Get the members of a list or group, in sort order for list items, and in
+     *  creation order for group members.
+     *
+     * @param {String} table The table of the list or group.
+     * @param {Object} rec The record of the list or group.
+     *
+     * @return {Array} Returns an array of member records.
+     */
+
+    FlMockBackend.prototype._members = function(table, rec) {
+	let add = RESOURCES[table].add;
+	let fp = this._fingerprint(table, rec);
+	let parent = RESOURCES[add.table].parent.ref;
+	let members = _.filter(this._tables[add.table], function(m) { return m[parent] == fp; });
+
+	return (add.table == 'list_items') ? _.sortBy(members, 'sort_order') : members;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#_fingerprint
+     * @description Get the fingerprint of a record.
+     *
+     * @param {String} table The table.
+     * @param {Object} rec The record.
+     *
+     * @return {String} Returns the fingerprint.
+     */
+
+    FlMockBackend.prototype._fingerprint = function(table, rec) {
+	return RESOURCES[table].type + '/' + rec.id;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#_ref_value
+     * @description Convert a reference to a fingerprint.
+     *  Hash representations are registered if they are not managed by the backend.
+     *
+     * @param {String|Integer|Object} v The reference: a fingerprint, an object that contains a
+     *  **fingerprint** property, or (if *type* is not `null`) an identifier.
+     * @param {String} type The type of the referenced object, `null` for polymorphic references.
+     *
+     * @return {String} Returns the fingerprint; if *v* is nil, returns `null`.
+     */
+
+    FlMockBackend.prototype._ref_value = function(v, type) {
+	if (_.isNil(v) || (v === '')) return null;
+
+	if (_.isObject(v))
+	{
+	    if (_.isNil(this._resolve(v.fingerprint))) this.register(v);
+	    return v.fingerprint;
+	}
+
+	let s = String(v);
+	return (!_.isNil(type) && /^[0-9]+$/.test(s)) ? (type + '/' + s) : s;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#_resolve
+     * @description Find the object for a fingerprint.
+     *
+     * @param {String} fp The fingerprint.
+     *
+     * @return {Object} Returns an object containing the **table** and **record** for objects
+     *  managed by the backend, or the **hash** for registered objects; returns `null` if the
+     *  object is not known.
+     */
+
+    FlMockBackend.prototype._resolve = function(fp) {
+	if (!_.isString(fp)) return null;
+
+	let idx = fp.lastIndexOf('/');
+	let type = fp.substr(0, idx);
+	let table = _.findKey(RESOURCES, function(res) { return res.type == type; });
+
+	if (!_.isNil(table))
+	{
+	    let rec = this._find(table, fp.substr(idx + 1));
+	    return (_.isNil(rec)) ? null : { table: table, record: rec };
+	}
+
+	return (_.has(this._objects, fp)) ? { hash: this._objects[fp] } : null;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#_ref_hash
+     * @description Get the hash representation of a referenced object.
+     *
+     * @param {String} fp The fingerprint of the object.
+     *
+     * @return {Object} Returns the hash representation; objects that are not known return a
+     *  minimal hash containing **type**, **fingerprint**, and **id**. If *fp* is nil, returns
+     *  `null`.
+     */
+
+    FlMockBackend.prototype._ref_hash = function(fp) {
+	if (_.isNil(fp)) return null;
+
+	let o = this._resolve(fp);
+	if (_.isNil(o))
+	{
+	    let idx = fp.lastIndexOf('/');
+	    return { type: fp.substr(0, idx), fingerprint: fp, id: fp.substr(idx + 1) };
+	}
+
+	return (_.has(o, 'hash')) ? _.cloneDeep(o.hash) : this._to_hash(o.table, o.record);
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlMockBackend#_to_hash
+     * @description Get the hash representation of a record, in the format generated by the
+     *  engine's controllers. Referenced objects are embedded.
+     *
+     * @param {String} table The table.
+     * @param {Object} rec The record.
+     *
+     * @return {Object} Returns the hash representation.
+     */
+
+    FlMockBackend.prototype._to_hash = function(table, rec) {
+	let self = this;
+	let res = RESOURCES[table];
+	let h = {
+	    type: res.type,
+	    api_root: res.api_root,
+	    url_path: res.path_name + '/' + rec.id,
+	    fingerprint: this._fingerprint(table, rec),
+	    id: rec.id,
+	    created_at: rec.created_at,
+	    updated_at: rec.updated_at
+	};
+
+	_.forEach(res.attributes, function(d, k) { h[k] = _.cloneDeep(rec[k]); });
+	_.forEach(res.refs, function(type, k) { h[k] = self._ref_hash(rec[k]); });
+
+	return h;
+    };
+
+    return FlMockBackend;
+})();
+
+module.exports = { FlMockBackend };
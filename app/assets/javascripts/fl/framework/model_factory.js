@@ -3,6 +3,7 @@
  * @name fl.model_factory
  * @module fl
  * @requires fl.object_system
+ * @requires fl.validators
  * @description
  * Model factory
  * This module implements a factory of model object services.
@@ -10,12 +11,304 @@
  * - {@sref FlModelCache}, a global cache of model instances.
  * - {@sref FlModelFactory}, a service that creates or refreshes model instances from hash representations.
  *
- * It also exports {@sref FlModelBase}, the base class for all model classes.
+ * It also exports {@sref FlModelBase}, the base class for all model classes, and
+ * {@sref FlEventEmitterExtension}, the extension that implements model and factory events.
  */
 
 const _ = require('lodash');
-const jscache = require('js-cache');
 const { FlExtensions, FlClassManager } = require('./object_system');
+const { FlValidators } = require('./validators');
+
+const DEFAULT_CACHE_OPTIONS = {
+    capacity: 0,
+    ttl: 0,
+    onEvict: null,
+    onError: null,
+    now: null
+};
+
+// Report an exception raised by a listener that has no error handler: the exception is logged,
+// so that it does not prevent the other listeners from running.
+
+function _report_listener_error(source, x) {
+    console.log("(" + source + "): exception in a listener", x);
+}
+
+/**
+ * @ngdoc service
+ * @name FlEventEmitterExtension
+ * @module fl.model_factory
+ * @description
+ *  An extension that adds event emitter functionality to a class.
+ *  The extension is installed in {@sref FlModelBase} and in {@sref FlModelFactory}, so that
+ *  clients can subscribe to changes in a single model instance, or to changes in all instances
+ *  managed by a factory:
+ *  <pre ng-non-bindable>
+ *    let off = model.on('change', function(model, changed) {
+ *      console.log('changed: ' + changed.join(', '));
+ *    });
+ *    // ...
+ *    off();
+ *  </pre>
+ *  Listeners are called synchronously, in registration order; exceptions raised by listeners
+ *  don't prevent the other listeners from running. Instead, the emitter emits an `error` event,
+ *  whose listeners are called with the exception and the name of the event:
+ *  <pre ng-non-bindable>
+ *    model.on('error', function(x, event) {
+ *      reportError(x);
+ *    });
+ *  </pre>
+ *  If there are no `error` listeners (or if an `error` listener raises an exception), the
+ *  exception is logged.
+ *  The listeners are stored in a non-enumerable property, so that they are not visible to
+ *  code that iterates over the object's properties.
+ *
+ *  Non-model classes install the extension with {@sref FlExtensions#register}, and initialize it
+ *  in the constructor with {@sref FlExtensions#initialize}.
+ */
+
+const FlEventEmitterExtension = {
+    methods: {
+	/**
+	 * @ngdoc method
+	 * @name FlEventEmitterExtension#on
+	 * @description Register a listener for an event.
+	 *
+	 * @param {String} event The name of the event.
+	 * @param {Function} listener The listener; it is called with the arguments that were passed
+	 *  to {@sref FlEventEmitterExtension#emit}.
+	 *
+	 * @return {Function} Returns a function that removes the listener.
+	 */
+
+	on: function(event, listener) {
+	    let self = this;
+
+	    if (_.isFunction(listener))
+	    {
+		if (!_.has(this.__listeners, event)) this.__listeners[event] = [ ];
+		this.__listeners[event].push(listener);
+	    }
+
+	    return function() {
+		self.off(event, listener);
+	    };
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlEventEmitterExtension#once
+	 * @description Register a listener that is removed after it is called for the first time.
+	 *
+	 * @param {String} event The name of the event.
+	 * @param {Function} listener The listener.
+	 *
+	 * @return {Function} Returns a function that removes the listener.
+	 */
+
+	once: function(event, listener) {
+	    let self = this;
+
+	    if (!_.isFunction(listener)) return this.on(event, listener);
+
+	    let wrapper = function() {
+		self.off(event, listener);
+		return listener.apply(this, Array.from(arguments));
+	    };
+	    wrapper.listener = listener;
+
+	    this.on(event, wrapper);
+	    return function() {
+		self.off(event, listener);
+	    };
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlEventEmitterExtension#off
+	 * @description Remove listeners.
+	 *
+	 * @param {String} [event] The name of the event; if not given, all listeners are removed.
+	 * @param {Function} [listener] The listener to remove; if not given, all listeners for
+	 *  *event* are removed.
+	 */
+
+	off: function(event, listener) {
+	    if (_.isUndefined(event))
+	    {
+		this.__listeners = { };
+	    }
+	    else if (_.isUndefined(listener))
+	    {
+		delete this.__listeners[event];
+	    }
+	    else if (_.has(this.__listeners, event))
+	    {
+		_.remove(this.__listeners[event], function(l) {
+		    return (l === listener) || (l.listener === listener);
+		});
+		if (this.__listeners[event].length < 1) delete this.__listeners[event];
+	    }
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlEventEmitterExtension#emit
+	 * @description Call the listeners for an event.
+	 *  An exception raised by a listener is reported with an `error` event, as described in
+	 *  {@sref FlEventEmitterExtension}.
+	 *
+	 * @param {String} event The name of the event.
+	 * @param {...any} args The arguments to pass to the listeners.
+	 *
+	 * @return {Boolean} Returns `true` if the event had listeners, `false` otherwise.
+	 */
+
+	emit: function(event, ...args) {
+	    if (!_.has(this.__listeners, event)) return false;
+
+	    let self = this;
+	    _.forEach(_.clone(this.__listeners[event]), function(listener) {
+		try
+		{
+		    listener.apply(self, args);
+		}
+		catch (x)
+		{
+		    if ((event != 'error') && _.has(self.__listeners, 'error'))
+		    {
+			self.emit('error', x, event);
+		    }
+		    else
+		    {
+			_report_listener_error('FlEventEmitterExtension', x);
+		    }
+		}
+	    });
+
+	    return true;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlEventEmitterExtension#listener_count
+	 * @description Get the number of listeners for an event.
+	 *
+	 * @param {String} event The name of the event.
+	 *
+	 * @return {Integer} Returns the number of listeners registered for *event*.
+	 */
+
+	listener_count: function(event) {
+	    return (_.has(this.__listeners, event)) ? this.__listeners[event].length : 0;
+	}
+    },
+
+    initializer: function(pass) {
+	if ((pass == 'pre') && !_.has(this, '__listeners'))
+	{
+	    Object.defineProperty(this, '__listeners', {
+		value: { },
+		writable: true,
+		enumerable: false,
+		configurable: true
+	    });
+	}
+    }
+};
+
+function _same_value(v1, v2) {
+    if (v1 === v2) return true;
+
+    if ((v1 instanceof Date) && (v2 instanceof Date)) return (v1.getTime() == v2.getTime());
+
+    // model instances are refreshed separately, so a reference to the same object is not a change
+
+    if (_.isObject(v1) && _.isObject(v2) && !_.isNil(v1.__class) && _.isString(v1.fingerprint))
+    {
+	return (v1.fingerprint == v2.fingerprint);
+    }
+
+    return _.isEqual(v1, v2);
+};
+
+// model instances are kept by reference: their state is tracked by the instances themselves
+
+function _snapshot(value) {
+    return _.cloneDeepWith(value, function(v) {
+	if (_.isObject(v) && !_.isNil(v.__class)) return v;
+    });
+};
+
+const TRUE_STRINGS = [ 'true', 't', 'yes', 'y', '1' ];
+const FALSE_STRINGS = [ 'false', 'f', 'no', 'n', '0', '' ];
+
+function _attribute_default(def) {
+    return (_.isFunction(def.default)) ? def.default() : _.cloneDeep(def.default);
+};
+
+function _model_reference(value, def, model) {
+    if (!_.isPlainObject(value)) return (_.isObject(value) && !_.isNil(value.__class)) ? value : model._convert_value(value);
+
+    let h = (_.isString(def.class_name) && _.isNil(value.type)) ? _.assign({ type: def.class_name }, value) : value;
+    let o = FlModelFactory.defaultFactory().create(h);
+
+    // objects that have no registered model service are kept as hashes
+
+    return (_.isNil(o)) ? model._convert_value(value) : o;
+};
+
+const ATTRIBUTE_TYPES = {
+    string: function(value, def, model) {
+	return (_.isString(value)) ? value : String(value);
+    },
+
+    date: function(value, def, model) {
+	let d = (value instanceof Date) ? new Date(value.getTime()) : new Date(value);
+	return (isNaN(d.getTime())) ? null : d;
+    },
+
+    integer: function(value, def, model) {
+	let n = (_.isNumber(value)) ? Math.trunc(value) : parseInt(value, 10);
+	return (_.isFinite(n)) ? n : null;
+    },
+
+    decimal: function(value, def, model) {
+	let n = (_.isNumber(value)) ? value : parseFloat(value);
+	return (_.isFinite(n)) ? n : null;
+    },
+
+    boolean: function(value, def, model) {
+	if (_.isBoolean(value)) return value;
+	if (_.isNumber(value)) return (value != 0);
+
+	if (_.isString(value))
+	{
+	    let s = value.trim().toLowerCase();
+	    if (_.includes(TRUE_STRINGS, s)) return true;
+	    if (_.includes(FALSE_STRINGS, s)) return false;
+	}
+
+	return null;
+    },
+
+    enum: function(value, def, model) {
+	if (_.includes(def.values, value)) return value;
+	return (_.has(def, 'default')) ? _attribute_default(def) : null;
+    },
+
+    belongs_to: function(value, def, model) {
+	return _model_reference(value, def, model);
+    },
+
+    has_many: function(value, def, model) {
+	if (!_.isArray(value)) return model._convert_value(value);
+
+	return _.map(value, function(v) {
+	    return _model_reference(v, def, model);
+	});
+    }
+};
 
 /**
  * @ngdoc type
@@ -89,6 +382,95 @@ const { FlExtensions, FlClassManager } = require('./object_system');
  * <pre ng-non-bindable>
  *   let concat = obj.my_method('one', 'two');
  * </pre>
+ *
+ *  ##### Attribute definitions
+ *
+ *  Model classes can declare their attributes in the **attributes** option to
+ *  {@sref FlClassManager#make_class}; the definitions are inherited by subclasses, which can
+ *  override them. {@sref FlModelBase#refresh} uses them to coerce the values in the data;
+ *  properties that have no definition are copied as is. Each definition is an object that may
+ *  contain the following properties (a string is a shorthand for the **type**):
+ *  - **type** is the attribute type:
+ *    - `string`, `date`, `integer`, `decimal`, and `boolean` convert the value to the
+ *      corresponding type; values that can't be converted are set to `null`. Decimals are
+ *      converted to numbers, since the server serializes them as strings.
+ *    - `enum` accepts only the values listed in the **values** property of the definition; other
+ *      values are replaced by the default (or `null`).
+ *    - `belongs_to` converts a hash representation to a model instance using the model factory,
+ *      and `has_many` converts an array of hash representations. If the definition contains
+ *      **class_name**, it is used as the type of hashes that don't have one. Hashes for which the
+ *      factory has no model service are not converted.
+ *    Null values are set to `null` for all types.
+ *  - **default** is the value used when the data passed to the constructor does not contain the
+ *    attribute; if it is a function, it is called to generate the value.
+ *  - **readonly**, if `true`, marks an attribute as managed by the server: the property can be
+ *    changed only by {@sref FlModelBase#refresh}, and assignments by client code are ignored (or
+ *    throw an exception in strict mode).
+ *  - **validates** contains the client-side validations for the attribute; see
+ *    {@sref FlValidators}.
+ *  For example:
+ *  <pre ng-non-bindable>
+ *    let MyDatum = FlClassManager.make_class({
+ *      name: 'MyDatum',
+ *      superclass: 'FlModelBase',
+ *      attributes: {
+ *        price: 'decimal',
+ *        quantity: { type: 'integer', default: 1, validates: { presence: true } },
+ *        state: { type: 'enum', values: [ 'draft', 'published' ], default: 'draft' },
+ *        owner: { type: 'belongs_to', readonly: true },
+ *        items: { type: 'has_many', class_name: 'My::Item' }
+ *      },
+ *      ...
+ *    });
+ *  </pre>
+ *  {@sref FlModelBase} defines **created_at** and **updated_at** as read-only dates.
+ *
+ *  ##### Dirty tracking
+ *
+ *  Model instances keep a snapshot of the property values they received from the server (in the
+ *  constructor, and in later calls to {@sref FlModelBase#refresh}); properties whose current value
+ *  differs from the snapshot are *dirty*. {@sref FlModelBase#changes} lists the dirty properties,
+ *  {@sref FlModelBase#revert} restores their values, and {@sref FlModelBase#markClean} takes a new
+ *  snapshot. Read-only attributes are not tracked. {@sref FlAPIService#save} uses the dirty
+ *  properties to build a minimal update request:
+ *  <pre ng-non-bindable>
+ *    obj.title = 'new title';
+ *    obj.isDirty('title');   // true
+ *    srv.save(obj).then(function(obj) {
+ *      obj.isDirty();        // false
+ *    });
+ *  </pre>
+ *
+ *  ##### Validation
+ *
+ *  {@sref FlModelBase#validate} runs the validations in the attribute definitions against the
+ *  current property values, and stores the errors in the instance's error collection, which
+ *  has the same format as the **details** of a {@sref FlValidationError}. The API services
+ *  also validate the data before {@sref FlAPIService#create} and {@sref FlAPIService#update}
+ *  calls, and merge the validation errors returned by the server into the collection:
+ *  <pre ng-non-bindable>
+ *    obj.title = '';
+ *    srv.save(obj).catch(function(e) {
+ *      obj.errors_for('title');   // [ "can't be blank" ]
+ *    });
+ *  </pre>
+ *
+ *  ##### Change events
+ *
+ *  Model instances are event emitters (see {@sref FlEventEmitterExtension}), and emit the
+ *  following events:
+ *  - **change** when a call to {@sref FlModelBase#refresh} modifies the instance. The listeners
+ *    are called after the refresh has completed (including any processing done by subclass
+ *    implementations of `refresh`), with two arguments: the instance, and an array containing the
+ *    names of the properties that changed.
+ *  - **destroy** when the object is deleted by an API service (see {@sref FlAPIService#destroy}).
+ *    The listeners are called with the instance.
+ *  For example:
+ *  <pre ng-non-bindable>
+ *    obj.on('change', function(obj, changed) {
+ *      if (changed.indexOf('title') >= 0) update_title(obj.title);
+ *    });
+ *  </pre>
  * 
  * @param {Object} data The data associated with the instance.
  */
@@ -97,7 +479,14 @@ let FlModelBase = FlClassManager.make_class({
     name: 'FlModelBase',
     initializer: function(data) {
 	this.__super_init('FlRoot');
+	this._load_defaults(data);
 	this.refresh(data);
+	this.markClean();
+	this._track_changes();
+    },
+    attributes: {
+	created_at: { type: 'date', readonly: true },
+	updated_at: { type: 'date', readonly: true }
     },
     instance_methods: {
 	/**
@@ -111,10 +500,18 @@ let FlModelBase = FlClassManager.make_class({
 	 *  of a given model class, and later change its "type" to another class.
 	 *  Note that subclasses that override this method **must** call the superclass implementation
 	 *  in order to trigger these checks (and the core loading functionality).
+	 *  Values are coerced as described by the attribute definitions for the class; see
+	 *  {@sref FlModelBase#coerce_attribute}.
+	 *
+	 *  After the instance has been initialized, a refresh that modifies it emits a **change**
+	 *  event; see {@sref FlModelBase#_track_changes}.
 	 *
 	 * @param {Object} data An object containing a representation of the 
 	 *  server object. This representation may be partial.
 	 *
+	 * @return {Array} After the instance has been initialized, returns an array containing the
+	 *  names of the properties in *data* whose value was changed by the refresh.
+	 *
 	 * @throws Throws an exception if the properties **type** and **fingerprint** already exist
 	 *  in `this`, and their value is different from those in *data*.
 	 */
@@ -133,11 +530,87 @@ let FlModelBase = FlClassManager.make_class({
 	    
 	    let self = this;
 	    _.forEach(data, function(v, k) {
-		self[k] = self._convert_value(v);
+		self._set_attribute(k, self.coerce_attribute(k, v));
 	    });
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#attribute_definitions
+	 * @description Get the attribute definitions for the instance's class.
+	 *
+	 * @return {Object} Returns an object whose keys are attribute names, and whose values are
+	 *  the attribute definitions; see {@sref FlModelBase}.
+	 */
+
+	attribute_definitions: function() {
+	    return (_.isObject(this.__class.__attributes)) ? this.__class.__attributes : { };
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#attribute_definition
+	 * @description Get the definition of an attribute.
+	 *
+	 * @param {String} name The attribute name.
+	 *
+	 * @return {Object} Returns the definition of attribute *name*, or `null` if the attribute is
+	 *  not defined.
+	 */
 
-	    if (!_.isNil(data.created_at)) self.created_at = new Date(data.created_at);
-	    if (!_.isNil(data.updated_at)) self.updated_at = new Date(data.updated_at);
+	attribute_definition: function(name) {
+	    let defs = this.attribute_definitions();
+	    return (_.has(defs, name)) ? defs[name] : null;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#coerce_attribute
+	 * @description Convert a value to the type of an attribute.
+	 *
+	 * @param {String} name The attribute name.
+	 * @param {any} value The value to convert.
+	 *
+	 * @return {any} Returns the value converted as described by the definition of attribute
+	 *  *name*; see {@sref FlModelBase}. If the attribute has no type, arrays and objects are copied
+	 *  and other values are returned as is.
+	 */
+
+	coerce_attribute: function(name, value) {
+	    let def = this.attribute_definition(name);
+	    if (_.isNil(def) || !_.has(ATTRIBUTE_TYPES, def.type)) return this._convert_value(value);
+	    if (_.isNil(value)) return null;
+
+	    return ATTRIBUTE_TYPES[def.type](value, def, this);
+	},
+
+	_set_attribute: function(name, value) {
+	    let def = this.attribute_definition(name);
+
+	    if (!_.isNil(def) && (def.readonly == true))
+	    {
+		Object.defineProperty(this, name, {
+		    value: value,
+		    writable: false,
+		    enumerable: true,
+		    configurable: true
+		});
+	    }
+	    else
+	    {
+		this[name] = value;
+	    }
+	},
+
+	_load_defaults: function(data) {
+	    let self = this;
+
+	    _.forEach(this.attribute_definitions(), function(def, name) {
+		if (_.has(def, 'default') && !_.has(data, name) && _.isUndefined(self[name]))
+		{
+		    self._set_attribute(name, _attribute_default(def));
+		}
+	    });
 	},
 
 	/**
@@ -163,6 +636,334 @@ let FlModelBase = FlClassManager.make_class({
 	    }
 	},
 
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#changes
+	 * @description Get the dirty properties.
+	 *
+	 * @return {Object} Returns an object whose keys are the names of the properties that were
+	 *  modified since the last refresh, and whose values are two-element arrays containing the
+	 *  clean value and the current value. A property that was added has a clean value of
+	 *  `undefined`, and one that was deleted has a current value of `undefined`.
+	 */
+
+	changes: function() {
+	    let self = this;
+	    let clean = this._clean_store();
+	    let defs = this.attribute_definitions();
+	    let keys = _.filter(_.union(_.keys(clean), _.keys(this)), function(k) {
+		return !_.startsWith(k, '__') && !(_.has(defs, k) && (defs[k].readonly == true));
+	    });
+
+	    return _.reduce(keys, function(acc, k) {
+		let old = (_.has(clean, k)) ? clean[k] : undefined;
+		if (!_same_value(old, self[k])) acc[k] = [ old, self[k] ];
+		return acc;
+	    }, { });
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#isDirty
+	 * @description Check if the instance, or one of its properties, was modified since the last
+	 *  refresh.
+	 *
+	 * @param {String} [attr] The name of the property to check; if not given, all properties
+	 *  are checked.
+	 *
+	 * @return {Boolean} Returns `true` if *attr* (or, if *attr* is not given, any property) is
+	 *  dirty.
+	 */
+
+	isDirty: function(attr) {
+	    let changes = this.changes();
+	    return (_.isString(attr)) ? _.has(changes, attr) : (_.size(changes) > 0);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#revert
+	 * @description Restore the clean values of dirty properties.
+	 *  Properties that were added since the last refresh are deleted. If any properties were
+	 *  restored, the instance emits a **change** event.
+	 *
+	 * @param {String|Array} [attrs] The name of the property to restore, or an array of names;
+	 *  if not given, all dirty properties are restored.
+	 *
+	 * @return {Array} Returns an array containing the names of the restored properties.
+	 */
+
+	revert: function(attrs) {
+	    let self = this;
+	    let clean = this._clean_store();
+	    let changes = this.changes();
+	    let keys = (_.isNil(attrs)) ? _.keys(changes) : _.intersection(_.castArray(attrs), _.keys(changes));
+
+	    _.forEach(keys, function(k) {
+		if (_.has(clean, k))
+		{
+		    self._set_attribute(k, _snapshot(clean[k]));
+		}
+		else
+		{
+		    delete self[k];
+		}
+	    });
+
+	    if (keys.length > 0) this.emit('change', this, keys);
+
+	    return keys;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#markClean
+	 * @description Take a snapshot of the current property values, so that they are no longer
+	 *  dirty. This is called after a refresh, and after the changes have been saved.
+	 *
+	 * @param {String|Array} [attrs] The name of the property to mark, or an array of names; if not
+	 *  given, all properties are marked.
+	 */
+
+	markClean: function(attrs) {
+	    let self = this;
+	    let clean = this._clean_store();
+	    let keys = (_.isNil(attrs)) ? _.keys(this) : _.castArray(attrs);
+
+	    if (_.isNil(attrs))
+	    {
+		_.forEach(_.keys(clean), function(k) { delete clean[k]; });
+	    }
+
+	    _.forEach(keys, function(k) {
+		if (_.startsWith(k, '__')) return;
+
+		if (_.has(self, k))
+		{
+		    clean[k] = _snapshot(self[k]);
+		}
+		else
+		{
+		    delete clean[k];
+		}
+	    });
+	},
+
+	_clean_store: function() {
+	    if (!_.has(this, '__clean'))
+	    {
+		Object.defineProperty(this, '__clean', {
+		    value: { },
+		    writable: true,
+		    enumerable: false,
+		    configurable: true
+		});
+	    }
+
+	    return this.__clean;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#_clean_values
+	 * @description Get the clean values of properties, so that they can be restored later with
+	 *  {@sref FlModelBase#_restore_clean_values}. This is used to undo the effect of a refresh
+	 *  that applied client changes, like an optimistic update.
+	 *
+	 * @param {Array} keys The property names.
+	 *
+	 * @return {Object} Returns an object containing the clean state of the properties.
+	 */
+
+	_clean_values: function(keys) {
+	    let clean = this._clean_store();
+
+	    return _.reduce(keys, function(acc, k) {
+		acc[k] = { had: _.has(clean, k), value: clean[k] };
+		return acc;
+	    }, { });
+	},
+
+	_restore_clean_values: function(values) {
+	    let clean = this._clean_store();
+
+	    _.forEach(values, function(v, k) {
+		if (v.had)
+		{
+		    clean[k] = v.value;
+		}
+		else
+		{
+		    delete clean[k];
+		}
+	    });
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#validate
+	 * @description Validate the current property values.
+	 *  The validations are taken from the attribute definitions (see {@sref FlValidators}).
+	 *  The errors for the validated attributes in the error collection are replaced by the
+	 *  results.
+	 *
+	 * @param {String|Array} [attrs] The name of the attribute to validate, or an array of names;
+	 *  if not given, all attributes are validated.
+	 *
+	 * @return {Object} Returns an object whose keys are the names of the invalid attributes, and
+	 *  whose values are arrays containing their error messages.
+	 */
+
+	validate: function(attrs) {
+	    let defs = this.attribute_definitions();
+	    if (!_.isNil(attrs)) defs = _.pick(defs, _.castArray(attrs));
+
+	    let details = FlValidators.validate_attributes(defs, this, { model: this });
+
+	    this.clear_errors(_.keys(defs));
+	    this.add_errors(details);
+
+	    return details;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#isValid
+	 * @description Check if the current property values are valid.
+	 *  This method calls {@sref FlModelBase#validate}, and therefore updates the error collection.
+	 *
+	 * @param {String|Array} [attrs] The name of the attribute to check, or an array of names; if
+	 *  not given, all attributes are checked.
+	 *
+	 * @return {Boolean} Returns `true` if the attributes have no validation errors.
+	 */
+
+	isValid: function(attrs) {
+	    return (_.size(this.validate(attrs)) < 1);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#validation_errors
+	 * @description Get the error collection.
+	 *  The collection contains the errors from the last call to {@sref FlModelBase#validate},
+	 *  and those added by {@sref FlModelBase#add_errors} (for example, the errors returned by
+	 *  the server).
+	 *
+	 * @return {Object} Returns a copy of the error collection: an object whose keys are attribute
+	 *  names (or `base` for errors that apply to the object as a whole), and whose values are
+	 *  arrays of error messages.
+	 */
+
+	validation_errors: function() {
+	    return _.cloneDeep(this._errors_store());
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#errors_for
+	 * @description Get the validation errors for an attribute.
+	 *
+	 * @param {String} name The attribute name.
+	 *
+	 * @return {Array} Returns an array containing the error messages for *name*; if there are
+	 *  none, returns an empty array.
+	 */
+
+	errors_for: function(name) {
+	    let errors = this._errors_store();
+	    return (_.has(errors, name)) ? _.clone(errors[name]) : [ ];
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#add_errors
+	 * @description Merge errors into the error collection.
+	 *
+	 * @param {Object} details An object whose keys are attribute names, and whose values are an
+	 *  error message or an array of error messages; this is typically the **details** property
+	 *  of a {@sref FlValidationError}.
+	 */
+
+	add_errors: function(details) {
+	    this.__errors = FlValidators.merge_details(this._errors_store(), details);
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#clear_errors
+	 * @description Remove errors from the error collection.
+	 *
+	 * @param {String|Array} [attrs] The name of the attribute whose errors to remove, or an array
+	 *  of names; if not given, all errors are removed.
+	 */
+
+	clear_errors: function(attrs) {
+	    let errors = this._errors_store();
+
+	    _.forEach((_.isNil(attrs)) ? _.keys(errors) : _.castArray(attrs), function(k) {
+		delete errors[k];
+	    });
+	},
+
+	_errors_store: function() {
+	    if (!_.has(this, '__errors'))
+	    {
+		Object.defineProperty(this, '__errors', {
+		    value: { },
+		    writable: true,
+		    enumerable: false,
+		    configurable: true
+		});
+	    }
+
+	    return this.__errors;
+	},
+
+	/**
+	 * @ngdoc method
+	 * @name FlModelBase#_track_changes
+	 * @description Start emitting **change** events from {@sref FlModelBase#refresh}.
+	 *  Subclasses override `refresh` and call the superclass implementation before processing
+	 *  the data further, so that `FlModelBase.refresh` does not know the final state of the
+	 *  instance. Therefore, this method wraps the instance's `refresh` (the implementation in
+	 *  the most derived class) in a function that compares the values of the properties in
+	 *  the refresh data before and after the call, and emits **change** if any were modified.
+	 *  The properties in the refresh data are also marked clean.
+	 *  It is called by the initializer, so that the initial load does not emit events; since
+	 *  the initializers may run more than once during construction, an instance that already
+	 *  has its own `refresh` is not wrapped again.
+	 */
+
+	_track_changes: function() {
+	    if (this.hasOwnProperty('refresh')) return;
+
+	    let self = this;
+	    let refresh = this.refresh;
+
+	    Object.defineProperty(this, 'refresh', {
+		value: function(data) {
+		    let before = _.reduce(data, function(acc, v, k) {
+			acc[k] = self[k];
+			return acc;
+		    }, { });
+
+		    refresh.call(self, data);
+		    self.markClean(_.keys(before));
+
+		    let changed = _.filter(_.keys(before), function(k) {
+			return !_same_value(before[k], self[k]);
+		    });
+		    if (changed.length > 0) self.emit('change', self, changed);
+
+		    return changed;
+		},
+		writable: true,
+		enumerable: false,
+		configurable: true
+	    });
+	},
+
 	_convert_value: function(value) {
 	    let self = this;
 		
@@ -187,7 +988,7 @@ let FlModelBase = FlClassManager.make_class({
     },
     class_methods: {
     },
-    extensions: [ ]
+    extensions: [ FlEventEmitterExtension ]
 });
 
 /**
@@ -197,6 +998,31 @@ let FlModelBase = FlClassManager.make_class({
  * @description
  * A service that manages a cache of model instances.
  * This cache is global across the application.
+ *
+ * By default, the cache is unbounded and entries don't expire. The **capacity** and **ttl** options
+ * set limits on the number of instances and on their lifetime:
+ * - If the cache is full, putting a new instance in it evicts the least recently used one;
+ *   both {@sref FlModelCache#get} and {@sref FlModelCache#put} mark an instance as used.
+ * - Instances expire **ttl** milliseconds after they were last put in the cache. Expired instances
+ *   are evicted when they are looked up, or by a call to {@sref FlModelCache#prune}; no timers
+ *   are used.
+ *
+ * Instances held by live views can be pinned with {@sref FlModelCache#pin}; pinned instances are
+ * never evicted, and they do not count against the capacity. Eviction listeners are notified
+ * when an instance is evicted, but not when it is removed explicitly.
+ *
+ * @param {Object} [options] Configuration options.
+ * @property {Integer} options.capacity The maximum number of unpinned instances in the cache;
+ *  a value of 0 (the default) sets no limit.
+ * @property {Integer} options.ttl The lifetime of an entry, in milliseconds; a value of 0
+ *  (the default) sets no expiration.
+ * @property {Function} options.onEvict An eviction listener; see
+ *  {@sref FlModelCache#add_eviction_listener}.
+ * @property {Function} options.onError A function that is called with three arguments when an
+ *  eviction listener raises an exception: the exception, the evicted model instance, and the
+ *  reason for the eviction. If not set, the exception is logged.
+ * @property {Function} options.now A function that returns the current time in milliseconds;
+ *  this is mostly used by tests. Defaults to `Date.now`.
  */
 
 let FlModelCache = (function() {
@@ -236,16 +1062,51 @@ let FlModelCache = (function() {
 	return (id == undefined) ? undefined : (_type(h) + '/' + id);
     };
 
-    function FlModelCache() {
-	this._model_cache = new jscache();
+    function FlModelCache(options) {
+	// A Map iterates in insertion order, so that moving an entry to the end on use keeps the
+	// least recently used entries at the front.
+
+	this._model_cache = new Map();
+	this._pins = { };
+	this._listeners = [ ];
+	this._options = _.assign({ }, DEFAULT_CACHE_OPTIONS);
+	this.reset_stats();
+	this.configure(options);
     };
     FlModelCache.prototype.constructor = FlModelCache;
-    
+
+    /**
+     * @ngdoc method
+     * @name FlModelCache#configure
+     * @description
+     *  Change the configuration of the cache.
+     *  If the new capacity is lower than the number of unpinned instances in the cache, the least
+     *  recently used instances are evicted.
+     * 
+     * @param {Object} options The configuration options to change; see {@sref FlModelCache}.
+     *  A non-nil value for **onEvict** is added to the eviction listeners.
+     */
+
+    FlModelCache.prototype.configure = function(options) {
+	if (!_.isObject(options)) return;
+
+	let opts = this._options;
+	if (_.isInteger(options.capacity) && (options.capacity >= 0)) opts.capacity = options.capacity;
+	if (_.isNumber(options.ttl) && (options.ttl >= 0)) opts.ttl = options.ttl;
+	if (_.isFunction(options.now)) opts.now = options.now;
+	if (_.isFunction(options.onError)) opts.onError = options.onError;
+	if (_.isFunction(options.onEvict)) this.add_eviction_listener(options.onEvict);
+
+	this._evict_to_capacity();
+    };
+
     /**
      * @ngdoc method
      * @name FlModelCache#get
      * @description
      *  Gets a model instance from the cache, if one is present.
+     *  The lookup marks the instance as recently used; if the instance has expired, it is evicted
+     *  and the method returns `undefined`.
      * @param {Object} h An object containing the model's description. The factory
      *  typically expects two properties, *type* and *id*, as described below.
      *  However, it can also handle Paperclip attachments, which don't have an *id*
@@ -265,21 +1126,46 @@ let FlModelCache = (function() {
 
     FlModelCache.prototype.get = function(h) {
 	let id = _cache_id(h);
-	return (id == undefined) ? null : this._model_cache.get(id);
+	if (id == undefined) return null;
+
+	let e = this._model_cache.get(id);
+	if (!_.isUndefined(e) && this._expired(id, e))
+	{
+	    this._evict(id, e, 'expired');
+	    e = undefined;
+	}
+
+	if (_.isUndefined(e))
+	{
+	    this._stats.misses += 1;
+	    return undefined;
+	}
+
+	this._stats.hits += 1;
+	this._model_cache.delete(id);
+	this._model_cache.set(id, e);
+
+	return e.model;
     };
 
     /**
      * @ngdoc method
-     * @name FlModelCache# put
+     * @name FlModelCache#put
      * @description
      *  Puts a model instance in the cache.
+     *  The instance is marked as recently used, and its expiration time is reset; if the cache
+     *  is full, the least recently used unpinned instance is evicted.
      * 
      * @param o The model instance to place in the cache.
      */
 
     FlModelCache.prototype.put = function(o) {
 	let id = _cache_id(o);
-	if (id != undefined) this._model_cache.set(id, o);
+	if (id == undefined) return;
+
+	this._model_cache.delete(id);
+	this._model_cache.set(id, { model: o, stored_at: this._now() });
+	this._evict_to_capacity();
     };
 
     /**
@@ -287,13 +1173,246 @@ let FlModelCache = (function() {
      * @name FlModelCache#remove
      * @description
      *  Removes a model instance from the cache.
+     *  This also removes the instance's pins; eviction listeners are not notified.
      * 
      * @param o The model instance to remove from the cache.
      */
 
     FlModelCache.prototype.remove = function(o) {
 	let id = _cache_id(o);
-	if (id != undefined) this._model_cache.del(id);
+	if (id == undefined) return;
+
+	this._model_cache.delete(id);
+	delete this._pins[id];
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelCache#clear
+     * @description
+     *  Removes all model instances and pins from the cache; eviction listeners are not notified.
+     */
+
+    FlModelCache.prototype.clear = function() {
+	this._model_cache.clear();
+	this._pins = { };
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelCache#size
+     * @description
+     *  Gets the number of instances in the cache, including pinned and expired ones.
+     * 
+     * @return {Integer} Returns the number of instances.
+     */
+
+    FlModelCache.prototype.size = function() {
+	return this._model_cache.size;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelCache#pin
+     * @description
+     *  Pins a model instance, so that it is not evicted.
+     *  Pins are counted: an instance pinned twice must be unpinned twice before it can be evicted.
+     *  Pinning an instance that is not in the cache has no effect.
+     * 
+     * @param o The model instance to pin.
+     *
+     * @return {Boolean} Returns `true` if the instance was pinned, `false` if it is not in the cache.
+     */
+
+    FlModelCache.prototype.pin = function(o) {
+	let id = _cache_id(o);
+	if ((id == undefined) || !this._model_cache.has(id)) return false;
+
+	this._pins[id] = (_.has(this._pins, id)) ? (this._pins[id] + 1) : 1;
+	return true;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelCache#unpin
+     * @description
+     *  Removes a pin from a model instance.
+     *  When the last pin is removed, the instance can be evicted again; if the cache is over
+     *  capacity, the least recently used instances are evicted.
+     * 
+     * @param o The model instance to unpin.
+     */
+
+    FlModelCache.prototype.unpin = function(o) {
+	let id = _cache_id(o);
+	if ((id == undefined) || !_.has(this._pins, id)) return;
+
+	this._pins[id] -= 1;
+	if (this._pins[id] <= 0)
+	{
+	    delete this._pins[id];
+	    this._evict_to_capacity();
+	}
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelCache#is_pinned
+     * @description
+     *  Checks if a model instance is pinned.
+     * 
+     * @param o The model instance.
+     *
+     * @return {Boolean} Returns `true` if the instance is pinned.
+     */
+
+    FlModelCache.prototype.is_pinned = function(o) {
+	let id = _cache_id(o);
+	return (id != undefined) && _.has(this._pins, id);
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelCache#prune
+     * @description
+     *  Evicts all expired instances.
+     * 
+     * @return {Integer} Returns the number of evicted instances.
+     */
+
+    FlModelCache.prototype.prune = function() {
+	let self = this;
+	let expired = [ ];
+
+	this._model_cache.forEach(function(e, id) {
+	    if (self._expired(id, e)) expired.push([ id, e ]);
+	});
+	_.forEach(expired, function(x) { self._evict(x[0], x[1], 'expired'); });
+
+	return expired.length;
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelCache#add_eviction_listener
+     * @description
+     *  Adds an eviction listener.
+     *  Listeners are called with two arguments: the evicted model instance, and the reason for
+     *  the eviction: `capacity` if the instance was evicted to make room, or `expired` if its
+     *  lifetime has elapsed. Exceptions raised by listeners don't stop the eviction; they are
+     *  passed to the **onError** option (see {@sref FlModelCache}), or logged if it is not set.
+     * 
+     * @param {Function} listener The listener.
+     */
+
+    FlModelCache.prototype.add_eviction_listener = function(listener) {
+	if (_.isFunction(listener) && !_.includes(this._listeners, listener)) this._listeners.push(listener);
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelCache#remove_eviction_listener
+     * @description
+     *  Removes an eviction listener.
+     * 
+     * @param {Function} listener The listener.
+     */
+
+    FlModelCache.prototype.remove_eviction_listener = function(listener) {
+	_.pull(this._listeners, listener);
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelCache#stats
+     * @description
+     *  Gets the cache statistics.
+     * 
+     * @return {Object} Returns an object containing the following properties:
+     *  - **hits** and **misses**, the number of lookups that did and did not find an instance.
+     *  - **evictions**, the number of evicted instances; **expirations** is the number of those that
+     *    were evicted because they had expired.
+     *  - **size**, the number of instances in the cache, and **pinned**, the number of pinned
+     *    instances.
+     *  - **capacity** and **ttl**, from the configuration.
+     */
+
+    FlModelCache.prototype.stats = function() {
+	return _.assign({ }, this._stats, {
+	    size: this._model_cache.size,
+	    pinned: _.size(this._pins),
+	    capacity: this._options.capacity,
+	    ttl: this._options.ttl
+	});
+    };
+
+    /**
+     * @ngdoc method
+     * @name FlModelCache#reset_stats
+     * @description
+     *  Resets the hit, miss, and eviction counters.
+     */
+
+    FlModelCache.prototype.reset_stats = function() {
+	this._stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+    };
+
+    FlModelCache.prototype._now = function() {
+	return (_.isFunction(this._options.now)) ? this._options.now() : Date.now();
+    };
+
+    FlModelCache.prototype._expired = function(id, e) {
+	let ttl = this._options.ttl;
+	return (ttl > 0) && !_.has(this._pins, id) && ((this._now() - e.stored_at) >= ttl);
+    };
+
+    FlModelCache.prototype._evict = function(id, e, reason) {
+	this._model_cache.delete(id);
+	this._stats.evictions += 1;
+	if (reason == 'expired') this._stats.expirations += 1;
+
+	let on_error = this._options.onError;
+	_.forEach(_.clone(this._listeners), function(listener) {
+	    try
+	    {
+		listener(e.model, reason);
+	    }
+	    catch (x)
+	    {
+		if (!_.isFunction(on_error))
+		{
+		    _report_listener_error('FlModelCache', x);
+		    return;
+		}
+
+		try
+		{
+		    on_error(x, e.model, reason);
+		}
+		catch (y)
+		{
+		    _report_listener_error('FlModelCache', y);
+		}
+	    }
+	});
+    };
+
+    FlModelCache.prototype._evict_to_capacity = function() {
+	let capacity = this._options.capacity;
+	if (capacity <= 0) return;
+
+	let excess = this._model_cache.size - _.size(this._pins) - capacity;
+	if (excess <= 0) return;
+
+	let victims = [ ];
+	for (let [ id, e ] of this._model_cache)
+	{
+	    if (victims.length >= excess) break;
+	    if (!_.has(this._pins, id)) victims.push([ id, e ]);
+	}
+
+	let self = this;
+	_.forEach(victims, function(v) { self._evict(v[0], v[1], 'capacity'); });
     };
 
     return FlModelCache;
@@ -305,6 +1424,8 @@ let FlModelCache = (function() {
  * @module fl.model_factory
  * @description
  * A service that manages a registry of names of model services.
+ * The factory keeps the model instances it creates in an {@sref FlModelCache}; the constructor
+ * takes an optional object containing the cache configuration options.
  *
  *  For example, a module registers its known model services as follows:
  *  <pre ng-non-bindable>
@@ -328,6 +1449,22 @@ let FlModelCache = (function() {
  *      { service: MyModelTwo, class_name: 'My::Other::Model' }
  *    ]);
  *  </pre>
+ *
+ *  The factory is an event emitter (see {@sref FlEventEmitterExtension}), and emits the following
+ *  events:
+ *  - **created** when {@sref FlModelFactory#create} builds a new model instance; the listeners are
+ *    called with the instance.
+ *  - **refreshed** when {@sref FlModelFactory#create} refreshes an instance in the cache; the
+ *    listeners are called with the instance and the array of changed properties (which may
+ *    be empty).
+ *  - **evicted** when the cache evicts an instance; the listeners are called with the instance and
+ *    the reason for the eviction (see {@sref FlModelCache#add_eviction_listener}).
+ *  Each event is also emitted under a name that includes the model's type, so that clients can
+ *  subscribe to the events for a single model class:
+ *  <pre ng-non-bindable>
+ *    FlGlobalModelFactory.on('refreshed', function(model, changed) { ... });
+ *    FlGlobalModelFactory.on('created:My::Model::One', function(model) { ... });
+ *  </pre>
  */
 
 let FlModelFactory = (function() {
@@ -336,11 +1473,20 @@ let FlModelFactory = (function() {
 	return (_.isNil(s)) ? null : s.replace(/::/g, '');
     };
 
-    function FlModelFactory() {
-	this._model_cache = new FlModelCache();
+    function FlModelFactory(cache_options) {
+	let self = this;
+
+	FlExtensions.initialize(FlEventEmitterExtension, this, 'pre');
+
+	this._model_cache = new FlModelCache(cache_options);
 	this._model_services = { };
+
+	this._model_cache.add_eviction_listener(function(model, reason) {
+	    self._emit_model_event('evicted', model, reason);
+	});
     }
     FlModelFactory.prototype.constructor = FlModelFactory;
+    FlExtensions.register(FlEventEmitterExtension, FlModelFactory);
 
     /**
      * @ngdoc method
@@ -449,11 +1595,33 @@ let FlModelFactory = (function() {
 	return this._model_cache;
     };
 
+    /**
+     * @ngdoc method
+     * @name FlModelFactory#cache_stats
+     * @description Gets the statistics for the model cache used by the factory.
+     * 
+     * @return {Object} Returns the value from {@sref FlModelCache#stats}: the hit, miss, and
+     *  eviction counts, and the size and configuration of the cache.
+     */
+
+    FlModelFactory.prototype.cache_stats = function() {
+	return this._model_cache.stats();
+    };
+
+    FlModelFactory.prototype._emit_model_event = function(event, model, ...args) {
+	this.emit(event, model, ...args);
+	if (_.isObject(model) && _.isString(model.type)) this.emit(event + ':' + model.type, model, ...args);
+    };
+
     FlModelFactory.prototype._create_internal = function(h) {
 	let o = this._model_cache.get(h);
 	if (o)
 	{
-	    o.refresh(h);
+	    // put the refreshed instance back, so that its lifetime in the cache starts over
+
+	    let changed = o.refresh(h);
+	    this._model_cache.put(o);
+	    this._emit_model_event('refreshed', o, (_.isArray(changed)) ? changed : [ ]);
 	}
 	else
 	{
@@ -462,6 +1630,7 @@ let FlModelFactory = (function() {
 	    {
 		o = new srv(h);
 		this._model_cache.put(o);
+		this._emit_model_event('created', o);
 	    }
 	    else
 	    {
@@ -518,6 +1687,8 @@ let FlModelFactory = (function() {
  * @description
  * The global model factory. This is an instance of {@sref FlModelFactory} that is globally accessible
  * and can be used as the applicationwide model factory.
+ * Its cache is unbounded; long-running applications can set limits with
+ * `FlGlobalModelFactory.cache().configure({ capacity: 2000, ttl: 600000 })`.
  */
 
 const FlGlobalModelFactory = new FlModelFactory();
@@ -538,4 +1709,4 @@ FlModelFactory.defaultFactory = function() {
     return _default_factory;
 };
 
-module.exports = { FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory };
+module.exports = { FlEventEmitterExtension, FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory };
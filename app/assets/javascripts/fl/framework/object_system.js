@@ -292,6 +292,7 @@ const FlRoot = class FlRoot {
 FlRoot.__name = 'FlRoot';
 FlRoot.__superclass = null;
 FlRoot.__extensions = [ ];
+FlRoot.__attributes = { };
 FlRoot.prototype.initialize = function() { };
 
 /**
@@ -438,6 +439,10 @@ FlClassManager.AlreadyDefinedClass.prototype.constructor = FlClassManager.Alread
  *     - **__name** contains the class name.
  *     - **__extensions** is an array of all registered extensions, including those that were registered
  *       in the superclasses.
+ *     - **__attributes** is an object containing the attribute definitions from **opts.attributes**,
+ *       merged into those of the superclass; a definition that is a string is converted to an
+ *       object whose **type** property is the string. The class manager does not otherwise interpret
+ *       the definitions; {@sref FlModelBase} uses them to coerce the values of model properties.
  *     - **__superclass** is the superclass constructor.
  *     - **initialize** is the value of **opts.initializer** (or the generated function if
  *       **opts.initializer** was not defined).
@@ -708,6 +713,9 @@ FlClassManager.AlreadyDefinedClass.prototype.constructor = FlClassManager.Alread
  *  The keys are property names, and the values are objects containing the property descriptor.
  * @property {Array} opts.extensions An array containing the list of extensions for the class. The elements
  *  are the names of registered extensions. See {@sref FlExtensions}.
+ * @property {Object} opts.attributes A hash containing the attribute definitions for the class.
+ *  The keys are attribute names, and the values are objects describing the attribute, or strings
+ *  containing the attribute type. See {@sref FlModelBase} for the definitions used by model classes.
  * 
  * @return {Function} Returns the value of the constructor that was created.
  *
@@ -765,7 +773,11 @@ FlClassManager.make_class = function(opts) {
     ctor.__extensions = _.reduce(extensions, function(acc, ev, eidx) {
 	acc.push(ev);
 	return acc;
-    }, superclass.__extensions);
+    }, _.clone(superclass.__extensions));
+    ctor.__attributes = _.reduce(opts.attributes, function(acc, av, ak) {
+	acc[ak] = (_.isString(av)) ? { type: av } : _.assign({ }, av);
+	return acc;
+    }, _.assign({ }, superclass.__attributes));
     ctor.__superclass = superclass;
     ctor.prototype.__class = ctor;
     ctor.prototype.__superclass = superclass;
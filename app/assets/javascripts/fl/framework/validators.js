@@ -0,0 +1,269 @@
+/**
+ * @ngdoc module
+ * @name fl.validators
+ * @description
+ * Client-side validation of model data.
+ * Validations are declared in the **validates** property of attribute definitions (see
+ * {@sref FlModelBase}); they are run by {@sref FlModelBase#validate}, and by
+ * {@sref FlAPIService#create} and {@sref FlAPIService#update} before the data are submitted.
+ *
+ * The validation errors are collected in an object whose keys are attribute names, and whose
+ * values are arrays of error messages; this is the format of the **details** property of a
+ * {@sref FlValidationError}, so that client and server errors can be merged.
+ *
+ * This module exports {@sref FlValidators}, the validator registry.
+ */
+
+const _ = require('lodash');
+
+function _is_blank(value) {
+    if (_.isNil(value)) return true;
+    if (_.isString(value)) return (value.trim().length < 1);
+    if (_.isArray(value) || _.isPlainObject(value)) return _.isEmpty(value);
+
+    return false;
+};
+
+function _message(options, dflt) {
+    return (_.isObject(options) && _.isString(options.message)) ? options.message : dflt;
+};
+
+function _messages(rv) {
+    if (_.isNil(rv) || (rv === true)) return [ ];
+    return _.filter(_.castArray(rv), _.isString);
+};
+
+/**
+ * @ngdoc type
+ * @name FlValidators
+ * @module fl.validators
+ * @description
+ *  The validator registry.
+ *  A validator is a function that is called with three arguments: the value to check, the
+ *  validator options from the **validates** property of the attribute definition, and the
+ *  validation context (see {@sref FlValidators#validate}). It returns an error message, an array
+ *  of error messages, or `null` if the value is valid.
+ *  The following validators are predefined:
+ *  - **presence** checks that the value is not `null`, an empty (or blank) string, an empty
+ *    array, or an empty object. The options are `true`.
+ *  - **length** checks the length of strings and arrays; the options contain **minimum**,
+ *    **maximum**, or **is**.
+ *  - **format** checks that the value matches a regular expression; the options are the
+ *    regular expression, or an object whose **with** property contains it.
+ *  - **inclusion** checks that the value is one of a list of values; the options are the array
+ *    of values, or an object whose **in** property contains it.
+ *  - **custom** calls a function, or an array of functions, with the value and the context; the
+ *    functions return the error messages as described above. The options are the functions.
+ *  Options objects may contain a **message** property to override the default error message.
+ *  All validators except **presence** and **custom** skip `null` and `undefined` values; use
+ *  **presence** to require a value.
+ *  For example:
+ *  <pre ng-non-bindable>
+ *    attributes: {
+ *      title: {
+ *        type: 'string',
+ *        validates: { presence: true, length: { maximum: 80 } }
+ *      },
+ *      code: { validates: { format: /^[A-Z]{3}$/, inclusion: { in: CODES, message: 'is unknown' } } },
+ *      ends_at: {
+ *        type: 'date',
+ *        validates: {
+ *          custom: function(value, ctx) {
+ *            return (value < ctx.data.starts_at) ? 'must be after the start date' : null;
+ *          }
+ *        }
+ *      }
+ *    }
+ *  </pre>
+ */
+
+let FlValidators = { };
+
+FlValidators._registry = {
+    presence: function(value, options, context) {
+	return (_is_blank(value)) ? _message(options, "can't be blank") : null;
+    },
+
+    length: function(value, options, context) {
+	if (_.isNil(value)) return null;
+
+	let len = (_.isString(value) || _.isArray(value)) ? value.length : String(value).length;
+	if (_.isNumber(options.is) && (len != options.is))
+	{
+	    return _message(options, 'is the wrong length (should be ' + options.is + ' characters)');
+	}
+	if (_.isNumber(options.minimum) && (len < options.minimum))
+	{
+	    return _message(options, 'is too short (minimum is ' + options.minimum + ' characters)');
+	}
+	if (_.isNumber(options.maximum) && (len > options.maximum))
+	{
+	    return _message(options, 'is too long (maximum is ' + options.maximum + ' characters)');
+	}
+
+	return null;
+    },
+
+    format: function(value, options, context) {
+	if (_.isNil(value)) return null;
+
+	let re = (_.isRegExp(options)) ? options : options.with;
+	re.lastIndex = 0;
+	return (re.test(String(value))) ? null : _message(options, 'is invalid');
+    },
+
+    inclusion: function(value, options, context) {
+	if (_.isNil(value)) return null;
+
+	let values = (_.isArray(options)) ? options : options.in;
+	return (_.includes(values, value)) ? null : _message(options, 'is not included in the list');
+    },
+
+    custom: function(value, options, context) {
+	return _.flatMap(_.castArray(options), function(fn) {
+	    return _messages(fn(value, context));
+	});
+    }
+};
+
+/**
+ * @ngdoc method
+ * @name FlValidators#register
+ * @classmethod
+ * @module fl.validators
+ * @description
+ * Register a validator; the validator can then be used in the **validates** property of
+ * attribute definitions.
+ *
+ * @param {String} name The validator name. If a validator by this name is already registered,
+ *  it is replaced.
+ * @param {Function} validator The validator function; see {@sref FlValidators}.
+ */
+
+FlValidators.register = function(name, validator) {
+    FlValidators._registry[name] = validator;
+};
+
+/**
+ * @ngdoc method
+ * @name FlValidators#lookup
+ * @classmethod
+ * @module fl.validators
+ * @description
+ * Look up a validator.
+ *
+ * @param {String} name The validator name.
+ *
+ * @return {Function} Returns the validator registered under *name*, or `null` if none is
+ *  registered.
+ */
+
+FlValidators.lookup = function(name) {
+    return (_.has(FlValidators._registry, name)) ? FlValidators._registry[name] : null;
+};
+
+/**
+ * @ngdoc method
+ * @name FlValidators#validate
+ * @classmethod
+ * @module fl.validators
+ * @description
+ * Run validators against a value.
+ *
+ * @param {any} value The value to check.
+ * @param {Object} validations An object whose keys are validator names, and whose values are
+ *  the validator options; validators whose options are `false`, `null`, or `undefined` are
+ *  skipped.
+ * @param {Object} [context] The validation context, which is passed to the validators. The
+ *  standard context (as set up by {@sref FlValidators#validate_attributes}) contains the
+ *  attribute **name**, the **data** being validated, and the **model** instance (or `null`).
+ *
+ * @return {Array} Returns an array containing the error messages; an empty array indicates
+ *  that the value is valid.
+ *
+ * @throws Throws an exception if a validator is not registered.
+ */
+
+FlValidators.validate = function(value, validations, context) {
+    let ctx = (_.isObject(context)) ? context : { };
+
+    return _.reduce(validations, function(acc, options, name) {
+	if (_.isNil(options) || (options === false)) return acc;
+
+	let validator = FlValidators.lookup(name);
+	if (_.isNil(validator)) throw new Error('unknown validator: ' + name);
+
+	return _.concat(acc, _messages(validator(value, options, ctx)));
+    }, [ ]);
+};
+
+/**
+ * @ngdoc method
+ * @name FlValidators#validate_attributes
+ * @classmethod
+ * @module fl.validators
+ * @description
+ * Validate a set of attribute values.
+ *
+ * @param {Object} definitions The attribute definitions, as returned by
+ *  {@sref FlModelBase#attribute_definitions}; the validations are in the **validates**
+ *  property of each definition.
+ * @param {Object} data The attribute values.
+ * @param {Object} [options] Options.
+ * @property {FlModelBase} options.model The model instance that owns the data, if any; it is
+ *  placed in the validation context.
+ * @property {Boolean} options.partial If `true`, only the attributes present in *data* are
+ *  validated; this is used for updates, which contain only the modified attributes.
+ *
+ * @return {Object} Returns an object whose keys are the names of the invalid attributes, and
+ *  whose values are arrays containing their error messages. An empty object indicates that the
+ *  data are valid.
+ */
+
+FlValidators.validate_attributes = function(definitions, data, options) {
+    let opts = (_.isObject(options)) ? options : { };
+    let values = (_.isObject(data)) ? data : { };
+    let model = (_.isNil(opts.model)) ? null : opts.model;
+
+    return _.reduce(definitions, function(acc, def, name) {
+	if (!_.isObject(def.validates) || ((opts.partial == true) && !_.has(values, name))) return acc;
+
+	let errors = FlValidators.validate(values[name], def.validates, {
+	    name: name,
+	    data: values,
+	    model: model
+	});
+	if (errors.length > 0) acc[name] = errors;
+
+	return acc;
+    }, { });
+};
+
+/**
+ * @ngdoc method
+ * @name FlValidators#merge_details
+ * @classmethod
+ * @module fl.validators
+ * @description
+ * Merge validation error collections.
+ *
+ * @param {...Object} details The error collections; each is an object whose keys are attribute
+ *  names, and whose values are an error message or an array of error messages (as in the
+ *  **details** of a {@sref FlValidationError}).
+ *
+ * @return {Object} Returns a new error collection containing the messages from all the
+ *  arguments; duplicate messages for an attribute are dropped.
+ */
+
+FlValidators.merge_details = function(...details) {
+    return _.reduce(details, function(acc, d) {
+	_.forEach(d, function(messages, name) {
+	    let m = _messages(messages);
+	    if (m.length > 0) acc[name] = _.union((_.has(acc, name)) ? acc[name] : [ ], m);
+	});
+
+	return acc;
+    }, { });
+};
+
+module.exports = { FlValidators };
@@ -51,6 +51,10 @@ DESC
         from: File.join(APP_ROOT, 'fl.js'),
         to: File.join(VENDOR_ROOT, 'fl.js'),
       },
+      {
+        from: File.join(APP_ROOT, 'validators.js'),
+        to: File.join(VENDOR_ROOT, 'validators.js'),
+      },
       {
         from: File.join(APP_ROOT, 'model_factory.js'),
         to: File.join(VENDOR_ROOT, 'model_factory.js'),
@@ -63,6 +67,30 @@ DESC
         from: File.join(APP_ROOT, 'api_services.js'),
         to: File.join(VENDOR_ROOT, 'api_services.js'),
       },
+      {
+        from: File.join(APP_ROOT, 'api_query.js'),
+        to: File.join(VENDOR_ROOT, 'api_query.js'),
+      },
+      {
+        from: File.join(APP_ROOT, 'api_errors.js'),
+        to: File.join(VENDOR_ROOT, 'api_errors.js'),
+      },
+      {
+        from: File.join(APP_ROOT, 'api_helpers.js'),
+        to: File.join(VENDOR_ROOT, 'api_helpers.js'),
+      },
+      {
+        from: File.join(APP_ROOT, 'api_cache.js'),
+        to: File.join(VENDOR_ROOT, 'api_cache.js'),
+      },
+      {
+        from: File.join(APP_ROOT, 'api_outbox.js'),
+        to: File.join(VENDOR_ROOT, 'api_outbox.js'),
+      },
+      {
+        from: File.join(APP_ROOT, 'api_auth.js'),
+        to: File.join(VENDOR_ROOT, 'api_auth.js'),
+      },
       {
         from: File.join(APP_ROOT, 'active_storage.js'),
         to: File.join(VENDOR_ROOT, 'active_storage.js'),
@@ -74,6 +102,30 @@ DESC
       {
         from: File.join(APP_ROOT, 'list_api_services.js'),
         to: File.join(VENDOR_ROOT, 'list_api_services.js'),
+      },
+      {
+        from: File.join(APP_ROOT, 'actor_models.js'),
+        to: File.join(VENDOR_ROOT, 'actor_models.js'),
+      },
+      {
+        from: File.join(APP_ROOT, 'actor_api_services.js'),
+        to: File.join(VENDOR_ROOT, 'actor_api_services.js'),
+      },
+      {
+        from: File.join(APP_ROOT, 'comment_models.js'),
+        to: File.join(VENDOR_ROOT, 'comment_models.js'),
+      },
+      {
+        from: File.join(APP_ROOT, 'comment_api_services.js'),
+        to: File.join(VENDOR_ROOT, 'comment_api_services.js'),
+      },
+      {
+        from: File.join(APP_ROOT, 'attachment_api_services.js'),
+        to: File.join(VENDOR_ROOT, 'attachment_api_services.js'),
+      },
+      {
+        from: File.join(APP_ROOT, 'mock_backend.js'),
+        to: File.join(VENDOR_ROOT, 'mock_backend.js'),
       }
     ]
 
@@ -0,0 +1,220 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const {
+    FlAPIService, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('fl/framework/api_services');
+const { FlNotFoundError } = require('fl/framework/api_errors');
+const { TestActor } = require('../../utils/test_models');
+const { FlFrameworkActorGroupAPIService } = require('fl/framework/actor_api_services');
+
+const axios = require('axios');
+const AxiosMockAdapter = require('axios-mock-adapter');
+
+const myaxios = axios.create();
+const expect = chai.expect;
+
+const GROUP_1 = {
+    type: "Fl::Framework::Actor::Group",
+    api_root: "/fl/framework/actor/groups",
+    url_path: "fl_framework_actor_group_path/1",
+    fingerprint: "Fl::Framework::Actor::Group/1",
+    id: 1,
+    created_at: "2019-03-17T03:08:46.133Z",
+    updated_at: "2019-03-17T03:08:46.154Z",
+    name: "group.1",
+    note: "group note - 1",
+    owner: {
+	type: "TestActor",
+	api_root: "/test_actors",
+	url_path: "testactor_path/1",
+	fingerprint: "TestActor/1",
+	id: 1,
+	created_at: "2019-03-17T03:08:46.119Z",
+	updated_at: "2019-03-17T03:08:46.119Z",
+	name: "actor.1"
+    }
+};
+
+const GROUP_MEMBER_10 = {
+    type: "Fl::Framework::Actor::GroupMember",
+    api_root: "/fl/framework/actor/group_members",
+    url_path: "fl_framework_actor_group_member_path/10",
+    fingerprint: "Fl::Framework::Actor::GroupMember/10",
+    id: 10,
+    created_at: "2019-03-17T05:27:18.937Z",
+    updated_at: "2019-03-17T05:27:18.937Z",
+    title: "member.10",
+    note: "member note - 10"
+};
+
+let add_actor_data = null;
+
+const axmock = new AxiosMockAdapter(myaxios);
+axmock
+    .onGet('/fl/framework/actor/groups.json').reply(function(cfg) {
+	return new Promise(function(resolve, reject) {
+	    resolve([ 200, JSON.stringify({ groups: [ GROUP_1 ], _pg: { _s: 20, _p: 2, _c: 1 } }) ]);
+	});
+    })
+
+    .onGet('/fl/framework/actor/groups/1.json').reply(function(cfg) {
+	return new Promise(function(resolve, reject) {
+	    resolve([ 200, JSON.stringify({ group: GROUP_1 }) ]);
+	});
+    })
+
+    .onPatch('/fl/framework/actor/groups/1.json').reply(function(cfg) {
+	let jdata = JSON.parse(cfg.data);
+	let g = _.merge({}, GROUP_1, jdata.fl_framework_actor_group);
+	return new Promise(function(resolve, reject) {
+	    resolve([ 200, JSON.stringify({ group: g }) ]);
+	});
+    })
+
+    .onPost('/fl/framework/actor/groups/1/add_actor.json').reply(function(cfg) {
+	add_actor_data = JSON.parse(cfg.data);
+	return new Promise(function(resolve, reject) {
+	    resolve([ 200, JSON.stringify({ group_member: GROUP_MEMBER_10 }) ]);
+	});
+    })
+
+    .onPost('/fl/framework/actor/groups/2/add_actor.json').reply(function(cfg) {
+	return new Promise(function(resolve, reject) {
+	    resolve([ 404, JSON.stringify({
+		_error: { status: "not_found", message: "No group with id 2", details: null }
+	    }) ]);
+	});
+    })
+
+;
+
+const SRV_CFG = {
+    axios: myaxios
+};
+
+describe('FlFrameworkActorGroupAPIService', function() {
+    it('should be registered with FlClassManager', function() {
+	expect(FlClassManager.get_class('FlFrameworkActorGroupAPIService')).to.not.be.null;
+    });
+
+    it('should be registered with FlGlobalAPIServiceRegistry', function() {
+	expect(FlGlobalAPIServiceRegistry.service_info('Fl::Framework::Actor::Group')).to.be.an.instanceof(Object);
+
+	let srv = FlGlobalAPIServiceRegistry.create('Fl::Framework::Actor::Group', SRV_CFG);
+	let FlFrameworkActorGroupAPIService = FlClassManager.get_class('FlFrameworkActorGroupAPIService');
+	expect(srv).to.be.an.instanceof(FlFrameworkActorGroupAPIService);
+    });
+
+    context(':index', function() {
+	it('should return a list of objects', function() {
+	    let FlFrameworkActorGroup = FlClassManager.get_class('FlFrameworkActorGroup');
+	    let srv = FlGlobalAPIServiceRegistry.create('Fl::Framework::Actor::Group', SRV_CFG);
+
+	    return srv.index()
+		.then(function(data) {
+		    expect(data).to.be.an.instanceof(Array);
+		    expect(data.length).to.eql(1);
+		    expect(data[0]).to.be.an.instanceof(FlFrameworkActorGroup);
+		    expect(data[0].id).to.eql(GROUP_1.id);
+
+		    FlModelFactory.defaultFactory().cache().remove(data[0]);
+
+		    return Promise.resolve(true);
+		});
+	});
+    });
+
+    context(':show', function() {
+	it('should return a known object', function() {
+	    let FlFrameworkActorGroup = FlClassManager.get_class('FlFrameworkActorGroup');
+	    let srv = FlGlobalAPIServiceRegistry.create('Fl::Framework::Actor::Group', SRV_CFG);
+
+	    return srv.show(1)
+		.then(function(data) {
+		    expect(data).to.be.an.instanceof(FlFrameworkActorGroup);
+		    expect(data.id).to.eql(GROUP_1.id);
+		    expect(data.name).to.eql(GROUP_1.name);
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return Promise.resolve(true);
+		});
+	});
+
+	it('should convert the owner data to an object', function() {
+	    let FlFrameworkActorGroup = FlClassManager.get_class('FlFrameworkActorGroup');
+	    let srv = FlGlobalAPIServiceRegistry.create('Fl::Framework::Actor::Group', SRV_CFG);
+
+	    return srv.show(1)
+		.then(function(data) {
+		    expect(data).to.be.an.instanceof(FlFrameworkActorGroup);
+		    expect(data.owner).to.not.be.null;
+		    expect(data.owner).to.be.an.instanceof(TestActor);
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return Promise.resolve(true);
+		});
+	});
+    });
+
+    context(':update', function() {
+	it('should return an updated object', function() {
+	    let FlFrameworkActorGroup = FlClassManager.get_class('FlFrameworkActorGroup');
+	    let srv = FlGlobalAPIServiceRegistry.create('Fl::Framework::Actor::Group', SRV_CFG);
+
+	    return srv.update(1, { wrapped: { name: 'new.name' } })
+		.then(function(data) {
+		    expect(data).to.be.an.instanceof(FlFrameworkActorGroup);
+		    expect(data.id).to.eql(GROUP_1.id);
+		    expect(data.name).to.eql('new.name');
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return Promise.resolve(true);
+		});
+	});
+    });
+
+    context(':add_actor', function() {
+	it('should generate the add_actor URL', function() {
+	    let srv = FlGlobalAPIServiceRegistry.create('Fl::Framework::Actor::Group', SRV_CFG);
+
+	    expect(srv.url_path_for('add_actor', 1)).to.eql('/fl/framework/actor/groups/1/add_actor.json');
+	    expect(srv.url_path_for('add_actor', { id: 4 })).to.eql('/fl/framework/actor/groups/4/add_actor.json');
+	});
+
+	it('should submit wrapped parameters', function() {
+	    let srv = FlGlobalAPIServiceRegistry.create('Fl::Framework::Actor::Group', SRV_CFG);
+
+	    add_actor_data = null;
+	    return srv.add_actor(1, { wrapped: { actor: 'TestActor/2', title: 'my title' } })
+		.then(function(data) {
+		    expect(add_actor_data.fl_framework_actor_group).to.include({
+			actor: 'TestActor/2', title: 'my title'
+		    });
+
+		    return Promise.resolve(true);
+		});
+	});
+
+	it('should reject on a failed request', function() {
+	    let srv = FlGlobalAPIServiceRegistry.create('Fl::Framework::Actor::Group', SRV_CFG);
+
+	    return srv.add_actor(2, { wrapped: { actor: 'TestActor/2' } })
+		.then(function(data) {
+		    return Promise.reject('should not have reached this');
+		})
+		.catch(function(r) {
+		    expect(r).to.be.an.instanceof(FlNotFoundError);
+		    expect(r.status).to.eq(404);
+		    expect(r.message).to.eql('No group with id 2');
+		    return Promise.resolve(true);
+		});
+	});
+    });
+});
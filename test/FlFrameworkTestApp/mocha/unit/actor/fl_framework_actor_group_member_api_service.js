@@ -0,0 +1,275 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const {
+    FlAPIService, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('fl/framework/api_services');
+const { TestActor } = require('../../utils/test_models');
+const { FlFrameworkActorGroupMemberAPIService } = require('fl/framework/actor_api_services');
+
+const axios = require('axios');
+const AxiosMockAdapter = require('axios-mock-adapter');
+
+const myaxios = axios.create();
+const expect = chai.expect;
+
+const ACTOR_1 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/1",
+    fingerprint: "TestActor/1",
+    id: 1,
+    created_at: "2019-03-17T03:08:46.119Z",
+    updated_at: "2019-03-17T03:08:46.119Z",
+    name: "actor.1"
+};
+
+const ACTOR_2 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/2",
+    fingerprint: "TestActor/2",
+    id: 2,
+    created_at: "2019-03-17T03:08:46.121Z",
+    updated_at: "2019-03-17T03:08:46.121Z",
+    name: "actor.2"
+};
+
+const GROUP_3 = {
+    type: "Fl::Framework::Actor::Group",
+    api_root: "/fl/framework/actor/groups",
+    url_path: "fl_framework_actor_group_path/3",
+    fingerprint: "Fl::Framework::Actor::Group/3",
+    id: 3,
+    created_at: "2019-03-17T03:08:46.133Z",
+    updated_at: "2019-03-17T03:08:46.154Z",
+    name: "group.3",
+    note: "group note - 3",
+    owner: ACTOR_1
+};
+
+const GROUP_MEMBER_31 = {
+    type: "Fl::Framework::Actor::GroupMember",
+    api_root: "/fl/framework/actor/group_members",
+    url_path: "fl_framework_actor_group_member_path/31",
+    fingerprint: "Fl::Framework::Actor::GroupMember/31",
+    id: 31,
+    created_at: "2019-03-17T05:27:18.937Z",
+    updated_at: "2019-03-17T05:27:18.937Z",
+    title: "member.31",
+    note: "member note - 31",
+    group: GROUP_3,
+    actor: ACTOR_1
+};
+
+const GROUP_MEMBER_32 = {
+    type: "Fl::Framework::Actor::GroupMember",
+    api_root: "/fl/framework/actor/group_members",
+    url_path: "fl_framework_actor_group_member_path/32",
+    fingerprint: "Fl::Framework::Actor::GroupMember/32",
+    id: 32,
+    created_at: "2019-03-17T05:27:18.941Z",
+    updated_at: "2019-03-17T05:27:18.941Z",
+    title: "member.32",
+    note: "member note - 32",
+    group: GROUP_3,
+    actor: ACTOR_2
+};
+
+let index_params = null;
+
+const axmock = new AxiosMockAdapter(myaxios);
+axmock
+    .onGet(`/fl/framework/actor/groups/${GROUP_3.id}/group_members.json`).reply(function(cfg) {
+	return new Promise(function(resolve, reject) {
+	    resolve([ 200,
+		      JSON.stringify({
+			  group_members: [ GROUP_MEMBER_31, GROUP_MEMBER_32 ],
+			  _pg: { _s: 20, _c: 2, _p: 2 }
+		      })
+		    ]);
+	});
+    })
+
+    .onGet('/fl/framework/actor/group_members.json').reply(function(cfg) {
+	index_params = cfg.params;
+	return new Promise(function(resolve, reject) {
+	    resolve([ 200,
+		      JSON.stringify({
+			  group_members: [ GROUP_MEMBER_32 ],
+			  _pg: { _s: 20, _c: 1, _p: 2 }
+		      })
+		    ]);
+	});
+    })
+
+    .onGet(`/fl/framework/actor/group_members/${GROUP_MEMBER_31.id}.json`).reply(function(cfg) {
+	return new Promise(function(resolve, reject) {
+	    resolve([ 200, JSON.stringify({ group_member: GROUP_MEMBER_31 }) ]);
+	});
+    })
+
+    .onPatch(`/fl/framework/actor/group_members/${GROUP_MEMBER_31.id}.json`).reply(function(cfg) {
+	return new Promise(function(resolve, reject) {
+	    let jdata = JSON.parse(cfg.data);
+	    let gm = _.merge({}, GROUP_MEMBER_31, jdata.fl_framework_actor_group_member);
+	    resolve([ 200, JSON.stringify({ group_member: gm }) ]);
+	});
+    })
+
+;
+
+const SRV_CFG = {
+    axios: myaxios
+};
+
+describe('FlFrameworkActorGroupMemberAPIService', function() {
+    it('should be registered with FlClassManager', function() {
+	expect(FlClassManager.get_class('FlFrameworkActorGroupMemberAPIService')).to.not.be.null;
+    });
+
+    it('should be registered with FlGlobalAPIServiceRegistry', function() {
+	expect(FlGlobalAPIServiceRegistry.service_info('Fl::Framework::Actor::GroupMember')).to.be.an.instanceof(Object);
+
+	let FlFrameworkActorGroupMemberAPIService = FlClassManager.get_class('FlFrameworkActorGroupMemberAPIService');
+	let FlFrameworkActorGroup = FlClassManager.get_class('FlFrameworkActorGroup');
+	let group = new FlFrameworkActorGroup(GROUP_3);
+	let srv = FlGlobalAPIServiceRegistry.create('Fl::Framework::Actor::GroupMember', group, SRV_CFG);
+
+	expect(srv).to.be.an.instanceof(FlFrameworkActorGroupMemberAPIService);
+	expect(srv.group).to.be.an.instanceof(FlFrameworkActorGroup);
+	expect(srv.group.id).to.eql(GROUP_3.id);
+    });
+
+    context(':index', function() {
+	it('should return a list of objects', function() {
+	    let FlFrameworkActorGroup = FlClassManager.get_class('FlFrameworkActorGroup');
+	    let FlFrameworkActorGroupMember = FlClassManager.get_class('FlFrameworkActorGroupMember');
+	    let group = new FlFrameworkActorGroup(GROUP_3);
+	    let srv = FlGlobalAPIServiceRegistry.create('Fl::Framework::Actor::GroupMember', group, SRV_CFG);
+
+	    return srv.index()
+		.then(function(data) {
+		    expect(data).to.be.an.instanceof(Array);
+		    expect(data.length).to.eql(2);
+		    expect(data[0]).to.be.an.instanceof(FlFrameworkActorGroupMember);
+		    expect(data[0].id).to.eql(GROUP_MEMBER_31.id);
+		    expect(data[1].id).to.eql(GROUP_MEMBER_32.id);
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return Promise.resolve(true);
+		});
+	});
+
+	it('should use the unnested URL if no group is given', function() {
+	    let srv = FlGlobalAPIServiceRegistry.create('Fl::Framework::Actor::GroupMember', null, SRV_CFG);
+
+	    expect(srv.url_path_for('index')).to.eql('/fl/framework/actor/group_members.json');
+
+	    return srv.index()
+		.then(function(data) {
+		    expect(data.length).to.eql(1);
+		    expect(data[0].id).to.eql(GROUP_MEMBER_32.id);
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return Promise.resolve(true);
+		});
+	});
+    });
+
+    context(':index_all', function() {
+	it('should use the unnested URL', function() {
+	    let FlFrameworkActorGroup = FlClassManager.get_class('FlFrameworkActorGroup');
+	    let group = new FlFrameworkActorGroup(GROUP_3);
+	    let srv = FlGlobalAPIServiceRegistry.create('Fl::Framework::Actor::GroupMember', group, SRV_CFG);
+
+	    expect(srv.url_path_for('index_all')).to.eql('/fl/framework/actor/group_members.json');
+	    expect(srv.url_path_for('index')).to.eql(`/fl/framework/actor/groups/${GROUP_3.id}/group_members.json`);
+	});
+
+	it('should place group and actor filters in the query parameters', function() {
+	    let FlFrameworkActorGroup = FlClassManager.get_class('FlFrameworkActorGroup');
+	    let group = new FlFrameworkActorGroup(GROUP_3);
+	    let actor = new TestActor(ACTOR_1);
+	    let srv = FlGlobalAPIServiceRegistry.create('Fl::Framework::Actor::GroupMember', null, SRV_CFG);
+
+	    index_params = null;
+	    return srv.index_all({ only_groups: [ group ], except_actors: actor })
+		.then(function(data) {
+		    expect(data.length).to.eql(1);
+		    expect(data[0].id).to.eql(GROUP_MEMBER_32.id);
+		    expect(index_params._q).to.eql({
+			only_groups: [ GROUP_3.fingerprint ],
+			except_actors: [ ACTOR_1.fingerprint ]
+		    });
+		    expect(index_params._pg).to.include({ _s: 20, _p: 1 });
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return Promise.resolve(true);
+		});
+	});
+
+	it('should merge filters into existing query parameters', function() {
+	    let srv = FlGlobalAPIServiceRegistry.create('Fl::Framework::Actor::GroupMember', null, SRV_CFG);
+
+	    index_params = null;
+	    return srv.index_all({ only_actors: [ 'TestActor/2' ] }, { _q: { order: 'title ASC' } })
+		.then(function(data) {
+		    expect(index_params._q).to.eql({
+			order: 'title ASC',
+			only_actors: [ 'TestActor/2' ]
+		    });
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return Promise.resolve(true);
+		});
+	});
+    });
+
+    context(':show', function() {
+	it('should return a known object through the shallow URL', function() {
+	    let FlFrameworkActorGroup = FlClassManager.get_class('FlFrameworkActorGroup');
+	    let FlFrameworkActorGroupMember = FlClassManager.get_class('FlFrameworkActorGroupMember');
+	    let srv = FlGlobalAPIServiceRegistry.create('Fl::Framework::Actor::GroupMember', null, SRV_CFG);
+
+	    return srv.show(GROUP_MEMBER_31.id)
+		.then(function(data) {
+		    expect(data).to.be.an.instanceof(FlFrameworkActorGroupMember);
+		    expect(data.id).to.eql(GROUP_MEMBER_31.id);
+		    expect(data.group).to.be.an.instanceof(FlFrameworkActorGroup);
+		    expect(data.actor).to.be.an.instanceof(TestActor);
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return Promise.resolve(true);
+		});
+	});
+    });
+
+    context(':update', function() {
+	it('should return an updated object', function() {
+	    let FlFrameworkActorGroup = FlClassManager.get_class('FlFrameworkActorGroup');
+	    let FlFrameworkActorGroupMember = FlClassManager.get_class('FlFrameworkActorGroupMember');
+	    let group = new FlFrameworkActorGroup(GROUP_3);
+	    let srv = FlGlobalAPIServiceRegistry.create('Fl::Framework::Actor::GroupMember', group, SRV_CFG);
+
+	    return srv.update(GROUP_MEMBER_31.id, { wrapped: { title: 'new title' } })
+		.then(function(data) {
+		    expect(data).to.be.an.instanceof(FlFrameworkActorGroupMember);
+		    expect(data.id).to.eql(GROUP_MEMBER_31.id);
+		    expect(data.title).to.eql('new title');
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return Promise.resolve(true);
+		});
+	});
+    });
+});
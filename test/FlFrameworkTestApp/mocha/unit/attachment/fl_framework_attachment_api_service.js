@@ -0,0 +1,228 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const { ActiveStorageAttachment } = require('fl/framework/active_storage');
+const { TestAttachment } = require('../../utils/test_models');
+const { FlFrameworkAttachmentAPIService } = require('fl/framework/attachment_api_services');
+
+const axios = require('axios');
+const AxiosMockAdapter = require('axios-mock-adapter');
+
+const myaxios = axios.create();
+const expect = chai.expect;
+
+const ATTACHMENT_60 = {
+    type: "My::Image::Attachment",
+    api_root: "/fl/framework/attachments",
+    url_path: "fl_framework_attachment_path/60",
+    fingerprint: "My::Image::Attachment/60",
+    id: 60,
+    created_at: "2019-03-21T04:10:12.100Z",
+    updated_at: "2019-03-21T04:10:12.100Z",
+    title: "attachment title - 60",
+    caption: "attachment caption - 60",
+    processing: false
+};
+
+const ATTACHMENT_61 = {
+    type: "TestAttachment",
+    api_root: "/fl/framework/attachments",
+    url_path: "fl_framework_attachment_path/61",
+    fingerprint: "TestAttachment/61",
+    id: 61,
+    created_at: "2019-03-21T04:10:12.200Z",
+    updated_at: "2019-03-21T04:10:12.200Z",
+    title: "attachment title - 61",
+    caption: "attachment caption - 61",
+    processing: false
+};
+
+let request_params = null;
+let request_data = null;
+let request_cfg = null;
+
+const axmock = new AxiosMockAdapter(myaxios);
+axmock
+    .onGet(`/fl/framework/attachments/${ATTACHMENT_60.id}.json`).reply(function(cfg) {
+	request_params = cfg.params;
+	request_cfg = cfg;
+	return new Promise(function(resolve, reject) {
+	    resolve([ 200, JSON.stringify({ attachment: ATTACHMENT_60 }) ]);
+	});
+    })
+
+    .onGet(`/fl/framework/attachments/${ATTACHMENT_61.id}.json`).reply(function(cfg) {
+	return new Promise(function(resolve, reject) {
+	    resolve([ 200, JSON.stringify({ attachment: ATTACHMENT_61 }) ]);
+	});
+    })
+
+    .onPatch(`/fl/framework/attachments/${ATTACHMENT_60.id}.json`).reply(function(cfg) {
+	request_data = JSON.parse(cfg.data);
+	let a = _.merge({}, ATTACHMENT_60, request_data.attachment);
+	return new Promise(function(resolve, reject) {
+	    resolve([ 200, JSON.stringify({ attachment: a }) ]);
+	});
+    })
+
+    .onDelete(`/fl/framework/attachments/${ATTACHMENT_60.id}.json`).reply(function(cfg) {
+	return new Promise(function(resolve, reject) {
+	    resolve([ 200, JSON.stringify({
+		_status: { status: 'ok', message: 'deleted attachment My::Image::Attachment/60' }
+	    }) ]);
+	});
+    })
+
+;
+
+const SRV_CFG = {
+    axios: myaxios
+};
+
+describe('FlFrameworkAttachmentAPIService', function() {
+    it('should be registered with FlClassManager', function() {
+	expect(FlClassManager.get_class('FlFrameworkAttachmentAPIService')).to.not.be.null;
+    });
+
+    context(':show', function() {
+	it('should return an ActiveStorageAttachment for unregistered types', function() {
+	    let srv = new FlFrameworkAttachmentAPIService(SRV_CFG);
+
+	    return srv.show(ATTACHMENT_60.id)
+		.then(function(data) {
+		    expect(data).to.be.an.instanceof(ActiveStorageAttachment);
+		    expect(data.id).to.eql(ATTACHMENT_60.id);
+		    expect(data.title).to.eql(ATTACHMENT_60.title);
+		    expect(data.variants).to.eql([ ]);
+		    expect(FlModelFactory.defaultFactory().cache().get(ATTACHMENT_60)).to.equal(data);
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return Promise.resolve(true);
+		});
+	});
+
+	it('should use the model factory for registered types', function() {
+	    let srv = new FlFrameworkAttachmentAPIService(SRV_CFG);
+
+	    return srv.show(ATTACHMENT_61.id)
+		.then(function(data) {
+		    expect(data).to.be.an.instanceof(TestAttachment);
+		    expect(data.id).to.eql(ATTACHMENT_61.id);
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return Promise.resolve(true);
+		});
+	});
+
+	it('should pass the to_hash parameter', function() {
+	    let srv = new FlFrameworkAttachmentAPIService(_.merge({ to_hash: { verbosity: 'minimal' } }, SRV_CFG));
+
+	    request_params = null;
+	    return srv.show(ATTACHMENT_60.id)
+		.then(function(data) {
+		    expect(request_params.to_hash).to.eql({ verbosity: 'minimal' });
+		    expect(request_cfg).to.not.have.property('to_hash');
+		    expect(srv.getConfig()).to.not.have.property('to_hash');
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return srv.show(ATTACHMENT_60.id, { to_hash: { verbosity: 'verbose' } });
+		})
+		.then(function(data) {
+		    expect(request_params.to_hash).to.eql({ verbosity: 'verbose' });
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return Promise.resolve(true);
+		});
+	});
+    });
+
+    context(':update', function() {
+	it('should update title and caption', function() {
+	    let srv = new FlFrameworkAttachmentAPIService(SRV_CFG);
+
+	    return srv.update(ATTACHMENT_60.id, { wrapped: { title: 'new title', caption: 'new caption' } })
+		.then(function(data) {
+		    expect(data).to.be.an.instanceof(ActiveStorageAttachment);
+		    expect(data.title).to.eql('new title');
+		    expect(data.caption).to.eql('new caption');
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return Promise.resolve(true);
+		});
+	});
+
+	it('should refresh a model instance passed as id', function() {
+	    let srv = new FlFrameworkAttachmentAPIService(SRV_CFG);
+	    let a = new ActiveStorageAttachment(ATTACHMENT_60);
+
+	    return srv.update(a, { wrapped: { title: 'another title' } })
+		.then(function(data) {
+		    expect(data).to.equal(a);
+		    expect(a.title).to.eql('another title');
+
+		    return Promise.resolve(true);
+		});
+	});
+
+	it('should pass the to_hash parameter', function() {
+	    let srv = new FlFrameworkAttachmentAPIService(SRV_CFG);
+
+	    srv.to_hash = { verbosity: 'minimal' };
+	    request_data = null;
+	    return srv.update(ATTACHMENT_60.id, { wrapped: { title: 'new title' } })
+		.then(function(data) {
+		    expect(request_data.to_hash).to.eql({ verbosity: 'minimal' });
+		    expect(request_data.attachment).to.eql({ title: 'new title' });
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return Promise.resolve(true);
+		});
+	});
+
+	it('should apply optimistic updates by identifier if given a model type', function() {
+	    let srv = new FlFrameworkAttachmentAPIService(_.merge({ model_type: ATTACHMENT_60.type,
+								     optimistic: true }, SRV_CFG));
+	    let a = null;
+
+	    expect(srv.getConfig()).to.not.have.property('model_type');
+	    return srv.show(ATTACHMENT_60.id)
+		.then(function(data) {
+		    a = data;
+
+		    let p = srv.update(ATTACHMENT_60.id, { wrapped: { title: 'optimistic title' } });
+
+		    expect(a.title).to.eql('optimistic title');
+		    return p;
+		})
+		.then(function(data) {
+		    expect(data).to.equal(a);
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return Promise.resolve(true);
+		});
+	});
+    });
+
+    context(':destroy', function() {
+	it('should return the response status', function() {
+	    let srv = new FlFrameworkAttachmentAPIService(SRV_CFG);
+
+	    return srv.destroy(ATTACHMENT_60.id)
+		.then(function(status) {
+		    expect(status).to.include({ status: 'ok' });
+
+		    return Promise.resolve(true);
+		});
+	});
+    });
+});
@@ -0,0 +1,258 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const {
+    FlAPIService, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('fl/framework/api_services');
+const { TestActor, TestDatumOne, TestAttachment } = require('../../utils/test_models');
+const {
+    FlFrameworkCommentAPIService, FlFrameworkCommentAttachmentAPIService
+} = require('fl/framework/comment_api_services');
+
+const axios = require('axios');
+const AxiosMockAdapter = require('axios-mock-adapter');
+
+const myaxios = axios.create();
+const expect = chai.expect;
+
+const ACTOR_1 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/1",
+    fingerprint: "TestActor/1",
+    id: 1,
+    created_at: "2019-03-20T03:08:46.119Z",
+    updated_at: "2019-03-20T03:08:46.119Z",
+    name: "actor.1"
+};
+
+const ATTACHMENT_40 = {
+    type: "TestAttachment",
+    api_root: "/fl/framework/attachments",
+    url_path: "fl_framework_attachment_path/40",
+    fingerprint: "TestAttachment/40",
+    id: 40,
+    created_at: "2019-03-20T04:10:12.100Z",
+    updated_at: "2019-03-20T04:10:12.100Z",
+    title: "attachment title - 40",
+    caption: "attachment caption - 40",
+    processing: false,
+    author: ACTOR_1
+};
+
+const COMMENT_5 = {
+    type: "Fl::Framework::Comment::ActiveRecord::Comment",
+    api_root: "/fl/framework/comments",
+    url_path: "fl_framework_comment_path/5",
+    fingerprint: "Fl::Framework::Comment::ActiveRecord::Comment/5",
+    id: 5,
+    created_at: "2019-03-20T03:08:46.133Z",
+    updated_at: "2019-03-20T03:08:46.154Z",
+    title: "comment title - 5",
+    contents: "comment contents - 5",
+    author: ACTOR_1,
+    commentable: {
+	type: "TestDatumOne",
+	api_root: "/test_datum_ones",
+	url_path: "testdatumone_path/8",
+	fingerprint: "TestDatumOne/8",
+	id: 8,
+	created_at: "2019-03-20T03:08:46.120Z",
+	updated_at: "2019-03-20T03:08:46.120Z"
+    },
+    attachments: [ ATTACHMENT_40 ]
+};
+
+let upload_data = null;
+
+const axmock = new AxiosMockAdapter(myaxios);
+axmock
+    .onGet(`/fl/framework/comments/${COMMENT_5.id}.json`).reply(function(cfg) {
+	return new Promise(function(resolve, reject) {
+	    resolve([ 200, JSON.stringify({ comment: COMMENT_5 }) ]);
+	});
+    })
+
+    .onPatch(`/fl/framework/comments/${COMMENT_5.id}.json`).reply(function(cfg) {
+	let jdata = JSON.parse(cfg.data);
+	let c = _.merge({}, COMMENT_5, jdata.comment);
+	return new Promise(function(resolve, reject) {
+	    resolve([ 200, JSON.stringify({ comment: c }) ]);
+	});
+    })
+
+    .onGet(`/fl/framework/comments/${COMMENT_5.id}/attachments.json`).reply(function(cfg) {
+	return new Promise(function(resolve, reject) {
+	    resolve([ 200, JSON.stringify({ attachments: [ ATTACHMENT_40 ], _pg: { _s: 20, _c: 1, _p: 2 } }) ]);
+	});
+    })
+
+    .onPost(`/fl/framework/comments/${COMMENT_5.id}/attachments.json`).reply(function(cfg) {
+	upload_data = cfg.data;
+	return new Promise(function(resolve, reject) {
+	    resolve([ 200, JSON.stringify({ attachment: ATTACHMENT_40 }) ]);
+	});
+    })
+
+    .onGet(`/fl/framework/attachments/${ATTACHMENT_40.id}.json`).reply(function(cfg) {
+	return new Promise(function(resolve, reject) {
+	    resolve([ 200, JSON.stringify({ attachment: ATTACHMENT_40 }) ]);
+	});
+    })
+
+;
+
+const SRV_CFG = {
+    axios: myaxios
+};
+
+describe('FlFrameworkCommentAPIService', function() {
+    it('should be registered with FlClassManager', function() {
+	expect(FlClassManager.get_class('FlFrameworkCommentAPIService')).to.not.be.null;
+    });
+
+    it('should be registered with FlGlobalAPIServiceRegistry', function() {
+	expect(FlGlobalAPIServiceRegistry.service_info('Fl::Framework::Comment::ActiveRecord::Comment')).to.be.an.instanceof(Object);
+
+	let srv = FlGlobalAPIServiceRegistry.create('Fl::Framework::Comment::ActiveRecord::Comment', SRV_CFG);
+	expect(srv).to.be.an.instanceof(FlFrameworkCommentAPIService);
+    });
+
+    context(':show', function() {
+	it('should return a known object', function() {
+	    let FlFrameworkComment = FlClassManager.get_class('FlFrameworkComment');
+	    let srv = new FlFrameworkCommentAPIService(SRV_CFG);
+
+	    return srv.show(COMMENT_5.id)
+		.then(function(data) {
+		    expect(data).to.be.an.instanceof(FlFrameworkComment);
+		    expect(data.id).to.eql(COMMENT_5.id);
+		    expect(data.contents).to.eql(COMMENT_5.contents);
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return Promise.resolve(true);
+		});
+	});
+
+	it('should convert author, commentable, and attachments data to objects', function() {
+	    let srv = new FlFrameworkCommentAPIService(SRV_CFG);
+
+	    return srv.show(COMMENT_5.id)
+		.then(function(data) {
+		    expect(data.author).to.be.an.instanceof(TestActor);
+		    expect(data.author.id).to.eql(ACTOR_1.id);
+		    expect(data.commentable).to.be.an.instanceof(TestDatumOne);
+		    expect(data.commentable.id).to.eql(COMMENT_5.commentable.id);
+		    expect(data.attachments).to.be.an.instanceof(Array);
+		    expect(data.attachments.length).to.eql(1);
+		    expect(data.attachments[0]).to.be.an.instanceof(TestAttachment);
+		    expect(data.attachments[0].author).to.be.an.instanceof(TestActor);
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return Promise.resolve(true);
+		});
+	});
+    });
+
+    context(':update', function() {
+	it('should return an updated object', function() {
+	    let FlFrameworkComment = FlClassManager.get_class('FlFrameworkComment');
+	    let srv = new FlFrameworkCommentAPIService(SRV_CFG);
+
+	    return srv.update(COMMENT_5.id, { wrapped: { title: 'new title' } })
+		.then(function(data) {
+		    expect(data).to.be.an.instanceof(FlFrameworkComment);
+		    expect(data.id).to.eql(COMMENT_5.id);
+		    expect(data.title).to.eql('new title');
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return Promise.resolve(true);
+		});
+	});
+    });
+});
+
+describe('FlFrameworkCommentAttachmentAPIService', function() {
+    it('should be registered with FlClassManager', function() {
+	expect(FlClassManager.get_class('FlFrameworkCommentAttachmentAPIService')).to.not.be.null;
+    });
+
+    it('should generate nested and shallow URLs', function() {
+	let FlFrameworkComment = FlClassManager.get_class('FlFrameworkComment');
+	let comment = new FlFrameworkComment(COMMENT_5);
+	let srv = new FlFrameworkCommentAttachmentAPIService(comment, SRV_CFG);
+
+	expect(srv.url_path_for('index')).to.eql(`/fl/framework/comments/${COMMENT_5.id}/attachments.json`);
+	expect(srv.url_path_for('create')).to.eql(`/fl/framework/comments/${COMMENT_5.id}/attachments.json`);
+	expect(srv.url_path_for('show', 40)).to.eql('/fl/framework/attachments/40.json');
+	expect(srv.url_path_for('destroy', ATTACHMENT_40)).to.eql('/fl/framework/attachments/40.json');
+    });
+
+    context(':index', function() {
+	it('should return a list of objects', function() {
+	    let FlFrameworkComment = FlClassManager.get_class('FlFrameworkComment');
+	    let comment = new FlFrameworkComment(COMMENT_5);
+	    let srv = new FlFrameworkCommentAttachmentAPIService(comment, SRV_CFG);
+
+	    return srv.index()
+		.then(function(data) {
+		    expect(data).to.be.an.instanceof(Array);
+		    expect(data.length).to.eql(1);
+		    expect(data[0]).to.be.an.instanceof(TestAttachment);
+		    expect(data[0].id).to.eql(ATTACHMENT_40.id);
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return Promise.resolve(true);
+		});
+	});
+    });
+
+    context(':show', function() {
+	it('should not need a comment resource', function() {
+	    let srv = new FlFrameworkCommentAttachmentAPIService(null, SRV_CFG);
+
+	    return srv.show(ATTACHMENT_40.id)
+		.then(function(data) {
+		    expect(data).to.be.an.instanceof(TestAttachment);
+		    expect(data.id).to.eql(ATTACHMENT_40.id);
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return Promise.resolve(true);
+		});
+	});
+    });
+
+    context(':upload', function() {
+	it('should submit a multipart form', function() {
+	    let FlFrameworkComment = FlClassManager.get_class('FlFrameworkComment');
+	    let comment = new FlFrameworkComment(COMMENT_5);
+	    let srv = new FlFrameworkCommentAttachmentAPIService(comment, SRV_CFG);
+	    let file = new File([ 'file contents' ], 'my_file.txt', { type: 'text/plain' });
+
+	    upload_data = null;
+	    return srv.upload(file, { wrapped: { title: 'my title' }, unwrapped: { to_hash: { verbosity: 'minimal' } } })
+		.then(function(data) {
+		    expect(data).to.be.an.instanceof(TestAttachment);
+		    expect(data.id).to.eql(ATTACHMENT_40.id);
+
+		    expect(upload_data).to.be.an.instanceof(FormData);
+		    expect(upload_data.get('attachment[title]')).to.eql('my title');
+		    expect(upload_data.get('attachment[attachment]')).to.be.an.instanceof(File);
+		    expect(upload_data.get('attachment[attachment]').name).to.eql('my_file.txt');
+		    expect(upload_data.get('to_hash[verbosity]')).to.eql('minimal');
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return Promise.resolve(true);
+		});
+	});
+    });
+});
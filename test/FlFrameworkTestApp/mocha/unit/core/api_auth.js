@@ -0,0 +1,370 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const {
+    FlAPIService, FlNestedAPIService, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('fl/framework/api_services');
+const {
+    FlAPIError, FlPermissionDeniedError
+} = require('fl/framework/api_errors');
+const {
+    FlBearerAuthProvider, FlCookieSessionAuthProvider
+} = require('fl/framework/api_auth');
+const { TestActor } = require('../../utils/test_models');
+const axios = require('axios');
+const AxiosMockAdapter = require('axios-mock-adapter');
+
+const myaxios = axios.create();
+const expect = chai.expect;
+
+const API_CFG = {
+    root_url_template: '/auth/test/actors',
+    namespace: 'test_actor',
+    data_names: [ 'actor', 'actors' ]
+};
+
+const ACTOR_1 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/1",
+    fingerprint: "TestActor/1",
+    id: 1,
+    name: "actor.1"
+};
+
+// The credentials that the server accepts, and the requests it received
+
+let valid_token = 'good';
+let valid_session = 'session-1';
+let requests = [ ];
+
+function unauthorized() {
+    return [ 401, JSON.stringify({ _error: { status: 'unauthorized', message: 'not authenticated' } }) ];
+}
+
+const axmock = new AxiosMockAdapter(myaxios);
+axmock
+    .onGet('/auth/test/actors/1.json').reply(function(cfg) {
+	requests.push(cfg);
+	if (cfg.headers['Authorization'] != ('Bearer ' + valid_token)) return unauthorized();
+
+	return [ 200, JSON.stringify({ actor: ACTOR_1 }) ];
+    })
+
+    .onGet('/auth/test/actors/2.json').reply(function(cfg) {
+	requests.push(cfg);
+	if (!_.isEqual(cfg.auth, { username: 'user', password: 'secret' })) return unauthorized();
+
+	return [ 200, JSON.stringify({ actor: _.assign({ }, ACTOR_1, { id: 2, fingerprint: 'TestActor/2' }) }) ];
+    })
+
+    .onPatch('/auth/test/actors/1.json').reply(function(cfg) {
+	requests.push(cfg);
+	if (cfg.headers['X-XSRF-TOKEN'] != 'xsrf value') return unauthorized();
+	if (cfg.headers['Cookie'].indexOf('_session=' + valid_session) < 0) return unauthorized();
+
+	let data = JSON.parse(cfg.data);
+	return [ 200, JSON.stringify({ actor: _.merge({ }, ACTOR_1, data.test_actor) }) ];
+    })
+
+;
+
+function make_jwt(payload) {
+    let enc = function(o) {
+	return Buffer.from(JSON.stringify(o)).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+    };
+
+    return enc({ alg: 'HS256', typ: 'JWT' }) + '.' + enc(payload) + '.signature';
+}
+
+function expect_rejection(p, check) {
+    return p
+	.then(function(data) {
+	    return Promise.reject('should not have reached this');
+	})
+	.catch(function(e) {
+	    check(e);
+	    return Promise.resolve(true);
+	});
+}
+
+describe('fl.api_auth module', function() {
+    beforeEach(function() {
+	valid_token = 'good';
+	valid_session = 'session-1';
+	requests = [ ];
+    });
+
+    afterEach(function() {
+	FlModelFactory.defaultFactory().cache().remove(ACTOR_1);
+    });
+
+    describe('FlBearerAuthProvider', function() {
+	it('should generate the authorization header', function() {
+	    let auth = new FlBearerAuthProvider({ token: 'abcd' });
+
+	    return auth.headers({ })
+		.then(function(h) {
+		    expect(h).to.eql({ Authorization: 'Bearer abcd' });
+
+		    auth = new FlBearerAuthProvider({ token: 'abcd', scheme: 'Token', headerName: 'X-Auth' });
+		    return auth.headers({ });
+		})
+		.then(function(h) {
+		    expect(h).to.eql({ 'X-Auth': 'Token abcd' });
+
+		    auth = new FlBearerAuthProvider({ token: function() { return Promise.resolve('from storage'); } });
+		    return auth.headers({ });
+		})
+		.then(function(h) {
+		    expect(h).to.eql({ Authorization: 'Bearer from storage' });
+
+		    return new FlBearerAuthProvider().headers({ });
+		})
+		.then(function(h) {
+		    expect(h).to.eql({ });
+
+		    return Promise.resolve(true);
+		});
+	});
+
+	it('should decode JWTs', function() {
+	    let token = make_jwt({ sub: '1234', exp: 2000 });
+	    let auth = new FlBearerAuthProvider({ token: token });
+
+	    expect(FlBearerAuthProvider.decode_jwt(token)).to.eql({ sub: '1234', exp: 2000 });
+	    expect(FlBearerAuthProvider.decode_jwt('abcd')).to.be.null;
+	    expect(FlBearerAuthProvider.decode_jwt('a.b.c')).to.be.null;
+	    expect(auth.expires_at()).to.eql(2000000);
+	    expect(new FlBearerAuthProvider({ token: 'abcd' }).expires_at()).to.be.null;
+	});
+
+	it('should refresh JWTs before they expire', function() {
+	    let clock = 1000000;
+	    let refreshes = 0;
+	    let auth = new FlBearerAuthProvider({
+		token: make_jwt({ exp: 1100 }),
+		refresh: function(e) {
+		    refreshes += 1;
+		    return Promise.resolve(make_jwt({ exp: 2000 }));
+		},
+		refreshMargin: 10000,
+		now: function() { return clock; }
+	    });
+
+	    return auth.headers({ })
+		.then(function(h) {
+		    expect(refreshes).to.eql(0);
+
+		    clock = 1095000;
+		    return Promise.all([ auth.headers({ }), auth.headers({ }) ]);
+		})
+		.then(function(hs) {
+		    expect(refreshes).to.eql(1);
+		    expect(hs[0].Authorization).to.eql('Bearer ' + make_jwt({ exp: 2000 }));
+		    expect(hs[1]).to.eql(hs[0]);
+		    expect(auth.expires_at()).to.eql(2000000);
+
+		    return Promise.resolve(true);
+		});
+	});
+
+	it('should report failed refreshes', function() {
+	    let auth = new FlBearerAuthProvider({ token: 'abcd', refresh: function() { return Promise.reject(new Error('no')); } });
+
+	    return auth.refresh(null)
+		.then(function(ok) {
+		    expect(ok).to.eql(false);
+		    expect(auth.token).to.eql('abcd');
+
+		    return new FlBearerAuthProvider({ token: 'abcd' }).refresh(null);
+		})
+		.then(function(ok) {
+		    expect(ok).to.eql(false);
+
+		    return Promise.resolve(true);
+		});
+	});
+    });
+
+    describe('FlCookieSessionAuthProvider', function() {
+	it('should read cookies', function() {
+	    let auth = new FlCookieSessionAuthProvider({ cookies: '_session=abc; XSRF-TOKEN=a%20b%3D; other=1' });
+
+	    expect(auth.cookie('XSRF-TOKEN')).to.eql('a b=');
+	    expect(auth.cookie('_session')).to.eql('abc');
+	    expect(auth.cookie('missing')).to.be.null;
+	});
+
+	it('should generate the XSRF and cookie headers', function() {
+	    let jar = '_session=abc; XSRF-TOKEN=xyz';
+	    let auth = new FlCookieSessionAuthProvider({ cookies: function() { return jar; } });
+
+	    expect(auth.headers({ })).to.eql({ 'X-XSRF-TOKEN': 'xyz' });
+
+	    auth = new FlCookieSessionAuthProvider({ cookies: jar, sendCookies: true, xsrfHeaderName: 'X-CSRF-Token' });
+	    expect(auth.headers({ })).to.eql({ 'X-CSRF-Token': 'xyz', Cookie: jar });
+
+	    // no document in Node, so no cookies by default
+
+	    expect(new FlCookieSessionAuthProvider().headers({ })).to.eql({ });
+	});
+    });
+
+    describe('FlAPIService', function() {
+	context('authentication', function() {
+	    it('should add the provider headers', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, authProvider: new FlBearerAuthProvider({ token: 'good' }) });
+
+		return srv.show(1)
+		    .then(function(data) {
+			expect(data).to.be.an.instanceof(TestActor);
+			expect(requests[0].headers['Authorization']).to.eql('Bearer good');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should let middleware see the headers', function() {
+		let seen = null;
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, authProvider: new FlBearerAuthProvider({ token: 'good' }) });
+
+		srv.use(function(ctx, next) {
+		    seen = ctx.config.headers['Authorization'];
+		    return next();
+		});
+		return srv.show(1)
+		    .then(function(data) {
+			expect(seen).to.eql('Bearer good');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should refresh the token on a 401 and retry once', function() {
+		let refreshes = [ ];
+		let auth = new FlBearerAuthProvider({
+		    token: 'expired',
+		    refresh: function(e) {
+			refreshes.push(e);
+			return Promise.resolve('good');
+		    }
+		});
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, authProvider: auth });
+
+		return srv.show(1)
+		    .then(function(data) {
+			expect(data).to.be.an.instanceof(TestActor);
+			expect(requests.length).to.eql(2);
+			expect(requests[1].headers['Authorization']).to.eql('Bearer good');
+			expect(refreshes.length).to.eql(1);
+			expect(refreshes[0]).to.be.an.instanceof(FlPermissionDeniedError);
+			expect(refreshes[0].status).to.eql(401);
+			expect(auth.token).to.eql('good');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should not retry more than once', function() {
+		let refreshes = 0;
+		let auth = new FlBearerAuthProvider({
+		    token: 'expired',
+		    refresh: function(e) {
+			refreshes += 1;
+			return Promise.resolve('still bad');
+		    }
+		});
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, authProvider: auth });
+
+		return expect_rejection(srv.show(1), function(e) {
+		    expect(e).to.be.an.instanceof(FlPermissionDeniedError);
+		    expect(e.status).to.eql(401);
+		    expect(requests.length).to.eql(2);
+		    expect(refreshes).to.eql(1);
+		});
+	    });
+
+	    it('should not retry if the refresh fails', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, authProvider: new FlBearerAuthProvider({ token: 'expired' }) });
+
+		return expect_rejection(srv.show(1), function(e) {
+		    expect(e.status).to.eql(401);
+		    expect(requests.length).to.eql(1);
+		});
+	    });
+
+	    it('should support cookie sessions', function() {
+		let jar = '_session=session-0; XSRF-TOKEN=xsrf%20value';
+		let auth = new FlCookieSessionAuthProvider({
+		    cookies: jar,
+		    sendCookies: true,
+		    refresh: function(e) {
+			return Promise.resolve('_session=session-1; XSRF-TOKEN=xsrf%20value');
+		    }
+		});
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, authProvider: auth });
+
+		return srv.update(1, { wrapped: { name: 'new name' } })
+		    .then(function(data) {
+			expect(data.name).to.eql('new name');
+			expect(requests.length).to.eql(2);
+			expect(requests[1].headers['Cookie']).to.eql('_session=session-1; XSRF-TOKEN=xsrf%20value');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should be disabled per call', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, authProvider: new FlBearerAuthProvider({ token: 'good' }) });
+
+		return expect_rejection(srv.show(1, null, { authProvider: false }), function(e) {
+		    expect(e.status).to.eql(401);
+		    expect(requests[0].headers).to.not.have.property('Authorization');
+		    expect(requests[0]).to.not.have.property('authProvider');
+		});
+	    });
+
+	    it('should pass HTTP basic authentication to axios', function() {
+		let basic = { username: 'user', password: 'secret' };
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, auth: basic });
+
+		return srv.show(2)
+		    .then(function(data) {
+			expect(data.id).to.eql(2);
+			expect(requests[0].auth).to.eql(basic);
+
+			FlModelFactory.defaultFactory().cache().remove(data);
+			srv = new FlAPIService(API_CFG, { axios: myaxios });
+			return srv.show(2, null, { auth: basic });
+		    })
+		    .then(function(data) {
+			expect(requests[1].auth).to.eql(basic);
+
+			FlModelFactory.defaultFactory().cache().remove(data);
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should set and clear the provider', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let auth = new FlBearerAuthProvider({ token: 'good' });
+
+		expect(srv.authProvider).to.be.null;
+		srv.authProvider = auth;
+		expect(srv.authProvider).to.equal(auth);
+
+		return srv.show(1)
+		    .then(function(data) {
+			srv.authProvider = null;
+			expect(srv.authProvider).to.be.null;
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+    });
+});
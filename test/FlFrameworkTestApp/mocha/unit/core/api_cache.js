@@ -0,0 +1,424 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const {
+    FlAPIService, FlNestedAPIService, FlAPIResult, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('fl/framework/api_services');
+const {
+    FlAPIResponseCache, FlMemoryCacheStorage, FlLocalStorageCacheStorage
+} = require('fl/framework/api_cache');
+const { TestActor } = require('../../utils/test_models');
+const axios = require('axios');
+const AxiosMockAdapter = require('axios-mock-adapter');
+
+const myaxios = axios.create();
+const expect = chai.expect;
+
+const API_CFG = {
+    root_url_template: '/cache/test/actors',
+    namespace: 'test_actor',
+    data_names: [ 'actor', 'actors' ]
+};
+
+const ACTOR_1 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/1",
+    fingerprint: "TestActor/1",
+    id: 1,
+    name: "actor.1"
+};
+
+const ACTOR_2 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/2",
+    fingerprint: "TestActor/2",
+    id: 2,
+    name: "actor.2"
+};
+
+const LAST_MODIFIED = 'Wed, 21 Oct 2015 07:28:00 GMT';
+
+// The server-side state: the current version of actor 1, and the requests received
+
+let version = 1;
+let requests = [ ];
+
+const axmock = new AxiosMockAdapter(myaxios);
+axmock
+    .onGet('/cache/test/actors/1.json').reply(function(cfg) {
+	let etag = '"v' + version + '"';
+
+	requests.push(cfg);
+	if (cfg.headers['If-None-Match'] == etag) return [ 304, '', { ETag: etag } ];
+
+	return [ 200, JSON.stringify({ actor: _.merge({ }, ACTOR_1, { name: 'actor.1.v' + version }) }),
+		 { ETag: etag } ];
+    })
+
+    .onGet('/cache/test/actors/2.json').reply(function(cfg) {
+	requests.push(cfg);
+	if (cfg.headers['If-Modified-Since'] == LAST_MODIFIED) return [ 304, '' ];
+
+	return [ 200, JSON.stringify({ actor: ACTOR_2 }), { 'last-modified': LAST_MODIFIED } ];
+    })
+
+    .onGet('/cache/test/actors/3.json').reply(function(cfg) {
+	requests.push(cfg);
+	return [ 200, JSON.stringify({ actor: _.merge({ }, ACTOR_1, { id: 3, fingerprint: 'TestActor/3' }) }) ];
+    })
+
+    .onGet('/cache/test/actors.json').reply(function(cfg) {
+	let etag = '"list' + stable_params(cfg.params) + '"';
+
+	requests.push(cfg);
+	if (cfg.headers['If-None-Match'] == etag) return [ 304, '' ];
+
+	return [ 200, JSON.stringify({ actors: [ ACTOR_1, ACTOR_2 ], _pg: { _s: 20, _p: 2, _c: 2 } }),
+		 { ETag: etag } ];
+    })
+
+;
+
+function stable_params(params) {
+    return (_.isObject(params)) ? JSON.stringify(params) : '';
+}
+
+// A minimal implementation of the Web Storage API
+
+function FakeStorage() {
+    this._items = { };
+}
+Object.defineProperty(FakeStorage.prototype, 'length', {
+    get: function() { return _.size(this._items); }
+});
+FakeStorage.prototype.key = function(idx) {
+    let k = _.keys(this._items)[idx];
+    return (_.isUndefined(k)) ? null : k;
+};
+FakeStorage.prototype.getItem = function(k) {
+    return (_.has(this._items, k)) ? this._items[k] : null;
+};
+FakeStorage.prototype.setItem = function(k, v) {
+    if (this.full) throw new Error('QuotaExceededError');
+    this._items[k] = String(v);
+};
+FakeStorage.prototype.removeItem = function(k) {
+    delete this._items[k];
+};
+
+describe('fl.api_cache module', function() {
+    describe('FlAPIResponseCache', function() {
+	it('should create caches from a configuration value', function() {
+	    let c = new FlAPIResponseCache();
+
+	    expect(FlAPIResponseCache.create(c)).to.equal(c);
+	    expect(FlAPIResponseCache.create(true).storage).to.be.an.instanceof(FlMemoryCacheStorage);
+	    expect(FlAPIResponseCache.create({ storage: 'localStorage' }).storage)
+		.to.be.an.instanceof(FlLocalStorageCacheStorage);
+	    expect(FlAPIResponseCache.create(false)).to.be.null;
+	    expect(FlAPIResponseCache.create()).to.be.null;
+	    expect(function() { new FlAPIResponseCache({ storage: 'nowhere' }); }).to.throw();
+	});
+
+	it('should store responses with validators', function() {
+	    let c = new FlAPIResponseCache();
+
+	    expect(c.store('a', { status: 200, data: { a: 1 }, headers: { etag: '"1"' } })).to.include({ etag: '"1"' });
+	    expect(c.store('b', { status: 200, data: { b: 1 }, headers: { } })).to.be.null;
+
+	    let e = c.lookup('a');
+	    expect(e).to.include({ status: 200, etag: '"1"', last_modified: null });
+	    expect(e.data).to.eql({ a: 1 });
+	    expect(c.conditional_headers(e)).to.eql({ 'If-None-Match': '"1"' });
+	    expect(c.lookup('b')).to.be.null;
+
+	    // a response without validators removes the existing entry
+
+	    c.store('a', { status: 200, data: { a: 2 }, headers: { } });
+	    expect(c.lookup('a')).to.be.null;
+	});
+
+	it('should expire entries', function() {
+	    let c = new FlAPIResponseCache({ ttl: 1000 });
+	    let now = Date.now();
+
+	    c.storage.set('a', { status: 200, etag: '"1"', data: { }, stored_at: now - 2000 });
+	    c.storage.set('b', { status: 200, etag: '"1"', data: { }, stored_at: now - 500 });
+	    expect(c.lookup('a')).to.be.null;
+	    expect(c.storage.keys()).to.eql([ 'b' ]);
+	    expect(c.lookup('b')).to.not.be.null;
+	});
+
+	it('should limit the number of entries', function() {
+	    let c = new FlAPIResponseCache({ maxEntries: 2 });
+	    let now = Date.now();
+
+	    c.storage.set('a', { status: 200, etag: '"1"', data: { }, stored_at: now - 300 });
+	    c.storage.set('b', { status: 200, etag: '"1"', data: { }, stored_at: now - 200 });
+	    c.store('c', { status: 200, data: { }, headers: { ETag: '"1"' } });
+	    expect(_.sortBy(c.storage.keys())).to.eql([ 'b', 'c' ]);
+	});
+
+	it('should not read the entries to limit their number', function() {
+	    let c = new FlAPIResponseCache({ maxEntries: 2 });
+	    let now = Date.now();
+	    let get = c.storage.get;
+	    let reads = 0;
+
+	    c.storage.get = function(k) {
+		reads += 1;
+		return get.call(this, k);
+	    };
+
+	    // the existing entries are read once, to build the index
+
+	    c.storage.set('a', { status: 200, etag: '"1"', data: { }, stored_at: now - 300 });
+	    c.store('b', { status: 200, data: { }, headers: { ETag: '"1"' } });
+	    expect(reads).to.eql(2);
+
+	    reads = 0;
+	    c.store('c', { status: 200, data: { }, headers: { ETag: '"1"' } });
+	    c.store('d', { status: 200, data: { }, headers: { ETag: '"1"' } });
+	    expect(reads).to.eql(0);
+	    expect(c.storage.keys()).to.have.lengthOf(2);
+	    expect(c.storage.keys()).to.include('d');
+
+	    c.remove('d');
+	    c.store('e', { status: 200, data: { }, headers: { ETag: '"1"' } });
+	    expect(c.storage.keys()).to.have.lengthOf(2);
+	    expect(c.storage.keys()).to.include('e');
+
+	    c.clear();
+	    c.store('f', { status: 200, data: { }, headers: { ETag: '"1"' } });
+	    expect(c.storage.keys()).to.eql([ 'f' ]);
+	    expect(reads).to.eql(0);
+	});
+
+	it('should not share data with clients', function() {
+	    let c = new FlAPIResponseCache();
+	    let data = { a: { b: 1 } };
+
+	    c.store('a', { status: 200, data: data, headers: { ETag: '"1"' } });
+	    data.a.b = 2;
+	    c.lookup('a').data.a.b = 3;
+	    expect(c.lookup('a').data).to.eql({ a: { b: 1 } });
+	});
+    });
+
+    describe('FlLocalStorageCacheStorage', function() {
+	it('should store entries under the prefix', function() {
+	    let storage = new FakeStorage();
+	    let s = new FlLocalStorageCacheStorage('test:', storage);
+
+	    storage.setItem('other', 'x');
+	    expect(s.set('a', { v: 1 })).to.eql(true);
+	    expect(storage.getItem('test:a')).to.eql('{"v":1}');
+	    expect(s.get('a')).to.eql({ v: 1 });
+	    expect(s.keys()).to.eql([ 'a' ]);
+
+	    s.clear();
+	    expect(s.keys()).to.eql([ ]);
+	    expect(storage.getItem('other')).to.eql('x');
+	});
+
+	it('should handle full storage and bad data', function() {
+	    let storage = new FakeStorage();
+	    let s = new FlLocalStorageCacheStorage('test:', storage);
+
+	    storage.setItem('test:bad', '{ not json');
+	    expect(s.get('bad')).to.be.null;
+
+	    storage.full = true;
+	    expect(s.set('a', { v: 1 })).to.eql(false);
+	    expect(s.get('a')).to.be.null;
+	});
+
+	it('should be usable as the cache storage', function() {
+	    let storage = new FakeStorage();
+	    let c = new FlAPIResponseCache({ storage: new FlLocalStorageCacheStorage('test:', storage) });
+
+	    c.store('a', { status: 200, data: { a: 1 }, headers: { ETag: '"1"' } });
+	    expect(JSON.parse(storage.getItem('test:a'))).to.include({ etag: '"1"' });
+	    expect(c.lookup('a').data).to.eql({ a: 1 });
+	});
+    });
+
+    describe('FlAPIService', function() {
+	beforeEach(function() {
+	    version = 1;
+	    requests = [ ];
+	});
+
+	afterEach(function() {
+	    FlModelFactory.defaultFactory().cache().remove([ ACTOR_1, ACTOR_2, { type: 'TestActor', id: 3 } ]);
+	});
+
+	context('response cache', function() {
+	    it('should not cache by default', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		expect(srv.response_cache).to.be.null;
+		return srv.show(1)
+		    .then(function(data) {
+			return srv.show(1);
+		    })
+		    .then(function(data) {
+			expect(requests[1].headers).to.not.have.property('If-None-Match');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should revalidate with ETag', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, cache: true });
+
+		return srv.show(1)
+		    .then(function(data) {
+			expect(data.name).to.eql('actor.1.v1');
+			expect(requests[0].headers).to.not.have.property('If-None-Match');
+
+			// remove the model from the model cache, so that it must be rebuilt from
+			// the cached response data
+
+			FlModelFactory.defaultFactory().cache().remove(ACTOR_1);
+			return srv.show(1, null, { withResult: true });
+		    })
+		    .then(function(result) {
+			expect(requests[1].headers['If-None-Match']).to.eql('"v1"');
+			expect(result.response.cached).to.eql(true);
+			expect(result.status).to.eql(200);
+			expect(result.success).to.eql(true);
+			expect(result.data).to.be.an.instanceof(TestActor);
+			expect(result.data.name).to.eql('actor.1.v1');
+			expect(srv.error).to.be.null;
+
+			// a new version on the server replaces the cached one
+
+			version = 2;
+			return srv.show(1);
+		    })
+		    .then(function(data) {
+			expect(data.name).to.eql('actor.1.v2');
+
+			return srv.get('/cache/test/actors/1.json');
+		    })
+		    .then(function(r) {
+			expect(requests[3].headers['If-None-Match']).to.eql('"v2"');
+			expect(r.cached).to.eql(true);
+			expect(r.data.actor.name).to.eql('actor.1.v2');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should revalidate with Last-Modified', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, cache: true });
+
+		return srv.show(2)
+		    .then(function(data) {
+			return srv.show(2);
+		    })
+		    .then(function(data) {
+			expect(requests[1].headers['If-Modified-Since']).to.eql(LAST_MODIFIED);
+			expect(srv.response.cached).to.eql(true);
+			expect(data.id).to.eql(2);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should key on the parameters', function() {
+		// index requests update the pagination controls, so each request uses a new service
+		// (sharing the cache) to get the same parameters
+
+		let cache = new FlAPIResponseCache();
+		let service = function() {
+		    return new FlAPIService(API_CFG, { axios: myaxios, cache: cache });
+		};
+		let srv = service();
+
+		return srv.index({ _q: { name: 'a' } })
+		    .then(function(data) {
+			return service().index({ _q: { name: 'b' } });
+		    })
+		    .then(function(data) {
+			expect(requests[1].headers).to.not.have.property('If-None-Match');
+
+			srv = service();
+			return srv.index({ _q: { name: 'a' } });
+		    })
+		    .then(function(data) {
+			expect(requests[2].headers).to.have.property('If-None-Match');
+			expect(srv.response.cached).to.eql(true);
+			expect(data.length).to.eql(2);
+			expect(data[0]).to.be.an.instanceof(TestActor);
+			expect(srv.pagination_controls).to.include({ _p: 2 });
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should not cache responses without validators', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, cache: true });
+
+		return srv.show(3)
+		    .then(function(data) {
+			return srv.show(3);
+		    })
+		    .then(function(data) {
+			expect(requests[1].headers).to.not.have.property('If-None-Match');
+			expect(srv.response_cache.storage.keys()).to.eql([ ]);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should be bypassed per call', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, cache: true });
+
+		return srv.show(1)
+		    .then(function(data) {
+			return srv.show(1, null, { cache: false });
+		    })
+		    .then(function(data) {
+			expect(requests[1].headers).to.not.have.property('If-None-Match');
+			expect(requests[1]).to.not.have.property('cache');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should share a cache between services', function() {
+		let cache = new FlAPIResponseCache({ storage: new FlLocalStorageCacheStorage('test:', new FakeStorage()) });
+		let srv1 = new FlAPIService(API_CFG, { axios: myaxios, cache: cache });
+		let srv2 = new FlAPIService(API_CFG, { axios: myaxios, cache: cache });
+
+		expect(srv1.response_cache).to.equal(cache);
+		return srv1.show(1)
+		    .then(function(data) {
+			return srv2.show(1);
+		    })
+		    .then(function(data) {
+			expect(requests[1].headers['If-None-Match']).to.eql('"v1"');
+			expect(srv2.response.cached).to.eql(true);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should be reconfigured by setConfig', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		srv.setConfig({ cache: { maxEntries: 10 } });
+		expect(srv.response_cache).to.be.an.instanceof(FlAPIResponseCache);
+		srv.setConfig({ cache: false });
+		expect(srv.response_cache).to.be.null;
+	    });
+	});
+    });
+});
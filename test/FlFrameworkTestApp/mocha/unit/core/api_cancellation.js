@@ -0,0 +1,266 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const {
+    FlAPIService, FlNestedAPIService, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('fl/framework/api_services');
+const {
+    FlAPIError, FlNetworkError, FlCancellationError
+} = require('fl/framework/api_errors');
+const { TestActor } = require('../../utils/test_models');
+const axios = require('axios');
+const AxiosMockAdapter = require('axios-mock-adapter');
+
+const myaxios = axios.create();
+const expect = chai.expect;
+
+const API_CFG = {
+    root_url_template: '/cancel/test/actors',
+    namespace: 'test_actor',
+    data_names: [ 'actor', 'actors' ]
+};
+
+const ACTOR_1 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/1",
+    fingerprint: "TestActor/1",
+    id: 1,
+    name: "actor.1"
+};
+
+const ACTOR_2 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/2",
+    fingerprint: "TestActor/2",
+    id: 2,
+    name: "actor.2"
+};
+
+function delayed(ms, value) {
+    return new Promise(function(resolve, reject) {
+	setTimeout(function() { resolve(value); }, ms);
+    });
+}
+
+let requests = [ ];
+
+const axmock = new AxiosMockAdapter(myaxios);
+axmock
+    .onGet('/cancel/test/actors.json').reply(function(cfg) {
+	requests.push(cfg);
+	return delayed(20, [ 200, JSON.stringify({ actors: [ ACTOR_1, ACTOR_2 ], _pg: { _s: 20, _p: 2, _c: 2 } }) ]);
+    })
+
+    .onGet('/cancel/test/actors/1.json').reply(function(cfg) {
+	requests.push(cfg);
+	return delayed(20, [ 200, JSON.stringify({ actor: ACTOR_1 }) ]);
+    })
+
+    .onPost('/cancel/test/actors.json').reply(function(cfg) {
+	requests.push(cfg);
+	return delayed(20, [ 200, JSON.stringify({ actor: ACTOR_2 }) ]);
+    })
+
+;
+
+axmock.onGet('/cancel/test/actors/2.json').timeout();
+
+function expect_cancellation(p) {
+    return p
+	.then(function(data) {
+	    return Promise.reject('should not have reached this');
+	})
+	.catch(function(e) {
+	    expect(e).to.be.an.instanceof(FlCancellationError);
+	    return Promise.resolve(e);
+	});
+}
+
+describe('fl.api_services module', function() {
+    describe('FlAPIService', function() {
+	afterEach(function() {
+	    FlModelFactory.defaultFactory().cache().remove([ ACTOR_1, ACTOR_2 ]);
+	});
+
+	context('cancellation', function() {
+	    it('should cancel a request when its signal is aborted', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let controller = new AbortController();
+		let p = srv.index(null, { signal: controller.signal });
+
+		expect(srv.pending_requests).to.eql(1);
+		controller.abort();
+
+		return expect_cancellation(p)
+		    .then(function(e) {
+			expect(e.message).to.eql('request aborted');
+			expect(srv.pending_requests).to.eql(0);
+			expect(srv.error).to.equal(e);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should not submit a request with an aborted signal', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let controller = new AbortController();
+
+		controller.abort();
+		requests = [ ];
+		return expect_cancellation(srv.show(1, null, { signal: controller.signal }))
+		    .then(function(e) {
+			expect(requests.length).to.eql(0);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should cancel processing requests', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let controller = new AbortController();
+		let p = srv.create({ wrapped: { name: 'new actor' } }, { signal: controller.signal });
+
+		controller.abort();
+		return expect_cancellation(p);
+	    });
+
+	    it('should support axios cancel tokens', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let source = axios.CancelToken.source();
+		let p = srv.show(1, null, { cancelToken: source.token });
+
+		source.cancel('superseded');
+		return expect_cancellation(p)
+		    .then(function(e) {
+			expect(e.message).to.eql('superseded');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should only resolve the last of a series of superseded requests', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let controller = null;
+		let outcomes = [ ];
+
+		let search = function(n) {
+		    if (controller) controller.abort();
+		    controller = new AbortController();
+
+		    return srv.index({ _q: { name_like: n } }, { signal: controller.signal })
+			.then(function(data) {
+			    outcomes.push(n);
+			})
+			.catch(function(e) {
+			    if (!(e instanceof FlCancellationError)) return Promise.reject(e);
+			});
+		};
+
+		return Promise.all([ search('a'), search('ab'), search('abc') ])
+		    .then(function() {
+			expect(outcomes).to.eql([ 'abc' ]);
+			expect(srv.pending_requests).to.eql(0);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should not affect completed requests', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let controller = new AbortController();
+
+		return srv.show(1, null, { signal: controller.signal })
+		    .then(function(data) {
+			expect(data).to.be.an.instanceof(TestActor);
+			expect(srv.pending_requests).to.eql(0);
+			controller.abort();
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+
+	context('.cancelAll', function() {
+	    it('should cancel all pending requests', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let p1 = srv.index();
+		let p2 = srv.show(1);
+
+		expect(srv.pending_requests).to.eql(2);
+		expect(srv.cancelAll('shutting down')).to.eql(2);
+
+		return Promise.all([ expect_cancellation(p1), expect_cancellation(p2) ])
+		    .then(function(errors) {
+			expect(errors[0].message).to.eql('shutting down');
+			expect(srv.pending_requests).to.eql(0);
+			expect(srv.cancelAll()).to.eql(0);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should not cancel requests on other services', function() {
+		let srv1 = new FlAPIService(API_CFG, { axios: myaxios });
+		let srv2 = new FlAPIService(API_CFG, { axios: myaxios });
+		let p1 = srv1.show(1);
+		let p2 = srv2.show(1);
+
+		srv1.cancelAll();
+		return Promise.all([ expect_cancellation(p1), p2 ])
+		    .then(function(results) {
+			expect(results[1]).to.be.an.instanceof(TestActor);
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+
+	context('timeouts', function() {
+	    it('should use the service default timeout', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, timeout: 5000 });
+
+		expect(srv.timeout).to.eql(5000);
+		requests = [ ];
+		return srv.show(1)
+		    .then(function(data) {
+			expect(requests[0].timeout).to.eql(5000);
+
+			return srv.show(1, null, { timeout: 200 });
+		    })
+		    .then(function(data) {
+			expect(requests[1].timeout).to.eql(200);
+
+			srv.timeout = null;
+			expect(srv.timeout).to.be.undefined;
+			return srv.show(1);
+		    })
+		    .then(function(data) {
+			expect(requests[2].timeout).to.eql(0);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should reject with FlNetworkError on a timeout', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, timeout: 100 });
+
+		return srv.show(2)
+		    .then(function(data) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e).to.be.an.instanceof(FlNetworkError);
+			expect(e).to.not.be.an.instanceof(FlCancellationError);
+			expect(e.message).to.eql('timeout of 100ms exceeded');
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+    });
+});
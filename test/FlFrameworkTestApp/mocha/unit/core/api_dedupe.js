@@ -0,0 +1,241 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const {
+    FlAPIService, FlNestedAPIService, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('fl/framework/api_services');
+const {
+    FlAPIError, FlNotFoundError, FlCancellationError
+} = require('fl/framework/api_errors');
+const { TestActor } = require('../../utils/test_models');
+const axios = require('axios');
+const AxiosMockAdapter = require('axios-mock-adapter');
+
+const myaxios = axios.create();
+const expect = chai.expect;
+
+const API_CFG = {
+    root_url_template: '/dedupe/test/actors',
+    namespace: 'test_actor',
+    data_names: [ 'actor', 'actors' ]
+};
+
+const ACTOR_1 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/1",
+    fingerprint: "TestActor/1",
+    id: 1,
+    name: "actor.1"
+};
+
+const ACTOR_2 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/2",
+    fingerprint: "TestActor/2",
+    id: 2,
+    name: "actor.2"
+};
+
+function delayed(ms, value) {
+    return new Promise(function(resolve, reject) {
+	setTimeout(function() { resolve(value); }, ms);
+    });
+}
+
+let requests = [ ];
+
+const axmock = new AxiosMockAdapter(myaxios);
+axmock
+    .onGet('/dedupe/test/actors.json').reply(function(cfg) {
+	requests.push(cfg);
+	return delayed(10, [ 200, JSON.stringify({ actors: [ ACTOR_1, ACTOR_2 ], _pg: { _s: 20, _p: 2, _c: 2 } }) ]);
+    })
+
+    .onGet('/dedupe/test/actors/1.json').reply(function(cfg) {
+	requests.push(cfg);
+	return delayed(10, [ 200, JSON.stringify({ actor: ACTOR_1 }) ]);
+    })
+
+    .onGet('/dedupe/test/actors/2.json').reply(function(cfg) {
+	requests.push(cfg);
+	return delayed(10, [ 200, JSON.stringify({ actor: ACTOR_2 }) ]);
+    })
+
+    .onGet('/dedupe/test/actors/404.json').reply(function(cfg) {
+	requests.push(cfg);
+	return delayed(10, [ 404, JSON.stringify({ _error: { status: 'not_found', message: 'no actor with id 404' } }) ]);
+    })
+
+;
+
+describe('fl.api_services module', function() {
+    describe('FlAPIService', function() {
+	beforeEach(function() {
+	    requests = [ ];
+	});
+
+	afterEach(function() {
+	    FlModelFactory.defaultFactory().cache().remove([ ACTOR_1, ACTOR_2 ]);
+	});
+
+	context('request deduplication', function() {
+	    it('should coalesce identical GET requests', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, dedupe: true });
+		let p1 = srv.get('/dedupe/test/actors/1.json');
+		let p2 = srv.get('/dedupe/test/actors/1.json');
+
+		expect(p2).to.equal(p1);
+		expect(srv.pending_requests).to.eql(1);
+		return Promise.all([ p1, p2 ])
+		    .then(function(responses) {
+			expect(requests.length).to.eql(1);
+			expect(responses[1]).to.equal(responses[0]);
+
+			// completed requests are not reused
+
+			return srv.get('/dedupe/test/actors/1.json');
+		    })
+		    .then(function(r) {
+			expect(requests.length).to.eql(2);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should coalesce :show calls', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, dedupe: true });
+
+		return Promise.all([ srv.show(1), srv.show(1), srv.show(2) ])
+		    .then(function(results) {
+			expect(requests.length).to.eql(2);
+			expect(results[0]).to.be.an.instanceof(TestActor);
+			expect(results[1]).to.equal(results[0]);
+			expect(results[2].id).to.eql(2);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should key on the parameters', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, dedupe: true });
+
+		return Promise.all([
+		    srv.index({ _q: { name_like: 'a', id: 1 } }),
+		    srv.index({ _q: { id: 1, name_like: 'a' } }),
+		    srv.index({ _q: { name_like: 'b' } })
+		])
+		    .then(function(results) {
+			expect(requests.length).to.eql(2);
+			expect(srv._dedupe_key('get', '/x', { dedupe: true, params: { a: 1, b: [ 2, { d: 3, c: 4 } ] } }))
+			    .to.eql(srv._dedupe_key('get', '/x', { dedupe: true, params: { b: [ 2, { c: 4, d: 3 } ], a: 1 } }));
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should share failures', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, dedupe: true });
+		let outcomes = [ ];
+		let capture = function(p) {
+		    return p.catch(function(e) { outcomes.push(e); });
+		};
+
+		return Promise.all([ capture(srv.show(404)), capture(srv.show(404)) ])
+		    .then(function() {
+			expect(requests.length).to.eql(1);
+			expect(outcomes.length).to.eql(2);
+			expect(outcomes[0]).to.be.an.instanceof(FlNotFoundError);
+			expect(outcomes[1]).to.equal(outcomes[0]);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should be disabled by default', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		return Promise.all([ srv.show(1), srv.show(1) ])
+		    .then(function(results) {
+			expect(requests.length).to.eql(2);
+			expect(requests[0]).to.not.have.property('dedupe');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should be switchable per call', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, dedupe: true });
+
+		return Promise.all([ srv.show(1), srv.show(1, null, { dedupe: false }) ])
+		    .then(function(results) {
+			expect(requests.length).to.eql(2);
+
+			srv = new FlAPIService(API_CFG, { axios: myaxios, dedupe: false });
+			requests = [ ];
+			return Promise.all([ srv.show(1, null, { dedupe: true }), srv.show(1, null, { dedupe: true }) ]);
+		    })
+		    .then(function(results) {
+			expect(requests.length).to.eql(1);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should not coalesce cancellable requests', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, dedupe: true });
+		let controller = new AbortController();
+		let p1 = srv.show(1, null, { signal: controller.signal });
+		let p2 = srv.show(1);
+
+		controller.abort();
+		return Promise.all([
+		    p1.then(function() { return Promise.reject('should not have reached this'); })
+			.catch(function(e) {
+			    expect(e).to.be.an.instanceof(FlCancellationError);
+			}),
+		    p2
+		])
+		    .then(function(results) {
+			expect(results[1]).to.be.an.instanceof(TestActor);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should key on the request options', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, dedupe: true });
+
+		return Promise.all([
+		    srv.show(1, null, { headers: { 'X-Tenant': 'one' } }),
+		    srv.show(1, null, { headers: { 'X-Tenant': 'two' } }),
+		    srv.show(1, null, { headers: { 'X-Tenant': 'one' } }),
+		    srv.show(1, null, { headers: { 'X-Tenant': 'one' }, timeout: 1000 })
+		])
+		    .then(function(results) {
+			expect(requests.length).to.eql(3);
+			expect(_.map(requests, function(r) { return r.headers['X-Tenant']; }))
+			    .to.have.members([ 'one', 'two', 'one' ]);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should not coalesce across services', function() {
+		let srv1 = new FlAPIService(API_CFG, { axios: myaxios, dedupe: true });
+		let srv2 = new FlAPIService(API_CFG, { axios: myaxios, dedupe: true });
+
+		return Promise.all([ srv1.show(1), srv2.show(1) ])
+		    .then(function(results) {
+			expect(requests.length).to.eql(2);
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+    });
+});
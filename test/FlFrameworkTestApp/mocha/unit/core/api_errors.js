@@ -0,0 +1,261 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const {
+    FlAPIService, FlNestedAPIService, FlAPIResult, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('fl/framework/api_services');
+const {
+    FlAPIError, FlNotFoundError, FlPermissionDeniedError, FlValidationError, FlNetworkError
+} = require('fl/framework/api_errors');
+const { TestActor } = require('../../utils/test_models');
+const axios = require('axios');
+const AxiosMockAdapter = require('axios-mock-adapter');
+
+const myaxios = axios.create();
+const expect = chai.expect;
+
+const API_CFG = {
+    root_url_template: '/error/test/actors',
+    namespace: 'test_actor',
+    data_names: [ 'actor', 'actors' ]
+};
+
+const VALIDATION_ERROR = {
+    status: 'unprocessable_entity',
+    message: 'the object contains errors',
+    details: {
+	name: [ 'is too short', 'contains invalid characters' ],
+	base: [ 'cannot be saved' ]
+    }
+};
+
+const axmock = new AxiosMockAdapter(myaxios);
+axmock
+    .onGet('/error/test/actors/404.json').reply(function(cfg) {
+	return [ 404, JSON.stringify({ _error: { status: 'not_found', message: 'no actor with id 404' } }) ];
+    })
+
+    .onGet('/error/test/actors/403.json').reply(function(cfg) {
+	return [ 403, JSON.stringify({
+	    _error: { status: 'forbidden', code: 'no_read_access', message: 'no read access' }
+	}) ];
+    })
+
+    .onGet('/error/test/actors/500.json').reply(function(cfg) {
+	return [ 500, 'Internal Server Error' ];
+    })
+
+    .onPost('/error/test/actors.json').reply(function(cfg) {
+	return [ 422, JSON.stringify({ _error: VALIDATION_ERROR }) ];
+    })
+
+    .onDelete('/error/test/actors/403.json').reply(function(cfg) {
+	return [ 403, JSON.stringify({ _error: { status: 'forbidden', message: 'no destroy access' } }) ];
+    })
+
+;
+
+// networkError and timeout don't return the adapter, so they can't be chained
+
+axmock.onGet('/error/test/actors/1.json').networkError();
+axmock.onGet('/error/test/actors.json').timeout();
+
+function expect_rejection(p, check) {
+    return p
+	.then(function(data) {
+	    return Promise.reject('should not have reached this');
+	})
+	.catch(function(e) {
+	    check(e);
+	    return Promise.resolve(true);
+	});
+}
+
+describe('fl.api_errors module', function() {
+    describe('FlAPIError', function() {
+	it('should be an Error', function() {
+	    let e = new FlNotFoundError('not found', { status: 404 });
+
+	    expect(e).to.be.an.instanceof(Error);
+	    expect(e).to.be.an.instanceof(FlAPIError);
+	    expect(e).to.be.an.instanceof(FlNotFoundError);
+	    expect(e.name).to.eql('FlNotFoundError');
+	    expect(e.message).to.eql('not found');
+	    expect(e.status).to.eql(404);
+	    expect(e.stack).to.be.a('string');
+	});
+
+	context('.create', function() {
+	    it('should select the class from the HTTP status', function() {
+		expect(FlAPIError.create({ response: { status: 404 } })).to.be.an.instanceof(FlNotFoundError);
+		expect(FlAPIError.create({ response: { status: 401 } })).to.be.an.instanceof(FlPermissionDeniedError);
+		expect(FlAPIError.create({ response: { status: 403 } })).to.be.an.instanceof(FlPermissionDeniedError);
+		expect(FlAPIError.create({ response: { status: 422 } })).to.be.an.instanceof(FlValidationError);
+
+		let e = FlAPIError.create({ response: { status: 500 } });
+		expect(e).to.be.an.instanceof(FlAPIError);
+		expect(e.name).to.eql('FlAPIError');
+	    });
+
+	    it('should select the class from the error status', function() {
+		let e = FlAPIError.create({ response: { status: 400, data: { _error: { status: 'forbidden' } } } });
+
+		expect(e).to.be.an.instanceof(FlPermissionDeniedError);
+		expect(e.status).to.eql(400);
+		expect(e.error_status).to.eql('forbidden');
+	    });
+
+	    it('should load the error payload', function() {
+		let e = FlAPIError.create({
+		    message: 'Request failed with status code 422',
+		    response: { status: 422, data: { _error: _.merge({ code: 'invalid' }, VALIDATION_ERROR) } }
+		});
+
+		expect(e.message).to.eql(VALIDATION_ERROR.message);
+		expect(e.code).to.eql('invalid');
+		expect(e.details).to.eql(VALIDATION_ERROR.details);
+		expect(e.to_hash()).to.eql({
+		    status: 'unprocessable_entity',
+		    code: 'invalid',
+		    message: VALIDATION_ERROR.message,
+		    details: VALIDATION_ERROR.details
+		});
+	    });
+
+	    it('should return a network error for requests without a response', function() {
+		let e = FlAPIError.create({ message: 'Network Error', config: { }, request: { } });
+
+		expect(e).to.be.an.instanceof(FlNetworkError);
+		expect(e.status).to.be.null;
+		expect(e.message).to.eql('Network Error');
+	    });
+
+	    it('should return an FlAPIError as is', function() {
+		let e = new FlValidationError('invalid');
+
+		expect(FlAPIError.create(e)).to.equal(e);
+	    });
+
+	    it('should convert strings', function() {
+		let e = FlAPIError.create('something went wrong');
+
+		expect(e).to.be.an.instanceof(FlAPIError);
+		expect(e.message).to.eql('something went wrong');
+	    });
+	});
+    });
+
+    describe('FlValidationError', function() {
+	it('should return field errors', function() {
+	    let e = new FlValidationError('invalid', { status: 422, details: VALIDATION_ERROR.details });
+
+	    expect(e.fields()).to.eql([ 'name', 'base' ]);
+	    expect(e.errors_for('name')).to.eql(VALIDATION_ERROR.details.name);
+	    expect(e.errors_for('title')).to.eql([ ]);
+	});
+
+	it('should handle missing details', function() {
+	    let e = new FlValidationError('invalid');
+
+	    expect(e.fields()).to.eql([ ]);
+	    expect(e.errors_for('name')).to.eql([ ]);
+	});
+    });
+
+    describe('FlAPIService', function() {
+	context('rejections', function() {
+	    it('should reject :show with FlNotFoundError', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		return expect_rejection(srv.show(404), function(e) {
+		    expect(e).to.be.an.instanceof(FlNotFoundError);
+		    expect(e.status).to.eql(404);
+		    expect(e.error_status).to.eql('not_found');
+		    expect(e.message).to.eql('no actor with id 404');
+		    expect(e.response.status).to.eql(404);
+		    expect(srv.error).to.equal(e);
+		    expect(srv.response_error(e)).to.include({ status: 'not_found' });
+		});
+	    });
+
+	    it('should reject :show with FlPermissionDeniedError', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		return expect_rejection(srv.show(403), function(e) {
+		    expect(e).to.be.an.instanceof(FlPermissionDeniedError);
+		    expect(e.code).to.eql('no_read_access');
+		});
+	    });
+
+	    it('should reject with FlAPIError for responses without an error payload', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		return expect_rejection(srv.show(500), function(e) {
+		    expect(e.name).to.eql('FlAPIError');
+		    expect(e.status).to.eql(500);
+		    expect(e.details).to.be.null;
+		});
+	    });
+
+	    it('should reject :create with FlValidationError', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		return expect_rejection(srv.create({ wrapped: { name: 'x' } }), function(e) {
+		    expect(e).to.be.an.instanceof(FlValidationError);
+		    expect(e.fields()).to.eql([ 'name', 'base' ]);
+		    expect(e.errors_for('name')).to.eql(VALIDATION_ERROR.details.name);
+		});
+	    });
+
+	    it('should reject :destroy with FlPermissionDeniedError', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		return expect_rejection(srv.destroy(403), function(e) {
+		    expect(e).to.be.an.instanceof(FlPermissionDeniedError);
+		    expect(e.message).to.eql('no destroy access');
+		});
+	    });
+
+	    it('should reject with FlNetworkError on a network failure', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		return expect_rejection(srv.show(1), function(e) {
+		    expect(e).to.be.an.instanceof(FlNetworkError);
+		    expect(e.response).to.be.undefined;
+		    expect(srv.response).to.be.undefined;
+		});
+	    });
+
+	    it('should reject with FlNetworkError on a timeout', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		return expect_rejection(srv.index(), function(e) {
+		    expect(e).to.be.an.instanceof(FlNetworkError);
+		    expect(e.cause.code).to.eql('ECONNABORTED');
+		});
+	    });
+
+	    it('should reject with FlAPIError on an unsupported method', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		return expect_rejection(srv.process('options', '/error/test/actors.json', { }), function(e) {
+		    expect(e).to.be.an.instanceof(FlAPIError);
+		    expect(e.message).to.eql('unsupported processing method: options');
+		});
+	    });
+
+	    it('should place the error in the result object', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, withResult: true });
+
+		return expect_rejection(srv.show(404), function(r) {
+		    expect(r).to.be.an.instanceof(FlAPIResult);
+		    expect(r.error).to.be.an.instanceof(FlNotFoundError);
+		    expect(r.status).to.eql(404);
+		});
+	    });
+	});
+    });
+});
@@ -0,0 +1,49 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlAPIHelpers } = require('fl/framework/api_helpers');
+
+const expect = chai.expect;
+
+describe('fl.api_helpers module', function() {
+    describe('FlAPIHelpers', function() {
+	afterEach(function() {
+	    delete global.document;
+	});
+
+	it('should parse cookie strings', function() {
+	    let jar = '_session=abc; XSRF-TOKEN=a%20b%3D; bad=%E0%A4%A; other=1';
+
+	    expect(FlAPIHelpers.cookie(jar, 'XSRF-TOKEN')).to.eql('a b=');
+	    expect(FlAPIHelpers.cookie(jar, '_session')).to.eql('abc');
+	    expect(FlAPIHelpers.cookie(jar, 'bad')).to.eql('%E0%A4%A');
+	    expect(FlAPIHelpers.cookie(jar, 'missing')).to.be.null;
+	    expect(FlAPIHelpers.cookie(null, 'XSRF-TOKEN')).to.be.null;
+	});
+
+	it('should read the document cookies and tags', function() {
+	    expect(FlAPIHelpers.document_cookie('XSRF-TOKEN')).to.be.null;
+	    expect(FlAPIHelpers.document_meta('csrf-token')).to.be.null;
+
+	    global.document = {
+		cookie: 'XSRF-TOKEN=from-cookie',
+		querySelector: function(sel) {
+		    if (sel != 'meta[name="csrf-token"]') return null;
+		    return { getAttribute: function(a) { return (a == 'content') ? 'from-meta' : null; } };
+		}
+	    };
+
+	    expect(FlAPIHelpers.document_cookie('XSRF-TOKEN')).to.eql('from-cookie');
+	    expect(FlAPIHelpers.document_meta('csrf-token')).to.eql('from-meta');
+	    expect(FlAPIHelpers.document_meta('other-token')).to.be.null;
+	});
+
+	it('should look up headers ignoring case', function() {
+	    let headers = { etag: '"1"', 'Last-Modified': 'Mon, 04 Mar 2019 03:08:46 GMT' };
+
+	    expect(FlAPIHelpers.header(headers, 'ETag')).to.eql('"1"');
+	    expect(FlAPIHelpers.header(headers, 'last-modified')).to.eql('Mon, 04 Mar 2019 03:08:46 GMT');
+	    expect(FlAPIHelpers.header(headers, 'X-XSRF-TOKEN')).to.be.undefined;
+	    expect(FlAPIHelpers.header(null, 'ETag')).to.be.undefined;
+	});
+    });
+});
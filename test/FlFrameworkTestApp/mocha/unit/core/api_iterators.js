@@ -0,0 +1,210 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const {
+    FlAPIService, FlNestedAPIService, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('fl/framework/api_services');
+const { TestActor } = require('../../utils/test_models');
+const axios = require('axios');
+const AxiosMockAdapter = require('axios-mock-adapter');
+
+const myaxios = axios.create();
+const expect = chai.expect;
+
+const API_CFG = {
+    root_url_template: '/iterator/test/actors',
+    namespace: 'test_actor',
+    data_names: [ 'actor', 'actors' ]
+};
+
+const FAIL_API_CFG = {
+    root_url_template: '/iterator/test/failures',
+    namespace: 'test_actor',
+    data_names: [ 'actor', 'actors' ]
+};
+
+const ACTORS = _.map(_.range(1, 46), function(id) {
+    return {
+	type: "TestActor",
+	api_root: "/test_actors",
+	url_path: `testactor_path/${id}`,
+	fingerprint: `TestActor/${id}`,
+	id: id,
+	name: `actor.${id}`
+    };
+});
+
+let requests = [ ];
+
+const axmock = new AxiosMockAdapter(myaxios);
+axmock
+    .onGet('/iterator/test/actors.json').reply(function(cfg) {
+	let pg = cfg.params._pg;
+	let s = Number(pg._s);
+	let p = Number(pg._p);
+	let items = ACTORS.slice((p - 1) * s, p * s);
+
+	requests.push(_.clone(pg));
+	return new Promise(function(resolve, reject) {
+	    resolve([ 200, JSON.stringify({ actors: items, _pg: { _s: s, _p: p + 1, _c: items.length } }) ]);
+	});
+    })
+
+    .onGet('/iterator/test/failures.json').reply(function(cfg) {
+	let pg = cfg.params._pg;
+
+	requests.push(_.clone(pg));
+	if (Number(pg._p) > 1)
+	{
+	    return [ 500, JSON.stringify({ _error: { status: 'error', message: 'server failure' } }) ];
+	}
+	else
+	{
+	    return [ 200, JSON.stringify({ actors: ACTORS.slice(0, 10), _pg: { _s: 10, _p: 2, _c: 10 } }) ];
+	}
+    })
+
+;
+
+function collect(iterable) {
+    let it = iterable[Symbol.asyncIterator]();
+    let values = [ ];
+
+    let step = function() {
+	return it.next().then(function(r) {
+	    if (r.done) return Promise.resolve(values);
+	    values.push(r.value);
+	    return step();
+	});
+    };
+
+    return step();
+}
+
+describe('fl.api_services module', function() {
+    describe('FlAPIService', function() {
+	afterEach(function() {
+	    _.forEach(ACTORS, function(a) {
+		FlModelFactory.defaultFactory().cache().remove(a);
+	    });
+	});
+
+	context('.pages', function() {
+	    it('should follow the pagination controls until a short page', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		requests = [ ];
+		return collect(srv.pages())
+		    .then(function(pages) {
+			expect(pages.length).to.eql(3);
+			expect(_.map(pages, function(p) { return p.length; })).to.eql([ 20, 20, 5 ]);
+			expect(pages[0][0]).to.be.an.instanceof(TestActor);
+			expect(pages[2][4].id).to.eql(45);
+			expect(_.map(requests, function(r) { return Number(r._p); })).to.eql([ 1, 2, 3 ]);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should use the page size in the parameters', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		requests = [ ];
+		return collect(srv.pages({ _pg: { _s: 15 } }))
+		    .then(function(pages) {
+			expect(_.map(pages, function(p) { return p.length; })).to.eql([ 15, 15, 15 ]);
+
+			// the third page is full, so the iterator has to load an empty fourth one
+
+			expect(requests.length).to.eql(4);
+			expect(Number(requests[3]._s)).to.eql(15);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should not modify the service pagination controls', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let pg = _.clone(srv.pagination_controls);
+
+		return collect(srv.pages())
+		    .then(function(pages) {
+			expect(srv.pagination_controls).to.eql(pg);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should support concurrent iterations', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		return Promise.all([ collect(srv.pages({ _pg: { _s: 10 } })), collect(srv.pages({ _pg: { _s: 25 } })) ])
+		    .then(function(results) {
+			expect(_.map(results[0], function(p) { return p.length; })).to.eql([ 10, 10, 10, 10, 5 ]);
+			expect(_.map(results[1], function(p) { return p.length; })).to.eql([ 25, 20 ]);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should support for await', async function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let count = 0;
+
+		for await (const page of srv.pages({ _pg: { _s: 30 } })) {
+		    count += page.length;
+		}
+
+		expect(count).to.eql(45);
+	    });
+
+	    it('should reject on a failed request', function() {
+		let srv = new FlAPIService(FAIL_API_CFG, { axios: myaxios });
+
+		requests = [ ];
+		return collect(srv.pages())
+		    .then(function(pages) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e.response.status).to.eql(500);
+			expect(requests.length).to.eql(2);
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+
+	context('.each', function() {
+	    it('should return all objects', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		return collect(srv.each({ _pg: { _s: 20 } }))
+		    .then(function(items) {
+			expect(items.length).to.eql(45);
+			expect(items[0]).to.be.an.instanceof(TestActor);
+			expect(_.map(items, function(i) { return i.id; })).to.eql(_.range(1, 46));
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should stop loading pages on break', async function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let ids = [ ];
+
+		requests = [ ];
+		for await (const item of srv.each({ _pg: { _s: 10 } })) {
+		    ids.push(item.id);
+		    if (ids.length >= 12) break;
+		}
+
+		expect(ids).to.eql(_.range(1, 13));
+		expect(requests.length).to.eql(2);
+	    });
+	});
+    });
+});
@@ -0,0 +1,320 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const {
+    FlAPIService, FlNestedAPIService, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('fl/framework/api_services');
+const {
+    FlAPIError, FlNotFoundError, FlPermissionDeniedError
+} = require('fl/framework/api_errors');
+const { TestActor } = require('../../utils/test_models');
+const axios = require('axios');
+const AxiosMockAdapter = require('axios-mock-adapter');
+
+const myaxios = axios.create();
+const expect = chai.expect;
+
+const API_CFG = {
+    root_url_template: '/middleware/test/actors',
+    namespace: 'test_actor',
+    data_names: [ 'actor', 'actors' ]
+};
+
+const ACTOR_1 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/1",
+    fingerprint: "TestActor/1",
+    id: 1,
+    name: "actor.1"
+};
+
+const ACTOR_2 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/2",
+    fingerprint: "TestActor/2",
+    id: 2,
+    name: "actor.2"
+};
+
+let requests = [ ];
+
+const axmock = new AxiosMockAdapter(myaxios);
+axmock
+    .onGet('/middleware/test/actors/1.json').reply(function(cfg) {
+	requests.push(cfg);
+	return [ 200, JSON.stringify({ actor: ACTOR_1 }) ];
+    })
+
+    .onGet('/middleware/test/actors/2.json').reply(function(cfg) {
+	requests.push(cfg);
+	return [ 200, JSON.stringify({ actor: ACTOR_2 }) ];
+    })
+
+    .onGet('/middleware/test/actors/404.json').reply(function(cfg) {
+	requests.push(cfg);
+	return [ 404, JSON.stringify({ _error: { status: 'not_found', message: 'no actor with id 404' } }) ];
+    })
+
+    .onPost('/middleware/test/actors.json').reply(function(cfg) {
+	requests.push(cfg);
+	if (cfg.data instanceof FormData)
+	{
+	    return [ 200, JSON.stringify({ actor: _.merge({ }, ACTOR_2, { name: cfg.data.get('test_actor[name]') }) }) ];
+	}
+	else
+	{
+	    let data = JSON.parse(cfg.data);
+	    return [ 200, JSON.stringify({ actor: _.merge({ }, ACTOR_2, data.test_actor) }) ];
+	}
+    })
+
+;
+
+describe('fl.api_services module', function() {
+    describe('FlAPIService', function() {
+	let registered = [ ];
+
+	function use(mw) {
+	    registered.push(mw);
+	    FlAPIService.use(mw);
+	}
+
+	beforeEach(function() {
+	    requests = [ ];
+	});
+
+	afterEach(function() {
+	    _.forEach(registered, function(mw) { FlAPIService.unuse(mw); });
+	    registered = [ ];
+	    FlModelFactory.defaultFactory().cache().remove([ ACTOR_1, ACTOR_2 ]);
+	});
+
+	context('middleware', function() {
+	    it('should run class middleware before instance middleware', function() {
+		let calls = [ ];
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		use(function(ctx, next) {
+		    calls.push('class.in');
+		    return next().then(function(r) {
+			calls.push('class.out');
+			return r;
+		    });
+		});
+		srv
+		    .use(function(ctx, next) {
+			calls.push('instance1.in');
+			return next().then(function(r) {
+			    calls.push('instance1.out');
+			    return r;
+			});
+		    })
+		    .use(function(ctx, next) {
+			calls.push('instance2');
+			expect(this).to.equal(srv);
+			expect(ctx).to.include({ service: srv, method: 'get', url: '/middleware/test/actors/1.json' });
+			expect(ctx.attempt).to.eql(1);
+			return next();
+		    });
+
+		return srv.show(1)
+		    .then(function(data) {
+			expect(data).to.be.an.instanceof(TestActor);
+			expect(calls).to.eql([ 'class.in', 'instance1.in', 'instance2', 'instance1.out', 'class.out' ]);
+
+			// instance middleware is not shared
+
+			calls = [ ];
+			let srv2 = new FlAPIService(API_CFG, { axios: myaxios });
+			return srv2.show(1);
+		    })
+		    .then(function(data) {
+			expect(calls).to.eql([ 'class.in', 'class.out' ]);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should remove middleware', function() {
+		let calls = 0;
+		let mw = function(ctx, next) {
+		    calls += 1;
+		    return next();
+		};
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		srv.use(mw);
+		return srv.show(1)
+		    .then(function(data) {
+			expect(calls).to.eql(1);
+
+			srv.unuse(mw);
+			return srv.show(1);
+		    })
+		    .then(function(data) {
+			expect(calls).to.eql(1);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should rewrite the request', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		srv.use(function(ctx, next) {
+		    if (ctx.method == 'get')
+		    {
+			ctx.url = ctx.url.replace('/1.json', '/2.json');
+		    }
+		    else
+		    {
+			ctx.data.test_actor.name = 'rewritten';
+		    }
+		    ctx.config.headers = _.merge({ }, ctx.config.headers, { 'X-Trace-Id': 'abcd' });
+		    return next();
+		});
+
+		return srv.show(1)
+		    .then(function(data) {
+			expect(data.id).to.eql(2);
+			expect(requests[0].headers['X-Trace-Id']).to.eql('abcd');
+
+			return srv.create({ wrapped: { name: 'new actor' } });
+		    })
+		    .then(function(data) {
+			expect(data.name).to.eql('rewritten');
+			expect(requests[1].headers['X-Trace-Id']).to.eql('abcd');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should short-circuit the request', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		srv.use(function(ctx, next) {
+		    return { status: 200, data: { actor: _.merge({ }, ACTOR_1, { name: 'from middleware' }) } };
+		});
+
+		return srv.show(1)
+		    .then(function(data) {
+			expect(data).to.be.an.instanceof(TestActor);
+			expect(data.name).to.eql('from middleware');
+			expect(requests.length).to.eql(0);
+			expect(srv.response.status).to.eql(200);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should rewrite the response', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		srv.use(function(ctx, next) {
+		    return next().then(function(r) {
+			r.data.actor.name = r.data.actor.name.toUpperCase();
+			return r;
+		    });
+		});
+
+		return srv.show(1)
+		    .then(function(data) {
+			expect(data.name).to.eql('ACTOR.1');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should see and convert errors', function() {
+		let seen = null;
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		srv.use(function(ctx, next) {
+		    return next().catch(function(e) {
+			seen = e;
+			return Promise.reject(new FlPermissionDeniedError('hidden', { status: 403 }));
+		    });
+		});
+
+		return srv.show(404)
+		    .then(function(data) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(seen).to.be.an.instanceof(FlNotFoundError);
+			expect(e).to.be.an.instanceof(FlPermissionDeniedError);
+			expect(e.message).to.eql('hidden');
+			expect(srv.error).to.equal(e);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should recover from errors', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		srv.use(function(ctx, next) {
+		    return next().catch(function(e) {
+			ctx.url = '/middleware/test/actors/1.json';
+			return next();
+		    });
+		});
+
+		return srv.show(404)
+		    .then(function(data) {
+			expect(data.id).to.eql(1);
+			expect(requests.length).to.eql(2);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should convert exceptions to rejections', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		srv.use(function(ctx, next) {
+		    throw new Error('broken middleware');
+		});
+
+		return srv.show(1)
+		    .then(function(data) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e).to.be.an.instanceof(FlAPIError);
+			expect(e.message).to.eql('broken middleware');
+			expect(requests.length).to.eql(0);
+			expect(srv.pending_requests).to.eql(0);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should see the data before the multipart conversion', function() {
+		let seen = null;
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		srv.use(function(ctx, next) {
+		    seen = ctx.data;
+		    return next();
+		});
+
+		let file = new File([ 'file contents' ], 'avatar.txt', { type: 'text/plain' });
+		return srv.create({ wrapped: { name: 'with file', avatar: file } })
+		    .then(function(data) {
+			expect(seen).to.not.be.an.instanceof(FormData);
+			expect(seen.test_actor.avatar).to.equal(file);
+			expect(requests[0].data).to.be.an.instanceof(FormData);
+			expect(data.name).to.eql('with file');
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+    });
+});
@@ -0,0 +1,250 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const {
+    FlAPIService, FlNestedAPIService, FlAPIResult, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('fl/framework/api_services');
+const {
+    FlAPIError, FlValidationError, FlOfflineError
+} = require('fl/framework/api_errors');
+const { TestActor } = require('../../utils/test_models');
+const axios = require('axios');
+const AxiosMockAdapter = require('axios-mock-adapter');
+
+const myaxios = axios.create();
+const expect = chai.expect;
+
+const API_CFG = {
+    root_url_template: '/optimistic/test/actors',
+    namespace: 'test_actor',
+    data_names: [ 'actor', 'actors' ],
+    model_type: 'TestActor'
+};
+
+const ACTOR_1 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/1",
+    fingerprint: "TestActor/1",
+    id: 1,
+    name: "actor.1"
+};
+
+const ACTOR_2 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/2",
+    fingerprint: "TestActor/2",
+    id: 2,
+    name: "actor.2"
+};
+
+function delayed(ms, value) {
+    return new Promise(function(resolve, reject) {
+	setTimeout(function() { resolve(value); }, ms);
+    });
+}
+
+let offline = false;
+
+const axmock = new AxiosMockAdapter(myaxios);
+axmock
+    .onGet('/optimistic/test/actors/1.json').reply(function(cfg) {
+	return [ 200, JSON.stringify({ actor: ACTOR_1 }) ];
+    })
+
+    .onGet('/optimistic/test/actors/2.json').reply(function(cfg) {
+	return [ 200, JSON.stringify({ actor: ACTOR_2 }) ];
+    })
+
+    .onPatch('/optimistic/test/actors/1.json').reply(function(cfg) {
+	let data = JSON.parse(cfg.data);
+
+	// the server normalizes the name
+
+	let actor = _.merge({ }, ACTOR_1, data.test_actor, { name: data.test_actor.name + '!' });
+	return delayed(10, [ 200, JSON.stringify({ actor: actor }) ]);
+    })
+
+    .onPatch('/optimistic/test/actors/2.json').reply(function(cfg) {
+	if (offline)
+	{
+	    let e = new Error('Network Error');
+	    e.config = cfg;
+	    return Promise.reject(e);
+	}
+
+	return delayed(10, [ 422, JSON.stringify({
+	    _error: { status: 'unprocessable_entity', message: 'invalid', details: { name: [ 'is taken' ] } }
+	}) ]);
+    })
+
+;
+
+describe('fl.api_services module', function() {
+    describe('FlAPIService', function() {
+	beforeEach(function() {
+	    offline = false;
+	});
+
+	afterEach(function() {
+	    FlModelFactory.defaultFactory().cache().remove([ ACTOR_1, ACTOR_2 ]);
+	});
+
+	context('optimistic updates', function() {
+	    it('should not be optimistic by default', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		return srv.show(1)
+		    .then(function(model) {
+			let p = srv.update(model, { wrapped: { name: 'new name' } });
+
+			expect(model.name).to.eql('actor.1');
+			return p;
+		    })
+		    .then(function(model) {
+			expect(model.name).to.eql('new name!');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should apply changes immediately and commit the response', function() {
+		let phases = [ ];
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let actor = null;
+
+		srv.setOptimisticDidChange(function(model, phase) {
+		    expect(this).to.equal(srv);
+		    phases.push([ phase, model.name ]);
+		});
+
+		return srv.show(1)
+		    .then(function(model) {
+			actor = model;
+
+			let p = srv.update(model, { wrapped: { name: 'new name', title: 'new title' } }, { optimistic: true });
+
+			expect(model.name).to.eql('new name');
+			expect(model.title).to.eql('new title');
+			return p;
+		    })
+		    .then(function(model) {
+			expect(model).to.equal(actor);
+			expect(model.name).to.eql('new name!');
+			expect(phases).to.eql([ [ 'apply', 'new name' ], [ 'commit', 'new name!' ] ]);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should roll back on failure', function() {
+		let phases = [ ];
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, optimistic: true });
+		let actor = null;
+
+		srv.setOptimisticDidChange(function(model, phase) { phases.push(phase); });
+		return srv.show(2)
+		    .then(function(model) {
+			actor = model;
+
+			let p = srv.update(model, { wrapped: { name: 'taken name', title: 'new title' } });
+
+			expect(model.name).to.eql('taken name');
+			return p;
+		    })
+		    .then(function(model) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e).to.be.an.instanceof(FlValidationError);
+			expect(actor.name).to.eql('actor.2');
+			expect(actor).to.not.have.property('title');
+			expect(phases).to.eql([ 'apply', 'rollback' ]);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should look up the model from its identifier', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, optimistic: true });
+		let actor = null;
+
+		return srv.show(2)
+		    .then(function(model) {
+			actor = model;
+
+			let p = srv.update(2, { wrapped: { name: 'taken name' } });
+
+			expect(actor.name).to.eql('taken name');
+			return p.catch(function(e) { return Promise.resolve(e); });
+		    })
+		    .then(function(e) {
+			expect(actor.name).to.eql('actor.2');
+
+			// without a model type, the identifier can't be resolved
+
+			let srv2 = new FlAPIService(_.omit(API_CFG, [ 'model_type' ]), { axios: myaxios, optimistic: true });
+			let p = srv2.update(2, { wrapped: { name: 'taken name' } });
+
+			expect(actor.name).to.eql('actor.2');
+			return p.catch(function(e) { return Promise.resolve(e); });
+		    })
+		    .then(function(e) {
+			expect(e).to.be.an.instanceof(FlValidationError);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should not roll back properties changed by later updates', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, optimistic: true });
+		let actor = null;
+
+		return srv.show(2)
+		    .then(function(model) {
+			actor = model;
+
+			let p = srv.update(model, { wrapped: { name: 'first', title: 'first title' } });
+
+			actor.refresh({ name: 'second' });
+			return p.catch(function(e) { return Promise.resolve(e); });
+		    })
+		    .then(function(e) {
+			expect(actor.name).to.eql('second');
+			expect(actor).to.not.have.property('title');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should keep the changes when the update is queued', function() {
+		let phases = [ ];
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, optimistic: true, outbox: true });
+		let actor = null;
+
+		srv.setOptimisticDidChange(function(model, phase) { phases.push(phase); });
+		return srv.show(2)
+		    .then(function(model) {
+			actor = model;
+			offline = true;
+
+			return srv.update(model, { wrapped: { name: 'offline name' } });
+		    })
+		    .then(function(model) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e).to.be.an.instanceof(FlOfflineError);
+			expect(actor.name).to.eql('offline name');
+			expect(phases).to.eql([ 'apply' ]);
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+    });
+});
@@ -0,0 +1,515 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const {
+    FlAPIService, FlNestedAPIService, FlAPIResult, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('fl/framework/api_services');
+const {
+    FlAPIError, FlNetworkError, FlOfflineError, FlValidationError
+} = require('fl/framework/api_errors');
+const {
+    FlAPIOutbox, FlMemoryOutboxStore, FlLocalStorageOutboxStore
+} = require('fl/framework/api_outbox');
+const { FlFrameworkListAPIService } = require('fl/framework/list_api_services');
+const { TestActor } = require('../../utils/test_models');
+const axios = require('axios');
+const AxiosMockAdapter = require('axios-mock-adapter');
+
+const myaxios = axios.create();
+const expect = chai.expect;
+
+const API_CFG = {
+    root_url_template: '/outbox/test/actors',
+    namespace: 'test_actor',
+    data_names: [ 'actor', 'actors' ]
+};
+
+const ACTOR_1 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/1",
+    fingerprint: "TestActor/1",
+    id: 1,
+    name: "actor.1"
+};
+
+const ACTOR_2 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/2",
+    fingerprint: "TestActor/2",
+    id: 2,
+    name: "actor.2"
+};
+
+// The simulated network state, and the requests that reached the server
+
+let offline = false;
+let received = [ ];
+
+function server(reply) {
+    return function(cfg) {
+	if (offline)
+	{
+	    let e = new Error('Network Error');
+	    e.config = cfg;
+	    return Promise.reject(e);
+	}
+
+	received.push({ method: cfg.method, url: cfg.url, data: (_.isString(cfg.data)) ? JSON.parse(cfg.data) : cfg.data });
+	return reply(cfg);
+    };
+}
+
+const axmock = new AxiosMockAdapter(myaxios);
+axmock
+    .onPost('/outbox/test/actors.json').reply(server(function(cfg) {
+	let data = JSON.parse(cfg.data);
+	return [ 200, JSON.stringify({ actor: _.merge({ }, ACTOR_2, data.test_actor) }) ];
+    }))
+
+    .onPatch('/outbox/test/actors/1.json').reply(server(function(cfg) {
+	let data = JSON.parse(cfg.data);
+	return [ 200, JSON.stringify({ actor: _.merge({ }, ACTOR_1, data.test_actor) }) ];
+    }))
+
+    .onPatch('/outbox/test/actors/2.json').reply(server(function(cfg) {
+	return [ 409, JSON.stringify({ _error: { status: 'conflict', message: 'stale object' } }) ];
+    }))
+
+    .onPatch('/outbox/test/actors/3.json').reply(server(function(cfg) {
+	return [ 500, JSON.stringify({ _error: { status: 'error', message: 'server error' } }) ];
+    }))
+
+    .onPatch('/outbox/test/actors/4.json').reply(server(function(cfg) {
+	return [ 404, JSON.stringify({ _error: { status: 'not_found', message: 'no actor with id 4' } }) ];
+    }))
+
+    .onDelete('/outbox/test/actors/1.json').reply(server(function(cfg) {
+	return [ 200, JSON.stringify({ _status: { status: 'ok', message: 'deleted TestActor/1' } }) ];
+    }))
+
+    .onPost('/fl/framework/lists/1/add_object.json').reply(server(function(cfg) {
+	return [ 200, JSON.stringify({ list_item: { type: 'Fl::Framework::List::ListItem', id: 10 } }) ];
+    }))
+
+;
+
+// A minimal implementation of the Web Storage API
+
+function FakeStorage() {
+    this._items = { };
+}
+FakeStorage.prototype.getItem = function(k) {
+    return (_.has(this._items, k)) ? this._items[k] : null;
+};
+FakeStorage.prototype.setItem = function(k, v) {
+    this._items[k] = String(v);
+};
+FakeStorage.prototype.removeItem = function(k) {
+    delete this._items[k];
+};
+
+// A fake clock for the outbox timestamps
+
+let clock = 0;
+function now() {
+    return clock;
+}
+
+function expect_offline(p) {
+    return p
+	.then(function(data) {
+	    return Promise.reject('should not have reached this');
+	})
+	.catch(function(e) {
+	    expect(e).to.be.an.instanceof(FlOfflineError);
+	    expect(e).to.be.an.instanceof(FlNetworkError);
+	    return Promise.resolve(e);
+	});
+}
+
+describe('fl.api_outbox module', function() {
+    beforeEach(function() {
+	offline = false;
+	received = [ ];
+	clock = 1000;
+    });
+
+    describe('FlAPIOutbox', function() {
+	it('should queue serializable entries', function() {
+	    let outbox = new FlAPIOutbox({ now: now });
+	    let e1 = outbox.enqueue('POST', '/a', { a: { v: 1 } }, { headers: { 'X-A': '1' }, timeout: 10 });
+
+	    clock = 2000;
+	    let e2 = outbox.enqueue('delete', '/b');
+
+	    expect(e1).to.eql({
+		id: 1, method: 'post', url: '/a', data: { a: { v: 1 } }, config: { headers: { 'X-A': '1' } },
+		queued_at: 1000
+	    });
+	    expect(e2).to.include({ id: 2, method: 'delete', data: null, queued_at: 2000 });
+	    expect(outbox.size).to.eql(2);
+	    expect(JSON.parse(JSON.stringify(outbox.entries))).to.eql(outbox.entries);
+
+	    expect(outbox.remove(1)).to.eql(true);
+	    expect(outbox.remove(1)).to.eql(false);
+	    expect(_.map(outbox.entries, 'id')).to.eql([ 2 ]);
+	    outbox.clear();
+	    expect(outbox.size).to.eql(0);
+	});
+
+	it('should persist the queue in the store', function() {
+	    let storage = new FakeStorage();
+	    let outbox = new FlAPIOutbox({ store: new FlLocalStorageOutboxStore('test.outbox', storage), now: now });
+
+	    outbox.enqueue('post', '/a', { a: 1 });
+	    outbox.enqueue('patch', '/b', { b: 2 });
+	    expect(JSON.parse(storage.getItem('test.outbox')).length).to.eql(2);
+
+	    // a new outbox on the same storage picks up the queue
+
+	    let outbox2 = new FlAPIOutbox({ store: new FlLocalStorageOutboxStore('test.outbox', storage) });
+	    expect(outbox2.entries).to.eql(outbox.entries);
+
+	    outbox2.enqueue('delete', '/c');
+	    expect(_.last(outbox2.entries).id).to.eql(3);
+
+	    outbox2.clear();
+	    expect(storage.getItem('test.outbox')).to.be.null;
+
+	    storage.setItem('test.outbox', 'not json');
+	    expect(new FlAPIOutbox({ store: new FlLocalStorageOutboxStore('test.outbox', storage) }).size).to.eql(0);
+	});
+
+	it('should create outboxes from a configuration value', function() {
+	    let outbox = new FlAPIOutbox();
+
+	    expect(FlAPIOutbox.create(outbox)).to.equal(outbox);
+	    expect(FlAPIOutbox.create(true)).to.be.an.instanceof(FlAPIOutbox);
+	    expect(FlAPIOutbox.create({ store: new FlMemoryOutboxStore() })).to.be.an.instanceof(FlAPIOutbox);
+	    expect(FlAPIOutbox.create(false)).to.be.null;
+	    expect(function() { new FlAPIOutbox({ store: 'nowhere' }); }).to.throw();
+	});
+
+	it('should replay in order', function() {
+	    let outbox = new FlAPIOutbox();
+	    let submitted = [ ];
+
+	    outbox.enqueue('post', '/a');
+	    outbox.enqueue('post', '/b');
+	    return outbox.replay(function(e) {
+		submitted.push(e.url);
+		if (e.url == '/a') outbox.enqueue('post', '/c');
+		return Promise.resolve(true);
+	    })
+		.then(function(summary) {
+		    expect(submitted).to.eql([ '/a', '/b', '/c' ]);
+		    expect(summary).to.eql({ replayed: 3, conflicts: [ ], failures: [ ], remaining: 0, error: null });
+		    expect(outbox.replaying).to.eql(false);
+
+		    return Promise.resolve(true);
+		});
+	});
+    });
+
+    describe('FlAPIService', function() {
+	afterEach(function() {
+	    FlModelFactory.defaultFactory().cache().remove([ ACTOR_1, ACTOR_2 ]);
+	});
+
+	context('outbox', function() {
+	    it('should not queue by default', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		offline = true;
+		expect(srv.outbox).to.be.null;
+		return srv.create({ wrapped: { name: 'new actor' } })
+		    .then(function(data) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e).to.be.an.instanceof(FlNetworkError);
+			expect(e).to.not.be.an.instanceof(FlOfflineError);
+			expect(srv.online).to.eql(true);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should queue mutations when the network fails', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, outbox: { now: now } });
+
+		offline = true;
+		return expect_offline(srv.create({ wrapped: { name: 'new actor' } }))
+		    .then(function(e) {
+			expect(e.entry).to.include({ id: 1, method: 'post', url: '/outbox/test/actors.json', queued_at: 1000 });
+			expect(e.entry.data).to.eql({ test_actor: { name: 'new actor' } });
+			expect(e.cause).to.be.an.instanceof(FlNetworkError);
+			expect(srv.online).to.eql(false);
+			expect(srv.error).to.equal(e);
+
+			// once offline, mutations are queued without being submitted
+
+			offline = false;
+			clock = 2000;
+			return expect_offline(srv.update(1, { wrapped: { name: 'updated' } }));
+		    })
+		    .then(function(e) {
+			expect(e.cause).to.be.undefined;
+			expect(e.entry).to.include({ id: 2, method: 'patch', queued_at: 2000 });
+
+			return expect_offline(srv.destroy(1));
+		    })
+		    .then(function(e) {
+			expect(received.length).to.eql(0);
+			expect(_.map(srv.outbox.entries, 'method')).to.eql([ 'post', 'patch', 'delete' ]);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should replay the queue when going online', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, outbox: true });
+
+		offline = true;
+		return expect_offline(srv.create({ wrapped: { name: 'new actor' } }))
+		    .then(function(e) {
+			return expect_offline(srv.update(1, { wrapped: { name: 'updated' } }));
+		    })
+		    .then(function(e) {
+			return expect_offline(srv.destroy(1));
+		    })
+		    .then(function(e) {
+			offline = false;
+			return srv.setOnline(true);
+		    })
+		    .then(function(summary) {
+			expect(summary).to.eql({ replayed: 3, conflicts: [ ], failures: [ ], remaining: 0, error: null });
+			expect(srv.online).to.eql(true);
+			expect(srv.outbox.size).to.eql(0);
+			expect(_.map(received, 'method')).to.eql([ 'post', 'patch', 'delete' ]);
+			expect(received[1].data).to.eql({ test_actor: { name: 'updated' } });
+
+			// mutations go straight to the server again
+
+			return srv.update(1, { wrapped: { name: 'online' } });
+		    })
+		    .then(function(data) {
+			expect(data.name).to.eql('online');
+			expect(received.length).to.eql(4);
+
+			return srv.setOnline(true);
+		    })
+		    .then(function(summary) {
+			expect(summary).to.be.null;
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should report conflicts', function() {
+		let conflicts = [ ];
+		let srv = new FlAPIService(API_CFG, {
+		    axios: myaxios,
+		    outbox: { onConflict: function(entry, e) { conflicts.push({ entry: entry, error: e }); } }
+		});
+
+		srv.setOnline(false);
+		return expect_offline(srv.update(2, { wrapped: { name: 'stale' } }))
+		    .then(function(e) {
+			return expect_offline(srv.update(1, { wrapped: { name: 'fresh' } }));
+		    })
+		    .then(function(e) {
+			return srv.setOnline(true);
+		    })
+		    .then(function(summary) {
+			expect(summary.replayed).to.eql(1);
+			expect(summary.conflicts.length).to.eql(1);
+			expect(conflicts.length).to.eql(1);
+			expect(conflicts[0].entry.url).to.eql('/outbox/test/actors/2.json');
+			expect(conflicts[0].error.status).to.eql(409);
+			expect(conflicts[0].error.message).to.eql('stale object');
+			expect(srv.outbox.size).to.eql(0);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should keep replaying if the conflict callback throws', function() {
+		let srv = new FlAPIService(API_CFG, {
+		    axios: myaxios,
+		    outbox: { onConflict: function(entry, e) { throw new Error('callback failed'); } }
+		});
+
+		srv.setOnline(false);
+		return expect_offline(srv.update(2, { wrapped: { name: 'stale' } }))
+		    .then(function(e) {
+			return expect_offline(srv.update(1, { wrapped: { name: 'fresh' } }));
+		    })
+		    .then(function(e) {
+			return srv.setOnline(true);
+		    })
+		    .then(function(summary) {
+			expect(summary.replayed).to.eql(1);
+			expect(summary.conflicts.length).to.eql(1);
+			expect(summary.conflicts[0].error.status).to.eql(409);
+			expect(summary.conflicts[0].callbackError.message).to.eql('callback failed');
+			expect(summary.remaining).to.eql(0);
+			expect(srv.outbox.size).to.eql(0);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should drop and report entries that fail with other errors', function() {
+		let failures = [ ];
+		let srv = new FlAPIService(API_CFG, {
+		    axios: myaxios,
+		    outbox: { onFailure: function(entry, e) { failures.push({ entry: entry, error: e }); } }
+		});
+
+		srv.setOnline(false);
+		return expect_offline(srv.update(3, { wrapped: { name: 'fails' } }))
+		    .then(function(e) {
+			return expect_offline(srv.update(4, { wrapped: { name: 'missing' } }));
+		    })
+		    .then(function(e) {
+			return expect_offline(srv.update(1, { wrapped: { name: 'fresh' } }));
+		    })
+		    .then(function(e) {
+			return srv.setOnline(true);
+		    })
+		    .then(function(summary) {
+			expect(summary.replayed).to.eql(1);
+			expect(summary.conflicts).to.eql([ ]);
+			expect(_.map(summary.failures, 'error.status')).to.eql([ 500, 404 ]);
+			expect(summary.remaining).to.eql(0);
+			expect(summary.error).to.be.null;
+			expect(_.map(failures, 'entry.url')).to.eql([
+			    '/outbox/test/actors/3.json', '/outbox/test/actors/4.json'
+			]);
+			expect(srv.online).to.eql(true);
+			expect(srv.outbox.size).to.eql(0);
+
+			// the queue is empty, so new mutations are submitted
+
+			received = [ ];
+			return srv.destroy(1);
+		    })
+		    .then(function(status) {
+			expect(received.length).to.eql(1);
+			expect(srv.outbox.size).to.eql(0);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should stop replaying on network errors', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, outbox: true });
+
+		srv.setOnline(false);
+		return expect_offline(srv.update(1, { wrapped: { name: 'first' } }))
+		    .then(function(e) {
+			return expect_offline(srv.update(3, { wrapped: { name: 'second' } }));
+		    })
+		    .then(function(e) {
+			offline = true;
+			return srv.setOnline(true);
+		    })
+		    .then(function(summary) {
+			expect(summary.error).to.be.an.instanceof(FlNetworkError);
+			expect(summary.failures).to.eql([ ]);
+			expect(summary.remaining).to.eql(2);
+			expect(srv.online).to.eql(false);
+
+			// the queue is not empty, so new mutations are queued behind it
+
+			offline = false;
+			return expect_offline(srv.destroy(1));
+		    })
+		    .then(function(e) {
+			expect(srv.outbox.size).to.eql(3);
+			expect(received).to.eql([ ]);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should be disabled per call', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, outbox: true });
+
+		offline = true;
+		return srv.create({ wrapped: { name: 'new actor' } }, { outbox: false })
+		    .then(function(data) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e).to.not.be.an.instanceof(FlOfflineError);
+			expect(srv.outbox.size).to.eql(0);
+			expect(srv.online).to.eql(true);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should not queue requests with files', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, outbox: true });
+		let file = new File([ 'file contents' ], 'avatar.txt', { type: 'text/plain' });
+
+		srv.setOnline(false);
+		offline = true;
+		return srv.create({ wrapped: { name: 'with file', avatar: file } })
+		    .then(function(data) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e).to.be.an.instanceof(FlNetworkError);
+			expect(e).to.not.be.an.instanceof(FlOfflineError);
+			expect(srv.outbox.size).to.eql(0);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should queue :add_object', function() {
+		let srv = new FlFrameworkListAPIService({ axios: myaxios, outbox: true });
+
+		offline = true;
+		return expect_offline(srv.add_object(1, { name: 'item' }))
+		    .then(function(e) {
+			expect(e.entry).to.include({ method: 'post', url: '/fl/framework/lists/1/add_object.json' });
+
+			offline = false;
+			return srv.setOnline(true);
+		    })
+		    .then(function(summary) {
+			expect(summary.replayed).to.eql(1);
+			expect(received[0].url).to.eql('/fl/framework/lists/1/add_object.json');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should reject with the result object', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, outbox: true, withResult: true });
+
+		srv.setOnline(false);
+		return srv.destroy(1)
+		    .then(function(result) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(result) {
+			expect(result).to.be.an.instanceof(FlAPIResult);
+			expect(result.error).to.be.an.instanceof(FlOfflineError);
+			expect(result.error.entry.method).to.eql('delete');
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+    });
+});
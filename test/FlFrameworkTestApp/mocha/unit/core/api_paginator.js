@@ -0,0 +1,330 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const {
+    FlAPIService, FlNestedAPIService, FlAPIPaginator, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('fl/framework/api_services');
+const { TestActor } = require('../../utils/test_models');
+const axios = require('axios');
+const AxiosMockAdapter = require('axios-mock-adapter');
+
+const myaxios = axios.create();
+const expect = chai.expect;
+
+const API_CFG = {
+    root_url_template: '/paginator/test/actors',
+    namespace: 'test_actor',
+    data_names: [ 'actor', 'actors' ]
+};
+
+const FAIL_API_CFG = {
+    root_url_template: '/paginator/test/failures',
+    namespace: 'test_actor',
+    data_names: [ 'actor', 'actors' ]
+};
+
+const ACTORS = _.map(_.range(1, 46), function(id) {
+    return {
+	type: "TestActor",
+	api_root: "/test_actors",
+	url_path: `testactor_path/${id}`,
+	fingerprint: `TestActor/${id}`,
+	id: id,
+	name: `actor.${id}`
+    };
+});
+
+let requests = [ ];
+
+const axmock = new AxiosMockAdapter(myaxios);
+axmock
+    .onGet('/paginator/test/actors.json').reply(function(cfg) {
+	let pg = cfg.params._pg;
+	let s = Number(pg._s);
+	let p = Number(pg._p);
+	let items = ACTORS.slice((p - 1) * s, p * s);
+
+	requests.push(_.clone(pg));
+	return new Promise(function(resolve, reject) {
+	    resolve([ 200, JSON.stringify({ actors: items, _pg: { _s: s, _p: p + 1, _c: items.length } }) ]);
+	});
+    })
+
+    .onGet('/paginator/test/failures.json').reply(function(cfg) {
+	let pg = cfg.params._pg;
+
+	requests.push(_.clone(pg));
+	if (Number(pg._p) > 1)
+	{
+	    return [ 500, JSON.stringify({ _error: { status: 'error', message: 'server failure' } }) ];
+	}
+	else
+	{
+	    return [ 200, JSON.stringify({ actors: ACTORS.slice(0, 10), _pg: { _s: 10, _p: 2, _c: 10 } }) ];
+	}
+    })
+
+;
+
+function ids(items) {
+    return _.map(items, function(i) { return i.id; });
+}
+
+describe('fl.api_services module', function() {
+    describe('FlAPIPaginator', function() {
+	afterEach(function() {
+	    _.forEach(ACTORS, function(a) {
+		FlModelFactory.defaultFactory().cache().remove(a);
+	    });
+	});
+
+	it('should be registered with FlClassManager', function() {
+	    expect(FlClassManager.get_class('FlAPIPaginator')).to.not.be.null;
+	});
+
+	context('initialization', function() {
+	    it('should be created by the service', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let pgr = srv.paginator({ _pg: { _s: 10 } });
+
+		expect(pgr).to.be.an.instanceof(FlAPIPaginator);
+		expect(pgr.service).to.equal(srv);
+		expect(pgr.page).to.be.null;
+		expect(pgr.items).to.be.null;
+		expect(pgr.page_size).to.eql(10);
+		expect(pgr.hasMore).to.eql(true);
+		expect(pgr.hasPrevious).to.eql(false);
+	    });
+	});
+
+	context('.next', function() {
+	    it('should load consecutive pages', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let pgr = srv.paginator({ _pg: { _s: 20 } });
+
+		requests = [ ];
+		return pgr.next()
+		    .then(function(items) {
+			expect(items.length).to.eql(20);
+			expect(items[0]).to.be.an.instanceof(TestActor);
+			expect(pgr.page).to.eql(1);
+			expect(pgr.items).to.equal(items);
+			expect(pgr.hasMore).to.eql(true);
+			expect(pgr.hasPrevious).to.eql(false);
+			expect(pgr.pagination_controls).to.include({ _s: 20, _p: 2 });
+
+			return pgr.next();
+		    })
+		    .then(function(items) {
+			expect(ids(items)).to.eql(_.range(21, 41));
+			expect(pgr.page).to.eql(2);
+			expect(pgr.hasMore).to.eql(true);
+			expect(pgr.hasPrevious).to.eql(true);
+
+			return pgr.next();
+		    })
+		    .then(function(items) {
+			expect(ids(items)).to.eql(_.range(41, 46));
+			expect(pgr.hasMore).to.eql(false);
+			expect(_.map(requests, function(r) { return Number(r._p); })).to.eql([ 1, 2, 3 ]);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should start from the page in the parameters', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let pgr = srv.paginator({ _pg: { _s: 10, _p: 3 } });
+
+		return pgr.next()
+		    .then(function(items) {
+			expect(ids(items)).to.eql(_.range(21, 31));
+			expect(pgr.page).to.eql(3);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should reject on a failed request', function() {
+		let srv = new FlAPIService(FAIL_API_CFG, { axios: myaxios });
+		let pgr = srv.paginator();
+
+		return pgr.next()
+		    .then(function(items) {
+			expect(items.length).to.eql(10);
+
+			return pgr.next();
+		    })
+		    .then(function(items) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e.response.status).to.eql(500);
+			expect(pgr.page).to.eql(1);
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+
+	context('.previous', function() {
+	    it('should load the previous page', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let pgr = srv.paginator({ _pg: { _s: 10, _p: 3 } });
+
+		return pgr.next()
+		    .then(function(items) {
+			return pgr.previous();
+		    })
+		    .then(function(items) {
+			expect(ids(items)).to.eql(_.range(11, 21));
+			expect(pgr.page).to.eql(2);
+			expect(pgr.hasMore).to.eql(true);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should not make a request from the first page', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let pgr = srv.paginator({ _pg: { _s: 10 } });
+
+		return pgr.next()
+		    .then(function(items) {
+			requests = [ ];
+			return pgr.previous();
+		    })
+		    .then(function(items) {
+			expect(items).to.eql([ ]);
+			expect(requests.length).to.eql(0);
+			expect(pgr.page).to.eql(1);
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+
+	context('.goTo', function() {
+	    it('should load the requested page', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let pgr = srv.paginator({ _pg: { _s: 20 } });
+
+		return pgr.goTo(3)
+		    .then(function(items) {
+			expect(ids(items)).to.eql(_.range(41, 46));
+			expect(pgr.page).to.eql(3);
+			expect(pgr.hasMore).to.eql(false);
+			expect(pgr.hasPrevious).to.eql(true);
+
+			return pgr.goTo(1);
+		    })
+		    .then(function(items) {
+			expect(ids(items)).to.eql(_.range(1, 21));
+			expect(pgr.hasMore).to.eql(true);
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+
+	context('independence', function() {
+	    it('should not modify the service pagination controls', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let pg = _.clone(srv.pagination_controls);
+		let pgr = srv.paginator({ _pg: { _s: 10 } });
+
+		return pgr.next()
+		    .then(function(items) {
+			return pgr.next();
+		    })
+		    .then(function(items) {
+			expect(srv.pagination_controls).to.eql(pg);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should support concurrent paginators on the same service', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let pgr1 = srv.paginator({ _pg: { _s: 10 } });
+		let pgr2 = srv.paginator({ _pg: { _s: 25 } });
+
+		return Promise.all([ pgr1.next(), pgr2.next() ])
+		    .then(function(results) {
+			return Promise.all([ pgr1.next(), pgr2.next() ]);
+		    })
+		    .then(function(results) {
+			expect(pgr1.page).to.eql(2);
+			expect(ids(pgr1.items)).to.eql(_.range(11, 21));
+			expect(pgr2.page).to.eql(2);
+			expect(ids(pgr2.items)).to.eql(_.range(26, 46));
+			expect(pgr1.hasMore).to.eql(true);
+			expect(pgr2.hasMore).to.eql(false);
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+
+	context('iteration', function() {
+	    it('should iterate over the remaining pages', async function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let pgr = srv.paginator({ _pg: { _s: 20 } });
+		let sizes = [ ];
+
+		await pgr.next();
+		for await (const page of pgr) {
+		    sizes.push(page.length);
+		}
+
+		expect(sizes).to.eql([ 20, 5 ]);
+		expect(pgr.page).to.eql(3);
+	    });
+	});
+    });
+
+    describe('FlAPIService', function() {
+	afterEach(function() {
+	    _.forEach(ACTORS, function(a) {
+		FlModelFactory.defaultFactory().cache().remove(a);
+	    });
+	});
+
+	context(':index', function() {
+	    it('should load the next page of a paginator', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let pg = _.clone(srv.pagination_controls);
+		let pgr = srv.paginator({ _pg: { _s: 15 } });
+
+		return srv.index(pgr)
+		    .then(function(items) {
+			expect(ids(items)).to.eql(_.range(1, 16));
+
+			return srv.index(pgr);
+		    })
+		    .then(function(items) {
+			expect(ids(items)).to.eql(_.range(16, 31));
+			expect(pgr.page).to.eql(2);
+			expect(srv.pagination_controls).to.eql(pg);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should still update the service pagination controls without a paginator', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		return srv.index({ _pg: { _s: 10 } })
+		    .then(function(items) {
+			expect(items.length).to.eql(10);
+			expect(srv.pagination_controls).to.include({ _s: 10, _p: 2 });
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+    });
+});
@@ -0,0 +1,274 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const {
+    FlAPIService, FlNestedAPIService, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('fl/framework/api_services');
+const { FlAPIQuery } = require('fl/framework/api_query');
+const { TestActor } = require('../../utils/test_models');
+const axios = require('axios');
+const AxiosMockAdapter = require('axios-mock-adapter');
+
+const myaxios = axios.create();
+const expect = chai.expect;
+
+const ACTOR_1 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/1",
+    fingerprint: "TestActor/1",
+    id: 1,
+    name: "actor.1"
+};
+
+const ACTOR_2 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/2",
+    fingerprint: "TestActor/2",
+    id: 2,
+    name: "actor.2"
+};
+
+const API_CFG = {
+    root_url_template: '/query/test/actors',
+    namespace: 'test_actor',
+    data_names: [ 'actor', 'actors' ]
+};
+
+let index_params = null;
+
+const axmock = new AxiosMockAdapter(myaxios);
+axmock
+    .onGet('/query/test/actors.json').reply(function(cfg) {
+	index_params = cfg.params;
+	return new Promise(function(resolve, reject) {
+	    resolve([ 200, JSON.stringify({ actors: [ ACTOR_2 ], _pg: { _s: 20, _p: 2, _c: 1 } }) ]);
+	});
+    })
+
+;
+
+describe('fl.api_query module', function() {
+    describe('FlAPIQuery', function() {
+	context('filters', function() {
+	    it('should convert model instances to fingerprints', function() {
+		let a1 = new TestActor(ACTOR_1);
+		let q = new FlAPIQuery();
+
+		q.onlyOwners(a1).exceptOwners([ 'TestActor/4', new TestActor(ACTOR_2) ]);
+		expect(q.to_q()).to.eql({
+		    only_owners: [ 'TestActor/1' ],
+		    except_owners: [ 'TestActor/4', 'TestActor/2' ]
+		});
+	    });
+
+	    it('should convert objects without fingerprints to identifiers', function() {
+		let q = new FlAPIQuery();
+
+		q.onlyLists([ { id: 10 }, 12, 'Fl::Framework::List::List/14' ]);
+		expect(q.to_q()).to.eql({ only_lists: [ 10, 12, 'Fl::Framework::List::List/14' ] });
+	    });
+
+	    it('should accumulate values and remove duplicates', function() {
+		let q = new FlAPIQuery();
+
+		q.onlyListables('TestDatumOne/1').onlyListables([ 'TestDatumOne/2', 'TestDatumOne/1' ]);
+		expect(q.to_q()).to.eql({ only_listables: [ 'TestDatumOne/1', 'TestDatumOne/2' ] });
+	    });
+
+	    it('should support generic names', function() {
+		let q = new FlAPIQuery();
+
+		q.only('authors', 'TestActor/1').except('types', [ 'image', 'video' ]);
+		expect(q.to_q()).to.eql({
+		    only_authors: [ 'TestActor/1' ],
+		    except_types: [ 'image', 'video' ]
+		});
+	    });
+
+	    it('should detect conflicting only/except pairs', function() {
+		let q = new FlAPIQuery();
+
+		q.onlyGroups([ 1, 2 ]);
+		expect(function() { q.exceptGroups([ 3, 2 ]); }).to.throw().with.property('name', 'ConflictingFilters');
+
+		let q2 = new FlAPIQuery();
+		q2.exceptActors(new TestActor(ACTOR_1));
+		expect(function() { q2.onlyActors('TestActor/1'); }).to.throw().with.property('name', 'ConflictingFilters');
+	    });
+
+	    it('should throw instances of Error and leave the query unchanged on conflicts', function() {
+		let q = new FlAPIQuery();
+		let err = null;
+
+		q.onlyGroups([ 1, 2 ]).exceptGroups(4);
+		try
+		{
+		    q.exceptGroups([ 3, 2 ]);
+		}
+		catch (x)
+		{
+		    err = x;
+		}
+
+		expect(err).to.be.an.instanceof(FlAPIQuery.ConflictingFilters);
+		expect(err).to.be.an.instanceof(Error);
+		expect(err.stack).to.be.a('string');
+		expect(q.to_q()).to.eql({ only_groups: [ 1, 2 ], except_groups: [ 4 ] });
+	    });
+
+	    it('should not flag different names as conflicts', function() {
+		let q = new FlAPIQuery();
+
+		q.onlyOwners('TestActor/1').exceptActors('TestActor/1');
+		expect(q.to_q()).to.eql({
+		    only_owners: [ 'TestActor/1' ],
+		    except_actors: [ 'TestActor/1' ]
+		});
+	    });
+	});
+
+	context('scalar parameters', function() {
+	    it('should set order, limit, and offset', function() {
+		let q = new FlAPIQuery();
+
+		q.order('sort_order ASC').limit(10).offset(20);
+		expect(q.to_q()).to.eql({ order: 'sort_order ASC', limit: 10, offset: 20 });
+	    });
+
+	    it('should join an array order', function() {
+		let q = new FlAPIQuery();
+
+		q.order([ 'title ASC', 'updated_at DESC' ]);
+		expect(q.to_q()).to.eql({ order: 'title ASC, updated_at DESC' });
+	    });
+
+	    it('should remove parameters set to null', function() {
+		let q = new FlAPIQuery({ limit: 10, order: 'title ASC' });
+
+		q.limit(null);
+		expect(q.to_q()).to.eql({ order: 'title ASC' });
+	    });
+	});
+
+	context('constructor', function() {
+	    it('should load initial values', function() {
+		let q = new FlAPIQuery({ only_owners: [ new TestActor(ACTOR_1) ], limit: 4 });
+
+		expect(q.to_q()).to.eql({ only_owners: [ 'TestActor/1' ], limit: 4 });
+	    });
+
+	    it('should check initial values for conflicts', function() {
+		expect(function() {
+		    new FlAPIQuery({ only_owners: [ 'TestActor/1' ], except_owners: 'TestActor/1' });
+		}).to.throw().with.property('name', 'ConflictingFilters');
+	    });
+	});
+
+	context('.to_params', function() {
+	    it('should place the query in :_q', function() {
+		let q = new FlAPIQuery().limit(2);
+
+		expect(q.to_params()).to.eql({ _q: { limit: 2 } });
+		expect(q.to_params({ to_hash: { verbosity: 'id' } })).to.eql({
+		    to_hash: { verbosity: 'id' },
+		    _q: { limit: 2 }
+		});
+	    });
+
+	    it('should return a copy of the query', function() {
+		let q = new FlAPIQuery().onlyOwners('TestActor/1');
+		let p = q.to_params();
+
+		p._q.only_owners.push('TestActor/2');
+		expect(q.to_q()).to.eql({ only_owners: [ 'TestActor/1' ] });
+	    });
+	});
+    });
+
+    describe('FlAPIService', function() {
+	context('.query', function() {
+	    it('should return a query builder', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let q = srv.query({ limit: 4 });
+
+		expect(q).to.be.an.instanceof(FlAPIQuery);
+		expect(q.to_q()).to.eql({ limit: 4 });
+	    });
+	});
+
+	context(':index', function() {
+	    it('should accept a query builder', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		index_params = null;
+		return srv.index(srv.query().onlyOwners(new TestActor(ACTOR_1)).order('name ASC'))
+		    .then(function(data) {
+			expect(data.length).to.eql(1);
+			expect(index_params._q).to.eql({ only_owners: [ 'TestActor/1' ], order: 'name ASC' });
+			expect(index_params._pg).to.include({ _s: 20, _p: 1 });
+
+			FlModelFactory.defaultFactory().cache().remove(data);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should accept a query builder in :_q', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		index_params = null;
+		return srv.index({ _q: srv.query().limit(5), to_hash: { verbosity: 'id' } })
+		    .then(function(data) {
+			expect(index_params._q).to.eql({ limit: 5 });
+			expect(index_params.to_hash).to.eql({ verbosity: 'id' });
+
+			FlModelFactory.defaultFactory().cache().remove(data);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should reject on conflicting filters', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let q = srv.query().onlyOwners('TestActor/1');
+
+		// the builder methods check for conflicts, so set up the state directly
+
+		q._q.except_owners = [ 'TestActor/1' ];
+		index_params = null;
+
+		let p = null;
+		expect(function() { p = srv.index(q); }).to.not.throw();
+		return p
+		    .then(function(data) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e).to.be.an.instanceof(FlAPIQuery.ConflictingFilters);
+			expect(index_params).to.be.null;
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should still accept a plain params object', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		index_params = null;
+		return srv.index({ _q: { limit: 6 } })
+		    .then(function(data) {
+			expect(index_params._q).to.eql({ limit: 6 });
+
+			FlModelFactory.defaultFactory().cache().remove(data);
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+    });
+});
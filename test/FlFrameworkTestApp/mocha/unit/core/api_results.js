@@ -0,0 +1,256 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const {
+    FlAPIService, FlNestedAPIService, FlAPIResult, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('fl/framework/api_services');
+const { TestActor } = require('../../utils/test_models');
+const axios = require('axios');
+const AxiosMockAdapter = require('axios-mock-adapter');
+
+const myaxios = axios.create();
+const expect = chai.expect;
+
+const API_CFG = {
+    root_url_template: '/result/test/actors',
+    namespace: 'test_actor',
+    data_names: [ 'actor', 'actors' ]
+};
+
+const ACTOR_1 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/1",
+    fingerprint: "TestActor/1",
+    id: 1,
+    name: "actor.1"
+};
+
+const ACTOR_2 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/2",
+    fingerprint: "TestActor/2",
+    id: 2,
+    name: "actor.2"
+};
+
+function delayed(ms, value) {
+    return new Promise(function(resolve, reject) {
+	setTimeout(function() { resolve(value); }, ms);
+    });
+}
+
+const axmock = new AxiosMockAdapter(myaxios);
+axmock
+    .onGet('/result/test/actors.json').reply(function(cfg) {
+	return [ 200, JSON.stringify({ actors: [ ACTOR_1, ACTOR_2 ], _pg: { _s: 20, _p: 2, _c: 2 } }) ];
+    })
+
+    .onGet('/result/test/actors/1.json').reply(function(cfg) {
+	return delayed(20, [ 200, JSON.stringify({ actor: ACTOR_1 }) ]);
+    })
+
+    .onGet('/result/test/actors/404.json').reply(function(cfg) {
+	return [ 404, JSON.stringify({ _error: { status: 'not_found', message: 'no actor with id 404' } }) ];
+    })
+
+    .onPost('/result/test/actors.json').reply(function(cfg) {
+	let data = JSON.parse(cfg.data);
+	return [ 200, JSON.stringify({ actor: _.merge({ }, ACTOR_2, data.test_actor) }) ];
+    })
+
+    .onPatch('/result/test/actors/1.json').reply(function(cfg) {
+	let data = JSON.parse(cfg.data);
+	return [ 200, JSON.stringify({ actor: _.merge({ }, ACTOR_1, data.test_actor) }) ];
+    })
+
+    .onDelete('/result/test/actors/1.json').reply(function(cfg) {
+	return [ 200, JSON.stringify({ _status: { status: 'ok', message: 'deleted TestActor/1' } }) ];
+    })
+
+;
+
+describe('fl.api_services module', function() {
+    describe('FlAPIResult', function() {
+	it('should be registered with FlClassManager', function() {
+	    expect(FlClassManager.get_class('FlAPIResult')).to.not.be.null;
+	});
+
+	it('should report success and status', function() {
+	    let r = new FlAPIResult({ status: 200 }, null, [ 1 ]);
+
+	    expect(r.success).to.eql(true);
+	    expect(r.status).to.eql(200);
+	    expect(r.data).to.eql([ 1 ]);
+	    expect(r.error).to.be.null;
+	    expect(r.pagination_controls).to.be.null;
+
+	    let e = new FlAPIResult(undefined, new Error('network'), null);
+	    expect(e.success).to.eql(false);
+	    expect(e.status).to.be.null;
+	});
+    });
+
+    describe('FlAPIService', function() {
+	afterEach(function() {
+	    FlModelFactory.defaultFactory().cache().remove([ ACTOR_1, ACTOR_2 ]);
+	});
+
+	context('withResult option', function() {
+	    it('should not be used by default', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		return srv.show(1)
+		    .then(function(data) {
+			expect(data).to.be.an.instanceof(TestActor);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should return a result from :index', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		return srv.index(null, { withResult: true })
+		    .then(function(result) {
+			expect(result).to.be.an.instanceof(FlAPIResult);
+			expect(result.success).to.eql(true);
+			expect(result.status).to.eql(200);
+			expect(result.data.length).to.eql(2);
+			expect(result.data[0]).to.be.an.instanceof(TestActor);
+			expect(result.pagination_controls).to.include({ _s: 20, _p: 2 });
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should return a result from :show', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		return srv.show(1, null, { withResult: true })
+		    .then(function(result) {
+			expect(result).to.be.an.instanceof(FlAPIResult);
+			expect(result.data).to.be.an.instanceof(TestActor);
+			expect(result.data.id).to.eql(1);
+			expect(result.response.data.actor.name).to.eql(ACTOR_1.name);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should return a result from :create and :update', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		return srv.create({ wrapped: { name: 'created' } }, { withResult: true })
+		    .then(function(result) {
+			expect(result.data).to.be.an.instanceof(TestActor);
+			expect(result.data.name).to.eql('created');
+
+			return srv.update(1, { wrapped: { name: 'updated' } }, { withResult: true });
+		    })
+		    .then(function(result) {
+			expect(result.data.id).to.eql(1);
+			expect(result.data.name).to.eql('updated');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should return a result from :destroy', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		return srv.destroy(1, { withResult: true })
+		    .then(function(result) {
+			expect(result.data).to.include({ status: 'ok' });
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should reject with a result on error', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		return srv.show(404, null, { withResult: true })
+		    .then(function(result) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(result) {
+			expect(result).to.be.an.instanceof(FlAPIResult);
+			expect(result.success).to.eql(false);
+			expect(result.status).to.eql(404);
+			expect(result.data).to.be.null;
+			expect(srv.response_error(result.error)).to.include({ status: 'not_found' });
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should be read from the service configuration', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, withResult: true });
+
+		return srv.show(1)
+		    .then(function(result) {
+			expect(result).to.be.an.instanceof(FlAPIResult);
+
+			return srv.show(1, null, { withResult: false });
+		    })
+		    .then(function(data) {
+			expect(data).to.be.an.instanceof(TestActor);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should not be passed to the middleware', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, withResult: true });
+		let configs = [ ];
+
+		srv.use(function(ctx, next) {
+		    configs.push(ctx.config);
+		    return next();
+		});
+
+		return srv.show(1)
+		    .then(function(result) {
+			expect(result).to.be.an.instanceof(FlAPIResult);
+
+			return srv.show(1, null, { withResult: false });
+		    })
+		    .then(function(data) {
+			expect(data).to.be.an.instanceof(TestActor);
+			expect(configs.length).to.eql(2);
+			expect(configs[0]).to.not.have.property('withResult');
+			expect(configs[1]).to.not.have.property('withResult');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should keep the outcome of concurrent requests separate', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, withResult: true });
+
+		// the :show for 1 completes after the one for 404, so the service properties
+		// hold the response from the successful request
+
+		let ok = srv.show(1);
+		let failed = srv.show(404).catch(function(result) { return Promise.resolve(result); });
+
+		return Promise.all([ ok, failed ])
+		    .then(function(results) {
+			expect(results[0].success).to.eql(true);
+			expect(results[0].status).to.eql(200);
+			expect(results[1].success).to.eql(false);
+			expect(results[1].status).to.eql(404);
+			expect(srv.response.status).to.eql(200);
+			expect(srv.error).to.be.null;
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+    });
+});
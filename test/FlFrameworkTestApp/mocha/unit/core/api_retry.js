@@ -0,0 +1,330 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const {
+    FlAPIService, FlNestedAPIService, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('fl/framework/api_services');
+const {
+    FlAPIError, FlNotFoundError, FlNetworkError, FlCancellationError
+} = require('fl/framework/api_errors');
+const { TestActor } = require('../../utils/test_models');
+const axios = require('axios');
+const AxiosMockAdapter = require('axios-mock-adapter');
+
+const myaxios = axios.create();
+const expect = chai.expect;
+
+const API_CFG = {
+    root_url_template: '/retry/test/actors',
+    namespace: 'test_actor',
+    data_names: [ 'actor', 'actors' ]
+};
+
+const ACTOR_1 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/1",
+    fingerprint: "TestActor/1",
+    id: 1,
+    name: "actor.1"
+};
+
+// FAST_RETRY retries quickly and deterministically, so that the tests don't have to wait
+
+const FAST_RETRY = { baseDelay: 1, jitter: 0 };
+
+// The number of failures to generate before a successful response, and the number of requests
+// received, keyed by method and URL
+
+let failures = { };
+let counts = { };
+
+function failing(status, headers) {
+    return function(cfg) {
+	let k = cfg.method + ' ' + cfg.url;
+
+	counts[k] = (counts[k] || 0) + 1;
+	if (failures[k] > 0)
+	{
+	    failures[k] -= 1;
+	    if (status == 0)
+	    {
+		let e = new Error('Network Error');
+		e.config = cfg;
+		return Promise.reject(e);
+	    }
+	    return [ status, JSON.stringify({ _error: { status: 'error', message: 'failed' } }), headers ];
+	}
+
+	return [ 200, JSON.stringify({ actor: ACTOR_1 }) ];
+    };
+}
+
+function reset(k, n) {
+    failures = { };
+    counts = { };
+    if (k) failures[k] = n;
+}
+
+const axmock = new AxiosMockAdapter(myaxios);
+axmock
+    .onGet('/retry/test/actors/1.json').reply(failing(503))
+    .onGet('/retry/test/actors/2.json').reply(failing(404))
+    .onGet('/retry/test/actors/3.json').reply(failing(0))
+    .onGet('/retry/test/actors/4.json').reply(failing(503, { 'retry-after': '0' }))
+    .onPost('/retry/test/actors.json').reply(failing(502))
+    .onDelete('/retry/test/actors/1.json').reply(failing(504))
+;
+
+function expect_rejection(p, check) {
+    return p
+	.then(function(data) {
+	    return Promise.reject('should not have reached this');
+	})
+	.catch(function(e) {
+	    check(e);
+	    return Promise.resolve(true);
+	});
+}
+
+describe('fl.api_services module', function() {
+    describe('FlAPIService', function() {
+	afterEach(function() {
+	    FlModelFactory.defaultFactory().cache().remove(ACTOR_1);
+	});
+
+	context('retry policy', function() {
+	    it('should not retry by default', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		reset('get /retry/test/actors/1.json', 1);
+		return expect_rejection(srv.show(1), function(e) {
+		    expect(e.status).to.eql(503);
+		    expect(counts['get /retry/test/actors/1.json']).to.eql(1);
+		});
+	    });
+
+	    it('should retry idempotent requests', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, retry: FAST_RETRY });
+
+		reset('get /retry/test/actors/1.json', 2);
+		return srv.show(1)
+		    .then(function(data) {
+			expect(data).to.be.an.instanceof(TestActor);
+			expect(counts['get /retry/test/actors/1.json']).to.eql(3);
+
+			reset('delete /retry/test/actors/1.json', 1);
+			return srv.destroy(1);
+		    })
+		    .then(function(data) {
+			expect(counts['delete /retry/test/actors/1.json']).to.eql(2);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should give up after the maximum number of attempts', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, retry: _.merge({ maxAttempts: 2 }, FAST_RETRY) });
+
+		reset('get /retry/test/actors/1.json', 5);
+		return expect_rejection(srv.show(1), function(e) {
+		    expect(e).to.be.an.instanceof(FlAPIError);
+		    expect(e.status).to.eql(503);
+		    expect(counts['get /retry/test/actors/1.json']).to.eql(2);
+		});
+	    });
+
+	    it('should not retry other statuses', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, retry: FAST_RETRY });
+
+		reset('get /retry/test/actors/2.json', 1);
+		return expect_rejection(srv.show(2), function(e) {
+		    expect(e).to.be.an.instanceof(FlNotFoundError);
+		    expect(counts['get /retry/test/actors/2.json']).to.eql(1);
+		});
+	    });
+
+	    it('should use the configured statuses', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, retry: _.merge({ statuses: [ 404 ] }, FAST_RETRY) });
+
+		reset('get /retry/test/actors/2.json', 1);
+		return srv.show(2)
+		    .then(function(data) {
+			expect(counts['get /retry/test/actors/2.json']).to.eql(2);
+
+			reset('get /retry/test/actors/1.json', 1);
+			return expect_rejection(srv.show(1), function(e) {
+			    expect(e.status).to.eql(503);
+			});
+		    });
+	    });
+
+	    it('should retry network errors', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, retry: FAST_RETRY });
+
+		reset('get /retry/test/actors/3.json', 1);
+		return srv.show(3)
+		    .then(function(data) {
+			expect(counts['get /retry/test/actors/3.json']).to.eql(2);
+
+			srv = new FlAPIService(API_CFG, {
+			    axios: myaxios,
+			    retry: _.merge({ networkErrors: false }, FAST_RETRY)
+			});
+			reset('get /retry/test/actors/3.json', 1);
+			return expect_rejection(srv.show(3), function(e) {
+			    expect(e).to.be.an.instanceof(FlNetworkError);
+			    expect(counts['get /retry/test/actors/3.json']).to.eql(1);
+			});
+		    });
+	    });
+
+	    it('should not retry POST unless requested', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, retry: FAST_RETRY });
+
+		reset('post /retry/test/actors.json', 1);
+		return expect_rejection(srv.create({ wrapped: { name: 'new' } }), function(e) {
+		    expect(e.status).to.eql(502);
+		    expect(counts['post /retry/test/actors.json']).to.eql(1);
+		})
+		    .then(function() {
+			reset('post /retry/test/actors.json', 1);
+			return srv.create({ wrapped: { name: 'new' } }, { retry: true });
+		    })
+		    .then(function(data) {
+			expect(counts['post /retry/test/actors.json']).to.eql(2);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should support per-call policies', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		reset('get /retry/test/actors/1.json', 1);
+		return srv.show(1, null, { retry: FAST_RETRY })
+		    .then(function(data) {
+			expect(counts['get /retry/test/actors/1.json']).to.eql(2);
+
+			srv = new FlAPIService(API_CFG, { axios: myaxios, retry: FAST_RETRY });
+			reset('get /retry/test/actors/1.json', 1);
+			return expect_rejection(srv.show(1, null, { retry: false }), function(e) {
+			    expect(counts['get /retry/test/actors/1.json']).to.eql(1);
+			});
+		    });
+	    });
+
+	    it('should use the Retry-After header', function() {
+		let attempts = [ ];
+		let srv = new FlAPIService(API_CFG, {
+		    axios: myaxios,
+		    retry: {
+			baseDelay: 5000,
+			onAttempt: function(info) { attempts.push(info); }
+		    }
+		});
+
+		reset('get /retry/test/actors/4.json', 1);
+		return srv.show(4)
+		    .then(function(data) {
+			expect(attempts.length).to.eql(2);
+			expect(attempts[0].delay).to.eql(0);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should report each attempt to the hook', function() {
+		let attempts = [ ];
+		let srv = new FlAPIService(API_CFG, {
+		    axios: myaxios,
+		    retry: _.merge({ onAttempt: function(info) { attempts.push(info); } }, FAST_RETRY)
+		});
+
+		reset('get /retry/test/actors/1.json', 1);
+		return srv.show(1)
+		    .then(function(data) {
+			expect(attempts.length).to.eql(2);
+			expect(attempts[0]).to.include({
+			    method: 'get', url: '/retry/test/actors/1.json', attempt: 1, delay: 1
+			});
+			expect(attempts[0].error.status).to.eql(503);
+			expect(attempts[1]).to.include({ attempt: 2, error: null, delay: null });
+			expect(attempts[1].response.status).to.eql(200);
+
+			// non-retried requests are reported too
+
+			attempts = [ ];
+			reset('post /retry/test/actors.json', 1);
+			return expect_rejection(srv.create({ wrapped: { name: 'new' } }), function(e) {
+			    expect(attempts.length).to.eql(1);
+			    expect(attempts[0]).to.include({ method: 'post', attempt: 1, delay: null });
+			});
+		    });
+	    });
+
+	    it('should not retry when the hook throws', function() {
+		let srv = new FlAPIService(API_CFG, {
+		    axios: myaxios,
+		    retry: _.merge({
+			onAttempt: function(info) {
+			    if (_.isNil(info.error)) throw new FlAPIError('hook failed', { status: 503 });
+			}
+		    }, FAST_RETRY)
+		});
+
+		// the error has a retriable status, but the request itself succeeded
+
+		reset();
+		return expect_rejection(srv.show(1), function(e) {
+		    expect(e.message).to.eql('hook failed');
+		    expect(counts['get /retry/test/actors/1.json']).to.eql(1);
+		});
+	    });
+
+	    it('should stop retrying when the request is cancelled', function() {
+		let srv = new FlAPIService(API_CFG, {
+		    axios: myaxios,
+		    retry: {
+			baseDelay: 5000,
+			onAttempt: function(info) { if (info.attempt == 1) srv.cancelAll(); }
+		    }
+		});
+
+		reset('get /retry/test/actors/1.json', 1);
+		return expect_rejection(srv.show(1), function(e) {
+		    expect(e).to.be.an.instanceof(FlCancellationError);
+		    expect(counts['get /retry/test/actors/1.json']).to.eql(1);
+		    expect(srv.pending_requests).to.eql(0);
+		});
+	    });
+	});
+
+	context('._retry_delay', function() {
+	    let err = new FlAPIError('failed', { status: 503 });
+
+	    it('should back off exponentially', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let policy = srv._retry_policy('get', { retry: { baseDelay: 100, maxDelay: 350, jitter: 0, maxAttempts: 5 } });
+
+		expect(srv._retry_delay(policy, 1, err)).to.eql(100);
+		expect(srv._retry_delay(policy, 2, err)).to.eql(200);
+		expect(srv._retry_delay(policy, 3, err)).to.eql(350);
+		expect(srv._retry_delay(policy, 5, err)).to.be.null;
+	    });
+
+	    it('should apply jitter', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let policy = srv._retry_policy('get', { retry: { baseDelay: 1000, jitter: 0.5 } });
+
+		_.forEach(_.range(0, 20), function() {
+		    let d = srv._retry_delay(policy, 1, err);
+		    expect(d).to.be.within(500, 1500);
+		});
+	    });
+	});
+    });
+});
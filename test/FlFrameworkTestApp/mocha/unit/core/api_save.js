@@ -0,0 +1,209 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const {
+    FlAPIService, FlAPIResult, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('fl/framework/api_services');
+const {
+    FlAPIError, FlValidationError
+} = require('fl/framework/api_errors');
+const { TestActor } = require('test_models');
+const fixtures = require('test_fixtures');
+const axios = require('axios');
+const AxiosMockAdapter = require('axios-mock-adapter');
+
+const myaxios = axios.create();
+const expect = chai.expect;
+
+const API_CFG = {
+    root_url_template: '/save/test/actors',
+    namespace: 'test_actor',
+    data_names: [ 'actor', 'actors' ],
+    model_type: 'TestActor'
+};
+
+fixtures.reset('TestActor');
+const ACTOR_1 = fixtures.hash('TestActor', { title: 'title.1', tags: [ 'one' ] });
+const ACTOR_2 = fixtures.hash('TestActor');
+
+// The request bodies the server received
+
+let requests = [ ];
+
+const axmock = new AxiosMockAdapter(myaxios);
+axmock
+    .onGet('/save/test/actors/1.json').reply(function(cfg) {
+	return [ 200, JSON.stringify({ actor: ACTOR_1 }) ];
+    })
+
+    .onPatch('/save/test/actors/1.json').reply(function(cfg) {
+	let data = JSON.parse(cfg.data);
+	requests.push(data);
+
+	if (data.test_actor.name == 'invalid')
+	{
+	    return [ 422, JSON.stringify({
+		_error: { status: 'unprocessable_entity', message: 'invalid', details: { name: [ 'is invalid' ] } }
+	    }) ];
+	}
+
+	// the server returns the full representation, with the name normalized
+
+	let rv = _.assign({ }, ACTOR_1, data.test_actor);
+	if (_.has(data.test_actor, 'name')) rv.name = data.test_actor.name + '!';
+	if (_.has(data.test_actor, 'friend')) rv.friend = ACTOR_2;
+	return [ 200, JSON.stringify({ actor: rv }) ];
+    })
+
+;
+
+describe('fl.api_services module', function() {
+    describe('FlAPIService', function() {
+	beforeEach(function() {
+	    requests = [ ];
+	});
+
+	afterEach(function() {
+	    let cache = FlModelFactory.defaultFactory().cache();
+	    cache.remove(ACTOR_1);
+	    cache.remove(ACTOR_2);
+	});
+
+	context('#save', function() {
+	    it('should send only the changed attributes', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let actor = null;
+
+		return srv.show(1)
+		    .then(function(model) {
+			actor = model;
+			actor.title = 'new title';
+			actor.tags.push('two');
+			actor.friend = new TestActor(ACTOR_2);
+
+			return srv.save(actor);
+		    })
+		    .then(function(model) {
+			expect(model).to.equal(actor);
+			expect(requests).to.eql([ {
+			    test_actor: { title: 'new title', tags: [ 'one', 'two' ], friend: 'TestActor/2' }
+			} ]);
+			expect(actor.isDirty()).to.eql(false);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should take the values in the response', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let actor = null;
+
+		return srv.show(1)
+		    .then(function(model) {
+			actor = model;
+			actor.name = 'new name';
+
+			return srv.save(actor);
+		    })
+		    .then(function(model) {
+			expect(requests).to.eql([ { test_actor: { name: 'new name' } } ]);
+			expect(actor.name).to.eql('new name!');
+			expect(actor.isDirty()).to.eql(false);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should not make a request if nothing changed', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let actor = null;
+
+		return srv.show(1)
+		    .then(function(model) {
+			actor = model;
+			return srv.save(actor);
+		    })
+		    .then(function(model) {
+			expect(model).to.equal(actor);
+			expect(requests).to.eql([ ]);
+
+			return srv.save(actor, { withResult: true });
+		    })
+		    .then(function(result) {
+			expect(result).to.be.an.instanceof(FlAPIResult);
+			expect(result.data).to.equal(actor);
+			expect(result.response).to.be.null;
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should keep properties modified during the request dirty', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let actor = null;
+		let events = [ ];
+
+		return srv.show(1)
+		    .then(function(model) {
+			actor = model;
+			actor.title = 'new title';
+
+			let p = srv.save(actor);
+			actor.title = 'newer title';
+			actor.name = 'other name';
+			actor.tags = [ 'three' ];
+			actor.on('change', function(model, changed) { events.push(changed); });
+			return p;
+		    })
+		    .then(function(model) {
+			expect(requests).to.eql([ { test_actor: { title: 'new title' } } ]);
+			expect(actor.changes()).to.eql({
+			    title: [ 'new title', 'newer title' ],
+			    name: [ 'actor.1', 'other name' ],
+			    tags: [ [ 'one' ], [ 'three' ] ]
+			});
+			expect(_.last(events)).to.have.members([ 'title', 'name', 'tags' ]);
+			expect(srv._saves).to.eql([ ]);
+
+			return srv.save(actor);
+		    })
+		    .then(function(model) {
+			expect(requests[1]).to.eql({
+			    test_actor: { title: 'newer title', name: 'other name', tags: [ 'three' ] }
+			});
+			expect(actor.name).to.eql('other name!');
+			expect(actor.isDirty()).to.eql(false);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should keep the changes dirty on failure', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, optimistic: true });
+		let actor = null;
+
+		return srv.show(1)
+		    .then(function(model) {
+			actor = model;
+			actor.name = 'invalid';
+
+			return srv.save(actor);
+		    })
+		    .then(function(model) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e).to.be.an.instanceof(FlValidationError);
+			expect(actor.name).to.eql('invalid');
+			expect(actor.changes()).to.eql({ name: [ 'actor.1', 'invalid' ] });
+			expect(srv._saves).to.eql([ ]);
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+    });
+});
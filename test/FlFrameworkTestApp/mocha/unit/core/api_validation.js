@@ -0,0 +1,310 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const {
+    FlAPIService, FlAPIResult, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('fl/framework/api_services');
+const {
+    FlAPIError, FlValidationError
+} = require('fl/framework/api_errors');
+const th = require('test_helpers');
+const fixtures = require('test_fixtures');
+const axios = require('axios');
+const AxiosMockAdapter = require('axios-mock-adapter');
+
+const myaxios = axios.create();
+const expect = chai.expect;
+
+const MODEL_TYPE = 'My::Validated::Datum';
+
+const VALIDATED_DESC = {
+    name: 'MyValidatedDatum',
+    superclass: 'FlModelBase',
+    initializer: function(data) {
+	this.__super_init('FlModelBase', data);
+    },
+    attributes: {
+	title: { type: 'string', validates: { presence: true, length: { maximum: 20 } } },
+	code: { type: 'string', validates: { format: /^[A-Z]{3}$/ } }
+    }
+};
+
+const BROKEN_TYPE = 'My::Validated::Broken';
+
+const BROKEN_DESC = {
+    name: 'MyBrokenDatum',
+    superclass: VALIDATED_DESC.name,
+    initializer: function(data) {
+	this.__super_init(VALIDATED_DESC.name, data);
+    },
+    attributes: {
+	code: { type: 'string', validates: { checksum: true } }
+    }
+};
+
+const API_CFG = {
+    root_url_template: '/validation/test/data',
+    namespace: 'datum',
+    data_names: [ 'datum', 'data' ],
+    model_type: MODEL_TYPE
+};
+
+fixtures.define(MODEL_TYPE, {
+    attributes: function(n) {
+	return { title: 'title.' + n, code: 'ABC' };
+    }
+});
+fixtures.reset(MODEL_TYPE);
+const DATUM_1 = fixtures.hash(MODEL_TYPE);
+const DATUM_2 = fixtures.hash(MODEL_TYPE);
+
+// The request bodies the server received
+
+let requests = [ ];
+
+function server_reply(data, rv) {
+    if (data.datum.title == 'taken')
+    {
+	return [ 422, JSON.stringify({
+	    _error: { status: 'unprocessable_entity', message: 'invalid', details: { title: [ 'is taken' ] } }
+	}) ];
+    }
+    else if (data.datum.title == 'reserved')
+    {
+	return [ 422, JSON.stringify({
+	    _error: { status: 'unprocessable_entity', message: 'invalid', details: { title: 'is reserved' } }
+	}) ];
+    }
+
+    return [ 200, JSON.stringify({ datum: _.assign(rv, data.datum) }) ];
+};
+
+const axmock = new AxiosMockAdapter(myaxios);
+axmock
+    .onGet('/validation/test/data/1.json').reply(function(cfg) {
+	return [ 200, JSON.stringify({ datum: DATUM_1 }) ];
+    })
+
+    .onPost('/validation/test/data.json').reply(function(cfg) {
+	let data = JSON.parse(cfg.data);
+	requests.push(data);
+
+	return server_reply(data, _.pick(DATUM_2, [ 'type', 'fingerprint', 'id' ]));
+    })
+
+    .onPatch('/validation/test/data/1.json').reply(function(cfg) {
+	let data = JSON.parse(cfg.data);
+	requests.push(data);
+
+	return server_reply(data, _.clone(DATUM_1));
+    })
+
+;
+
+describe('fl.api_services module', function() {
+    describe('FlAPIService', function() {
+	beforeEach(function() {
+	    requests = [ ];
+	    FlClassManager.make_class(VALIDATED_DESC);
+	    FlModelFactory.defaultFactory().register('validation_test', [
+		{ service: FlClassManager.get_class(VALIDATED_DESC.name), class_name: MODEL_TYPE }
+	    ]);
+	});
+
+	afterEach(function() {
+	    let cache = FlModelFactory.defaultFactory().cache();
+	    cache.remove(DATUM_1);
+	    cache.remove(DATUM_2);
+	    FlModelFactory.defaultFactory().unregister('validation_test');
+	    th.clear_class([ BROKEN_DESC.name, VALIDATED_DESC.name ]);
+	});
+
+	context('client-side validation', function() {
+	    it('should not submit invalid data on create', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		return srv.create({ wrapped: { code: 'abc' } })
+		    .then(function(model) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e).to.be.an.instanceof(FlValidationError);
+			expect(e).to.include({ status: 422, error_status: 'unprocessable_entity' });
+			expect(e.fields()).to.have.members([ 'title', 'code' ]);
+			expect(e.errors_for('title')).to.eql([ "can't be blank" ]);
+			expect(e.errors_for('code')).to.eql([ 'is invalid' ]);
+			expect(srv.error).to.equal(e);
+			expect(requests).to.eql([ ]);
+
+			return srv.create({ wrapped: { title: 'new title', code: 'XYZ' } });
+		    })
+		    .then(function(model) {
+			expect(model).to.be.an.instanceof(FlClassManager.get_class(VALIDATED_DESC.name));
+			expect(requests).to.eql([ { datum: { title: 'new title', code: 'XYZ' } } ]);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should validate only the submitted attributes on update', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let datum = null;
+
+		return srv.show(1)
+		    .then(function(model) {
+			datum = model;
+			return srv.update(datum, { wrapped: { code: 'DEF' } });
+		    })
+		    .then(function(model) {
+			expect(model).to.equal(datum);
+			expect(requests).to.eql([ { datum: { code: 'DEF' } } ]);
+
+			return srv.update(1, { wrapped: { title: '' } });
+		    })
+		    .then(function(model) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e).to.be.an.instanceof(FlValidationError);
+			expect(e.details).to.eql({ title: [ "can't be blank" ] });
+			expect(datum.errors_for('title')).to.eql([ "can't be blank" ]);
+			expect(requests.length).to.eql(1);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should validate before applying optimistic updates', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, optimistic: true });
+		let datum = null;
+
+		return srv.show(1)
+		    .then(function(model) {
+			datum = model;
+			datum.title = 'a title that is much too long';
+
+			return srv.save(datum, { withResult: true });
+		    })
+		    .then(function(result) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(result) {
+			expect(result).to.be.an.instanceof(FlAPIResult);
+			expect(result.error).to.be.an.instanceof(FlValidationError);
+			expect(result.response).to.be.undefined;
+			expect(datum.title).to.eql('a title that is much too long');
+			expect(datum.isDirty('title')).to.eql(true);
+			expect(requests).to.eql([ ]);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should merge server errors into the model errors', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+		let datum = null;
+
+		return srv.show(1)
+		    .then(function(model) {
+			datum = model;
+			datum.add_errors({ base: [ 'is locked' ] });
+
+			return srv.update(datum, { wrapped: { title: 'taken' } });
+		    })
+		    .then(function(model) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e).to.be.an.instanceof(FlValidationError);
+			expect(e.response).to.exist;
+			expect(datum.validation_errors()).to.eql({ base: [ 'is locked' ], title: [ 'is taken' ] });
+
+			return srv.update(datum, { wrapped: { title: 'available' } });
+		    })
+		    .then(function(model) {
+			expect(datum.title).to.eql('available');
+			expect(datum.validation_errors()).to.eql({ });
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should merge the server error details on create', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		return srv.create({ wrapped: { title: 'reserved', code: 'ABC' } })
+		    .then(function(model) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e).to.be.an.instanceof(FlValidationError);
+			expect(e.response).to.exist;
+			expect(e.details).to.eql({ title: [ 'is reserved' ] });
+			expect(srv.error).to.equal(e);
+			expect(requests.length).to.eql(1);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should reject if a validator throws', function() {
+		let Broken = FlClassManager.make_class(BROKEN_DESC);
+		let factory = new FlModelFactory();
+		factory.register('validation_broken', [ { service: Broken, class_name: BROKEN_TYPE } ]);
+
+		let srv = new FlAPIService(_.assign({ }, API_CFG, { model_type: BROKEN_TYPE }),
+					   { axios: myaxios, modelFactory: factory });
+		let p = null;
+
+		expect(function() {
+		    p = srv.create({ wrapped: { title: 'new title', code: 'XYZ' } });
+		}).to.not.throw();
+
+		return p
+		    .then(function(model) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e).to.be.an.instanceof(Error);
+			expect(e.message).to.eql('unknown validator: checksum');
+			expect(srv.error).to.equal(e);
+			expect(requests).to.eql([ ]);
+
+			return srv.update(new Broken(DATUM_1), { wrapped: { code: 'XYZ' } }, { withResult: true });
+		    })
+		    .then(function(result) {
+			return Promise.reject('should not have reached this');
+		    }, function(result) {
+			expect(result).to.be.an.instanceof(FlAPIResult);
+			expect(result.error.message).to.eql('unknown validator: checksum');
+			expect(requests).to.eql([ ]);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should not validate if disabled', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, validate: false });
+
+		return srv.update(1, { wrapped: { code: 'bad' } })
+		    .then(function(model) {
+			expect(requests).to.eql([ { datum: { code: 'bad' } } ]);
+
+			return srv.update(1, { wrapped: { code: 'bad' } }, { validate: true });
+		    })
+		    .then(function(model) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e).to.be.an.instanceof(FlValidationError);
+			expect(requests.length).to.eql(1);
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+    });
+});
@@ -0,0 +1,355 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const {
+    FlAPIService, FlNestedAPIService, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('fl/framework/api_services');
+const {
+    FlAPIError, FlValidationError
+} = require('fl/framework/api_errors');
+const { TestActor } = require('../../utils/test_models');
+const axios = require('axios');
+const AxiosMockAdapter = require('axios-mock-adapter');
+
+const myaxios = axios.create();
+const expect = chai.expect;
+
+const API_CFG = {
+    root_url_template: '/xsrf/test/actors',
+    namespace: 'test_actor',
+    data_names: [ 'actor', 'actors' ]
+};
+
+const ACTOR_1 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/1",
+    fingerprint: "TestActor/1",
+    id: 1,
+    name: "actor.1"
+};
+
+const ACTOR_2 = _.merge({ }, ACTOR_1, { url_path: "testactor_path/2", fingerprint: "TestActor/2", id: 2, name: "actor.2" });
+
+// The requests the server received, and the token it returns in the response headers
+
+let requests = [ ];
+let rotated = null;
+
+// The statuses of the failed responses to return before a successful one; each failed response
+// rotates the token to 'after-<status>'
+
+let failures = [ ];
+
+function response_headers() {
+    return (_.isNil(rotated)) ? { } : { 'x-xsrf-token': rotated };
+}
+
+const axmock = new AxiosMockAdapter(myaxios);
+axmock
+    .onGet('/xsrf/test/actors/1.json').reply(function(cfg) {
+	requests.push(cfg);
+	return [ 200, JSON.stringify({ actor: ACTOR_1 }), response_headers() ];
+    })
+
+    .onPatch('/xsrf/test/actors/1.json').reply(function(cfg) {
+	requests.push(cfg);
+
+	let data = JSON.parse(cfg.data);
+	if (data.test_actor.name == 'invalid')
+	{
+	    return [ 422, JSON.stringify({
+		_error: { status: 'unprocessable_entity', message: 'invalid', details: { name: [ 'is invalid' ] } }
+	    }), response_headers() ];
+	}
+
+	return [ 200, JSON.stringify({ actor: _.merge({ }, ACTOR_1, data.test_actor) }), response_headers() ];
+    })
+
+    .onPatch('/xsrf/test/actors/2.json').reply(function(cfg) {
+	requests.push(cfg);
+
+	if (failures.length > 0)
+	{
+	    let status = failures.shift();
+	    return [ status, JSON.stringify({
+		_error: { status: 'failed', message: 'failed' }
+	    }), { 'x-xsrf-token': 'after-' + status } ];
+	}
+
+	let data = JSON.parse(cfg.data);
+	return [ 200, JSON.stringify({ actor: _.merge({ }, ACTOR_2, data.test_actor) }), response_headers() ];
+    })
+
+;
+
+// A minimal stand-in for the browser document, with cookies and <meta> tags
+
+function fake_document(cookie, metas) {
+    return {
+	cookie: cookie,
+	querySelector: function(sel) {
+	    let m = sel.match(/^meta\[name="(.+)"\]$/);
+	    if (_.isNil(m) || !_.has(metas, m[1])) return null;
+
+	    return { getAttribute: function(a) { return (a == 'content') ? metas[m[1]] : null; } };
+	}
+    };
+}
+
+describe('fl.api_services module', function() {
+    describe('FlAPIService', function() {
+	beforeEach(function() {
+	    requests = [ ];
+	    rotated = null;
+	    failures = [ ];
+	});
+
+	afterEach(function() {
+	    delete global.document;
+	    FlModelFactory.defaultFactory().cache().remove(ACTOR_1);
+	    FlModelFactory.defaultFactory().cache().remove(ACTOR_2);
+	});
+
+	context('XSRF token discovery', function() {
+	    it('should not send a token if none is available', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		expect(srv.currentXsrfToken()).to.be.null;
+		return srv.update(1, { wrapped: { name: 'new name' } })
+		    .then(function(data) {
+			expect(requests[0].headers).to.not.have.property('X-XSRF-TOKEN');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should prefer the configured token', function() {
+		global.document = fake_document('XSRF-TOKEN=from-cookie', { 'csrf-token': 'from-meta' });
+
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, xsrfToken: 'configured' });
+
+		expect(srv.currentXsrfToken()).to.eql('configured');
+		return srv.update(1, { wrapped: { name: 'new name' } })
+		    .then(function(data) {
+			expect(requests[0].headers['X-XSRF-TOKEN']).to.eql('configured');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should read the token from the cookie', function() {
+		global.document = fake_document('_session=abcd; XSRF-TOKEN=from%20cookie', { 'csrf-token': 'from-meta' });
+
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		expect(srv.currentXsrfToken()).to.eql('from cookie');
+		return srv.update(1, { wrapped: { name: 'new name' } })
+		    .then(function(data) {
+			expect(requests[0].headers['X-XSRF-TOKEN']).to.eql('from cookie');
+
+			// the cookie is read at each call
+
+			global.document.cookie = 'XSRF-TOKEN=new-cookie';
+			return srv.update(1, { wrapped: { name: 'new name' } });
+		    })
+		    .then(function(data) {
+			expect(requests[1].headers['X-XSRF-TOKEN']).to.eql('new-cookie');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should use the configured cookie and header names', function() {
+		global.document = fake_document('_FL-XSRF-TOKEN=custom; XSRF-TOKEN=standard', { });
+
+		let srv = new FlAPIService(API_CFG, {
+		    axios: myaxios,
+		    xsrfCookieName: '_FL-XSRF-TOKEN',
+		    xsrfHeaderName: 'X-FL-XSRF-TOKEN'
+		});
+
+		return srv.update(1, { wrapped: { name: 'new name' } })
+		    .then(function(data) {
+			expect(requests[0].headers['X-FL-XSRF-TOKEN']).to.eql('custom');
+			expect(requests[0].headers).to.not.have.property('X-XSRF-TOKEN');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should fall back to the meta tag', function() {
+		global.document = fake_document('_session=abcd', { 'csrf-token': 'from-meta', 'other-token': 'other' });
+
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		expect(srv.currentXsrfToken()).to.eql('from-meta');
+		srv.xsrfMetaName = 'other-token';
+		expect(srv.currentXsrfToken()).to.eql('other');
+		srv.xsrfMetaName = 'missing-token';
+		expect(srv.currentXsrfToken()).to.be.null;
+	    });
+
+	    it('should handle documents without cookies or tags', function() {
+		global.document = { };
+
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		expect(srv.currentXsrfToken()).to.be.null;
+	    });
+	});
+
+	context('XSRF token rotation', function() {
+	    it('should pick up a rotated token', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		rotated = 'second';
+		return srv.show(1)
+		    .then(function(data) {
+			expect(srv.xsrfToken).to.be.undefined;
+			expect(srv.currentXsrfToken()).to.eql('second');
+
+			rotated = null;
+			return srv.update(1, { wrapped: { name: 'new name' } });
+		    })
+		    .then(function(data) {
+			expect(requests[1].headers['X-XSRF-TOKEN']).to.eql('second');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should prefer a rotated token to the configured token', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, xsrfToken: 'configured' });
+
+		rotated = 'rotated';
+		return srv.show(1)
+		    .then(function(data) {
+			expect(srv.xsrfToken).to.eql('configured');
+			expect(srv.currentXsrfToken()).to.eql('rotated');
+
+			rotated = null;
+			return srv.update(1, { wrapped: { name: 'new name' } });
+		    })
+		    .then(function(data) {
+			expect(requests[1].headers['X-XSRF-TOKEN']).to.eql('rotated');
+
+			// setting the token discards the rotated one
+
+			srv.xsrfToken = 'reconfigured';
+			expect(srv.currentXsrfToken()).to.eql('reconfigured');
+
+			rotated = 'rotated again';
+			return srv.show(1);
+		    })
+		    .then(function(data) {
+			expect(srv.currentXsrfToken()).to.eql('rotated again');
+
+			srv.setConfig({ xsrfToken: 'configured' });
+			expect(srv.currentXsrfToken()).to.eql('configured');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should prefer a rotated token to the cookie', function() {
+		global.document = fake_document('XSRF-TOKEN=from-cookie', { 'csrf-token': 'from-meta' });
+
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		rotated = 'rotated';
+		return srv.show(1)
+		    .then(function(data) {
+			expect(srv.currentXsrfToken()).to.eql('rotated');
+
+			global.document.cookie = 'XSRF-TOKEN=new-cookie';
+			return srv.update(1, { wrapped: { name: 'new name' } });
+		    })
+		    .then(function(data) {
+			expect(requests[1].headers['X-XSRF-TOKEN']).to.eql('rotated');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should send the token rotated by a failed attempt when retrying', function() {
+		let srv = new FlAPIService(API_CFG, {
+		    axios: myaxios,
+		    xsrfToken: 'configured',
+		    retry: { baseDelay: 1, jitter: 0, methods: [ 'patch' ] }
+		});
+
+		failures = [ 503, 502 ];
+		return srv.update(2, { wrapped: { name: 'new name' } })
+		    .then(function(data) {
+			expect(data.name).to.eql('new name');
+			expect(requests.length).to.eql(3);
+			expect(requests[0].headers['X-XSRF-TOKEN']).to.eql('configured');
+			expect(requests[1].headers['X-XSRF-TOKEN']).to.eql('after-503');
+			expect(requests[2].headers['X-XSRF-TOKEN']).to.eql('after-502');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should send the token rotated by a 401 response when authenticating again', function() {
+		let refreshes = 0;
+		let auth = {
+		    headers: function(ctx) {
+			return { Authorization: 'Bearer ' + refreshes };
+		    },
+		    refresh: function(e) {
+			refreshes += 1;
+			return true;
+		    }
+		};
+		let srv = new FlAPIService(API_CFG, { axios: myaxios, xsrfToken: 'configured', authProvider: auth });
+
+		failures = [ 401 ];
+		return srv.update(2, { wrapped: { name: 'new name' } })
+		    .then(function(data) {
+			expect(refreshes).to.eql(1);
+			expect(requests.length).to.eql(2);
+			expect(requests[0].headers['X-XSRF-TOKEN']).to.eql('configured');
+			expect(requests[1].headers['X-XSRF-TOKEN']).to.eql('after-401');
+			expect(requests[1].headers['Authorization']).to.eql('Bearer 1');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should pick up a rotated token from an error response', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		rotated = 'rotated';
+		return srv.update(1, { wrapped: { name: 'invalid' } })
+		    .then(function(data) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e).to.be.an.instanceof(FlValidationError);
+			expect(requests[0].headers).to.not.have.property('X-XSRF-TOKEN');
+			expect(srv.currentXsrfToken()).to.eql('rotated');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should not modify the global token', function() {
+		let srv = new FlAPIService(API_CFG, { axios: myaxios });
+
+		rotated = 'rotated';
+		return srv.show(1)
+		    .then(function(data) {
+			expect(srv.currentXsrfToken()).to.eql('rotated');
+			expect(FlAPIService.xsrfToken).to.be.undefined;
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+    });
+});
@@ -0,0 +1,201 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const {
+    ActiveStorageAttachment, ActiveStorageAttachedOne, ActiveStorageAttachedMany
+} = require('fl/framework/active_storage');
+const { FlFrameworkListList, FlFrameworkListListItem } = require('fl/framework/list_models');
+const { TestActor, TestDatumOne, TestDatumTwo } = require('test_models');
+const fixtures = require('test_fixtures');
+
+const expect = chai.expect;
+
+const LIST_TYPE = 'Fl::Framework::List::List';
+const LIST_ITEM_TYPE = 'Fl::Framework::List::ListItem';
+
+describe('test fixtures', function() {
+    let created = [ ];
+
+    beforeEach(function() {
+	fixtures.reset();
+	created = [ ];
+    });
+
+    afterEach(function() {
+	fixtures.uncache(created);
+    });
+
+    context('hashes', function() {
+	it('should generate sequenced identifiers and fingerprints', function() {
+	    let a1 = fixtures.hash('TestActor');
+	    let a2 = fixtures.hash('TestActor');
+	    let d1 = fixtures.hash('TestDatumOne');
+
+	    expect(a1).to.eql({
+		type: 'TestActor',
+		api_root: '/test_actors',
+		url_path: 'testactor_path/1',
+		fingerprint: 'TestActor/1',
+		id: 1,
+		created_at: '2019-03-04T03:08:47.000Z',
+		updated_at: '2019-03-04T03:08:47.000Z',
+		name: 'actor.1'
+	    });
+	    expect(a2).to.include({ id: 2, fingerprint: 'TestActor/2', name: 'actor.2' });
+
+	    // the owner is the third actor
+
+	    expect(d1).to.include({ id: 1, fingerprint: 'TestDatumOne/1', title: 'datum_one title.1' });
+	    expect(d1.owner.fingerprint).to.eql('TestActor/3');
+
+	    fixtures.reset('TestActor');
+	    expect(fixtures.hash('TestActor').id).to.eql(1);
+	    expect(fixtures.hash('TestDatumOne').id).to.eql(2);
+	});
+
+	it('should support types without a definition', function() {
+	    expect(fixtures.hash('Container::Test::Model', { images: null })).to.eql({
+		type: 'Container::Test::Model',
+		api_root: '/container/test/models',
+		url_path: 'container_test_model_path/1',
+		fingerprint: 'Container::Test::Model/1',
+		id: 1,
+		created_at: '2019-03-04T03:08:47.000Z',
+		updated_at: '2019-03-04T03:08:47.000Z',
+		images: null
+	    });
+	});
+
+	it('should apply traits and overrides', function() {
+	    let l = fixtures.hash(LIST_TYPE, 'readwrite', { id: 20, title: 'my list' });
+
+	    expect(l).to.include({
+		id: 20,
+		fingerprint: LIST_TYPE + '/20',
+		url_path: 'fl_framework_list_list_path/20',
+		api_root: '/fl/framework/list/lists',
+		title: 'my list',
+		caption: 'list caption - 1',
+		default_readonly_state: false
+	    });
+
+	    let li = fixtures.hash(LIST_ITEM_TYPE, [ 'deselected', 'readonly' ]);
+	    expect(li).to.include({ state: 'deselected', readonly_state: true });
+	    expect(li.url_path).to.eql('fl_framework_list_listitem_path/1');
+
+	    expect(function() { fixtures.hash(LIST_TYPE, 'unknown'); }).to.throw(/unknown trait/);
+	});
+
+	it('should build associations', function() {
+	    let actor = fixtures.hash('TestActor', { name: 'the owner' });
+	    let li = fixtures.hash(LIST_ITEM_TYPE, {
+		owner: actor,
+		listed_object: [ 'TestDatumTwo', { title: 'two' } ]
+	    });
+
+	    expect(li.owner).to.equal(actor);
+	    expect(li.listed_object).to.include({ type: 'TestDatumTwo', title: 'two' });
+	    expect(li.item_summary).to.eql('two');
+	    expect(li.list.type).to.eql(LIST_TYPE);
+
+	    li = fixtures.hash(LIST_ITEM_TYPE, { listed_object: 'TestDatumTwo', owner: null });
+	    expect(li.listed_object.type).to.eql('TestDatumTwo');
+	    expect(li.owner).to.be.null;
+	});
+
+	it('should build collections', function() {
+	    let l = fixtures.hash(LIST_TYPE, { list_items: { count: 3, listed_object: 'TestDatumTwo', traits: [ 'deselected' ] } });
+
+	    expect(l.list_items.length).to.eql(3);
+	    _.forEach(l.list_items, function(li) {
+		expect(li.list.fingerprint).to.eql(l.fingerprint);
+		expect(li.list).to.not.have.property('list_items');
+		expect(li.listed_object.type).to.eql('TestDatumTwo');
+		expect(li.state).to.eql('deselected');
+	    });
+	    expect(_.map(l.list_items, 'id')).to.eql([ 1, 2, 3 ]);
+
+	    expect(fixtures.hash(LIST_TYPE)).to.not.have.property('list_items');
+	    expect(fixtures.hash(LIST_TYPE, { list_items: 0 }).list_items).to.eql([ ]);
+	    expect(fixtures.hashes(LIST_TYPE, 2, { list_items: 1 }).length).to.eql(2);
+	});
+
+	it('should build attachments', function() {
+	    let one = fixtures.hash('ActiveStorage::Attached::One', { name: 'avatar' });
+	    let many = fixtures.hash('ActiveStorage::Attached::Many', { attachments: { count: 3, traits: [ 'pdf' ] } });
+
+	    expect(one).to.not.have.any.keys('id', 'fingerprint');
+	    expect(one.attachments.length).to.eql(1);
+	    expect(one.attachments[0]).to.include({ type: 'ActiveStorage::Attachment', name: 'avatar', content_type: 'image/jpeg' });
+	    expect(_.map(one.attachments[0].variants, 'style')).to.include.members([ 'thumb', 'original' ]);
+
+	    expect(many.name).to.eql('images');
+	    expect(_.map(many.attachments, 'original_filename')).to.eql([
+		'document.2.pdf', 'document.3.pdf', 'document.4.pdf'
+	    ]);
+	    expect(_.map(many.attachments[0].variants, 'style')).to.eql([ 'original' ]);
+	});
+
+	it('should use custom definitions', function() {
+	    fixtures.define('My::Fixture::Model', {
+		path_name: 'my_model_path',
+		attributes: function(n) { return { label: 'model ' + n }; },
+		associations: { author: 'TestActor', editor: null }
+	    });
+
+	    let h = fixtures.hash('My::Fixture::Model');
+	    expect(h).to.include({ url_path: 'my_model_path/1', label: 'model 1', editor: null });
+	    expect(h.author.type).to.eql('TestActor');
+	});
+    });
+
+    context('models', function() {
+	it('should create model instances', function() {
+	    let l = fixtures.model(LIST_TYPE, { list_items: { count: 2, listed_object: 'TestDatumTwo' } });
+	    created.push(l);
+
+	    expect(l).to.be.an.instanceof(FlFrameworkListList);
+	    expect(l.owner).to.be.an.instanceof(TestActor);
+	    expect(l.created_at).to.be.an.instanceof(Date);
+	    expect(l.list_items.length).to.eql(2);
+	    _.forEach(l.list_items, function(li) {
+		expect(li).to.be.an.instanceof(FlFrameworkListListItem);
+		expect(li.listed_object).to.be.an.instanceof(TestDatumTwo);
+	    });
+
+	    let actors = fixtures.models('TestActor', 2);
+	    created.push(actors);
+
+	    expect(actors.length).to.eql(2);
+	    expect(actors[1]).to.be.an.instanceof(TestActor);
+	});
+
+	it('should create attachment models', function() {
+	    let many = fixtures.model('ActiveStorage::Attached::Many');
+
+	    expect(many).to.be.an.instanceof(ActiveStorageAttachedMany);
+	    expect(many.attachments[0]).to.be.an.instanceof(ActiveStorageAttachment);
+	    expect(many.attachments[0].variant('thumb').url).to.match(/thumb\/image\.1\.jpg$/);
+
+	    let one = fixtures.model('ActiveStorage::Attached::One');
+	    expect(one).to.be.an.instanceof(ActiveStorageAttachedOne);
+	    expect(one.attachment.name).to.eql('image');
+	});
+
+	it('should remove models from the cache', function() {
+	    let cache = FlModelFactory.defaultFactory().cache();
+	    let l = fixtures.model(LIST_TYPE, { list_items: 1 });
+
+	    expect(cache.get(l)).to.equal(l);
+	    expect(cache.get(l.list_items[0].listed_object)).to.equal(l.list_items[0].listed_object);
+
+	    fixtures.uncache(l);
+	    expect(cache.get(l)).to.not.exist;
+	    expect(cache.get(l.owner)).to.not.exist;
+	    expect(cache.get(l.list_items[0].listed_object)).to.not.exist;
+	});
+    });
+});
@@ -0,0 +1,516 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const {
+    FlAPIService, FlNestedAPIService, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('fl/framework/api_services');
+const { FlAPIQuery } = require('fl/framework/api_query');
+const {
+    FlAPIError, FlNotFoundError, FlValidationError, FlCancellationError
+} = require('fl/framework/api_errors');
+const { FlFrameworkListList, FlFrameworkListListItem } = require('fl/framework/list_models');
+const { FlFrameworkListAPIService, FlFrameworkListItemAPIService } = require('fl/framework/list_api_services');
+const { FlFrameworkActorGroup, FlFrameworkActorGroupMember } = require('fl/framework/actor_models');
+const {
+    FlFrameworkActorGroupAPIService, FlFrameworkActorGroupMemberAPIService
+} = require('fl/framework/actor_api_services');
+const { FlMockBackend } = require('fl/framework/mock_backend');
+const { TestActor, TestDatumOne } = require('../../utils/test_models');
+
+const expect = chai.expect;
+
+const ACTOR_1 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/1",
+    fingerprint: "TestActor/1",
+    id: 1,
+    name: "actor.1"
+};
+
+const ACTOR_2 = {
+    type: "TestActor",
+    api_root: "/test_actors",
+    url_path: "testactor_path/2",
+    fingerprint: "TestActor/2",
+    id: 2,
+    name: "actor.2"
+};
+
+const DATUM_10 = {
+    type: "TestDatumOne",
+    api_root: "/test_datum_ones",
+    url_path: "testdatumone_path/10",
+    fingerprint: "TestDatumOne/10",
+    id: 10,
+    title: "datum one.10",
+    value: 10
+};
+
+const DATUM_11 = {
+    type: "TestDatumOne",
+    api_root: "/test_datum_ones",
+    url_path: "testdatumone_path/11",
+    fingerprint: "TestDatumOne/11",
+    id: 11,
+    title: "datum one.11",
+    value: 11
+};
+
+const BACKEND_TYPES = [
+    'Fl::Framework::List::List', 'Fl::Framework::List::ListItem',
+    'Fl::Framework::Actor::Group', 'Fl::Framework::Actor::GroupMember'
+];
+
+let clock = Date.parse('2020-01-01T00:00:00.000Z');
+let backend = new FlMockBackend({
+    objects: [ ACTOR_1, ACTOR_2, DATUM_10, DATUM_11 ],
+    now: function() { clock += 1000; return clock; }
+});
+
+function expect_rejection(p, check) {
+    return p
+	.then(function(data) {
+	    return Promise.reject('should not have reached this');
+	})
+	.catch(function(e) {
+	    check(e);
+	    return Promise.resolve(true);
+	});
+}
+
+describe('fl.mock_backend module', function() {
+    beforeEach(function() {
+	clock = Date.parse('2020-01-01T00:00:00.000Z');
+	backend.reset();
+    });
+
+    afterEach(function() {
+	let cache = FlModelFactory.defaultFactory().cache();
+
+	_.forEach([ ACTOR_1, ACTOR_2, DATUM_10, DATUM_11 ], function(o) { cache.remove(o); });
+	_.forEach(BACKEND_TYPES, function(type) {
+	    _.forEach(_.range(1, 11), function(id) { cache.remove({ type: type, fingerprint: type + '/' + id }); });
+	});
+    });
+
+    describe('FlMockBackend', function() {
+	context('tables', function() {
+	    it('should seed and list records', function() {
+		let lists = backend.seed('lists', [
+		    { title: 'list 1', owner: ACTOR_1 },
+		    { id: 5, title: 'list 5', owner: 'TestActor/2' }
+		]);
+
+		expect(_.map(lists, 'id')).to.eql([ 1, 5 ]);
+		expect(lists[0]).to.include({
+		    type: 'Fl::Framework::List::List',
+		    fingerprint: 'Fl::Framework::List::List/1',
+		    url_path: 'fl_framework_list_list_path/1',
+		    title: 'list 1',
+		    created_at: '2020-01-01T00:00:01.000Z'
+		});
+		expect(lists[1].owner).to.eql(ACTOR_2);
+
+		let items = backend.seed('list_items', { list: 5, listed_object: DATUM_10 });
+		expect(items[0].list.fingerprint).to.eql('Fl::Framework::List::List/5');
+		expect(items[0]).to.include({ item_summary: 'datum one.10', sort_order: 1, state: 'selected' });
+
+		expect(_.map(backend.records('lists'), 'title')).to.eql([ 'list 1', 'list 5' ]);
+
+		backend.reset();
+		expect(backend.records('lists')).to.eql([ ]);
+	    });
+
+	    it('should reject invalid seeds', function() {
+		expect(function() { backend.seed('lists', { title: '' }); }).to.throw(/title/);
+		expect(function() { backend.seed('documents', { }); }).to.throw(/unsupported/);
+	    });
+	});
+
+	context('requests', function() {
+	    it('should return an error for unknown routes', function() {
+		let r = backend.request('get', '/fl/framework/unknown.json');
+
+		expect(r.status).to.eql(404);
+		expect(r.data._error.status).to.eql('not_found');
+		expect(backend.request('get', '/other/lists.json').status).to.eql(404);
+	    });
+
+	    it('should accept absolute URLs and JSON parameters', function() {
+		backend.seed('lists', [ { title: 'list 1', owner: ACTOR_1 }, { title: 'list 2', owner: ACTOR_2 } ]);
+
+		let r = backend.request('GET', 'http://localhost:3000/fl/framework/lists.json', {
+		    _q: JSON.stringify({ only_owners: [ 'TestActor/2' ] })
+		});
+
+		expect(r.status).to.eql(200);
+		expect(_.map(r.data.lists, 'title')).to.eql([ 'list 2' ]);
+	    });
+
+	    it('should record the request history', function() {
+		let srv = new FlFrameworkListAPIService({ axios: backend.axios });
+
+		return srv.create({ wrapped: { title: 'list 1', owner: ACTOR_1.fingerprint } })
+		    .then(function(list) {
+			let h = backend.history;
+
+			expect(h.length).to.eql(1);
+			expect(h[0]).to.include({ method: 'post', url: '/fl/framework/lists.json', status: 200 });
+			expect(h[0].data.fl_framework_list.title).to.eql('list 1');
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should honor the latency and cancellation', function() {
+		let slow = new FlMockBackend({ latency: 20, objects: [ ACTOR_1 ] });
+		let srv = new FlFrameworkListAPIService({ axios: slow.axios });
+
+		slow.seed('lists', { title: 'list 1', owner: ACTOR_1 });
+
+		let p = srv.show(1);
+		srv.cancelAll();
+
+		return expect_rejection(p, function(e) {
+		    expect(e).to.be.an.instanceof(FlCancellationError);
+		});
+	    });
+	});
+
+	context('lists', function() {
+	    it('should support the CRUD actions', function() {
+		let srv = new FlFrameworkListAPIService({ axios: backend.axios });
+		let id = null;
+
+		return srv.create({ wrapped: { title: 'list 1', caption: 'caption 1', owner: ACTOR_1.fingerprint } })
+		    .then(function(list) {
+			expect(list).to.be.an.instanceof(FlFrameworkListList);
+			expect(list.title).to.eql('list 1');
+			expect(list.owner).to.be.an.instanceof(TestActor);
+			expect(list.owner.name).to.eql('actor.1');
+			expect(list.default_readonly_state).to.eql(true);
+			id = list.id;
+
+			return srv.update(id, { wrapped: { title: 'new title' } });
+		    })
+		    .then(function(list) {
+			expect(list.title).to.eql('new title');
+			expect(list.caption).to.eql('caption 1');
+			expect(list.updated_at > list.created_at).to.eql(true);
+
+			return srv.show(id);
+		    })
+		    .then(function(list) {
+			expect(list.title).to.eql('new title');
+
+			return srv.destroy(id);
+		    })
+		    .then(function(status) {
+			expect(status.status).to.eql('ok');
+			expect(backend.records('lists')).to.eql([ ]);
+
+			return srv.show(id);
+		    })
+		    .then(function(list) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e).to.be.an.instanceof(FlNotFoundError);
+			expect(e.status).to.eql(404);
+			expect(e.message).to.eql('No list with id ' + id);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should return validation errors', function() {
+		let srv = new FlFrameworkListAPIService({ axios: backend.axios });
+
+		return expect_rejection(srv.create({ wrapped: { title: '', owner: 'TestActor/99' } }), function(e) {
+		    expect(e).to.be.an.instanceof(FlValidationError);
+		    expect(e.status).to.eql(422);
+		    expect(e.details).to.have.all.keys('title', 'owner');
+		    expect(backend.records('lists')).to.eql([ ]);
+		});
+	    });
+
+	    it('should return the pagination controls', function() {
+		let srv = new FlFrameworkListAPIService({ axios: backend.axios });
+
+		backend.seed('lists', _.map(_.range(1, 6), function(i) {
+		    return { title: 'list ' + i, owner: ACTOR_1 };
+		}));
+
+		return srv.index()
+		    .then(function(lists) {
+			// the default order is updated_at DESC
+
+			expect(_.map(lists, 'id')).to.eql([ 5, 4, 3, 2, 1 ]);
+			expect(srv.pagination_controls).to.include({ _c: 5, _s: 20, _p: 2 });
+
+			return srv.index({ _q: { order: 'id ASC', limit: 2, offset: 2 } });
+		    })
+		    .then(function(lists) {
+			expect(_.map(lists, 'id')).to.eql([ 3, 4 ]);
+			expect(srv.pagination_controls).to.include({ _c: 2, _s: 2, _p: 3 });
+
+			return srv.index({ _q: { order: 'title DESC', limit: -1, offset: 0 } });
+		    })
+		    .then(function(lists) {
+			expect(lists.length).to.eql(5);
+			expect(srv.pagination_controls).to.include({ _c: 5, _s: -1, _p: 1 });
+
+			return srv.index({ _q: { order: 'unknown' } });
+		    })
+		    .then(function(lists) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e.status).to.eql(422);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should support the query filters', function() {
+		// the service carries its pagination controls across calls, so each query uses a new one
+
+		let index = function(q) {
+		    return new FlFrameworkListAPIService({ axios: backend.axios }).index(q);
+		};
+
+		backend.seed('lists', [
+		    { title: 'list 1', owner: ACTOR_1 },
+		    { title: 'list 2', owner: ACTOR_2 },
+		    { title: 'list 3', owner: ACTOR_1 }
+		]);
+
+		return index(new FlAPIQuery().only('owners', [ ACTOR_1 ]).order('id ASC'))
+		    .then(function(lists) {
+			expect(_.map(lists, 'title')).to.eql([ 'list 1', 'list 3' ]);
+
+			return index({ _q: { except_owners: [ 'TestActor/1' ] } });
+		    })
+		    .then(function(lists) {
+			expect(_.map(lists, 'title')).to.eql([ 'list 2' ]);
+
+			// the seeds were created at 00:00:01, :02, and :03
+
+			return index({ _q: { created_after: '2020-01-01T00:00:01.500Z', order: 'id' } });
+		    })
+		    .then(function(lists) {
+			expect(_.map(lists, 'title')).to.eql([ 'list 2', 'list 3' ]);
+
+			return index({ _q: { created_before: Date.parse('2020-01-01T00:00:02.500Z') / 1000 } });
+		    })
+		    .then(function(lists) {
+			expect(_.map(lists, 'title')).to.eql([ 'list 2', 'list 1' ]);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should add objects', function() {
+		let srv = new FlFrameworkListAPIService({ axios: backend.axios });
+		let item_id = null;
+
+		backend.seed('lists', { title: 'list 1', owner: ACTOR_2 });
+
+		return srv.add_object(1, { wrapped: { listed_object: DATUM_10.fingerprint, name: 'item 1' } })
+		    .then(function(item) {
+			expect(item).to.be.an.instanceof(FlFrameworkListListItem);
+			expect(item.name).to.eql('item 1');
+			expect(item.item_summary).to.eql('datum one.10');
+			expect(item.listed_object).to.be.an.instanceof(TestDatumOne);
+			expect(item.list.id).to.eql(1);
+
+			// the owner defaults to the list owner
+
+			expect(item.owner.fingerprint).to.eql(ACTOR_2.fingerprint);
+			item_id = item.id;
+
+			return srv.add_object(1, { wrapped: { listed_object: DATUM_10.fingerprint } });
+		    })
+		    .then(function(item) {
+			expect(item.id).to.eql(item_id);
+			expect(backend.records('list_items').length).to.eql(1);
+
+			return srv.add_object(1, { wrapped: { listed_object: DATUM_11.fingerprint } });
+		    })
+		    .then(function(item) {
+			expect(item.sort_order).to.eql(2);
+
+			return srv.show(1, { with_list_items: true });
+		    })
+		    .then(function(list) {
+			expect(_.map(list.list_items, 'item_summary')).to.eql([ 'datum one.10', 'datum one.11' ]);
+
+			return expect_rejection(srv.add_object(1, { wrapped: { name: 'no object' } }), function(e) {
+			    expect(e).to.be.an.instanceof(FlValidationError);
+			});
+		    })
+		    .then(function(ok) {
+			return expect_rejection(srv.add_object(2, { wrapped: { listed_object: DATUM_10.fingerprint } }), function(e) {
+			    expect(e).to.be.an.instanceof(FlNotFoundError);
+			});
+		    });
+	    });
+
+	    it('should destroy the list items', function() {
+		let srv = new FlFrameworkListAPIService({ axios: backend.axios });
+
+		backend.seed('lists', [ { title: 'list 1', owner: ACTOR_1 }, { title: 'list 2', owner: ACTOR_1 } ]);
+		backend.seed('list_items', [
+		    { list: 1, listed_object: DATUM_10 },
+		    { list: 2, listed_object: DATUM_10 }
+		]);
+
+		return srv.destroy(1)
+		    .then(function(status) {
+			let items = backend.records('list_items');
+
+			expect(items.length).to.eql(1);
+			expect(items[0].list.id).to.eql(2);
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+
+	context('list items', function() {
+	    beforeEach(function() {
+		backend.seed('lists', [ { title: 'list 1', owner: ACTOR_1 }, { title: 'list 2', owner: ACTOR_1 } ]);
+		backend.seed('list_items', [
+		    { list: 1, listed_object: DATUM_10, name: 'item 1' },
+		    { list: 1, listed_object: DATUM_11, name: 'item 2' },
+		    { list: 2, listed_object: DATUM_10, name: 'item 3' }
+		]);
+	    });
+
+	    it('should support nested and shallow routes', function() {
+		let srv = new FlFrameworkListItemAPIService({ id: 1 }, { axios: backend.axios });
+
+		return srv.index({ _q: { only_lists: [ 2 ], order: 'id' } })
+		    .then(function(items) {
+			// the nesting list overrides the filter
+
+			expect(_.map(items, 'name')).to.eql([ 'item 1', 'item 2' ]);
+
+			return srv.update(3, { wrapped: { state: 'deselected', name: 'new name', list: 1 } });
+		    })
+		    .then(function(item) {
+			expect(item.state).to.eql('deselected');
+			expect(item.name).to.eql('new name');
+
+			// the list can't be changed
+
+			expect(item.list.id).to.eql(2);
+
+			let r = backend.request('get', '/fl/framework/list_items.json', {
+			    _q: { only_listables: [ DATUM_10.fingerprint ], order: 'id' }
+			});
+			expect(_.map(r.data.list_items, 'id')).to.eql([ 1, 3 ]);
+
+			return srv.destroy(2);
+		    })
+		    .then(function(status) {
+			expect(_.map(backend.records('list_items'), 'id')).to.eql([ 1, 3 ]);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should validate list items', function() {
+		let srv = new FlFrameworkListItemAPIService({ id: 1 }, { axios: backend.axios });
+
+		return expect_rejection(srv.create({ wrapped: { listed_object: DATUM_10.fingerprint } }), function(e) {
+		    expect(e).to.be.an.instanceof(FlValidationError);
+		    expect(e.details).to.have.all.keys('listed_object');
+		})
+		    .then(function(ok) {
+			return expect_rejection(srv.update(1, { wrapped: { state: 'unknown' } }), function(e) {
+			    expect(e.details).to.have.all.keys('state');
+			});
+		    });
+	    });
+	});
+
+	context('groups', function() {
+	    it('should add actors and list members', function() {
+		let gsrv = new FlFrameworkActorGroupAPIService({ axios: backend.axios });
+		let msrv = new FlFrameworkActorGroupMemberAPIService(null, { axios: backend.axios });
+
+		return gsrv.create({ wrapped: { name: 'group 1', owner: ACTOR_1.fingerprint } })
+		    .then(function(group) {
+			expect(group).to.be.an.instanceof(FlFrameworkActorGroup);
+
+			return gsrv.add_actor(group, { wrapped: { actor: ACTOR_2.fingerprint, title: 'member' } });
+		    })
+		    .then(function(member) {
+			expect(member).to.be.an.instanceof(FlFrameworkActorGroupMember);
+			expect(member.title).to.eql('member');
+			expect(member.actor.name).to.eql('actor.2');
+
+			return gsrv.add_actor(1, { wrapped: { actor: ACTOR_2.fingerprint } });
+		    })
+		    .then(function(member) {
+			expect(member.id).to.eql(1);
+
+			return gsrv.add_actor(1, { wrapped: { actor: ACTOR_1.fingerprint } });
+		    })
+		    .then(function(member) {
+			return gsrv.show(1, { with_members: true });
+		    })
+		    .then(function(group) {
+			expect(_.map(group.members, function(m) { return m.actor.fingerprint; })).to.eql([
+			    ACTOR_2.fingerprint, ACTOR_1.fingerprint
+			]);
+
+			return msrv.index_all({ only_actors: [ ACTOR_1 ] });
+		    })
+		    .then(function(members) {
+			expect(_.map(members, 'id')).to.eql([ 2 ]);
+
+			let nsrv = new FlFrameworkActorGroupMemberAPIService({ id: 1 }, { axios: backend.axios });
+			return nsrv.index({ _q: { order: 'id' } });
+		    })
+		    .then(function(members) {
+			expect(_.map(members, 'id')).to.eql([ 1, 2 ]);
+
+			return gsrv.destroy(1);
+		    })
+		    .then(function(status) {
+			expect(backend.records('group_members')).to.eql([ ]);
+
+			return Promise.resolve(true);
+		    });
+	    });
+
+	    it('should require unique group names', function() {
+		let srv = new FlFrameworkActorGroupAPIService({ axios: backend.axios });
+
+		backend.seed('groups', [ { name: 'group 1', owner: ACTOR_1 }, { name: 'group 2', owner: ACTOR_1 } ]);
+
+		return srv.update(1, { wrapped: { name: 'group 1', note: 'note' } })
+		    .then(function(group) {
+			expect(group.note).to.eql('note');
+
+			return srv.update(2, { wrapped: { name: 'group 1' } });
+		    })
+		    .then(function(group) {
+			return Promise.reject('should not have reached this');
+		    })
+		    .catch(function(e) {
+			expect(e).to.be.an.instanceof(FlValidationError);
+			expect(e.details.name).to.eql([ 'has already been taken' ]);
+
+			return Promise.resolve(true);
+		    });
+	    });
+	});
+    });
+});
@@ -0,0 +1,395 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlEventEmitterExtension, FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+const {
+    FlAPIService, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
+} = require('fl/framework/api_services');
+const { TestActor } = require('test_models');
+const th = require('test_helpers');
+const fixtures = require('test_fixtures');
+const axios = require('axios');
+const AxiosMockAdapter = require('axios-mock-adapter');
+
+const myaxios = axios.create();
+const expect = chai.expect;
+
+const MY_MODEL_DESC = {
+    name: 'MyEventsTestModel',
+    superclass: 'FlModelBase',
+    initializer: function(data) {
+	this.__super_init('FlModelBase', data);
+    },
+    instance_methods: {
+	refresh: function(data) {
+	    this.__super('FlModelBase', 'refresh', data);
+	    if (!_.isNil(data.accessed_at)) this.accessed_at = new Date(data.accessed_at);
+	}
+    }
+};
+
+fixtures.reset('My::Events::Test::Model');
+const MODEL_1 = fixtures.hash('My::Events::Test::Model', {
+    username: 'user102',
+    roles: [ 'customer' ],
+    accessed_at: 'Thu, 13 Sep 2018 22:10:20 UTC +00:00',
+    hash: { one: 1, two: 'two' }
+});
+
+const API_CFG = {
+    root_url_template: '/events/test/actors',
+    namespace: 'test_actor',
+    data_names: [ 'actor', 'actors' ],
+    model_type: 'TestActor'
+};
+
+fixtures.reset('TestActor');
+const ACTOR_1 = fixtures.hash('TestActor');
+const ACTOR_2 = fixtures.hash('TestActor');
+
+const axmock = new AxiosMockAdapter(myaxios);
+axmock
+    .onGet('/events/test/actors/1.json').reply(function(cfg) {
+	return [ 200, JSON.stringify({ actor: ACTOR_1 }) ];
+    })
+
+    .onDelete('/events/test/actors/1.json').reply(function(cfg) {
+	return [ 200, JSON.stringify({ _status: { status: 'ok', message: 'deleted' } }) ];
+    })
+
+    .onDelete('/events/test/actors/2.json').reply(function(cfg) {
+	return [ 404, JSON.stringify({ _error: { status: 'not_found', message: 'not found' } }) ];
+    })
+
+    .onPatch('/events/test/actors/1.json').reply(function(cfg) {
+	return [ 422, JSON.stringify({
+	    _error: { status: 'unprocessable_entity', message: 'invalid', details: { name: [ 'is taken' ] } }
+	}) ];
+    })
+
+;
+
+describe('fl.model_factory module', function() {
+    beforeEach(function() {
+	FlClassManager.make_class(MY_MODEL_DESC);
+    });
+
+    afterEach(function() {
+	th.clear_class([ MY_MODEL_DESC.name ]);
+	FlModelFactory.defaultFactory().cache().remove(ACTOR_1);
+    });
+
+    describe('FlEventEmitterExtension', function() {
+	function emitter() {
+	    let E = function() {
+		FlExtensions.initialize(FlEventEmitterExtension, this, 'pre');
+	    };
+	    FlExtensions.register(FlEventEmitterExtension, E);
+
+	    return new E();
+	};
+
+	it('should call listeners in registration order', function() {
+	    let e = emitter();
+	    let calls = [ ];
+
+	    e.on('ev', function(a, b) { calls.push([ 'one', a, b ]); });
+	    e.on('ev', function(a, b) { calls.push([ 'two', a, b ]); });
+
+	    expect(e.emit('ev', 1, 2)).to.eql(true);
+	    expect(e.emit('other', 1, 2)).to.eql(false);
+	    expect(calls).to.eql([ [ 'one', 1, 2 ], [ 'two', 1, 2 ] ]);
+	    expect(e.listener_count('ev')).to.eql(2);
+	    expect(_.keys(e)).to.not.include('__listeners');
+	});
+
+	it('should remove listeners', function() {
+	    let e = emitter();
+	    let calls = [ ];
+	    let l1 = function() { calls.push('one'); };
+	    let l2 = function() { calls.push('two'); };
+
+	    let off1 = e.on('ev', l1);
+	    e.on('ev', l2);
+	    e.on('other', l2);
+
+	    off1();
+	    e.emit('ev');
+	    expect(calls).to.eql([ 'two' ]);
+
+	    e.off('ev', l2);
+	    e.emit('ev');
+	    expect(calls).to.eql([ 'two' ]);
+	    expect(e.listener_count('ev')).to.eql(0);
+
+	    e.off();
+	    expect(e.emit('other')).to.eql(false);
+	});
+
+	it('should call once listeners a single time', function() {
+	    let e = emitter();
+	    let calls = [ ];
+	    let l = function(v) { calls.push(v); };
+
+	    e.once('ev', l);
+	    e.emit('ev', 1);
+	    e.emit('ev', 2);
+	    expect(calls).to.eql([ 1 ]);
+
+	    e.once('ev', l);
+	    e.off('ev', l);
+	    e.emit('ev', 3);
+	    expect(calls).to.eql([ 1 ]);
+	});
+
+	it('should report exceptions in listeners with an error event', function() {
+	    let e = emitter();
+	    let calls = [ ];
+	    let errors = [ ];
+
+	    e.on('ev', function() { throw new Error('listener error'); });
+	    e.on('ev', function() { calls.push('called'); });
+	    e.on('error', function(x, event) { errors.push({ message: x.message, event: event }); });
+
+	    let logged = th.logged(function() {
+		expect(function() { e.emit('ev'); }).to.not.throw();
+	    });
+	    expect(calls).to.eql([ 'called' ]);
+	    expect(errors).to.eql([ { message: 'listener error', event: 'ev' } ]);
+	    expect(logged).to.eql([ ]);
+	});
+
+	it('should log exceptions in listeners if there are no error listeners', function() {
+	    let e = emitter();
+	    let calls = [ ];
+
+	    e.on('ev', function() { throw new Error('listener error'); });
+	    e.on('ev', function() { calls.push('called'); });
+
+	    let logged = th.logged(function() {
+		expect(function() { e.emit('ev'); }).to.not.throw();
+	    });
+	    expect(calls).to.eql([ 'called' ]);
+	    expect(logged.length).to.eql(1);
+	    expect(logged[0][0]).to.eql('(FlEventEmitterExtension): exception in a listener');
+	    expect(logged[0][1].message).to.eql('listener error');
+	});
+
+	it('should log exceptions in error listeners', function() {
+	    let e = emitter();
+
+	    e.on('ev', function() { throw new Error('listener error'); });
+	    e.on('error', function(x, event) { throw new Error('error listener error'); });
+
+	    let logged = th.logged(function() {
+		expect(function() { e.emit('ev'); }).to.not.throw();
+		expect(function() { e.emit('error', new Error('emitted'), 'ev'); }).to.not.throw();
+	    });
+	    expect(_.map(logged, function(m) { return m[1].message; })).to.eql([
+		'error listener error', 'error listener error'
+	    ]);
+	});
+    });
+
+    describe('FlModelBase', function() {
+	context('change events', function() {
+	    it('should emit change with the changed properties', function() {
+		let mm = FlClassManager.modelize(MY_MODEL_DESC.name, MODEL_1);
+		let events = [ ];
+
+		mm.on('change', function(model, changed) {
+		    events.push({ model: model, changed: changed, accessed_at: model.accessed_at.getTime() });
+		});
+
+		let changed = mm.refresh({
+		    username: 'new name',
+		    roles: [ 'customer' ],
+		    hash: { one: 1, two: 2 },
+		    accessed_at: 'Thu, 13 Sep 2018 23:10:20 UTC +00:00'
+		});
+		expect(changed).to.have.members([ 'username', 'hash', 'accessed_at' ]);
+		expect(events.length).to.eql(1);
+		expect(events[0].model).to.equal(mm);
+		expect(events[0].changed).to.have.members([ 'username', 'hash', 'accessed_at' ]);
+
+		// the listener is called after the subclass has processed the data
+
+		expect(events[0].accessed_at).to.eql(new Date('Thu, 13 Sep 2018 23:10:20 UTC +00:00').getTime());
+	    });
+
+	    it('should not emit change if nothing changed', function() {
+		let mm = FlClassManager.modelize(MY_MODEL_DESC.name, MODEL_1);
+		let events = [ ];
+
+		mm.on('change', function(model, changed) { events.push(changed); });
+
+		expect(mm.refresh(MODEL_1)).to.eql([ ]);
+		expect(events).to.eql([ ]);
+
+		mm.refresh({ last_name: 'User' });
+		expect(events).to.eql([ [ 'last_name' ] ]);
+	    });
+
+	    it('should not report model references as changed', function() {
+		let actor = new TestActor(ACTOR_1);
+		let mm = FlClassManager.modelize(MY_MODEL_DESC.name, _.assign({ }, MODEL_1, { owner: actor }));
+		let events = [ ];
+
+		mm.refresh({ owner: actor });
+		mm.refresh({ owner: new TestActor(ACTOR_1) });
+		expect(events).to.eql([ ]);
+
+		mm.on('change', function(model, changed) { events.push(changed); });
+		mm.refresh({ owner: new TestActor(ACTOR_2) });
+		expect(events).to.eql([ [ 'owner' ] ]);
+	    });
+
+	    it('should not share listeners between instances', function() {
+		let m1 = FlClassManager.modelize(MY_MODEL_DESC.name, MODEL_1);
+		let m2 = FlClassManager.modelize(MY_MODEL_DESC.name, MODEL_1);
+		let events = [ ];
+
+		m1.on('change', function(model, changed) { events.push(model); });
+		m2.refresh({ username: 'other' });
+		expect(events).to.eql([ ]);
+		m1.refresh({ username: 'other' });
+		expect(events.length).to.eql(1);
+		expect(events[0]).to.equal(m1);
+	    });
+	});
+    });
+
+    describe('FlModelFactory', function() {
+	let factory = null;
+
+	beforeEach(function() {
+	    factory = new FlModelFactory();
+	    factory.register('test_module', [
+		{ service: FlClassManager.get_class(MY_MODEL_DESC.name), class_name: 'My::Events::Test::Model' },
+		{ service: TestActor, class_name: 'TestActor' }
+	    ]);
+	});
+
+	it('should emit created and refreshed', function() {
+	    let events = [ ];
+
+	    factory.on('created', function(model) { events.push([ 'created', model.type ]); });
+	    factory.on('refreshed', function(model, changed) { events.push([ 'refreshed', model.type, changed ]); });
+
+	    let mm = factory.create(MODEL_1);
+	    let actor = factory.create(ACTOR_1);
+	    expect(factory.create(_.assign({ }, MODEL_1, { username: 'new name' }))).to.equal(mm);
+	    factory.create(ACTOR_1);
+
+	    expect(events).to.eql([
+		[ 'created', 'My::Events::Test::Model' ],
+		[ 'created', 'TestActor' ],
+		[ 'refreshed', 'My::Events::Test::Model', [ 'username' ] ],
+		[ 'refreshed', 'TestActor', [ ] ]
+	    ]);
+	});
+
+	it('should emit events for a model type', function() {
+	    let events = [ ];
+	    let instance_events = [ ];
+
+	    factory.on('created:TestActor', function(model) { events.push([ 'created', model.id ]); });
+	    factory.on('refreshed:TestActor', function(model, changed) { events.push([ 'refreshed', model.id, changed ]); });
+
+	    factory.create(MODEL_1);
+	    let actor = factory.create(ACTOR_1);
+	    actor.on('change', function(model, changed) { instance_events.push(changed); });
+
+	    factory.create(_.assign({ }, MODEL_1, { username: 'new name' }));
+	    factory.create(_.assign({ }, ACTOR_1, { name: 'new name' }));
+
+	    expect(events).to.eql([ [ 'created', 1 ], [ 'refreshed', 1, [ 'name' ] ] ]);
+	    expect(instance_events).to.eql([ [ 'name' ] ]);
+	});
+
+	it('should emit evicted', function() {
+	    let events = [ ];
+	    let capped = new FlModelFactory({ capacity: 1 });
+
+	    capped.register('test_module', [ { service: TestActor, class_name: 'TestActor' } ]);
+	    capped.on('evicted', function(model, reason) { events.push([ 'evicted', model.id, reason ]); });
+	    capped.on('evicted:TestActor', function(model, reason) { events.push([ 'evicted:TestActor', model.id ]); });
+
+	    capped.create(ACTOR_1);
+	    capped.create(ACTOR_2);
+
+	    expect(events).to.eql([ [ 'evicted', 1, 'capacity' ], [ 'evicted:TestActor', 1 ] ]);
+	});
+    });
+
+    describe('FlAPIService', function() {
+	it('should emit destroy on the deleted model', function() {
+	    let srv = new FlAPIService(API_CFG, { axios: myaxios });
+	    let events = [ ];
+	    let actor = null;
+
+	    return srv.show(1)
+		.then(function(model) {
+		    actor = model;
+		    actor.on('destroy', function(model) { events.push(model); });
+
+		    return srv.destroy(1);
+		})
+		.then(function(data) {
+		    expect(events.length).to.eql(1);
+		    expect(events[0]).to.equal(actor);
+		    expect(FlModelFactory.defaultFactory().cache().get(ACTOR_1)).to.not.exist;
+
+		    return srv.destroy(actor);
+		})
+		.then(function(data) {
+		    expect(events.length).to.eql(2);
+
+		    return Promise.resolve(true);
+		});
+	});
+
+	it('should not emit destroy on failure', function() {
+	    let srv = new FlAPIService(API_CFG, { axios: myaxios });
+	    let actor = new TestActor(ACTOR_2);
+	    let events = [ ];
+
+	    actor.on('destroy', function(model) { events.push(model); });
+	    return srv.destroy(actor)
+		.then(function(data) {
+		    return Promise.reject('should not have reached this');
+		})
+		.catch(function(e) {
+		    expect(e.status).to.eql(404);
+		    expect(events).to.eql([ ]);
+
+		    return Promise.resolve(true);
+		});
+	});
+
+	it('should emit change on optimistic updates and rollbacks', function() {
+	    let srv = new FlAPIService(API_CFG, { axios: myaxios, optimistic: true });
+	    let events = [ ];
+
+	    return srv.show(1)
+		.then(function(model) {
+		    model.on('change', function(model, changed) { events.push([ changed, model.name ]); });
+
+		    let p = srv.update(model, { wrapped: { name: 'taken' } });
+		    expect(events).to.eql([ [ [ 'name' ], 'taken' ] ]);
+		    return p;
+		})
+		.then(function(data) {
+		    return Promise.reject('should not have reached this');
+		})
+		.catch(function(e) {
+		    expect(e.status).to.eql(422);
+		    expect(events).to.eql([ [ [ 'name' ], 'taken' ], [ [ 'name' ], 'actor.1' ] ]);
+
+		    return Promise.resolve(true);
+		});
+	});
+    });
+});
@@ -5,6 +5,7 @@ const {
     FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
 } = require('fl/framework/model_factory');
 const th = require('test_helpers');
+const fixtures = require('test_fixtures');
 
 const expect = chai.expect;
 
@@ -210,6 +211,505 @@ describe('fl.model_factory module', function() {
 		expect(mm.last_name).to.equal('User');
 	    });
 	});
+
+	context('attributes', function() {
+	    const TYPED_DESC = {
+		name: 'MyTypedModel',
+		superclass: 'FlModelBase',
+		initializer: function(data) {
+		    this.__super_init('FlModelBase', data);
+		},
+		attributes: {
+		    count: 'integer',
+		    price: 'decimal',
+		    active: { type: 'boolean', default: true },
+		    state: { type: 'enum', values: [ 'draft', 'published' ], default: 'draft' },
+		    tags: { default: function() { return [ 'new' ]; } },
+		    label: 'string',
+		    code: { type: 'string', readonly: true },
+		    published_at: 'date',
+		    owner: 'belongs_to',
+		    others: { type: 'has_many', class_name: 'My::Other' }
+		}
+	    };
+
+	    fixtures.define('My::Typed', {
+		attributes: {
+		    count: '12',
+		    price: '10.25',
+		    active: 'false',
+		    state: 'published',
+		    label: 10,
+		    code: 'abcd',
+		    published_at: '2018-09-14T10:00:00Z'
+		}
+	    });
+	    fixtures.reset('My::Typed');
+	    const TYPED_1 = fixtures.hash('My::Typed');
+
+	    beforeEach(function() {
+		FlClassManager.make_class(TYPED_DESC);
+		FlModelFactory.defaultFactory().register('test_module', [
+		    { service: FlClassManager.get_class(MY_OTHER_DESC.name), class_name: 'My::Other' }
+		]);
+	    });
+
+	    afterEach(function() {
+		FlModelFactory.defaultFactory().cache().remove(OTHER_1);
+		th.clear_class([ TYPED_DESC.name ]);
+	    });
+
+	    it('should coerce values', function() {
+		let mm = FlClassManager.modelize(TYPED_DESC.name, TYPED_1);
+
+		expect(mm).to.include({ count: 12, price: 10.25, active: false, state: 'published', label: '10' });
+		expect(mm.created_at).to.be.an.instanceof(Date);
+		expect(mm.published_at.toISOString()).to.eql('2018-09-14T10:00:00.000Z');
+
+		mm.refresh({
+		    count: 'many', price: 3, active: 'yes', state: 'archived', label: null, published_at: 'not a date'
+		});
+		expect(mm).to.include({ count: null, price: 3, active: true, state: 'draft', label: null, published_at: null });
+
+		mm.refresh({ count: 4.7, active: 0, unknown: { a: [ 1 ] } });
+		expect(mm).to.include({ count: 4, active: false });
+		expect(mm.unknown).to.eql({ a: [ 1 ] });
+	    });
+
+	    it('should load defaults', function() {
+		let m1 = FlClassManager.modelize(TYPED_DESC.name, _.omit(TYPED_1, [ 'active', 'state' ]));
+		let m2 = FlClassManager.modelize(TYPED_DESC.name, fixtures.hash('My::Typed', { id: 2 }));
+
+		expect(m1).to.include({ active: true, state: 'draft' });
+		expect(m1.tags).to.eql([ 'new' ]);
+		expect(m2).to.include({ active: false, state: 'published' });
+		expect(m2.tags).to.not.equal(m1.tags);
+	    });
+
+	    it('should resolve associations', function() {
+		let MyOther = FlClassManager.get_class(MY_OTHER_DESC.name);
+		let mm = FlClassManager.modelize(TYPED_DESC.name, _.assign({ }, TYPED_1, {
+		    owner: OTHER_1,
+		    others: [ _.omit(OTHER_1, [ 'type' ]), { type: 'My::Unknown', id: 1 } ]
+		}));
+
+		expect(mm.owner).to.be.an.instanceof(MyOther);
+		expect(mm.others[0]).to.equal(mm.owner);
+		expect(mm.others[1]).to.eql({ type: 'My::Unknown', id: 1 });
+		expect(mm.others[1]).to.not.be.an.instanceof(FlModelBase);
+
+		mm.refresh({ owner: mm.others[0], others: null });
+		expect(mm.owner).to.be.an.instanceof(MyOther);
+		expect(mm.others).to.be.null;
+	    });
+
+	    it('should protect read-only attributes', function() {
+		let mm = FlClassManager.modelize(TYPED_DESC.name, TYPED_1);
+		let created_at = mm.created_at;
+
+		mm.code = 'changed';
+		mm.created_at = new Date();
+		expect(mm.code).to.eql('abcd');
+		expect(mm.created_at).to.equal(created_at);
+		expect(_.keys(mm)).to.include.members([ 'code', 'created_at' ]);
+
+		mm.refresh({ code: 'efgh' });
+		expect(mm.code).to.eql('efgh');
+	    });
+
+	    it('should return the attribute definitions', function() {
+		let mm = FlClassManager.modelize(TYPED_DESC.name, TYPED_1);
+
+		expect(mm.attribute_definition('count')).to.eql({ type: 'integer' });
+		expect(mm.attribute_definition('created_at')).to.eql({ type: 'date', readonly: true });
+		expect(mm.attribute_definition('unknown')).to.be.null;
+		expect(_.keys(mm.attribute_definitions())).to.include.members([ 'updated_at', 'owner', 'others' ]);
+		expect(mm.coerce_attribute('price', '1.5')).to.eql(1.5);
+	    });
+	});
+
+	context('dirty tracking', function() {
+	    it('should start clean', function() {
+		let mm = FlClassManager.modelize(MY_MODEL_DESC.name, MODEL_1);
+
+		expect(mm.isDirty()).to.eql(false);
+		expect(mm.changes()).to.eql({ });
+	    });
+
+	    it('should track changes', function() {
+		let mm = FlClassManager.modelize(MY_MODEL_DESC.name, MODEL_1);
+
+		mm.username = 'new name';
+		mm.roles.push('admin');
+		mm.hash.one = 10;
+		mm.added = 'added';
+		delete mm.intro;
+
+		expect(mm.isDirty()).to.eql(true);
+		expect(mm.isDirty('username')).to.eql(true);
+		expect(mm.isDirty('first_name')).to.eql(false);
+		expect(mm.changes()).to.eql({
+		    username: [ 'user102', 'new name' ],
+		    roles: [ [ 'customer' ], [ 'customer', 'admin' ] ],
+		    hash: [ { one: 1, two: 'two' }, { one: 10, two: 'two' } ],
+		    added: [ undefined, 'added' ],
+		    intro: [ null, undefined ]
+		});
+
+		mm.username = 'user102';
+		expect(mm.isDirty('username')).to.eql(false);
+	    });
+
+	    it('should mark refreshed properties clean', function() {
+		let mm = FlClassManager.modelize(MY_MODEL_DESC.name, MODEL_1);
+
+		mm.username = 'new name';
+		mm.email = 'new@email.com';
+		mm.refresh({ username: 'from server' });
+
+		expect(mm.changes()).to.eql({ email: [ 'user102@opoline.com', 'new@email.com' ] });
+	    });
+
+	    it('should revert changes', function() {
+		let mm = FlClassManager.modelize(MY_MODEL_DESC.name, MODEL_1);
+		let events = [ ];
+
+		mm.on('change', function(model, changed) { events.push(changed); });
+		mm.username = 'new name';
+		mm.roles.push('admin');
+		mm.added = 'added';
+
+		expect(mm.revert('username')).to.eql([ 'username' ]);
+		expect(mm.username).to.eql('user102');
+		expect(mm.isDirty()).to.eql(true);
+
+		expect(mm.revert()).to.have.members([ 'roles', 'added' ]);
+		expect(mm.roles).to.eql([ 'customer' ]);
+		expect(mm).to.not.have.property('added');
+		expect(mm.isDirty()).to.eql(false);
+		expect(mm.revert()).to.eql([ ]);
+		expect(events.length).to.eql(2);
+
+		// the snapshot is not shared with the instance
+
+		mm.roles.push('admin');
+		expect(mm.revert()).to.eql([ 'roles' ]);
+		expect(mm.roles).to.eql([ 'customer' ]);
+	    });
+
+	    it('should mark changes clean', function() {
+		let mm = FlClassManager.modelize(MY_MODEL_DESC.name, MODEL_1);
+
+		mm.username = 'new name';
+		mm.email = 'new@email.com';
+		mm.markClean('username');
+		expect(_.keys(mm.changes())).to.eql([ 'email' ]);
+
+		mm.markClean();
+		expect(mm.isDirty()).to.eql(false);
+		mm.revert();
+		expect(mm.email).to.eql('new@email.com');
+	    });
+
+	    it('should compare dates by value and ignore read-only attributes', function() {
+		let mm = FlClassManager.modelize(MY_MODEL_DESC.name, MODEL_1);
+
+		mm.accessed_at = new Date(mm.accessed_at.getTime());
+		expect(mm.isDirty()).to.eql(false);
+		delete mm.created_at;
+		expect(mm.isDirty()).to.eql(false);
+	    });
+	});
+
+	context('validation', function() {
+	    const VALIDATED_DESC = {
+		name: 'MyValidatedModel',
+		superclass: 'FlModelBase',
+		initializer: function(data) {
+		    this.__super_init('FlModelBase', data);
+		},
+		attributes: {
+		    title: { type: 'string', validates: { presence: true, length: { maximum: 8 } } },
+		    state: { validates: { inclusion: [ 'draft', 'published' ] } }
+		}
+	    };
+
+	    beforeEach(function() {
+		FlClassManager.make_class(VALIDATED_DESC);
+	    });
+
+	    afterEach(function() {
+		th.clear_class([ VALIDATED_DESC.name ]);
+	    });
+
+	    it('should validate the current values', function() {
+		let mm = FlClassManager.modelize(VALIDATED_DESC.name, { title: 'title', state: 'draft' });
+
+		expect(mm.isValid()).to.eql(true);
+		expect(mm.validation_errors()).to.eql({ });
+
+		mm.title = 'a long title';
+		mm.state = 'archived';
+		expect(mm.validate()).to.eql({
+		    title: [ 'is too long (maximum is 8 characters)' ],
+		    state: [ 'is not included in the list' ]
+		});
+		expect(mm.errors_for('title')).to.eql([ 'is too long (maximum is 8 characters)' ]);
+		expect(mm.errors_for('body')).to.eql([ ]);
+
+		mm.title = '';
+		expect(mm.isValid('title')).to.eql(false);
+		expect(mm.validation_errors()).to.eql({
+		    title: [ "can't be blank" ],
+		    state: [ 'is not included in the list' ]
+		});
+	    });
+
+	    it('should merge and clear errors', function() {
+		let mm = FlClassManager.modelize(VALIDATED_DESC.name, { title: '' });
+
+		mm.validate();
+		mm.add_errors({ title: 'is taken', base: [ 'is locked' ] });
+		expect(mm.validation_errors()).to.eql({
+		    title: [ "can't be blank", 'is taken' ],
+		    base: [ 'is locked' ]
+		});
+
+		mm.clear_errors('title');
+		expect(mm.validation_errors()).to.eql({ base: [ 'is locked' ] });
+		mm.clear_errors();
+		expect(mm.validation_errors()).to.eql({ });
+
+		// the error collection is not a data property
+
+		expect(_.keys(mm)).to.not.include('__errors');
+		expect(mm.isDirty()).to.eql(false);
+	    });
+	});
+    });
+
+    describe('FlModelCache', function() {
+	function model(id) {
+	    return fixtures.hash('My::Cached', { id: id });
+	};
+
+	let clock = 0;
+	let now = function() { return clock; };
+
+	beforeEach(function() {
+	    clock = 1000;
+	});
+
+	context('capacity', function() {
+	    it('should be unbounded by default', function() {
+		let cache = new FlModelCache();
+
+		_.forEach(_.range(1, 101), function(id) { cache.put(model(id)); });
+		expect(cache.size()).to.eql(100);
+		expect(cache.stats()).to.include({ capacity: 0, ttl: 0, evictions: 0 });
+	    });
+
+	    it('should evict the least recently used instances', function() {
+		let evicted = [ ];
+		let cache = new FlModelCache({
+		    capacity: 3,
+		    onEvict: function(m, reason) { evicted.push([ m.id, reason ]); }
+		});
+		let m1 = model(1);
+
+		cache.put(m1);
+		cache.put(model(2));
+		cache.put(model(3));
+
+		// the lookup marks 1 as used, so 2 is the least recently used
+
+		expect(cache.get(model(1))).to.equal(m1);
+		cache.put(model(4));
+		expect(evicted).to.eql([ [ 2, 'capacity' ] ]);
+		expect(cache.get(model(2))).to.be.undefined;
+		expect(cache.size()).to.eql(3);
+
+		// putting an instance again also marks it as used
+
+		cache.put(model(3));
+		cache.put(model(5));
+		expect(evicted).to.eql([ [ 2, 'capacity' ], [ 1, 'capacity' ] ]);
+	    });
+
+	    it('should evict when the capacity is lowered', function() {
+		let cache = new FlModelCache();
+
+		_.forEach(_.range(1, 6), function(id) { cache.put(model(id)); });
+		cache.configure({ capacity: 2 });
+		expect(cache.size()).to.eql(2);
+		expect(cache.get(model(4))).to.not.be.undefined;
+		expect(cache.get(model(5))).to.not.be.undefined;
+		expect(cache.stats().evictions).to.eql(3);
+	    });
+
+	    it('should not evict on removal', function() {
+		let evicted = 0;
+		let cache = new FlModelCache({ capacity: 2, onEvict: function() { evicted += 1; } });
+
+		cache.put(model(1));
+		cache.remove(model(1));
+		cache.put(model(2));
+		cache.clear();
+		expect(cache.size()).to.eql(0);
+		expect(evicted).to.eql(0);
+	    });
+	});
+
+	context('ttl', function() {
+	    it('should expire instances on lookup', function() {
+		let evicted = [ ];
+		let cache = new FlModelCache({ ttl: 100, now: now });
+
+		cache.add_eviction_listener(function(m, reason) { evicted.push([ m.id, reason ]); });
+		cache.put(model(1));
+		cache.put(model(2));
+
+		clock = 1050;
+		cache.put(model(2));
+		expect(cache.get(model(1))).to.not.be.undefined;
+
+		// a lookup does not extend the lifetime
+
+		clock = 1100;
+		expect(cache.get(model(1))).to.be.undefined;
+		expect(cache.get(model(2))).to.not.be.undefined;
+		expect(evicted).to.eql([ [ 1, 'expired' ] ]);
+		expect(cache.stats()).to.include({ evictions: 1, expirations: 1, size: 1 });
+	    });
+
+	    it('should prune expired instances', function() {
+		let cache = new FlModelCache({ ttl: 100, now: now });
+
+		cache.put(model(1));
+		cache.put(model(2));
+		clock = 1060;
+		cache.put(model(3));
+
+		clock = 1120;
+		expect(cache.prune()).to.eql(2);
+		expect(cache.size()).to.eql(1);
+	    });
+	});
+
+	context('pinning', function() {
+	    it('should not evict pinned instances', function() {
+		let evicted = [ ];
+		let cache = new FlModelCache({
+		    capacity: 2,
+		    ttl: 100,
+		    now: now,
+		    onEvict: function(m, reason) { evicted.push(m.id); }
+		});
+
+		cache.put(model(1));
+		expect(cache.pin(model(1))).to.eql(true);
+		expect(cache.pin(model(1))).to.eql(true);
+		expect(cache.pin(model(9))).to.eql(false);
+		expect(cache.is_pinned(model(1))).to.eql(true);
+
+		// pinned instances don't count against the capacity
+
+		cache.put(model(2));
+		cache.put(model(3));
+		expect(evicted).to.eql([ ]);
+		cache.put(model(4));
+		expect(evicted).to.eql([ 2 ]);
+
+		clock = 2000;
+		expect(cache.get(model(1))).to.not.be.undefined;
+		expect(cache.prune()).to.eql(2);
+		expect(cache.stats()).to.include({ size: 1, pinned: 1 });
+
+		// pins are counted
+
+		cache.unpin(model(1));
+		expect(cache.is_pinned(model(1))).to.eql(true);
+		cache.unpin(model(1));
+		expect(cache.is_pinned(model(1))).to.eql(false);
+		expect(cache.prune()).to.eql(1);
+	    });
+
+	    it('should evict when an instance is unpinned over capacity', function() {
+		let cache = new FlModelCache({ capacity: 1 });
+
+		cache.put(model(1));
+		cache.pin(model(1));
+		cache.put(model(2));
+		expect(cache.size()).to.eql(2);
+
+		cache.unpin(model(1));
+		expect(cache.size()).to.eql(1);
+		expect(cache.get(model(1))).to.be.undefined;
+	    });
+	});
+
+	context('#stats', function() {
+	    it('should count hits and misses', function() {
+		let cache = new FlModelCache();
+
+		cache.put(model(1));
+		cache.get(model(1));
+		cache.get(model(1));
+		cache.get(model(2));
+		expect(cache.stats()).to.eql({
+		    hits: 2, misses: 1, evictions: 0, expirations: 0, size: 1, pinned: 0, capacity: 0, ttl: 0
+		});
+
+		cache.reset_stats();
+		expect(cache.stats()).to.include({ hits: 0, misses: 0, size: 1 });
+	    });
+
+	    it('should report exceptions in listeners', function() {
+		let called = false;
+		let cache = new FlModelCache({ capacity: 1 });
+
+		cache.add_eviction_listener(function() { throw new Error('listener error'); });
+		cache.add_eviction_listener(function() { called = true; });
+		let logged = th.logged(function() {
+		    cache.put(model(1));
+		    cache.put(model(2));
+		});
+		expect(called).to.eql(true);
+		expect(cache.size()).to.eql(1);
+		expect(logged.length).to.eql(1);
+		expect(logged[0][0]).to.eql('(FlModelCache): exception in a listener');
+		expect(logged[0][1].message).to.eql('listener error');
+	    });
+
+	    it('should pass exceptions in listeners to the error handler', function() {
+		let errors = [ ];
+		let cache = new FlModelCache({
+		    capacity: 1,
+		    onError: function(x, m, reason) {
+			errors.push({ message: x.message, model: m, reason: reason });
+		    }
+		});
+		let m1 = model(1);
+
+		cache.add_eviction_listener(function() { throw new Error('listener error'); });
+		let logged = th.logged(function() {
+		    cache.put(m1);
+		    cache.put(model(2));
+		});
+		expect(errors).to.eql([ { message: 'listener error', model: m1, reason: 'capacity' } ]);
+		expect(logged).to.eql([ ]);
+
+		// exceptions in the error handler are logged
+
+		cache.configure({ onError: function() { throw new Error('handler error'); } });
+		logged = th.logged(function() {
+		    cache.put(model(3));
+		});
+		expect(cache.size()).to.eql(1);
+		expect(logged.length).to.eql(1);
+		expect(logged[0][1].message).to.eql('handler error');
+	    });
+	});
     });
 
     describe('FlModelFactory', function() {
@@ -367,6 +867,23 @@ describe('fl.model_factory module', function() {
 		expect(FlModelFactory.defaultFactory().create(UNDEFINED_1)).to.be.null;
 	    });
 
+	    it('should report the cache statistics', function() {
+		let MyFactoryTestModel = FlClassManager.get_class(MY_MODEL_DESC.name);
+		let MyOtherClass = FlClassManager.get_class(MY_OTHER_DESC.name);
+		let factory = new FlModelFactory({ capacity: 1 });
+
+		factory.register('test_module', [
+		    { service: MyFactoryTestModel, class_name: 'My::Factory::Test::Model' },
+		    { service: MyOtherClass, class_name: 'My::Other' }
+		]);
+
+		let obj = factory.create(MODEL_1);
+		expect(factory.create(MODEL_1)).to.equal(obj);
+		factory.create(OTHER_1);
+		expect(factory.cache_stats()).to.include({ hits: 1, misses: 2, evictions: 1, size: 1, capacity: 1 });
+		expect(factory.create(MODEL_1)).to.not.equal(obj);
+	    });
+
 	    it('should return null elements for unsupported model classes in an array', function() {
 		let MyFactoryTestModel = FlClassManager.get_class('MyFactoryTestModel');
 		let MyOtherClass = FlClassManager.get_class('MyOtherClass');
@@ -571,7 +571,41 @@ describe('fl.object_system module', function() {
 		my1.a2 = 'new a2';
 		expect(my1.a2).to.equal('new a2');
 	    });
-	    
+
+	    it('should register attribute definitions', function() {
+		let B = FlClassManager.make_class({
+		    name: 'B',
+		    attributes: {
+			a1: 'integer',
+			a2: { type: 'date', readonly: true }
+		    }
+		});
+
+		let S1 = FlClassManager.make_class({
+		    name: 'S1',
+		    superclass: 'B',
+		    attributes: {
+			a2: 'string',
+			a3: { type: 'boolean', default: false }
+		    }
+		});
+
+		let C = FlClassManager.make_class({
+		    name: 'C'
+		});
+
+		expect(B.__attributes).to.eql({
+		    a1: { type: 'integer' },
+		    a2: { type: 'date', readonly: true }
+		});
+		expect(S1.__attributes).to.eql({
+		    a1: { type: 'integer' },
+		    a2: { type: 'string' },
+		    a3: { type: 'boolean', default: false }
+		});
+		expect(C.__attributes).to.eql({ });
+	    });
+
 	    it('should throw on a missing :name property', function() {
 		expect(function() {
 		    		return FlClassManager.make_class({
@@ -649,6 +683,19 @@ describe('fl.object_system module', function() {
 		expect(my2.a1).to.equal('A1');
 		expect(my2.a2).to.equal('MyClass2 - a2');
 	    });
+
+	    it('should not share extensions with sibling classes', function() {
+		let B = FlClassManager.make_class({
+		    name: 'B',
+		    extensions: [ EXT_WITH_INIT.desc ]
+		});
+		let C = FlClassManager.make_class({
+		    name: 'C'
+		});
+
+		expect(B.__extensions.length).to.eql(1);
+		expect(C.__extensions.length).to.eql(0);
+	    });
 	});
 	
 	context.skip('instance_factory', function() {
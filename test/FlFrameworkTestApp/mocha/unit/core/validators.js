@@ -0,0 +1,105 @@
+const _ = require('lodash');
+const chai = require('chai');
+const { FlValidators } = require('fl/framework/validators');
+
+const expect = chai.expect;
+
+describe('fl.validators module', function() {
+    describe('FlValidators', function() {
+	context('#validate', function() {
+	    it('should check presence', function() {
+		let v = { presence: true };
+
+		expect(FlValidators.validate('value', v)).to.eql([ ]);
+		expect(FlValidators.validate([ 1 ], v)).to.eql([ ]);
+		expect(FlValidators.validate(0, v)).to.eql([ ]);
+		expect(FlValidators.validate(false, v)).to.eql([ ]);
+		_.forEach([ null, undefined, '', '  ', [ ], { } ], function(value) {
+		    expect(FlValidators.validate(value, v)).to.eql([ "can't be blank" ]);
+		});
+		expect(FlValidators.validate(null, { presence: { message: 'is required' } })).to.eql([ 'is required' ]);
+	    });
+
+	    it('should check length', function() {
+		expect(FlValidators.validate('abc', { length: { minimum: 2, maximum: 4 } })).to.eql([ ]);
+		expect(FlValidators.validate('a', { length: { minimum: 2 } }))
+		    .to.eql([ 'is too short (minimum is 2 characters)' ]);
+		expect(FlValidators.validate([ 1, 2, 3 ], { length: { maximum: 2 } }))
+		    .to.eql([ 'is too long (maximum is 2 characters)' ]);
+		expect(FlValidators.validate('abc', { length: { is: 2, message: 'bad length' } })).to.eql([ 'bad length' ]);
+		expect(FlValidators.validate(null, { length: { is: 2 } })).to.eql([ ]);
+	    });
+
+	    it('should check format and inclusion', function() {
+		expect(FlValidators.validate('ABC', { format: /^[A-Z]+$/ })).to.eql([ ]);
+		expect(FlValidators.validate('abc', { format: { with: /^[A-Z]+$/ } })).to.eql([ 'is invalid' ]);
+		expect(FlValidators.validate(undefined, { format: /^[A-Z]+$/ })).to.eql([ ]);
+
+		expect(FlValidators.validate('one', { inclusion: [ 'one', 'two' ] })).to.eql([ ]);
+		expect(FlValidators.validate('three', { inclusion: { in: [ 'one', 'two' ] } }))
+		    .to.eql([ 'is not included in the list' ]);
+	    });
+
+	    it('should call custom validators', function() {
+		let ctx = { name: 'value', data: { min: 10 }, model: null };
+		let custom = [
+		    function(value, ctx) { return (value < ctx.data.min) ? 'is too small' : null; },
+		    function(value, ctx) { return (value % 2) ? [ 'is odd', 'is not even' ] : undefined; }
+		];
+
+		expect(FlValidators.validate(12, { custom: custom }, ctx)).to.eql([ ]);
+		expect(FlValidators.validate(3, { custom: custom }, ctx)).to.eql([ 'is too small', 'is odd', 'is not even' ]);
+		expect(FlValidators.validate(3, { custom: custom[0], presence: true }, ctx)).to.eql([ 'is too small' ]);
+	    });
+
+	    it('should use registered validators', function() {
+		FlValidators.register('even', function(value, options, ctx) {
+		    return ((value % 2) == 0) ? null : 'must be even';
+		});
+
+		expect(FlValidators.lookup('even')).to.be.a('function');
+		expect(FlValidators.validate(3, { even: true })).to.eql([ 'must be even' ]);
+		expect(FlValidators.validate(3, { even: false })).to.eql([ ]);
+		expect(function() { FlValidators.validate(3, { unknown: true }); }).to.throw(/unknown validator/);
+
+		delete FlValidators._registry.even;
+		expect(FlValidators.lookup('even')).to.be.null;
+	    });
+	});
+
+	context('#validate_attributes', function() {
+	    const DEFS = {
+		title: { type: 'string', validates: { presence: true } },
+		code: { validates: { format: /^[a-z]+$/ } },
+		note: { type: 'string' }
+	    };
+
+	    it('should validate all attributes', function() {
+		expect(FlValidators.validate_attributes(DEFS, { title: 'title', code: 'abc' })).to.eql({ });
+		expect(FlValidators.validate_attributes(DEFS, { code: 'ABC', note: '' })).to.eql({
+		    title: [ "can't be blank" ],
+		    code: [ 'is invalid' ]
+		});
+	    });
+
+	    it('should validate only the attributes in the data if partial', function() {
+		expect(FlValidators.validate_attributes(DEFS, { code: 'ABC' }, { partial: true }))
+		    .to.eql({ code: [ 'is invalid' ] });
+		expect(FlValidators.validate_attributes(DEFS, { note: '' }, { partial: true })).to.eql({ });
+	    });
+	});
+
+	context('#merge_details', function() {
+	    it('should merge error collections', function() {
+		expect(FlValidators.merge_details(
+		    { title: [ "can't be blank" ] },
+		    { title: [ "can't be blank", 'is taken' ], base: 'is locked', code: [ ] },
+		    null
+		)).to.eql({
+		    title: [ "can't be blank", 'is taken' ],
+		    base: [ 'is locked' ]
+		});
+	    });
+	});
+    });
+});
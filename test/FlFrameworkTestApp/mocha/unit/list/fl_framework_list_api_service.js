@@ -7,9 +7,11 @@ const {
 const {
     FlAPIService, FlAPIServiceRegistry, FlGlobalAPIServiceRegistry
 } = require('fl/framework/api_services');
+const { FlValidationError } = require('fl/framework/api_errors');
 const { TestActor } = require('../../utils/test_models');
 const { FlFrameworkListAPIService } = require('fl/framework/list_api_services');
 
+const th = require('test_helpers');
 const axios = require('axios');
 const AxiosMockAdapter = require('axios-mock-adapter');
 
@@ -204,6 +206,8 @@ const LIST_2 = {
     ]
 };
 
+let patch_data = null;
+
 const axmock = new AxiosMockAdapter(myaxios);
 axmock
     .onGet('/fl/framework/lists/1.json').reply(function(cfg) {
@@ -221,11 +225,26 @@ axmock
     .onPatch('/fl/framework/lists/1.json').reply(function(cfg) {
 	let jdata = JSON.parse(cfg.data);
 	let l = _.merge({}, LIST_1, jdata.fl_framework_list);
+	patch_data = jdata;
 	return new Promise(function(resolve, reject) {
 	    resolve([ 200, JSON.stringify({ list: l }) ]);
 	});
     })
 
+    .onDelete('/fl/framework/lists/1.json').reply(function(cfg) {
+	return new Promise(function(resolve, reject) {
+	    resolve([ 200, JSON.stringify({ _status: { status: 'ok', message: 'deleted' } }) ]);
+	});
+    })
+
+    .onPost('/fl/framework/lists/2/add_object.json').reply(function(cfg) {
+	let jdata = JSON.parse(cfg.data);
+	let li = _.merge({}, LIST_2.list_items[0], { name: jdata.fl_framework_list.name });
+	return new Promise(function(resolve, reject) {
+	    resolve([ 200, JSON.stringify({ list_item: li }) ]);
+	});
+    })
+
 ;
 
 const SRV_CFG = {
@@ -351,5 +370,152 @@ describe('FlFrameworkListAPIService', function() {
 		    return Promise.resolve(true);
 		});
 	});
+
+	it('should apply optimistic updates by identifier', function() {
+	    let srv = FlGlobalAPIServiceRegistry.create('Fl::Framework::List::List',
+							_.assign({ optimistic: true }, SRV_CFG));
+	    let phases = [ ];
+	    let list = null;
+
+	    srv.setOptimisticDidChange(function(model, phase) { phases.push(phase); });
+	    return srv.show(1)
+		.then(function(data) {
+		    list = data;
+
+		    let p = srv.update(1, { wrapped: { title: 'optimistic.title' } });
+
+		    expect(list.title).to.eql('optimistic.title');
+		    expect(phases).to.eql([ 'apply' ]);
+		    return p;
+		})
+		.then(function(data) {
+		    expect(data).to.equal(list);
+		    expect(data.title).to.eql('optimistic.title');
+		    expect(phases).to.eql([ 'apply', 'commit' ]);
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+
+		    return Promise.resolve(true);
+		});
+	});
+    });
+
+    context('validation', function() {
+	const VALIDATED_LIST_DESC = {
+	    name: 'MyValidatedList',
+	    superclass: 'FlFrameworkListList',
+	    initializer: function(data) {
+		this.__super_init('FlFrameworkListList', data);
+	    },
+	    attributes: {
+		title: { type: 'string', validates: { presence: true } }
+	    }
+	};
+
+	let factory = null;
+
+	beforeEach(function() {
+	    factory = new FlModelFactory();
+	    factory.register('list_validation', [
+		{ service: FlClassManager.make_class(VALIDATED_LIST_DESC), class_name: 'Fl::Framework::List::List' },
+		{ service: TestActor, class_name: 'TestActor' }
+	    ]);
+	});
+
+	afterEach(function() {
+	    th.clear_class(VALIDATED_LIST_DESC.name);
+	});
+
+	it('should validate updates by identifier', function() {
+	    let srv = FlGlobalAPIServiceRegistry.create('Fl::Framework::List::List',
+							_.assign({ modelFactory: factory }, SRV_CFG));
+	    let list = null;
+
+	    patch_data = null;
+	    return srv.show(1)
+		.then(function(data) {
+		    list = data;
+		    expect(list).to.be.an.instanceof(FlClassManager.get_class(VALIDATED_LIST_DESC.name));
+
+		    return srv.update(1, { wrapped: { title: '' } });
+		})
+		.then(function(data) {
+		    return Promise.reject('should not have reached this');
+		})
+		.catch(function(e) {
+		    expect(e).to.be.an.instanceof(FlValidationError);
+		    expect(list.errors_for('title')).to.eql([ "can't be blank" ]);
+		    expect(patch_data).to.be.null;
+
+		    return srv.update(1, { wrapped: { title: 'valid.title' } });
+		})
+		.then(function(data) {
+		    expect(data).to.equal(list);
+		    expect(patch_data.fl_framework_list).to.eql({ title: 'valid.title' });
+		    expect(list.validation_errors()).to.eql({ });
+
+		    return Promise.resolve(true);
+		});
+	});
+
+	it('should validate creates against the model type', function() {
+	    let srv = FlGlobalAPIServiceRegistry.create('Fl::Framework::List::List',
+							_.assign({ modelFactory: factory }, SRV_CFG));
+
+	    return srv.create({ wrapped: { caption: 'new.caption' } })
+		.then(function(data) {
+		    return Promise.reject('should not have reached this');
+		})
+		.catch(function(e) {
+		    expect(e).to.be.an.instanceof(FlValidationError);
+		    expect(e.details).to.eql({ title: [ "can't be blank" ] });
+
+		    return Promise.resolve(true);
+		});
+	});
+    });
+
+    context(':destroy', function() {
+	it('should emit destroy and remove the object from the cache', function() {
+	    let srv = FlGlobalAPIServiceRegistry.create('Fl::Framework::List::List', SRV_CFG);
+	    let cache = FlModelFactory.defaultFactory().cache();
+	    let events = [ ];
+	    let list = null;
+
+	    return srv.show(1)
+		.then(function(data) {
+		    list = data;
+		    list.on('destroy', function(model) { events.push(model); });
+
+		    return srv.destroy(1);
+		})
+		.then(function(data) {
+		    expect(events.length).to.eql(1);
+		    expect(events[0]).to.equal(list);
+		    expect(cache.get(LIST_1)).to.not.exist;
+
+		    return Promise.resolve(true);
+		});
+	});
+    });
+
+    context(':add_object', function() {
+	it('should post to the list member route', function() {
+	    let FlFrameworkListListItem = FlClassManager.get_class('FlFrameworkListListItem');
+	    let srv = FlGlobalAPIServiceRegistry.create('Fl::Framework::List::List', SRV_CFG);
+
+	    expect(srv.url_path_for('add_object', 2)).to.eql('/fl/framework/lists/2/add_object.json');
+	    expect(srv.url_path_for('add_object', { id: 2 })).to.eql('/fl/framework/lists/2/add_object.json');
+
+	    return srv.add_object(2, { wrapped: { listed_object: 'TestDatumOne/1010', name: 'added' } })
+		.then(function(data) {
+		    expect(data).to.be.an.instanceof(FlFrameworkListListItem);
+		    expect(data.name).to.eql('added');
+
+		    FlModelFactory.defaultFactory().cache().remove(data);
+		    
+		    return Promise.resolve(true);
+		});
+	});
     });
 });
@@ -0,0 +1,345 @@
+const _ = require('lodash');
+const { FlExtensions, FlClassManager } = require('fl/framework/object_system');
+const {
+    FlModelBase, FlModelCache, FlModelFactory, FlGlobalModelFactory
+} = require('fl/framework/model_factory');
+
+// Fixture factories for server-shaped hashes and model instances.
+//
+// A fixture is built from the definition for its type (see _define), and gets the next value of
+// the type's sequence; the sequence value is used as the identifier, and can be used by the
+// attribute generators. Arguments after the type are trait names, followed by an optional object
+// of overrides:
+//
+//   fixtures.hash('Fl::Framework::List::List', 'readwrite', { owner: actor, list_items: 3 });
+//
+// Overrides for an association can be a hash (used as is), a type name (a fixture of that type
+// is built), or an array containing a type name and the arguments for its fixture. Overrides for a
+// collection can be a count, or an object containing the **count** and the overrides for each
+// member; members can also be listed explicitly in an array.
+// Types that have no definition get the standard properties: type, api_root, url_path,
+// fingerprint, id, created_at, and updated_at.
+
+const BASE_TIME = Date.UTC(2019, 2, 4, 3, 8, 46);
+
+const VARIANT_STYLES = [
+    { style: 'xlarge', params: { resize: '1200x1200>' } },
+    { style: 'large', params: { resize: '600x600>' } },
+    { style: 'medium', params: { resize: '400x400>' } },
+    { style: 'small', params: { resize: '200x200>' } },
+    { style: 'thumb', params: { resize: '100x100>' } },
+    { style: 'iphone', params: { resize: '64x64>' } },
+    { style: 'original', params: { } }
+];
+
+let _definitions = { };
+let _sequences = { };
+
+function _timestamp(n) {
+    return new Date(BASE_TIME + (n * 1000)).toISOString();
+};
+
+function _api_root(type) {
+    return '/' + _.map(type.split('::'), function(p) { return _.snakeCase(p); }).join('/') + 's';
+};
+
+function _path_name(type) {
+    return _.map(type.split('::'), function(p) { return p.toLowerCase(); }).join('_') + '_path';
+};
+
+function _values(v, n, h) {
+    return (_.isFunction(v)) ? v(n, h) : _.cloneDeep(v);
+};
+
+function _split_args(args) {
+    let a = _.flatten(args);
+    let last = _.last(a);
+    let overrides = (_.isPlainObject(last)) ? a.pop() : { };
+
+    return { traits: a, overrides: overrides };
+};
+
+function _variants(filename, n, styles) {
+    return _.map(styles, function(s) {
+	return {
+	    style: s.style,
+	    params: _.cloneDeep(s.params),
+	    url: '/rails/active_storage/representations/blob-' + n + '/' + s.style + '/' + filename
+	};
+    });
+};
+
+// Register a fixture definition; the definition contains:
+// - attributes: an object, or a function that is called with the sequence value and the hash
+//   built so far, and returns the attribute values.
+// - associations: maps attribute names to the type of the associated fixture; a null type means
+//   that the attribute is null unless overridden.
+// - collections: maps attribute names to an object containing the member **type**, the
+//   **inverse** association (the member attribute that is set to the owner's hash), and the
+//   default **count**.
+// - traits: maps trait names to attribute objects or functions.
+// - after: a function that is called with the completed hash, and can adjust it.
+// - api_root, path_name: override the generated values.
+// - anonymous: if true, the fixture has no identifier, fingerprint, or timestamps.
+
+function _define(type, definition) {
+    _definitions[type] = _.assign({ }, definition);
+};
+
+// Reset the sequence for one type, or for all types.
+
+function _reset(type) {
+    if (_.isString(type))
+    {
+	delete _sequences[type];
+    }
+    else
+    {
+	_sequences = { };
+    }
+};
+
+function _next(type) {
+    _sequences[type] = (_.has(_sequences, type)) ? (_sequences[type] + 1) : 1;
+    return _sequences[type];
+};
+
+function _association(v) {
+    if (_.isString(v))
+    {
+	return _hash(v);
+    }
+    else if (_.isArray(v))
+    {
+	return _hash.apply(null, v);
+    }
+    else
+    {
+	return (_.isNil(v)) ? null : v;
+    }
+};
+
+function _hash(type, ...args) {
+    let a = _split_args(args);
+    let def = (_.has(_definitions, type)) ? _definitions[type] : { };
+    let associations = (_.isObject(def.associations)) ? def.associations : { };
+    let collections = (_.isObject(def.collections)) ? def.collections : { };
+    let n = _next(type);
+    let h = { type: type };
+
+    if (!def.anonymous)
+    {
+	h.api_root = (_.isString(def.api_root)) ? def.api_root : _api_root(type);
+	h.id = n;
+	h.created_at = _timestamp(n);
+	h.updated_at = h.created_at;
+    }
+
+    _.assign(h, _values(def.attributes, n, h));
+    _.forEach(a.traits, function(t) {
+	if (!_.isObject(def.traits) || !_.has(def.traits, t)) throw new Error('unknown trait ' + t + ' for ' + type);
+	_.assign(h, _values(def.traits[t], n, h));
+    });
+    _.assign(h, _.omit(a.overrides, _.concat(_.keys(associations), _.keys(collections))));
+
+    if (!def.anonymous)
+    {
+	h.url_path = ((_.isString(def.path_name)) ? def.path_name : _path_name(type)) + '/' + h.id;
+	h.fingerprint = type + '/' + h.id;
+    }
+
+    _.forEach(associations, function(atype, attr) {
+	h[attr] = _association((_.has(a.overrides, attr)) ? a.overrides[attr] : atype);
+    });
+
+    let owner = _.clone(h);
+    _.forEach(collections, function(c, attr) {
+	let v = (_.has(a.overrides, attr)) ? a.overrides[attr] : c.count;
+	if (_.isNil(v)) return;
+
+	if (_.isArray(v))
+	{
+	    h[attr] = v;
+	}
+	else
+	{
+	    let count = (_.isNumber(v)) ? v : v.count;
+	    let attrs = (_.isPlainObject(v)) ? _.omit(v, [ 'count', 'traits' ]) : { };
+	    let traits = (_.isPlainObject(v) && _.isArray(v.traits)) ? v.traits : [ ];
+
+	    h[attr] = _.map(_.range(count), function(idx) {
+		let o = _.clone(attrs);
+		if (_.isString(c.inverse)) o[c.inverse] = owner;
+		return _hash(c.type, traits, o);
+	    });
+	}
+    });
+
+    if (_.isFunction(def.after)) def.after(h);
+
+    return h;
+};
+
+function _hashes(type, count, ...args) {
+    return _.map(_.range(count), function(idx) {
+	return _hash(type, ...args);
+    });
+};
+
+function _model(type, ...args) {
+    return FlModelFactory.defaultFactory().create(_hash(type, ...args));
+};
+
+function _models(type, count, ...args) {
+    return FlModelFactory.defaultFactory().create(_hashes(type, count, ...args));
+};
+
+// Remove fixtures, and the objects they contain, from the model cache.
+
+function _uncache(o, cache, seen) {
+    if (_.isNil(cache)) cache = FlModelFactory.defaultFactory().cache();
+    if (_.isNil(seen)) seen = new Set();
+
+    if (!_.isObject(o) || (o instanceof Date) || seen.has(o)) return;
+    seen.add(o);
+
+    if (_.isArray(o))
+    {
+	_.forEach(o, function(e) { _uncache(e, cache, seen); });
+    }
+    else
+    {
+	if (_.isString(o.fingerprint)) cache.remove(o);
+	_.forEach(o, function(v, k) { _uncache(v, cache, seen); });
+    }
+};
+
+_define('TestActor', {
+    attributes: function(n) {
+	return { name: 'actor.' + n };
+    }
+});
+
+_define('TestDatumOne', {
+    attributes: function(n) {
+	return { title: 'datum_one title.' + n, value: n };
+    },
+    associations: { owner: 'TestActor' }
+});
+
+_define('TestDatumTwo', {
+    attributes: function(n) {
+	return { title: 'datum_two title.' + n, value: 'v' + n };
+    },
+    associations: { owner: 'TestActor' }
+});
+
+_define('Fl::Framework::List::List', {
+    attributes: function(n) {
+	return {
+	    caption: 'list caption - ' + n,
+	    title: 'list title - ' + n,
+	    default_readonly_state: true,
+	    list_display_preferences: null
+	};
+    },
+    traits: {
+	readwrite: { default_readonly_state: false }
+    },
+    associations: { owner: 'TestActor' },
+    collections: {
+	list_items: { type: 'Fl::Framework::List::ListItem', inverse: 'list' }
+    }
+});
+
+_define('Fl::Framework::List::ListItem', {
+    path_name: 'fl_framework_list_listitem_path',
+    attributes: function(n) {
+	return { readonly_state: null, state: 'selected', sort_order: n, item_summary: null, name: 'list_item.' + n };
+    },
+    traits: {
+	deselected: { state: 'deselected' },
+	readonly: { readonly_state: true }
+    },
+    associations: { owner: 'TestActor', list: 'Fl::Framework::List::List', listed_object: 'TestDatumOne' },
+    after: function(h) {
+	if (_.isNil(h.item_summary) && _.isObject(h.listed_object)) h.item_summary = h.listed_object.title;
+    }
+});
+
+_define('Fl::Framework::Actor::Group', {
+    attributes: function(n) {
+	return { name: 'group.' + n, note: 'group note - ' + n };
+    },
+    associations: { owner: 'TestActor' },
+    collections: {
+	members: { type: 'Fl::Framework::Actor::GroupMember', inverse: 'group' }
+    }
+});
+
+_define('Fl::Framework::Actor::GroupMember', {
+    path_name: 'fl_framework_actor_group_member_path',
+    attributes: function(n) {
+	return { title: 'member title - ' + n, note: 'member note - ' + n };
+    },
+    associations: { group: 'Fl::Framework::Actor::Group', actor: 'TestActor' }
+});
+
+_define('ActiveStorage::Attachment', {
+    anonymous: true,
+    attributes: function(n) {
+	let filename = 'image.' + n + '.jpg';
+
+	return {
+	    name: 'images',
+	    content_type: 'image/jpeg',
+	    original_filename: filename,
+	    original_byte_size: 1000 * n,
+	    variants: _variants(filename, n, VARIANT_STYLES),
+	    created_at: _timestamp(n)
+	};
+    },
+    traits: {
+	pdf: function(n) {
+	    let filename = 'document.' + n + '.pdf';
+
+	    return {
+		content_type: 'application/pdf',
+		original_filename: filename,
+		variants: _variants(filename, n, _.filter(VARIANT_STYLES, [ 'style', 'original' ]))
+	    };
+	}
+    }
+});
+
+_define('ActiveStorage::Attached::One', {
+    anonymous: true,
+    attributes: { name: 'image' },
+    collections: {
+	attachments: { type: 'ActiveStorage::Attachment', count: 1 }
+    },
+    after: function(h) {
+	_.forEach(h.attachments, function(a) { a.name = h.name; });
+    }
+});
+
+_define('ActiveStorage::Attached::Many', {
+    anonymous: true,
+    attributes: { name: 'images' },
+    collections: {
+	attachments: { type: 'ActiveStorage::Attachment', count: 2 }
+    },
+    after: function(h) {
+	_.forEach(h.attachments, function(a) { a.name = h.name; });
+    }
+});
+
+module.exports = {
+    define: _define,
+    reset: _reset,
+    hash: _hash,
+    hashes: _hashes,
+    model: _model,
+    models: _models,
+    uncache: _uncache
+};
@@ -82,9 +82,30 @@ function _clear_api_services(registry, name) {
     }
 };
 
+// Call a function, and collect the messages that it logs; each message is an array containing
+// the arguments to console.log.
+
+function _logged(fn) {
+    let log = console.log;
+    let messages = [ ];
+
+    console.log = function(...args) { messages.push(args); };
+    try
+    {
+	fn();
+    }
+    finally
+    {
+	console.log = log;
+    }
+
+    return messages;
+};
+
 module.exports = {
     clear_ext: _clear_ext,
     clear_class: _clear_class,
     clear_model_services: _clear_model_services,
-    clear_api_services: _clear_api_services
+    clear_api_services: _clear_api_services,
+    logged: _logged
 };
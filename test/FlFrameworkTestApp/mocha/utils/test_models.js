@@ -77,10 +77,37 @@ let TestDatumTwo = FlClassManager.make_class({
     extensions: [ ]
 });
 
+let TestAttachment = FlClassManager.make_class({
+    name: 'TestAttachment',
+    superclass: 'FlModelBase',
+    initializer: function(data) {
+	this.__super_init('FlModelBase', data);
+    },
+    instance_properties: {
+    },
+    instance_methods: {
+	refresh: function(data) {
+	    this.__super('FlModelBase', 'refresh', data);
+
+	    if (_.isObject(data.author))
+	    {
+	    	this.author = FlModelFactory.defaultFactory().create(data.author);
+	    }
+	}
+    },
+    class_methods: {
+	create: function(data) {
+	    return FlClassManager.modelize('TestAttachment', data);
+	}
+    },
+    extensions: [ ]
+});
+
 FlGlobalModelFactory.register('fl.active_storage', [
     { service: TestActor, class_name: 'TestActor' },
     { service: TestDatumOne, class_name: 'TestDatumOne' },
-    { service: TestDatumTwo, class_name: 'TestDatumTwo' }
+    { service: TestDatumTwo, class_name: 'TestDatumTwo' },
+    { service: TestAttachment, class_name: 'TestAttachment' }
 ]);
 
-module.exports = { TestActor, TestDatumOne, TestDatumTwo };
+module.exports = { TestActor, TestDatumOne, TestDatumTwo, TestAttachment };